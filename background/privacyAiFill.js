@@ -4,7 +4,8 @@
  *
  * NEW APPROACH:
  * 1. If replaying on SAME form → direct replay with variable substitution (no AI)
- * 2. If replaying on DIFFERENT form → AI matches labels only (NO PII sent)
+ * 2. If replaying on DIFFERENT form → local heuristic matching, then AI
+ *    matches the remaining labels only (NO PII sent)
  */
 
 // Import FieldMapper and PrivacyAIClient (these will be loaded in service worker)
@@ -13,6 +14,12 @@
 
 // Configuration constants loaded from config.js via service-worker.js
 
+/**
+ * Multi-step wizard limits
+ */
+const WIZARD_MAX_PAGES = 10;
+const WIZARD_STEP_TIMEOUT = 15000; // ms for the next page to load after clicking Next
+
 /**
  * Privacy-first AI form filling
  * @param {string} workflowId - ID of recorded workflow to replay
@@ -34,8 +41,7 @@ async function privacyAiFillForm(workflowId, clientId, tabId) {
     }
 
     // 2. Get client profile (stays local)
-    const clientsResult = await chrome.storage.local.get('formGhostClients');
-    const clients = clientsResult.formGhostClients || [];
+    const clients = await readClientStore();
     const client = clients.find(c => c.id === clientId);
 
     if (!client) {
@@ -72,13 +78,10 @@ async function privacyAiFillForm(workflowId, clientId, tabId) {
       return await directReplay({ ...workflow, actions }, client, tabId);
     }
 
-    console.log('PrivacyAI Fill: DIFFERENT FORM detected - using AI label matching');
+    console.log('PrivacyAI Fill: DIFFERENT FORM detected - matching field labels');
 
     // 5. Get AI settings
     const settings = await getAISettings();
-    if (!settings.apiKey) {
-      return { success: false, error: 'API key not configured for cross-form filling' };
-    }
 
     // 6. Extract field labels from recorded workflow
     const recordedFields = FieldMapper.extractRecordedFields(actions);
@@ -87,69 +90,396 @@ async function privacyAiFillForm(workflowId, clientId, tabId) {
       return { success: false, error: 'No fillable fields found in recorded workflow' };
     }
 
-    // 7. Prepare data for AI (labels only - NO PII)
-    const { recordedLabels, currentLabels } = FieldMapper.prepareForAI(
-      recordedFields,
-      currentFormFields
-    );
+    // 7. Fill page by page - wizards are advanced until their final Submit.
+    // A client field filled on one page isn't matched again on the next.
+    const clientValues = buildVariablesFromClient(client);
+    let remainingRecorded = recordedFields;
+
+    const result = await fillWizardPages(tabId, scanResult, async (pageScan, pageNumber) => {
+      const pageResult = await fillFormPage(tabId, pageScan, remainingRecorded, client, clientValues, settings, pageNumber);
+      const usedFields = (pageResult.filledMappings || []).map(m => m.clientField);
+      remainingRecorded = remainingRecorded.filter(field => !usedFields.includes(field.dataField));
+      pageResult.unmatchedRecordedFields = remainingRecorded.map(field => ({ label: field.label, dataField: field.dataField }));
+      pageResult.nothingLeft = remainingRecorded.length === 0;
+      return pageResult;
+    });
 
-    // 8. Call Claude API with LABELS ONLY
-    let aiResult;
-    try {
-      aiResult = await PrivacyAIClient.matchFieldLabels(
-        settings.apiKey,
-        recordedLabels,
-        currentLabels
-      );
-    } catch (error) {
-      return {
-        success: false,
-        error: `AI matching failed: ${error.message}`
-      };
+    if (!result.results) {
+      return result;
     }
 
-    if (!aiResult.mappings || aiResult.mappings.length === 0) {
+    // 8. One report for the whole form: unmatched fields, validation errors
+    // and (for wizards) where the fill stopped
+    showFillReport(tabId, result);
+    return result;
+
+  } catch (error) {
+    console.error('PrivacyAI Fill: Error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Matches and fills the fields on one page of a form
+ * @param {number} tabId - Tab to fill
+ * @param {Object} scanResult - SCAN_FORM result for the page
+ * @param {Array} recordedFields - Recorded fields not yet used on earlier pages
+ * @param {Object} client - Client profile
+ * @param {Object} clientValues - Client values by variable name
+ * @param {Object} settings - AI settings
+ * @param {number} pageNumber - 1 for the first page of a wizard
+ * @returns {Promise<Object>} {success, results, filledMappings, unmatchedNewFields, aiUsed, privacy, error, cancelled}
+ */
+async function fillFormPage(tabId, scanResult, recordedFields, client, clientValues, settings, pageNumber = 1) {
+  const currentFormFields = scanResult.fields;
+
+  // Fields the user corrected on this form before are not matched again
+  const cacheKey = MappingCache.generateCacheKey(scanResult.url, currentFormFields);
+  const corrections = ((await MappingCache.getEntry(cacheKey))?.corrections || [])
+    .filter(c => currentFormFields.some(field => field.selector === c.selector));
+
+  // Match locally first - most fields need no AI at all
+  const matchResult = recordedFields.length > 0
+    ? await matchFields(
+      recordedFields.filter(field => !corrections.some(c => c.clientField && c.clientField === field.dataField)),
+      currentFormFields.filter(field => !corrections.some(c => c.selector === field.selector)),
+      settings,
+      scanResult.url
+    )
+    : { mappings: [], unmatchedNewFields: currentFormFields, unmatchedRecordedFields: [], aiUsed: false, error: null };
+
+  // Apply mappings locally (get actual client data values)
+  const fillMappings = [
+    ...FieldMapper.applyMappings(matchResult.mappings, recordedFields, client),
+    ...buildCorrectionMappings(corrections, clientValues)
+  ];
+
+  if (matchResult.error && fillMappings.length === 0 && pageNumber === 1) {
+    return { success: false, error: matchResult.error };
+  }
+
+  if (fillMappings.length === 0) {
+    // Later wizard pages may simply have nothing from the recording on them
+    if (pageNumber > 1) {
       return {
-        success: false,
-        error: 'AI could not match any fields',
-        unmatchedNewFields: aiResult.unmatchedNewFields || [],
-        unmatchedRecordedFields: aiResult.unmatchedRecordedFields || []
+        success: true,
+        results: { success: true, filled: [], failed: [], skipped: [], validationErrors: [] },
+        filledMappings: [],
+        unmatchedNewFields: matchResult.unmatchedNewFields,
+        aiUsed: matchResult.aiUsed
       };
     }
+    return {
+      success: false,
+      error: 'Could not match any fields',
+      unmatchedNewFields: matchResult.unmatchedNewFields,
+      unmatchedRecordedFields: matchResult.unmatchedRecordedFields
+    };
+  }
 
-    // 9. Apply mappings locally (get actual client data values)
-    const fillMappings = FieldMapper.applyMappings(
-      aiResult.mappings,
-      recordedFields,
-      client
+  console.log(`PrivacyAI Fill: Page ${pageNumber} - matched ${fillMappings.length} fields (AI used: ${matchResult.aiUsed})`);
+  console.log(`Unmatched new fields: ${matchResult.unmatchedNewFields.length}`);
+
+  // Let the user check the mappings before anything is filled
+  let reviewed = null;
+  if (settings.reviewMappings) {
+    reviewed = await reviewFillMappings(
+      tabId,
+      fillMappings,
+      currentFormFields.filter(field => !fillMappings.some(m => m.selector === field.selector)),
+      buildReviewChoices(clientValues)
     );
+    if (!reviewed.confirmed) {
+      return { success: false, cancelled: true, error: 'Fill cancelled during review' };
+    }
+  }
 
-    console.log(`PrivacyAI Fill: Matched ${fillMappings.length} fields`);
-    console.log(`Unmatched new fields: ${aiResult.unmatchedNewFields?.length || 0}`);
-    console.log(`Unmatched recorded fields: ${aiResult.unmatchedRecordedFields?.length || 0}`);
+  // Fill the page, watching filled fields for corrections
+  const mappings = reviewed ? reviewed.mappings : fillMappings;
+  const fillResult = await chrome.tabs.sendMessage(tabId, {
+    type: 'FILL_FORM',
+    mappings,
+    options: {
+      fieldDelay: settings.fieldDelay || 50,
+      // The user approved every reviewed mapping, whatever its confidence
+      fillLowConfidence: !!reviewed,
+      learn: {
+        cacheKey,
+        choices: buildReviewChoices(clientValues),
+        form: MappingCache.describeForm(scanResult.url, currentFormFields)
+      }
+    }
+  });
 
-    // 10. Fill the form
-    const fillResult = await chrome.tabs.sendMessage(tabId, {
-      type: 'FILL_FORM',
-      mappings: fillMappings,
-      options: {
-        fieldDelay: settings.fieldDelay || 50
+  const filledSelectors = (fillResult?.results?.filled || []).map(f => f.selector);
+  return {
+    ...fillResult,
+    filledMappings: mappings.filter(m => filledSelectors.includes(m.selector)),
+    unmatchedNewFields: matchResult.unmatchedNewFields,
+    aiUsed: matchResult.aiUsed,
+    privacy: matchResult.aiUsed ? 'NO PII SENT TO AI' : 'Matched locally - nothing sent to AI'
+  };
+}
+
+/**
+ * Fills a form page by page. When the page is a multi-step wizard, each
+ * filled page is followed by a click on its Next/Continue control, a wait
+ * for the next page to settle and a rescan. The fill stops before the final
+ * Submit so the user can check everything and submit it themselves.
+ * @param {number} tabId - Tab to fill
+ * @param {Object} firstScan - SCAN_FORM result for the current page
+ * @param {Function} fillPage - async (scanResult, pageNumber) => page result;
+ *   `nothingLeft: true` on a result stops the wizard after that page
+ * @returns {Promise<Object>} The page result for single-page forms, or all
+ *   pages combined, with `wizard: {pages, stoppedAt}`
+ */
+async function fillWizardPages(tabId, firstScan, fillPage) {
+  const pages = [];
+  let scanResult = firstScan;
+  let stoppedAt = null;
+
+  for (let pageNumber = 1; pageNumber <= WIZARD_MAX_PAGES; pageNumber++) {
+    const pageResult = await fillPage(scanResult, pageNumber);
+    pages.push(pageResult);
+
+    if (!firstScan.isMultiStep || !pageResult.results) break;
+
+    if (pageResult.results.validationErrors?.length > 0) {
+      stoppedAt = { reason: 'The page rejected some fields - fix them before continuing' };
+      break;
+    }
+    if (pageResult.nothingLeft) {
+      stoppedAt = { reason: 'Every field from the client profile has been filled' };
+      break;
+    }
+
+    let advance;
+    try {
+      advance = await chrome.tabs.sendMessage(tabId, { type: 'ADVANCE_WIZARD_STEP' }, { frameId: 0 });
+    } catch (error) {
+      // Next loaded a new document, which closed the message channel
+      advance = await waitForWizardPageLoad(tabId);
+    }
+
+    if (!advance?.advanced) {
+      stoppedAt = advance || { reason: 'Could not move to the next page' };
+      break;
+    }
+
+    scanResult = await chrome.tabs.sendMessage(tabId, { type: 'SCAN_FORM' }).catch(() => null);
+    if (!scanResult?.success || !scanResult.fields?.length) {
+      stoppedAt = { reason: 'No form fields found on the next page' };
+      break;
+    }
+
+    if (pageNumber === WIZARD_MAX_PAGES) {
+      stoppedAt = { reason: `Stopped after ${WIZARD_MAX_PAGES} pages` };
+    }
+  }
+
+  const filledPages = pages.filter(page => page.results);
+  if (!firstScan.isMultiStep || filledPages.length === 0) {
+    return pages[0];
+  }
+  if (!stoppedAt && !pages[pages.length - 1].results) {
+    stoppedAt = { reason: pages[pages.length - 1].error || 'Fill stopped' };
+  }
+
+  // One report across all pages; entries note the page they came from
+  const withPage = (items, index) => (items || []).map(item => ({ ...item, page: index + 1 }));
+  const collect = key => filledPages.flatMap((page, index) => withPage(page.results[key], index));
+  const results = {
+    success: filledPages.every(page => page.results.success),
+    filled: collect('filled'),
+    failed: collect('failed'),
+    skipped: collect('skipped'),
+    validationErrors: collect('validationErrors')
+  };
+  const lastFilled = filledPages[filledPages.length - 1];
+
+  return {
+    success: true,
+    results,
+    unmatchedNewFields: filledPages.flatMap((page, index) => withPage(page.unmatchedNewFields, index)),
+    unmatchedRecordedFields: lastFilled.unmatchedRecordedFields || [],
+    validationErrors: results.validationErrors,
+    aiUsed: filledPages.some(page => page.aiUsed),
+    privacy: lastFilled.privacy,
+    wizard: { pages: filledPages.length, stoppedAt }
+  };
+}
+
+/**
+ * Waits for the document a wizard's Next control loaded. The listener is in
+ * place before the tab status is read, so a page that finished loading
+ * before the wait began still counts.
+ * @param {number} tabId - Filled tab
+ * @returns {Promise<Object>} {advanced} or {advanced: false, reason}
+ */
+function waitForWizardPageLoad(tabId) {
+  return new Promise(resolve => {
+    const finish = result => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      resolve(result);
+    };
+    const timer = setTimeout(() => finish({
+      advanced: false,
+      reason: 'Timed out waiting for the next wizard page to load'
+    }), WIZARD_STEP_TIMEOUT);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        finish({ advanced: true });
       }
-    });
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.get(tabId).then(tab => {
+      if (tab.status === 'complete') finish({ advanced: true });
+    }).catch(() => finish({ advanced: false, reason: 'The tab was closed' }));
+  });
+}
+
+/**
+ * Shows the user what is left to do before submitting: unmatched fields,
+ * fields the page rejected and, for wizards, where the fill stopped
+ * @param {number} tabId - Filled tab
+ * @param {Object} result - Fill result from fillWizardPages
+ */
+function showFillReport(tabId, result) {
+  result.validationErrors = result.validationErrors || result.results?.validationErrors || [];
+  const needsAttention = (result.unmatchedNewFields || []).length > 0 ||
+    result.validationErrors.length > 0 ||
+    result.wizard?.pages > 1;
+  if (!needsAttention) return;
+
+  chrome.tabs.sendMessage(tabId, {
+    type: 'SHOW_UNMATCHED_FIELDS',
+    result: {
+      unmatchedNewFields: result.unmatchedNewFields || [],
+      unmatchedRecordedFields: result.unmatchedRecordedFields || [],
+      results: result.results,
+      wizard: result.wizard || null
+    }
+  }, { frameId: 0 }).catch(error => {
+    console.warn('Could not show the fill report:', error);
+  });
+}
+
+/**
+ * Matches recorded fields to the current form: the local heuristic matcher
+ * first, then (if enabled and a key is available) AI for the fields it
+ * could not match confidently
+ * @param {Array} recordedFields - Fields from the recorded workflow
+ * @param {Array} currentFormFields - Fields from the current page scan
+ * @param {Object} settings - AI settings
+ * @param {string} [formUrl] - Page being filled, for the AI audit log
+ * @returns {Promise<Object>} {mappings, unmatchedNewFields, unmatchedRecordedFields, aiUsed, error}
+ */
+async function matchFields(recordedFields, currentFormFields, settings, formUrl = null) {
+  const local = FieldMapper.matchFieldsLocally(recordedFields, currentFormFields, {
+    threshold: settings.localMatchThreshold
+  });
+  const result = { ...local, aiUsed: false, error: null };
+
+  if (local.unmatchedRecordedFields.length === 0 || local.unmatchedNewFields.length === 0) {
+    return result;
+  }
+  if (settings.aiMatching === false) {
+    return result;
+  }
+  const provider = AIProviders.fromSettings(settings);
+  if (!AIProviders.isConfigured(provider)) {
+    result.error = 'AI provider not configured for cross-form filling';
+    return result;
+  }
+
+  // Only the leftovers go to AI (labels only - NO PII)
+  const remainingRecorded = recordedFields.filter(field =>
+    local.unmatchedRecordedFields.some(unmatched => unmatched.label === field.label)
+  );
+  const remainingCurrent = currentFormFields.filter(field =>
+    local.unmatchedNewFields.some(unmatched => unmatched.selector === field.selector)
+  );
+  const { recordedLabels, currentLabels } = FieldMapper.prepareForAI(remainingRecorded, remainingCurrent);
+
+  try {
+    const aiResult = await PrivacyAIClient.matchFieldLabels(provider, recordedLabels, currentLabels, { formUrl });
+    const aiMappings = (aiResult.mappings || []).map(mapping => ({ ...mapping, source: 'ai' }));
 
-    // 11. Return results with unmatched fields
     return {
-      ...fillResult,
+      mappings: [...local.mappings, ...aiMappings],
       unmatchedNewFields: aiResult.unmatchedNewFields || [],
       unmatchedRecordedFields: aiResult.unmatchedRecordedFields || [],
       aiUsed: true,
-      privacy: 'NO PII SENT TO AI'
+      error: null
     };
-
   } catch (error) {
-    console.error('PrivacyAI Fill: Error:', error);
-    return { success: false, error: error.message };
+    // Keep the local matches rather than failing the whole fill
+    console.warn('PrivacyAI Fill: AI matching failed, using local matches only:', error);
+    result.error = `AI matching failed: ${error.message}`;
+    return result;
+  }
+}
+
+/**
+ * Shows the in-page mapping review panel and waits for the user to confirm,
+ * edit or cancel. Nothing is filled until this resolves.
+ * @param {number} tabId - Tab to review in
+ * @param {Array} mappings - Proposed fill mappings {selector, label, clientField, value, confidence}
+ * @param {Array} unmatchedFields - Scanned form fields with no proposal
+ * @param {Array} choices - Client fields the user can pick from {field, value}
+ * @returns {Promise<Object>} {confirmed, mappings, dropped}
+ */
+async function reviewFillMappings(tabId, mappings, unmatchedFields, choices) {
+  const response = await chrome.tabs.sendMessage(tabId, {
+    type: 'REVIEW_MAPPINGS',
+    review: {
+      mappings,
+      unmatchedFields: unmatchedFields.map(field => ({
+        selector: field.selector,
+        label: field.label || field.name || field.id || field.selector
+      })),
+      choices
+    }
+  }, { frameId: 0 });
+
+  if (!response?.success) {
+    throw new Error(response?.error || 'Mapping review is not available on this page');
   }
+  return response;
+}
+
+/**
+ * Builds fill mappings for fields the user corrected on a previous fill
+ * @param {Array} corrections - Cached corrections {selector, label, clientField}
+ * @param {Object} clientValues - Client values by variable name
+ * @returns {Array} Fill mappings
+ */
+function buildCorrectionMappings(corrections, clientValues) {
+  return corrections
+    .filter(c => c.clientField)
+    .map(c => ({
+      selector: c.selector,
+      label: c.label,
+      clientField: c.clientField,
+      value: clientValues[c.clientField.replace(/^customFields\./, '')],
+      confidence: 1,
+      source: 'correction'
+    }))
+    .filter(m => m.value !== null && m.value !== undefined && m.value !== '');
+}
+
+/**
+ * Turns a {field: value} map into review panel choices, skipping empty values
+ * @param {Object} values - Client values by field name
+ * @returns {Array} [{field, value}]
+ */
+function buildReviewChoices(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '' && typeof value !== 'object')
+    .map(([field, value]) => ({ field, value: String(value) }));
 }
 
 /**
@@ -217,40 +547,6 @@ function buildVariablesFromClient(client) {
   };
 }
 
-/**
- * Gets AI settings
- * @returns {Promise<Object>} Settings
- */
-async function getAISettings() {
-  try {
-    const result = await chrome.storage.local.get('formghost_ai_settings');
-    const userSettings = result.formghost_ai_settings || {};
-
-    // Always use built-in API key, allow user to override other settings
-    return {
-      apiKey: FORMGHOST_API_KEY,
-      excludeSensitive: true,
-      defaultDateFormat: 'MM/DD/YYYY',
-      defaultPhoneFormat: '(###) ###-####',
-      cacheEnabled: false, // Disable cache for privacy
-      fieldDelay: 50,
-      ...userSettings,
-      // Force built-in API key even if user settings exist
-      apiKey: FORMGHOST_API_KEY
-    };
-  } catch (error) {
-    console.error('Failed to get AI settings:', error);
-    return {
-      apiKey: FORMGHOST_API_KEY,
-      excludeSensitive: true,
-      defaultDateFormat: 'MM/DD/YYYY',
-      defaultPhoneFormat: '(###) ###-####',
-      cacheEnabled: false,
-      fieldDelay: 50
-    };
-  }
-}
-
 /**
  * OLD FUNCTION - DEPRECATED
  * This function sends PII to Claude - DO NOT USE
@@ -265,8 +561,9 @@ if (typeof module !== 'undefined') {
   module.exports = {
     privacyAiFillForm,
     directReplay,
+    reviewFillMappings,
+    buildReviewChoices,
     buildVariablesFromClient,
-    getAISettings,
     aiFillFormOLD_DEPRECATED
   };
 }
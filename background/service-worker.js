@@ -6,11 +6,25 @@
 // Load configuration
 importScripts('../config.js');
 
-// Load privacy-first AI modules
+// Load privacy-first AI modules (csvHandler provides the field synonyms used
+// by FieldMapper's local matcher)
+importScripts('../lib/csvHandler.js');
 importScripts('../lib/fieldMapper.js');
+importScripts('../lib/aiProviders.js');
+importScripts('../lib/auditLog.js');
 importScripts('../lib/privacyAI.js');
+importScripts('../lib/mappingCache.js');
 importScripts('privacyAiFill.js');
 
+// Variable detection for saved workflows (including called sub-workflows)
+importScripts('../lib/variableSystem.js');
+
+// Capture-time masking of secrets in actions and network traffic
+importScripts('../lib/redaction.js');
+
+// Encrypted storage for secret variables, sensitive presets and the API key
+importScripts('../lib/vault.js');
+
 // ============================================================================
 // STORAGE MODULE (inlined to avoid import issues)
 // ============================================================================
@@ -125,7 +139,8 @@ const SettingsStorage = {
         captureNetwork: true,
         captureStorage: true,
         captureHover: false,
-        redactSensitive: false,
+        redactSensitive: true,
+        redactFieldPatterns: '',
         ...result.settings
       };
     } catch (error) {
@@ -134,12 +149,85 @@ const SettingsStorage = {
         captureNetwork: true,
         captureStorage: true,
         captureHover: false,
-        redactSensitive: false
+        redactSensitive: true,
+        redactFieldPatterns: ''
       };
     }
   }
 };
 
+/**
+ * Per-workflow replay history, newest first. Screenshots are only kept on
+ * the most recent runs, per workflow and across all workflows, to stay
+ * within the storage quota.
+ */
+const RunHistoryStorage = {
+  KEY: 'runHistory',
+  MAX_RUNS_PER_WORKFLOW: 20,
+  MAX_SCREENSHOTS_PER_WORKFLOW: 5,
+  MAX_SCREENSHOTS: 10,
+
+  async getAll() {
+    try {
+      const result = await chrome.storage.local.get(this.KEY);
+      return result[this.KEY] || {};
+    } catch (error) {
+      console.error('Storage: Failed to get run history:', error);
+      return {};
+    }
+  },
+
+  async getRuns(workflowId) {
+    const history = await this.getAll();
+    return history[workflowId] || [];
+  },
+
+  async addRun(workflowId, run) {
+    const history = await this.getAll();
+    history[workflowId] = [run, ...(history[workflowId] || [])].slice(0, this.MAX_RUNS_PER_WORKFLOW);
+    this.pruneScreenshots(history);
+
+    try {
+      await chrome.storage.local.set({ [this.KEY]: history });
+    } catch (error) {
+      if (!/quota/i.test(error.message)) throw error;
+      // A full quota would fail every other write too, so give up the screenshots
+      console.warn('Storage: Run history exceeded the storage quota, dropping screenshots');
+      Object.values(history).flat().forEach(entry => { entry.screenshot = null; });
+      await chrome.storage.local.set({ [this.KEY]: history });
+    }
+    return run;
+  },
+
+  /**
+   * Clears screenshots on all but the newest runs
+   * @param {Object} history - Runs by workflow ID, changed in place
+   */
+  pruneScreenshots(history) {
+    const perWorkflow = {};
+    let kept = 0;
+
+    Object.entries(history)
+      .flatMap(([workflowId, runs]) => runs.map(run => ({ workflowId, run })))
+      .filter(({ run }) => run.screenshot)
+      .sort((a, b) => (b.run.endTime || 0) - (a.run.endTime || 0))
+      .forEach(({ workflowId, run }) => {
+        perWorkflow[workflowId] = (perWorkflow[workflowId] || 0) + 1;
+        if (kept >= this.MAX_SCREENSHOTS || perWorkflow[workflowId] > this.MAX_SCREENSHOTS_PER_WORKFLOW) {
+          run.screenshot = null;
+        } else {
+          kept++;
+        }
+      });
+  },
+
+  async clearRuns(workflowId) {
+    const history = await this.getAll();
+    delete history[workflowId];
+    await chrome.storage.local.set({ [this.KEY]: history });
+  }
+};
+
 // ============================================================================
 // EXPORT MODULE (inlined)
 // ============================================================================
@@ -604,6 +692,7 @@ test('recorded test', async ({ page }) => {
         case 'newTab': summary += `${i+1}. Open new tab (${action.context?.url || 'blank'})\n`; break;
         case 'switchTab': summary += `${i+1}. Switch to tab "${action.context?.title || action.context?.url || 'tab'}"\n`; break;
         case 'closeTab': summary += `${i+1}. Close tab\n`; break;
+        case 'extract': summary += `${i+1}. Extract ${action.extractType} of "${label}" into {{${action.variable}}}\n`; break;
         default: summary += `${i+1}. ${action.type}: ${label}\n`;
       }
     });
@@ -641,10 +730,33 @@ let replayState = {
   variables: {},
   options: {},
   tabIdMap: {}, // Maps recorded tab IDs to actual tab IDs during replay
+  tabStack: [], // Replay tabs, most recently focused last
+  unclaimedTabs: [], // Tabs the replayed page opened that no newTab step has claimed yet
+  tabHandoff: false, // Whether a tab step is moving replay between tabs
   stepInfo: null, // Current step info for progress display
-  error: null // Error message if status is 'error'
+  error: null, // Error message if status is 'error'
+  workflow: null, // Recording being replayed (needed to resume after navigation)
+  stepStatus: 'idle', // running, dispatched, done - how far currentStep got
+  results: null, // Latest results snapshot reported by the replayer
+  loopStack: [], // Open repeat blocks reported by the replayer
+  repairedActions: new Set(), // Action IDs whose selectors were repaired this run
+  failure: null, // First failing step {stepIndex, error, url, screenshot}
+  vaultSecretNames: [], // Variables whose values came from the vault
+  historyRecorded: false // Whether this run was written to run history
 };
 
+/**
+ * Variable names whose values are masked in run history
+ */
+const SECRET_VARIABLE_PATTERN = /pass(word|wd)?|secret|token|api[_-]?key|ssn|pin|cvv|card/i;
+
+/**
+ * Step types whose execution can unload the page. When the tab navigates
+ * after one of these has dispatched its action, the step is treated as
+ * completed.
+ */
+const NAVIGATING_STEP_TYPES = ['click', 'dblclick', 'keypress', 'submit', 'navigate', 'select'];
+
 function generateActionId() {
   return `act_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
 }
@@ -684,13 +796,15 @@ async function captureSessionContext(tabId) {
       localStorage = response?.localStorage || {};
     } catch (e) {}
 
+    const rules = getRedactionRules();
     return {
-      startUrl: tab.url,
+      startUrl: Redaction.redactUrl(tab.url, rules),
+      tabId,
       viewport: { width: tab.width || 1920, height: tab.height || 1080 },
-      cookies: recordingState.settings?.redactSensitive
-        ? cookies.map(c => ({ ...c, value: '[REDACTED]' }))
+      cookies: rules.enabled
+        ? cookies.map(c => ({ ...c, value: Redaction.REDACTED }))
         : cookies,
-      localStorage,
+      localStorage: Redaction.redactBody(localStorage, rules),
       timestamp: Date.now(),
       recordingId: (await RecordingStorage.getRecording()).id
     };
@@ -852,9 +966,20 @@ async function captureScreenshot() {
   }
 }
 
+/**
+ * Redaction rules for the current recording's settings
+ */
+function getRedactionRules() {
+  return Redaction.getRules(recordingState.settings || {});
+}
+
 async function handleActionCaptured(action) {
   if (recordingState.status !== 'recording') return;
 
+  // The recorder already masks secrets; this also covers frames and pages
+  // whose recorder predates the redaction settings
+  action = Redaction.redactAction(action, getRedactionRules());
+
   // Capture screenshot if enabled
   let screenshot = null;
   if (recordingState.settings?.captureScreenshots) {
@@ -1075,7 +1200,11 @@ async function getWorkflows() {
       tags: data.tags || [],
       lastRun: data.lastRun || null,
       runCount: data.runCount || 0,
-      variables: data.variables || {},
+      // Detected variables (including those of called workflows) plus saved metadata
+      variables: {
+        ...VariableSystem.extractVariables(data.recording?.actions, savedRecordings),
+        ...data.variables
+      },
       presets: data.presets || [],
       recording: data.recording // Include for export
     }));
@@ -1129,9 +1258,10 @@ async function updateWorkflow(workflowId, updates) {
 }
 
 /**
- * Saves a preset for a workflow
+ * Saves a preset for a workflow. Secret values (and every value of a preset
+ * marked sensitive) go to the vault; the stored preset only lists their names.
  * @param {string} workflowId - Workflow ID
- * @param {Object} preset - Preset data {name, values}
+ * @param {Object} preset - Preset data {name, values, sensitive}
  */
 async function savePreset(workflowId, preset) {
   try {
@@ -1145,16 +1275,22 @@ async function savePreset(workflowId, preset) {
     const workflow = savedRecordings[workflowId];
     if (!workflow.presets) workflow.presets = [];
 
-    // Add preset with ID
-    const presetWithId = {
-      ...preset,
-      id: `preset_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`
+    const existingIndex = workflow.presets.findIndex(p => p.name === preset.name);
+    const presetId = existingIndex >= 0
+      ? workflow.presets[existingIndex].id
+      : `preset_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`;
+
+    const definitions = {
+      ...VariableSystem.extractVariables(workflow.recording?.actions, savedRecordings),
+      ...workflow.variables
     };
+    const storedSecretNames = existingIndex >= 0 ? workflow.presets[existingIndex].secretNames : undefined;
+    const { values, secretNames } = await storePresetSecrets(presetId, preset, definitions, storedSecretNames);
+    const presetWithId = { ...preset, id: presetId, values, secretNames, sensitive: !!preset.sensitive };
 
     // Add or update preset
-    const existingIndex = workflow.presets.findIndex(p => p.name === preset.name);
     if (existingIndex >= 0) {
-      workflow.presets[existingIndex] = { ...workflow.presets[existingIndex], ...preset };
+      workflow.presets[existingIndex] = { ...workflow.presets[existingIndex], ...presetWithId };
     } else {
       workflow.presets.push(presetWithId);
     }
@@ -1180,8 +1316,17 @@ async function deleteWorkflow(workflowId) {
       return { success: false, error: 'Workflow not found' };
     }
 
+    const presets = savedRecordings[workflowId].presets || [];
     delete savedRecordings[workflowId];
     await chrome.storage.local.set({ savedRecordings });
+    await RunHistoryStorage.clearRuns(workflowId);
+
+    // Secrets of a locked vault stay encrypted until their preset is saved again
+    if (await Vault.isUnlocked()) {
+      for (const preset of presets) {
+        if (preset.secretNames?.length) await Vault.remove(`presets.${preset.id}`);
+      }
+    }
 
     console.log('Workflow deleted:', workflowId);
     return { success: true };
@@ -1232,8 +1377,9 @@ async function duplicateWorkflow(workflowId, newName) {
  * @param {string} workflowId - ID of workflow to replay
  * @param {Object} variables - Variable values
  * @param {Object} options - Replay options
+ * @param {string} [presetId] - Preset the values were loaded from
  */
-async function startReplay(workflowId, variables = {}, options = {}) {
+async function startReplay(workflowId, variables = {}, options = {}, presetId = null) {
   try {
     // Get workflow from storage
     const result = await chrome.storage.local.get('savedRecordings');
@@ -1251,58 +1397,13 @@ async function startReplay(workflowId, variables = {}, options = {}) {
     }
 
     // Check if page can be automated
-    if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://') ||
-        tab.url.startsWith('about:') || tab.url.startsWith('edge://')) {
+    if (isSystemPage(tab.url)) {
       return { success: false, error: 'Cannot replay on browser system pages' };
     }
 
-    // Update replay state
-    replayState = {
-      status: 'replaying',
-      tabId: tab.id,
-      activeTabs: new Set([tab.id]),
-      workflowId,
-      currentStep: 0,
-      totalSteps: savedWorkflow.recording.actions?.length || 0,
-      startTime: Date.now(),
-      variables,
-      options,
-      tabIdMap: {}
-    };
-
-    // Ensure replayer is injected
-    try {
-      const checkResult = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => !!window.FormGhostReplayer
-      });
-
-      if (!checkResult?.[0]?.result) {
-        // Inject replayer scripts
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['content/selectors.js', 'content/waitDetector.js', 'content/replayOverlay.js', 'content/replayer.js']
-        });
-        await new Promise(resolve => setTimeout(resolve, 200));
-      }
-    } catch (e) {
-      console.warn('Could not check/inject replayer:', e);
-    }
-
-    // Send start message to content script
-    await chrome.tabs.sendMessage(tab.id, {
-      type: 'START_REPLAY',
-      workflow: savedWorkflow.recording,
-      variables,
-      options
-    });
-
-    // Update last run timestamp
-    savedRecordings[workflowId].lastRun = Date.now();
-    savedRecordings[workflowId].runCount = (savedRecordings[workflowId].runCount || 0) + 1;
-    await chrome.storage.local.set({ savedRecordings });
+    await launchReplay(tab.id, workflowId, savedWorkflow, variables, options, presetId);
+    await recordWorkflowRun(workflowId);
 
-    broadcastReplayState();
     console.log('Replay started:', workflowId);
     return { success: true, workflowId, tabId: tab.id };
 
@@ -1314,242 +1415,1779 @@ async function startReplay(workflowId, variables = {}, options = {}) {
 }
 
 /**
- * Pauses current replay
+ * Checks whether a URL belongs to a page extensions cannot script
+ * @param {string} url - Tab URL
  */
-async function pauseReplay() {
-  if (replayState.status !== 'replaying') {
-    return { success: false, error: 'Not currently replaying' };
-  }
-
-  replayState.status = 'paused';
+function isSystemPage(url) {
+  return !url || url.startsWith('chrome://') || url.startsWith('chrome-extension://') ||
+    url.startsWith('about:') || url.startsWith('edge://');
+}
 
-  if (replayState.tabId) {
-    try {
-      await chrome.tabs.sendMessage(replayState.tabId, { type: 'PAUSE_REPLAY' });
-    } catch (e) {
-      console.warn('Could not pause replay:', e);
-    }
-  }
+/**
+ * Resets replay state for a tab and hands the workflow to its replayer
+ * @param {number} tabId - Tab to replay in
+ * @param {string} workflowId - Workflow ID
+ * @param {Object} savedWorkflow - Saved workflow entry
+ * @param {Object} variables - Variable values
+ * @param {Object} options - Replay options
+ * @param {string} [presetId] - Preset whose vault secrets fill empty variables
+ */
+async function launchReplay(tabId, workflowId, savedWorkflow, variables, options, presetId = null) {
+  const recording = await expandWorkflowCalls(workflowId, savedWorkflow.recording);
+  const secrets = await resolveVaultSecrets(savedWorkflow, variables, presetId);
+
+  replayState = {
+    status: 'replaying',
+    tabId,
+    activeTabs: new Set([tabId]),
+    workflowId,
+    currentStep: 0,
+    totalSteps: recording.actions?.length || 0,
+    startTime: Date.now(),
+    variables: secrets.variables,
+    options,
+    tabIdMap: getInitialTabIdMap(recording, tabId),
+    tabStack: [tabId],
+    unclaimedTabs: [],
+    tabHandoff: false,
+    workflow: recording,
+    stepStatus: 'idle',
+    results: null,
+    loopStack: [],
+    repairedActions: new Set(),
+    failure: null,
+    vaultSecretNames: secrets.secretNames,
+    historyRecorded: false
+  };
 
+  await ensureReplayerInjected(tabId);
+  sendReplayStart(tabId, options);
   broadcastReplayState();
-  return { success: true };
 }
 
 /**
- * Resumes paused replay
+ * Inlines callWorkflow steps so the replayer (and the step cursor used to
+ * resume after navigation) sees one flat step list
+ * @param {string} workflowId - ID of the workflow being replayed
+ * @param {Object} recording - Its recording
+ * @returns {Promise<Object>} Recording with sub-workflows expanded
  */
-async function resumeReplay() {
-  if (replayState.status !== 'paused') {
-    return { success: false, error: 'Replay not paused' };
+async function expandWorkflowCalls(workflowId, recording) {
+  const actions = recording.actions || [];
+  if (!actions.some(a => a.type === 'callWorkflow')) {
+    return recording;
   }
 
-  replayState.status = 'replaying';
-
-  if (replayState.tabId) {
-    try {
-      await chrome.tabs.sendMessage(replayState.tabId, { type: 'RESUME_REPLAY' });
-    } catch (e) {
-      console.warn('Could not resume replay:', e);
-    }
-  }
+  const result = await chrome.storage.local.get('savedRecordings');
+  const savedRecordings = result.savedRecordings || {};
+  const assertions = [...(recording.assertions || [])];
+  const expanded = inlineWorkflowCalls(actions, savedRecordings, [workflowId], assertions);
 
-  broadcastReplayState();
-  return { success: true };
+  return { ...recording, actions: expanded, assertions };
 }
 
 /**
- * Cancels current replay
+ * Replaces each callWorkflow step with callWorkflow, the callee's steps and
+ * an endCallWorkflow marker. Inlined steps keep their IDs and remember the
+ * workflow they came from (sourceWorkflowId) so selector repairs land there.
+ * @param {Array} actions - Steps to expand
+ * @param {Object} savedRecordings - All saved workflows
+ * @param {Array<string>} callStack - Workflow IDs being expanded (cycle guard)
+ * @param {Array} assertions - Collects the callees' assertions
+ * @returns {Array} Expanded steps
  */
-async function cancelReplay() {
-  if (replayState.status === 'idle' || replayState.status === 'complete') {
-    return { success: false, error: 'No active replay to cancel' };
-  }
+function inlineWorkflowCalls(actions, savedRecordings, callStack, assertions) {
+  const expanded = [];
 
-  if (replayState.tabId) {
-    try {
-      await chrome.tabs.sendMessage(replayState.tabId, { type: 'CANCEL_REPLAY' });
-    } catch (e) {
-      console.warn('Could not cancel replay:', e);
+  actions.forEach(action => {
+    if (action.type !== 'callWorkflow') {
+      expanded.push(action);
+      return;
     }
-  }
 
-  replayState.status = 'idle';
-  broadcastReplayState();
-  return { success: true };
+    const callee = savedRecordings[action.workflowId];
+    const end = { id: `${action.id}_end`, type: 'endCallWorkflow', workflowId: action.workflowId };
+
+    let expandError = null;
+    if (!callee) {
+      expandError = `Workflow "${action.workflowName || action.workflowId}" not found`;
+    } else if (callStack.includes(action.workflowId)) {
+      expandError = `Workflow "${callee.name}" calls itself`;
+    }
+
+    if (expandError) {
+      expanded.push({ ...action, expandError }, end);
+      return;
+    }
+
+    const calleeActions = inlineWorkflowCalls(
+      callee.recording.actions || [], savedRecordings, [...callStack, action.workflowId], assertions
+    ).map(a => (a.sourceWorkflowId ? a : { ...a, sourceWorkflowId: action.workflowId }));
+
+    (callee.recording.assertions || []).forEach(assertion => {
+      if (!assertions.some(a => a.id === assertion.id)) assertions.push(assertion);
+    });
+
+    expanded.push({ ...action, expanded: true }, ...calleeActions, end);
+  });
+
+  return expanded;
 }
 
 /**
- * Gets current replay state
+ * Updates a workflow's last run timestamp and run count
+ * @param {string} workflowId - Workflow ID
  */
-function getReplayState() {
-  return {
-    success: true,
-    status: replayState.status,
-    currentStep: replayState.currentStep,
-    totalSteps: replayState.totalSteps,
-    workflowId: replayState.workflowId
-  };
+async function recordWorkflowRun(workflowId) {
+  const result = await chrome.storage.local.get('savedRecordings');
+  const savedRecordings = result.savedRecordings || {};
+  if (!savedRecordings[workflowId]) return;
+
+  savedRecordings[workflowId].lastRun = Date.now();
+  savedRecordings[workflowId].runCount = (savedRecordings[workflowId].runCount || 0) + 1;
+  await chrome.storage.local.set({ savedRecordings });
 }
 
-// ============================================================================
-// AI FILL FUNCTIONS
-// ============================================================================
-
 /**
- * Gets AI usage stats and checks rate limit
- * @returns {Promise<Object>} {allowed: boolean, count: number, limit: number, resetDate: string}
+ * Makes sure the replayer content scripts are present in a tab
+ * @param {number} tabId - Tab to check
  */
-async function checkAIRateLimit() {
+async function ensureReplayerInjected(tabId) {
   try {
-    const result = await chrome.storage.local.get(AI_USAGE_STORAGE_KEY);
-    const usage = result[AI_USAGE_STORAGE_KEY] || { count: 0, resetDate: null };
-
-    // Get current month (YYYY-MM-DD format, first of month)
-    const now = new Date();
-    const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+    const checkResult = await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => !!window.FormGhostReplayer
+    });
 
-    // Reset if new month
-    if (!usage.resetDate || usage.resetDate !== currentMonth) {
-      usage.count = 0;
-      usage.resetDate = currentMonth;
-      await chrome.storage.local.set({ [AI_USAGE_STORAGE_KEY]: usage });
+    if (!checkResult?.[0]?.result) {
+      // Inject replayer scripts
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        files: ['content/selectors.js', 'content/waitDetector.js', 'content/inputDriver.js', 'content/customDropdown.js', 'content/replayOverlay.js', 'content/replayer.js']
+      });
+      await new Promise(resolve => setTimeout(resolve, 200));
     }
-
-    return {
-      allowed: usage.count < AI_FILLS_PER_MONTH,
-      count: usage.count,
-      limit: AI_FILLS_PER_MONTH,
-      resetDate: currentMonth
-    };
-  } catch (error) {
-    console.error('Failed to check AI rate limit:', error);
-    // On error, allow the request
-    return { allowed: true, count: 0, limit: AI_FILLS_PER_MONTH, resetDate: null };
+  } catch (e) {
+    console.warn('Could not check/inject replayer:', e);
   }
 }
 
 /**
- * Increments AI usage counter
- * @returns {Promise<void>}
+ * Hands the current workflow to the replayer in a tab's top document
+ * (steps recorded in iframes are relayed to their frame from there).
+ * Completion is reported through REPLAY_COMPLETE, so the response is not
+ * awaited - the page may navigate away before the replayer could answer.
+ * @param {number} tabId - Tab to replay in
+ * @param {Object} options - Replay options (startFromStep etc.)
  */
-async function incrementAIUsage() {
-  try {
-    const result = await chrome.storage.local.get(AI_USAGE_STORAGE_KEY);
-    const usage = result[AI_USAGE_STORAGE_KEY] || { count: 0, resetDate: null };
+function sendReplayStart(tabId, options) {
+  chrome.tabs.sendMessage(tabId, {
+    type: 'START_REPLAY',
+    workflow: replayState.workflow,
+    variables: replayState.variables,
+    options
+  }, { frameId: 0 }).catch(error => {
+    console.warn('Replayer did not finish in this document:', error.message);
+  });
+}
 
-    usage.count += 1;
+/**
+ * Resumes replay in a freshly loaded document after a full page navigation
+ * killed the replayer running in the previous one
+ */
+async function resumeReplayAfterNavigation() {
+  const actions = replayState.workflow?.actions || [];
+  const wasPaused = replayState.status === 'paused';
+  let lastStep = replayState.currentStep;
+  let navigatedDuringStep = false;
+
+  if (replayState.stepStatus !== 'done') {
+    const inFlight = actions[lastStep];
+    const dispatched = replayState.stepStatus === 'dispatched' && NAVIGATING_STEP_TYPES.includes(inFlight?.type);
+    if (replayState.status === 'takeover' || dispatched) {
+      // The step (or the user completing it manually) caused the navigation
+      navigatedDuringStep = true;
+    } else {
+      // The page navigated before the step acted on it - run it again
+      lastStep -= 1;
+    }
+  }
 
-    await chrome.storage.local.set({ [AI_USAGE_STORAGE_KEY]: usage });
-    console.log(`AI usage: ${usage.count}/${AI_FILLS_PER_MONTH}`);
-  } catch (error) {
-    console.error('Failed to increment AI usage:', error);
+  const startFromStep = lastStep + 1;
+  console.log('Resuming replay after navigation at step:', startFromStep);
+
+  replayState.status = 'replaying';
+  replayState.currentStep = startFromStep;
+  replayState.stepStatus = 'idle';
+
+  await ensureReplayerInjected(replayState.tabId);
+  sendReplayStart(replayState.tabId, {
+    ...replayState.options,
+    startFromStep,
+    resumeResults: replayState.results,
+    resumeLoopStack: replayState.loopStack,
+    resumeAfterStep: lastStep >= 0 ? lastStep : null,
+    navigatedDuringStep
+  });
+
+  if (wasPaused) {
+    try {
+      await chrome.tabs.sendMessage(replayState.tabId, { type: 'PAUSE_REPLAY' });
+    } catch (e) {
+      console.warn('Could not re-pause replay:', e);
+    }
   }
+
+  broadcastReplayState();
 }
 
+// ============================================================================
+// IFRAME REPLAY
+// ============================================================================
+
+const FRAME_LOOKUP_TIMEOUT = 10000;
+const FRAME_LOOKUP_INTERVAL = 500;
+
 /**
- * Gets all clients from storage
+ * Relays a step (or one of its assertions or conditions) recorded inside an
+ * iframe to the replayer in that frame
+ * @param {Object} message - REPLAY_FRAME_STEP {operation, step, stepIndex, variables, options}
+ * @param {Object} sender - Top document's replayer
+ * @returns {Promise<Object>} {success, stepResult} from the frame
  */
-async function getClients() {
+async function executeFrameStep(message, sender) {
+  const tabId = sender.tab?.id;
+  const framePath = message.step.context?.framePath || [];
+
+  const frameId = await findReplayFrame(tabId, framePath, message.step.context?.url);
+  if (frameId === null) {
+    return { success: false, error: `Frame not found: ${framePath.join(' > ')}` };
+  }
+
   try {
-    const result = await chrome.storage.local.get('formGhostClients');
-    return { success: true, clients: result.formGhostClients || [] };
+    return await chrome.tabs.sendMessage(tabId, {
+      type: 'EXECUTE_FRAME_STEP',
+      operation: message.operation,
+      step: message.step,
+      stepIndex: message.stepIndex,
+      variables: message.variables,
+      options: message.options
+    }, { frameId });
   } catch (error) {
-    console.error('Failed to get clients:', error);
+    console.error('Failed to run step in frame:', frameId, error);
     return { success: false, error: error.message };
   }
 }
 
 /**
- * Creates a new client
+ * Finds the frame whose path from the top document matches a recorded
+ * frame path, waiting for late-loading frames. Frames that share a path
+ * (cross-origin frames all report "[cross-origin-iframe]") are told apart
+ * by the recorded URL.
+ * @param {number} tabId - Tab ID
+ * @param {Array<string>} framePath - Recorded iframe selectors, outermost first
+ * @param {string} [url] - URL of the frame at record time
+ * @returns {Promise<number|null>} Frame ID
  */
-async function createClient(clientData) {
-  try {
-    const result = await chrome.storage.local.get('formGhostClients');
-    const clients = result.formGhostClients || [];
+async function findReplayFrame(tabId, framePath, url) {
+  const target = JSON.stringify(framePath);
+  const deadline = Date.now() + FRAME_LOOKUP_TIMEOUT;
 
-    const newClient = {
-      ...clientData,
-      id: `client_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-      createdAt: Date.now(),
-      updatedAt: Date.now()
-    };
+  while (true) {
+    const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null) || [];
+    const matches = [];
 
-    clients.push(newClient);
-    await chrome.storage.local.set({ formGhostClients: clients });
+    for (const frame of frames) {
+      if (frame.frameId === 0) continue;
+      try {
+        const response = await chrome.tabs.sendMessage(tabId, { type: 'GET_FRAME_PATH' }, { frameId: frame.frameId });
+        if (JSON.stringify(response?.framePath) === target) {
+          matches.push({ frameId: frame.frameId, url: response.url || frame.url });
+        }
+      } catch (e) {
+        // No content script in this frame (yet)
+      }
+    }
 
-    return { success: true, client: newClient };
-  } catch (error) {
-    console.error('Failed to create client:', error);
-    return { success: false, error: error.message };
+    if (matches.length > 0) {
+      const sameDocument = matches.find(m => isSameDocumentUrl(m.url, url));
+      return (sameDocument || matches[0]).frameId;
+    }
+
+    if (Date.now() >= deadline) return null;
+    await new Promise(resolve => setTimeout(resolve, FRAME_LOOKUP_INTERVAL));
   }
 }
 
 /**
- * Updates an existing client
+ * Compares two URLs by origin and path, ignoring query and hash
  */
-async function updateClient(clientId, updates) {
+function isSameDocumentUrl(a, b) {
   try {
-    const result = await chrome.storage.local.get('formGhostClients');
-    const clients = result.formGhostClients || [];
+    const first = new URL(a);
+    const second = new URL(b);
+    return first.origin === second.origin && first.pathname === second.pathname;
+  } catch (e) {
+    return false;
+  }
+}
 
-    const index = clients.findIndex(c => c.id === clientId);
-    if (index === -1) {
-      return { success: false, error: 'Client not found' };
-    }
+// ============================================================================
+// MULTI-TAB REPLAY
+// ============================================================================
 
-    clients[index] = {
-      ...clients[index],
-      ...updates,
-      updatedAt: Date.now()
-    };
+/**
+ * Tab steps are carried out here: the replayer hands over the step, the
+ * service worker opens, focuses or closes the tab, then restarts replay from
+ * the next step in whichever tab is current.
+ */
+const TAB_STEP_TYPES = ['newTab', 'switchTab', 'closeTab'];
+const TAB_OPEN_GRACE_PERIOD = 2000;
+const TAB_LOAD_TIMEOUT = 30000;
 
-    await chrome.storage.local.set({ formGhostClients: clients });
-    return { success: true, client: clients[index] };
-  } catch (error) {
-    console.error('Failed to update client:', error);
-    return { success: false, error: error.message };
-  }
+/**
+ * Maps the tab a workflow was recorded in to the tab it replays in
+ * @param {Object} recording - Recording being replayed
+ * @param {number} tabId - Tab the replay starts in
+ */
+function getInitialTabIdMap(recording, tabId) {
+  const actions = recording.actions || [];
+  // Older recordings lack sessionContext.tabId; the first tab step reveals it
+  const firstTabStep = actions.find(a => TAB_STEP_TYPES.includes(a.type));
+  const recordedTabId = recording.sessionContext?.tabId ??
+    firstTabStep?.context?.openerTabId ?? firstTabStep?.context?.fromTabId;
+
+  return recordedTabId !== undefined && recordedTabId !== null ? { [recordedTabId]: tabId } : {};
 }
 
 /**
- * Deletes a client
+ * Makes a tab the one replay runs in
+ * @param {number} tabId - Tab ID
  */
-async function deleteClient(clientId) {
+function setReplayTab(tabId) {
+  if (batchRowWaiter && batchRowWaiter.tabId === replayState.tabId) {
+    batchRowWaiter.tabId = tabId;
+  }
+  replayState.tabId = tabId;
+  replayState.tabStack = [...replayState.tabStack.filter(id => id !== tabId), tabId];
+}
+
+/**
+ * Finds the live tab for a tab recorded during capture
+ * @param {number} recordedTabId - Tab ID from the recording
+ * @param {string} [url] - Recorded URL, used when the tab was never mapped
+ * @returns {Promise<number|null>} Tab ID
+ */
+async function resolveReplayTab(recordedTabId, url) {
+  const mapped = replayState.tabIdMap[recordedTabId];
+  if (mapped !== undefined && replayState.activeTabs.has(mapped)) {
+    return mapped;
+  }
+
+  // A tab the page opened that no newTab step claimed
+  if (replayState.unclaimedTabs.length > 0) {
+    const tabId = replayState.unclaimedTabs.shift();
+    replayState.tabIdMap[recordedTabId] = tabId;
+    return tabId;
+  }
+
+  if (url) {
+    for (const tabId of replayState.activeTabs) {
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.url === url) {
+          replayState.tabIdMap[recordedTabId] = tabId;
+          return tabId;
+        }
+      } catch (e) {
+        // Tab closed meanwhile
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Replays a newTab step. The recorded click that opened the tab usually
+ * opens it again during replay, so that tab is claimed before a new one is
+ * created.
+ * @param {Object} step - newTab step
+ */
+async function openReplayTab(step) {
+  const deadline = Date.now() + TAB_OPEN_GRACE_PERIOD;
+  while (replayState.unclaimedTabs.length === 0 && Date.now() < deadline) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  let tabId = replayState.unclaimedTabs.shift();
+  if (tabId === undefined) {
+    const url = step.context?.url;
+    const tab = await chrome.tabs.create({
+      url: url && !isSystemPage(url) ? url : 'about:blank',
+      active: false
+    });
+    tabId = tab.id;
+    replayState.activeTabs.add(tabId);
+  }
+
+  if (step.context?.tabId !== undefined) {
+    replayState.tabIdMap[step.context.tabId] = tabId;
+  }
+  replayState.tabStack = [tabId, ...replayState.tabStack.filter(id => id !== tabId)];
+}
+
+/**
+ * Replays a switchTab step
+ * @param {Object} step - switchTab step
+ */
+async function switchReplayTab(step) {
+  const tabId = await resolveReplayTab(step.context?.toTabId, step.context?.url);
+  if (tabId === null) {
+    throw new Error(`No open tab matches "${step.context?.title || step.context?.url || 'recorded tab'}"`);
+  }
+
+  await chrome.tabs.update(tabId, { active: true });
+  setReplayTab(tabId);
+}
+
+/**
+ * Replays a closeTab step. A tab that already closed itself counts as done.
+ * @param {Object} step - closeTab step
+ */
+async function closeReplayTab(step) {
+  const tabId = await resolveReplayTab(step.context?.tabId);
+  if (tabId === null) return;
+
+  replayState.activeTabs.delete(tabId);
+  replayState.tabStack = replayState.tabStack.filter(id => id !== tabId);
+
+  if (tabId === replayState.tabId) {
+    const fallback = replayState.tabStack[replayState.tabStack.length - 1];
+    if (fallback === undefined) {
+      throw new Error('Cannot close the last replay tab');
+    }
+    setReplayTab(fallback);
+    await chrome.tabs.update(fallback, { active: true });
+  }
+
+  await chrome.tabs.remove(tabId).catch(() => {});
+}
+
+/**
+ * Carries out a tab step handed over by the replayer
+ * @param {Object} message - REPLAY_TAB_STEP {stepIndex, step, results, loopStack}
+ */
+async function handleReplayTabStep(message) {
+  const { stepIndex, step } = message;
+  replayState.results = message.results;
+  replayState.loopStack = message.loopStack || [];
+  replayState.tabHandoff = true;
+
+  const startTime = Date.now();
+  let error = null;
+
+  try {
+    switch (step.type) {
+      case 'newTab':
+        await openReplayTab(step);
+        break;
+      case 'switchTab':
+        await switchReplayTab(step);
+        break;
+      case 'closeTab':
+        await closeReplayTab(step);
+        break;
+    }
+  } catch (e) {
+    console.error('Tab step failed:', step.type, e);
+    error = e.message;
+  }
+
+  await continueReplayAfterTabStep(stepIndex, step, error, Date.now() - startTime);
+  return { success: true };
+}
+
+/**
+ * Records a tab step's result and restarts replay after it in the current tab
+ * @param {number} stepIndex - Index of the tab step
+ * @param {Object} step - Tab step
+ * @param {string|null} error - Failure message
+ * @param {number} executionTime - Time taken in ms
+ */
+async function continueReplayAfterTabStep(stepIndex, step, error, executionTime) {
+  // Cancelled while no replayer was running
+  if (replayState.status === 'idle') {
+    replayState.tabHandoff = false;
+    await recordRunHistory('cancelled');
+    notifyBatchRowFinished({ success: false, cancelled: true, error: 'Cancelled', results: replayState.results });
+    return;
+  }
+
+  const results = replayState.results || {
+    success: true,
+    stepsExecuted: 0,
+    stepResults: [],
+    errors: [],
+    assertionsPassed: 0,
+    assertionsFailed: 0,
+    extracted: {},
+    startTime: replayState.startTime,
+    endTime: null
+  };
+
+  results.stepResults.push({
+    stepIndex,
+    actionType: step.type,
+    success: !error,
+    error,
+    elementFound: false,
+    executionTime
+  });
+  results.stepsExecuted++;
+  replayState.results = results;
+
+  if (error) {
+    results.errors.push({ step: stepIndex, error, action: step.type });
+    replayState.failure = replayState.failure || { stepIndex, error, url: null, screenshot: null };
+
+    if (replayState.options.stopOnError) {
+      results.success = false;
+      results.endTime = Date.now();
+      replayState.tabHandoff = false;
+      await completeReplay(results, replayState.tabId);
+      return;
+    }
+  }
+
+  const wasPaused = replayState.status === 'paused';
+  replayState.status = 'replaying';
+  replayState.currentStep = stepIndex + 1;
+  replayState.stepStatus = 'idle';
+
+  try {
+    const tab = await chrome.tabs.get(replayState.tabId);
+    if (tab.status !== 'complete') {
+      await waitForTabLoad(replayState.tabId, TAB_LOAD_TIMEOUT);
+    }
+  } catch (e) {
+    console.warn('Replay tab did not finish loading:', e.message);
+  }
+
+  await ensureReplayerInjected(replayState.tabId);
+  replayState.tabHandoff = false;
+  sendReplayStart(replayState.tabId, {
+    ...replayState.options,
+    startFromStep: stepIndex + 1,
+    resumeResults: results,
+    resumeLoopStack: replayState.loopStack,
+    resumeAfterStep: stepIndex,
+    navigatedDuringStep: false
+  });
+
+  if (wasPaused) {
+    try {
+      await chrome.tabs.sendMessage(replayState.tabId, { type: 'PAUSE_REPLAY' });
+    } catch (e) {
+      console.warn('Could not re-pause replay:', e);
+    }
+  }
+
+  broadcastReplayState();
+}
+
+/**
+ * Continues replay when the current tab closed itself (e.g. a popup window
+ * that closes after submitting) and the workflow expects that tab to close
+ * @param {number} tabId - Closed tab
+ * @returns {Promise<boolean>} Whether replay continued in another tab
+ */
+async function continueAfterReplayTabClosed(tabId) {
+  const actions = replayState.workflow?.actions || [];
+  const closeIndex = actions.findIndex((action, index) =>
+    index >= replayState.currentStep && action.type === 'closeTab' &&
+    replayState.tabIdMap[action.context?.tabId] === tabId
+  );
+  const fallback = replayState.tabStack[replayState.tabStack.length - 1];
+  if (closeIndex === -1 || fallback === undefined) return false;
+
+  // The step that was running triggered the close
+  if (replayState.results && replayState.stepStatus !== 'done' && replayState.currentStep < closeIndex) {
+    replayState.results.stepResults.push({
+      stepIndex: replayState.currentStep,
+      actionType: actions[replayState.currentStep]?.type,
+      success: true,
+      error: null,
+      closedTab: true,
+      executionTime: 0
+    });
+    replayState.results.stepsExecuted++;
+  }
+
+  setReplayTab(fallback);
+  await chrome.tabs.update(fallback, { active: true }).catch(() => {});
+  await continueReplayAfterTabStep(closeIndex, actions[closeIndex], null, 0);
+  return true;
+}
+
+/**
+ * Persists selectors proposed by the replayer for a step whose stored
+ * selectors stopped matching, and records an audit note in the recording's
+ * selectorRepairs log (kept apart from the user's annotations, which exports
+ * turn into script comments)
+ * @param {string} workflowId - Workflow being replayed
+ * @param {Object} proposal - SELECTOR_REPAIR_PROPOSED message
+ */
+async function applySelectorRepair(workflowId, proposal) {
+  try {
+    if (!workflowId || !proposal.actionId) {
+      return { success: false, error: 'No workflow to repair' };
+    }
+
+    // A step inside a repeat block may report the same repair every iteration
+    if (replayState.repairedActions.has(proposal.actionId)) {
+      return { success: true, skipped: true };
+    }
+
+    // Steps inlined from a called workflow are repaired in that workflow
+    const inFlight = (replayState.workflow?.actions || []).filter(a => a.id === proposal.actionId);
+    const targetId = inFlight[0]?.sourceWorkflowId || workflowId;
+
+    const result = await chrome.storage.local.get('savedRecordings');
+    const savedRecordings = result.savedRecordings || {};
+    const savedWorkflow = savedRecordings[targetId];
+    if (!savedWorkflow) {
+      return { success: false, error: 'Workflow not found' };
+    }
+
+    const action = savedWorkflow.recording.actions?.find(a => a.id === proposal.actionId);
+    if (!action) {
+      return { success: false, error: 'Step not found' };
+    }
+
+    const previous = action.element || {};
+    action.element = mergeRepairedSelectors(previous, proposal.element);
+
+    const how = proposal.reason === 'takeover'
+      ? 'manual takeover'
+      : `fallback ${proposal.matchedSelector?.strategy || 'selector'}`;
+    if (!savedWorkflow.recording.selectorRepairs) savedWorkflow.recording.selectorRepairs = [];
+    savedWorkflow.recording.selectorRepairs.push({
+      id: `repair_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      timestamp: Date.now(),
+      actionId: proposal.actionId,
+      note: `Selector repaired via ${how} at step ${proposal.stepIndex + 1}: ` +
+        `${proposal.failedSelector || '(none)'} -> ${action.element.recommended}`,
+      repair: {
+        reason: proposal.reason,
+        stepIndex: proposal.stepIndex,
+        previousRecommended: previous.recommended || null,
+        previousSelectors: previous.selectors || [],
+        newRecommended: action.element.recommended,
+        matchedSelector: proposal.matchedSelector,
+        url: proposal.url
+      }
+    });
+
+    await chrome.storage.local.set({ savedRecordings });
+    replayState.repairedActions.add(proposal.actionId);
+
+    // Keep the in-flight copy in sync so a resume after navigation uses it
+    inFlight.forEach(a => { a.element = action.element; });
+
+    console.log('Selector repaired:', proposal.actionId, previous.recommended, '->', action.element.recommended);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to repair selector:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Puts freshly generated selectors first; the old ones stay as demoted
+ * fallbacks in case the previous markup comes back
+ * @param {Object} previous - Stored element info
+ * @param {Object} repaired - Element info generated from the live element
+ * @returns {Object} Merged element info
+ */
+function mergeRepairedSelectors(previous, repaired) {
+  const freshValues = new Set(repaired.selectors.map(s => s.value));
+  const demoted = (previous.selectors || [])
+    .filter(s => !freshValues.has(s.value))
+    .map(s => ({ ...s, confidence: Math.round((s.confidence || 0) * 50) / 100 }));
+
+  return {
+    ...previous,
+    ...repaired,
+    humanLabel: previous.humanLabel || repaired.humanLabel,
+    selectors: [...repaired.selectors, ...demoted]
+  };
+}
+
+/**
+ * Screenshots the replay tab at the first failing step
+ * @param {Object} message - REPLAY_STEP_FAILED message
+ * @param {Object} sender - Message sender (the replay tab)
+ */
+async function captureFailure(message, sender) {
+  if (replayState.failure) {
+    return { success: true };
+  }
+
+  replayState.failure = {
+    stepIndex: message.stepIndex,
+    error: message.error,
+    url: sender.tab?.url || null,
+    screenshot: null
+  };
+
+  try {
+    const tab = await chrome.tabs.get(replayState.tabId);
+    // captureVisibleTab only sees the active tab of a window
+    if (tab.active) {
+      replayState.failure.screenshot = await chrome.tabs.captureVisibleTab(tab.windowId, {
+        format: 'jpeg',
+        quality: 60
+      });
+    }
+  } catch (error) {
+    console.warn('Failed to capture failure screenshot:', error);
+  }
+
+  return { success: true };
+}
+
+/**
+ * Masks values of variables that look like secrets
+ * @param {Object} variables - Variable values used for the run
+ * @param {Object} definitions - Workflow variable metadata
+ */
+function maskSecretVariables(variables = {}, definitions = {}) {
+  const masked = {};
+  Object.entries(variables).forEach(([name, value]) => {
+    masked[name] = isSecretVariable(name, definitions) && value ? '********' : value;
+  });
+  return masked;
+}
+
+/**
+ * Checks whether a variable holds a secret, by type or by name
+ * @param {string} name - Variable name
+ * @param {Object} definitions - Workflow variable metadata
+ */
+function isSecretVariable(name, definitions = {}) {
+  const type = definitions[name]?.type;
+  return type === 'secret' || type === 'password' || SECRET_VARIABLE_PATTERN.test(name);
+}
+
+/**
+ * Builds a function that masks every occurrence of the given secret values
+ * in a text
+ * @param {Array} secretValues - Values of the run's secret variables
+ * @returns {Function} text => masked text
+ */
+function createSecretMasker(secretValues) {
+  // Longest first so a secret containing another is masked whole
+  const values = secretValues
+    .filter(value => typeof value === 'string' || typeof value === 'number')
+    .map(String)
+    .filter(value => value.length >= 3)
+    .sort((a, b) => b.length - a.length);
+
+  return text => values.reduce((masked, value) => masked.split(value).join('********'), text);
+}
+
+/**
+ * Masks secrets in replay step results and errors: secret values echoed in
+ * any text (typed values in messages, assertion actuals), and the actual
+ * value of assertions that compare against a secret variable, which may be
+ * a near-miss of the secret itself
+ * @param {Object} results - Replay results
+ * @param {Function} maskText - From createSecretMasker()
+ * @param {Set<string>} secretAssertionIds - IDs of assertions expecting a secret
+ */
+function maskSecretResults(results, maskText, secretAssertionIds) {
+  const maskEntry = entry => {
+    if (typeof entry === 'string') return maskText(entry);
+    if (!entry || typeof entry !== 'object') return entry;
+
+    const masked = {};
+    Object.entries(entry).forEach(([key, value]) => {
+      masked[key] = typeof value === 'string' ? maskText(value) : value;
+    });
+    if (entry.assertionId && secretAssertionIds.has(entry.assertionId) && entry.actual != null) {
+      masked.actual = '********';
+    }
+    return masked;
+  };
+
+  return {
+    ...results,
+    stepResults: (results.stepResults || []).map(maskEntry),
+    errors: (results.errors || []).map(maskEntry)
+  };
+}
+
+/**
+ * Adds the replayed step's label to each step result. Step indexes count the
+ * steps of called workflows that expandWorkflowCalls inlined, so the saved
+ * recording can't be used to look them up later.
+ * @param {Object} results - Replay results
+ * @param {Object[]} actions - Replayed (expanded) steps
+ */
+function labelStepResults(results, actions) {
+  return {
+    ...results,
+    stepResults: (results.stepResults || []).map(result => result.actionType === 'assertion'
+      ? result
+      : { ...result, label: actions[result.stepIndex]?.element?.humanLabel || '' })
+  };
+}
+
+/**
+ * Writes the finished replay to run history (once per run)
+ * @param {string} status - success, failed, cancelled or error
+ */
+async function recordRunHistory(status) {
+  if (replayState.historyRecorded || !replayState.workflowId || !replayState.startTime) return;
+  replayState.historyRecorded = true;
+
+  try {
+    const result = await chrome.storage.local.get('savedRecordings');
+    const savedWorkflow = (result.savedRecordings || {})[replayState.workflowId];
+    const definitions = {
+      ...VariableSystem.extractVariables(savedWorkflow?.recording?.actions, result.savedRecordings),
+      ...savedWorkflow?.variables
+    };
+    // Values read from the vault are secret whatever their name
+    replayState.vaultSecretNames.forEach(name => {
+      definitions[name] = { ...definitions[name], type: 'secret' };
+    });
+    // Secret values are masked wherever the results echo them
+    const extracted = replayState.results?.extracted || {};
+    const maskText = createSecretMasker(
+      [...Object.entries(replayState.variables || {}), ...Object.entries(extracted)]
+        .filter(([name]) => isSecretVariable(name, definitions))
+        .map(([, value]) => value)
+    );
+    const secretAssertionIds = new Set((savedWorkflow?.recording?.assertions || [])
+      .filter(assertion => VariableSystem.getVariableNames(assertion.expected)
+        .some(name => isSecretVariable(name, definitions)))
+      .map(assertion => assertion.id));
+    const results = replayState.results
+      ? {
+          ...maskSecretResults(
+            labelStepResults(replayState.results, replayState.workflow?.actions || []), maskText, secretAssertionIds
+          ),
+          extracted: maskSecretVariables(extracted, definitions)
+        }
+      : null;
+    const firstError = results?.errors?.find(e => typeof e === 'object') || null;
+    const failedStep = replayState.failure?.stepIndex ?? firstError?.step ?? null;
+    const endTime = Date.now();
+    const batchRow = batchState.status === 'running' ? batchState.rows[batchState.currentRow] : null;
+
+    await RunHistoryStorage.addRun(replayState.workflowId, {
+      id: `run_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      workflowId: replayState.workflowId,
+      status,
+      startTime: replayState.startTime,
+      endTime,
+      duration: endTime - replayState.startTime,
+      totalSteps: replayState.totalSteps,
+      variables: maskSecretVariables(replayState.variables, definitions),
+      results,
+      failedStep,
+      error: maskText(replayState.error || replayState.failure?.error || firstError?.error || '') || null,
+      url: replayState.failure?.url || null,
+      screenshot: replayState.failure?.screenshot || null,
+      batchId: batchRow ? batchState.batchId : null,
+      batchRow: batchRow ? batchRow.label : null
+    });
+  } catch (error) {
+    console.error('Failed to record run history:', error);
+  }
+}
+
+/**
+ * Gets run history for a workflow
+ * @param {string} workflowId - Workflow ID
+ */
+async function getRunHistory(workflowId) {
+  try {
+    return { success: true, runs: await RunHistoryStorage.getRuns(workflowId) };
+  } catch (error) {
+    console.error('Failed to get run history:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Clears run history for a workflow
+ * @param {string} workflowId - Workflow ID
+ */
+async function clearRunHistory(workflowId) {
+  try {
+    await RunHistoryStorage.clearRuns(workflowId);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to clear run history:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Pauses current replay
+ */
+async function pauseReplay() {
+  if (replayState.status !== 'replaying') {
+    return { success: false, error: 'Not currently replaying' };
+  }
+
+  replayState.status = 'paused';
+
+  if (replayState.tabId) {
+    try {
+      await chrome.tabs.sendMessage(replayState.tabId, { type: 'PAUSE_REPLAY' });
+    } catch (e) {
+      console.warn('Could not pause replay:', e);
+    }
+  }
+
+  broadcastReplayState();
+  return { success: true };
+}
+
+/**
+ * Resumes paused replay
+ */
+async function resumeReplay() {
+  if (replayState.status !== 'paused') {
+    return { success: false, error: 'Replay not paused' };
+  }
+
+  replayState.status = 'replaying';
+
+  if (replayState.tabId) {
+    try {
+      await chrome.tabs.sendMessage(replayState.tabId, { type: 'RESUME_REPLAY' });
+    } catch (e) {
+      console.warn('Could not resume replay:', e);
+    }
+  }
+
+  broadcastReplayState();
+  return { success: true };
+}
+
+/**
+ * Cancels current replay
+ */
+async function cancelReplay() {
+  if (replayState.status === 'idle' || replayState.status === 'complete') {
+    return { success: false, error: 'No active replay to cancel' };
+  }
+
+  if (replayState.tabId) {
+    try {
+      await chrome.tabs.sendMessage(replayState.tabId, { type: 'CANCEL_REPLAY' });
+    } catch (e) {
+      console.warn('Could not cancel replay:', e);
+    }
+  }
+
+  replayState.status = 'idle';
+  broadcastReplayState();
+  return { success: true };
+}
+
+/**
+ * Marks the replay finished with the final results
+ * @param {Object} results - Replay results
+ * @param {number} [tabId] - Tab the replay finished in
+ */
+async function completeReplay(results, tabId) {
+  replayState.status = results?.success ? 'complete' : 'error';
+  replayState.results = results;
+  replayState.error = results?.success
+    ? null
+    : (results?.errors?.[0]?.error || results?.errors?.[0] || null);
+  broadcastReplayState();
+  await recordRunHistory(results?.success ? 'success' : 'failed');
+  notifyBatchRowFinished({
+    success: !!results?.success,
+    error: replayState.error,
+    results
+  }, tabId);
+  console.log('Replay complete:', results);
+}
+
+/**
+ * Gets current replay state
+ */
+function getReplayState() {
+  return {
+    success: true,
+    status: replayState.status,
+    currentStep: replayState.currentStep,
+    totalSteps: replayState.totalSteps,
+    workflowId: replayState.workflowId
+  };
+}
+
+// ============================================================================
+// SECRET VAULT
+// ============================================================================
+
+/**
+ * Secrets are kept in the vault (lib/vault.js) and only merged into the
+ * variables handed to the replayer. Vault entries are named
+ * "presets.<presetId>" (a preset's secret values), "apiKey" and "localApiKey"
+ * (the optional key of an OpenAI-compatible endpoint).
+ */
+
+/**
+ * Gets vault status
+ */
+async function getVaultStatus() {
+  try {
+    return { success: true, ...(await Vault.getStatus()) };
+  } catch (error) {
+    console.error('Failed to get vault status:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Creates the vault
+ * @param {string} passphrase - Vault passphrase
+ * @param {number} [autoLockMinutes] - Minutes of inactivity before locking
+ */
+async function setupVault(passphrase, autoLockMinutes) {
+  try {
+    await Vault.setup(passphrase, autoLockMinutes || undefined);
+    await migratePlaintextSecrets();
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to set up vault:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Unlocks the vault
+ * @param {string} passphrase - Vault passphrase
+ */
+async function unlockVault(passphrase) {
+  try {
+    await Vault.unlock(passphrase);
+    await migratePlaintextSecrets();
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to unlock vault:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Moves secrets that versions without the vault kept in plaintext into the
+ * vault - the user's API key in the AI settings and the secret values of
+ * presets - and deletes the plaintext copies. Runs whenever the vault is set
+ * up or unlocked; a failure leaves the plaintext in place for the next try.
+ */
+async function migratePlaintextSecrets() {
+  try {
+    const stored = await chrome.storage.local.get(['formGhostAISettings', 'savedRecordings']);
+
+    const { apiKey, ...aiSettings } = stored.formGhostAISettings || {};
+    if (apiKey !== undefined) {
+      // A key already in the vault was saved later, so it wins
+      if (apiKey && apiKey !== FORMGHOST_API_KEY && !(await Vault.get('apiKey'))) {
+        await Vault.set('apiKey', apiKey);
+      }
+      await chrome.storage.local.set({ formGhostAISettings: aiSettings });
+      console.log('Moved the plaintext API key into the vault');
+    }
+
+    const savedRecordings = stored.savedRecordings || {};
+    let presetsMigrated = 0;
+
+    for (const workflow of Object.values(savedRecordings)) {
+      const definitions = {
+        ...VariableSystem.extractVariables(workflow.recording?.actions, savedRecordings),
+        ...workflow.variables
+      };
+
+      for (const preset of workflow.presets || []) {
+        const plaintextSecrets = Object.entries(preset.values || {}).filter(([name, value]) =>
+          value !== '' && (preset.sensitive || isSecretVariable(name, definitions)));
+        if (plaintextSecrets.length === 0) continue;
+
+        const secrets = { ...(await Vault.get(`presets.${preset.id}`)), ...Object.fromEntries(plaintextSecrets) };
+        await Vault.set(`presets.${preset.id}`, secrets);
+
+        plaintextSecrets.forEach(([name]) => delete preset.values[name]);
+        preset.secretNames = Object.keys(secrets);
+        presetsMigrated++;
+      }
+    }
+
+    if (presetsMigrated > 0) {
+      await chrome.storage.local.set({ savedRecordings });
+      console.log(`Moved plaintext secrets of ${presetsMigrated} preset(s) into the vault`);
+    }
+  } catch (error) {
+    console.error('Failed to move plaintext secrets into the vault:', error);
+  }
+}
+
+/**
+ * Re-encrypts the vault (and encrypted client profiles) under a new passphrase
+ * @param {string} currentPassphrase - Current passphrase
+ * @param {string} newPassphrase - New passphrase
+ */
+async function changeVaultPassphrase(currentPassphrase, newPassphrase) {
+  try {
+    await Vault.changePassphrase(currentPassphrase, newPassphrase);
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to change vault passphrase:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Locks the vault
+ */
+async function lockVault() {
+  try {
+    await Vault.lock();
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to lock vault:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Moves a preset's secret values into the vault. A value left blank that the
+ * preset already keeps in the vault (inputs loaded from a preset show those
+ * blank) keeps its vault value.
+ * @param {string} presetId - Preset ID
+ * @param {Object} preset - Preset data {values, sensitive}
+ * @param {Object} definitions - Workflow variable metadata
+ * @param {string[]} [storedSecretNames] - Names the preset already keeps in the vault
+ * @returns {Promise<Object>} {values, secretNames} - plaintext values to store
+ *   and the names of values kept in the vault
+ */
+async function storePresetSecrets(presetId, preset, definitions, storedSecretNames = []) {
+  const values = {};
+  const secrets = {};
+  const keptNames = [];
+
+  Object.entries(preset.values || {}).forEach(([name, value]) => {
+    if (value === '' && storedSecretNames.includes(name)) {
+      keptNames.push(name);
+    } else if (value !== '' && (preset.sensitive || isSecretVariable(name, definitions))) {
+      secrets[name] = value;
+    } else {
+      values[name] = value;
+    }
+  });
+
+  const secretNames = [...Object.keys(secrets), ...keptNames];
+  const unlocked = await Vault.isUnlocked();
+  if (Object.keys(secrets).length > 0 && !unlocked) {
+    throw new Error('Unlock the vault to save secret values in a preset');
+  }
+  if (!unlocked) {
+    // Nothing new to store; the vault entry stays as it is
+    return { values, secretNames };
+  }
+
+  if (secretNames.length > 0) {
+    const stored = keptNames.length > 0 ? (await Vault.get(`presets.${presetId}`)) || {} : {};
+    keptNames.forEach(name => {
+      if (stored[name] !== undefined) secrets[name] = stored[name];
+    });
+    await Vault.set(`presets.${presetId}`, secrets);
+  } else {
+    await Vault.remove(`presets.${presetId}`);
+  }
+
+  return { values, secretNames };
+}
+
+/**
+ * Fills variables left empty from the secrets saved with a preset
+ * @param {Object} savedWorkflow - Saved workflow entry
+ * @param {Object} variables - Variable values supplied for the run
+ * @param {string} [presetId] - Preset the values were loaded from
+ * @returns {Promise<Object>} {variables, secretNames}
+ */
+async function resolveVaultSecrets(savedWorkflow, variables = {}, presetId = null) {
+  const preset = presetId ? (savedWorkflow.presets || []).find(p => p.id === presetId) : null;
+  const secretNames = (preset?.secretNames || []).filter(name => !variables[name]);
+  if (secretNames.length === 0) {
+    return { variables, secretNames };
+  }
+
+  if (!(await Vault.isUnlocked())) {
+    throw new Error(`Unlock the vault to use the secrets saved in preset "${preset.name}"`);
+  }
+
+  const secrets = (await Vault.get(`presets.${preset.id}`)) || {};
+  const resolved = { ...variables };
+  secretNames.forEach(name => {
+    if (secrets[name] !== undefined) resolved[name] = secrets[name];
+  });
+  return { variables: resolved, secretNames };
+}
+
+// ============================================================================
+// BATCH REPLAY
+// ============================================================================
+
+/**
+ * Batch runs open fresh tabs, which closes the popup that started them, so
+ * the service worker drives the batch and persists the result table.
+ */
+const BATCH_RESULTS_KEY = 'lastBatchRun';
+const BATCH_TAB_LOAD_TIMEOUT = 30000;
+const BATCH_ROW_TIMEOUT = 10 * 60 * 1000;
+
+let batchState = {
+  status: 'idle', // idle, running, complete, cancelled
+  batchId: null,
+  workflowId: null,
+  workflowName: '',
+  source: null, // presets, clients, csv
+  totalRows: 0,
+  currentRow: -1,
+  rows: [], // Per-row results {index, label, status, failedStep, error, duration, tabId}
+  startTime: null,
+  endTime: null
+};
+
+// Resolves the row currently waiting for its replay to finish
+let batchRowWaiter = null;
+
+/**
+ * Broadcasts batch progress to the workflows page and persists it
+ */
+async function broadcastBatchState() {
+  const snapshot = getBatchSnapshot();
+  chrome.runtime.sendMessage({ type: 'BATCH_STATE_UPDATE', ...snapshot }).catch(() => {});
+  try {
+    await chrome.storage.local.set({ [BATCH_RESULTS_KEY]: snapshot });
+  } catch (error) {
+    console.error('Failed to persist batch results:', error);
+  }
+}
+
+/**
+ * Gets a serializable copy of the batch state
+ */
+function getBatchSnapshot() {
+  return {
+    status: batchState.status,
+    batchId: batchState.batchId,
+    workflowId: batchState.workflowId,
+    workflowName: batchState.workflowName,
+    source: batchState.source,
+    totalRows: batchState.totalRows,
+    currentRow: batchState.currentRow,
+    rows: batchState.rows,
+    startTime: batchState.startTime,
+    endTime: batchState.endTime
+  };
+}
+
+/**
+ * Gets the running batch, or the last finished one from storage
+ */
+async function getBatchState() {
+  if (batchState.status !== 'idle') {
+    return { success: true, batch: getBatchSnapshot() };
+  }
+  const result = await chrome.storage.local.get(BATCH_RESULTS_KEY);
+  return { success: true, batch: result[BATCH_RESULTS_KEY] || null };
+}
+
+/**
+ * Replays a workflow once per variable set, each in a fresh tab
+ * @param {string} workflowId - Workflow ID
+ * @param {Array} rows - Variable sets [{label, variables}]
+ * @param {Object} options - Replay options plus batch options
+ *   (source, startUrl, closeSuccessfulTabs)
+ */
+async function startBatchReplay(workflowId, rows = [], options = {}) {
+  if (batchState.status === 'running') {
+    return { success: false, error: 'A batch is already running' };
+  }
+  if (['replaying', 'paused', 'takeover'].includes(replayState.status)) {
+    return { success: false, error: 'A replay is already running' };
+  }
+  if (!rows.length) {
+    return { success: false, error: 'No rows to run' };
+  }
+
+  const result = await chrome.storage.local.get('savedRecordings');
+  const savedWorkflow = (result.savedRecordings || {})[workflowId];
+  if (!savedWorkflow) {
+    return { success: false, error: 'Workflow not found' };
+  }
+
+  const { source, startUrl: requestedUrl, closeSuccessfulTabs = true, ...replayOptions } = options;
+
+  // Each row starts where the recording started
+  let startUrl = requestedUrl || savedWorkflow.recording.sessionContext?.startUrl ||
+    savedWorkflow.formSignature?.url;
+  if (!startUrl) {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    startUrl = tab?.url;
+  }
+  if (isSystemPage(startUrl)) {
+    return { success: false, error: 'Could not determine a start page for this workflow' };
+  }
+
+  batchState = {
+    status: 'running',
+    batchId: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+    workflowId,
+    workflowName: savedWorkflow.name,
+    source: source || null,
+    totalRows: rows.length,
+    currentRow: -1,
+    rows: rows.map((row, index) => ({
+      index,
+      label: row.label || `Row ${index + 1}`,
+      status: 'pending',
+      failedStep: null,
+      error: null,
+      duration: null,
+      tabId: null
+    })),
+    startTime: Date.now(),
+    endTime: null
+  };
+
+  await broadcastBatchState();
+
+  // Run rows in the background; progress goes out through BATCH_STATE_UPDATE
+  runBatchRows(workflowId, savedWorkflow, rows, startUrl, replayOptions, closeSuccessfulTabs)
+    .catch(async (error) => {
+      console.error('Batch replay failed:', error);
+      batchState.status = 'complete';
+      batchState.endTime = Date.now();
+      await broadcastBatchState();
+    });
+
+  console.log('Batch replay started:', workflowId, rows.length, 'rows');
+  return { success: true, batchId: batchState.batchId, totalRows: rows.length };
+}
+
+/**
+ * Runs batch rows one after another
+ */
+async function runBatchRows(workflowId, savedWorkflow, rows, startUrl, options, closeSuccessfulTabs) {
+  for (let i = 0; i < rows.length; i++) {
+    if (batchState.status !== 'running') break;
+
+    const row = batchState.rows[i];
+    batchState.currentRow = i;
+    row.status = 'running';
+    await broadcastBatchState();
+
+    const rowStart = Date.now();
+    let tab = null;
+
+    try {
+      tab = await chrome.tabs.create({ url: startUrl, active: true });
+      row.tabId = tab.id;
+      await waitForTabLoad(tab.id, BATCH_TAB_LOAD_TIMEOUT);
+
+      const finished = waitForReplayToFinish(tab.id, BATCH_ROW_TIMEOUT);
+      await launchReplay(tab.id, workflowId, savedWorkflow, rows[i].variables || {}, options, rows[i].presetId);
+      await recordWorkflowRun(workflowId);
+      const outcome = await finished;
+
+      const firstError = outcome.results?.errors?.find(e => typeof e === 'object') || null;
+      row.status = outcome.success ? 'success' : (outcome.cancelled ? 'cancelled' : 'failed');
+      row.failedStep = firstError ? firstError.step + 1 : null;
+      row.error = outcome.success ? null : (outcome.error || firstError?.error || 'Replay failed');
+    } catch (error) {
+      console.error('Batch row failed:', i, error);
+      row.status = 'failed';
+      row.error = error.message;
+    }
+
+    row.duration = Date.now() - rowStart;
+
+    // Keep failed tabs open so the failure can be inspected
+    if (tab && row.status === 'success' && closeSuccessfulTabs) {
+      const rowTabs = new Set([tab.id, ...replayState.activeTabs]);
+      chrome.tabs.remove([...rowTabs]).catch(() => {});
+    }
+
+    await broadcastBatchState();
+  }
+
+  if (batchState.status === 'running') {
+    batchState.status = 'complete';
+  }
+  batchState.rows.forEach(row => {
+    if (row.status === 'pending') row.status = 'skipped';
+  });
+  batchState.endTime = Date.now();
+  await broadcastBatchState();
+  console.log('Batch replay finished:', batchState.batchId);
+}
+
+/**
+ * Waits until a tab has finished loading
+ * @param {number} tabId - Tab ID
+ * @param {number} timeout - Max wait in ms
+ */
+function waitForTabLoad(tabId, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      reject(new Error('Timed out waiting for the start page to load'));
+    }, timeout);
+
+    function listener(updatedTabId, changeInfo) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        resolve();
+      }
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Returns a promise that settles when the replay in a tab completes,
+ * fails or is cancelled
+ * @param {number} tabId - Tab running the replay
+ * @param {number} timeout - Max wait in ms
+ */
+function waitForReplayToFinish(tabId, timeout) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      batchRowWaiter = null;
+      cancelReplay();
+      resolve({ success: false, error: 'Replay timed out', results: replayState.results });
+    }, timeout);
+
+    batchRowWaiter = {
+      tabId,
+      resolve: (outcome) => {
+        clearTimeout(timer);
+        batchRowWaiter = null;
+        resolve(outcome);
+      }
+    };
+  });
+}
+
+/**
+ * Settles the waiting batch row, if any, with the replay outcome.
+ * Reports from other tabs (e.g. a timed-out previous row) are ignored.
+ * @param {Object} outcome - {success, error, results, cancelled}
+ * @param {number} [tabId] - Tab the outcome came from
+ */
+function notifyBatchRowFinished(outcome, tabId = replayState.tabId) {
+  if (batchRowWaiter && batchRowWaiter.tabId === tabId) {
+    batchRowWaiter.resolve(outcome);
+  }
+}
+
+/**
+ * Cancels the running batch and its current replay
+ */
+async function cancelBatchReplay() {
+  if (batchState.status !== 'running') {
+    return { success: false, error: 'No batch is running' };
+  }
+
+  batchState.status = 'cancelled';
+  if (['replaying', 'paused', 'takeover'].includes(replayState.status)) {
+    await cancelReplay();
+  }
+  notifyBatchRowFinished({ success: false, cancelled: true, error: 'Cancelled', results: replayState.results });
+
+  await broadcastBatchState();
+  return { success: true };
+}
+
+// ============================================================================
+// AI FILL FUNCTIONS
+// ============================================================================
+
+/**
+ * Gets AI usage stats and checks rate limit
+ * @returns {Promise<Object>} {allowed: boolean, count: number, limit: number, resetDate: string}
+ */
+async function checkAIRateLimit() {
+  try {
+    const result = await chrome.storage.local.get(AI_USAGE_STORAGE_KEY);
+    const usage = result[AI_USAGE_STORAGE_KEY] || { count: 0, resetDate: null };
+
+    // Get current month (YYYY-MM-DD format, first of month)
+    const now = new Date();
+    const currentMonth = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-01`;
+
+    // Reset if new month
+    if (!usage.resetDate || usage.resetDate !== currentMonth) {
+      usage.count = 0;
+      usage.resetDate = currentMonth;
+      await chrome.storage.local.set({ [AI_USAGE_STORAGE_KEY]: usage });
+    }
+
+    return {
+      allowed: usage.count < AI_FILLS_PER_MONTH,
+      count: usage.count,
+      limit: AI_FILLS_PER_MONTH,
+      resetDate: currentMonth
+    };
+  } catch (error) {
+    console.error('Failed to check AI rate limit:', error);
+    // On error, allow the request
+    return { allowed: true, count: 0, limit: AI_FILLS_PER_MONTH, resetDate: null };
+  }
+}
+
+/**
+ * Increments AI usage counter
+ * @returns {Promise<void>}
+ */
+async function incrementAIUsage() {
+  try {
+    const result = await chrome.storage.local.get(AI_USAGE_STORAGE_KEY);
+    const usage = result[AI_USAGE_STORAGE_KEY] || { count: 0, resetDate: null };
+
+    usage.count += 1;
+
+    await chrome.storage.local.set({ [AI_USAGE_STORAGE_KEY]: usage });
+    console.log(`AI usage: ${usage.count}/${AI_FILLS_PER_MONTH}`);
+  } catch (error) {
+    console.error('Failed to increment AI usage:', error);
+  }
+}
+
+/**
+ * Client profiles are kept in plaintext under formGhostClients unless
+ * encryption is enabled. Encrypted profiles live in the vault ("clients"
+ * entry) and cannot be listed or used for fills while it is locked.
+ */
+const CLIENT_ENCRYPTION_KEY = 'formGhostClientEncryption';
+
+/**
+ * Checks whether client profiles are encrypted at rest
+ */
+async function isClientEncryptionEnabled() {
+  const result = await chrome.storage.local.get(CLIENT_ENCRYPTION_KEY);
+  return !!result[CLIENT_ENCRYPTION_KEY]?.enabled;
+}
+
+/**
+ * Reads all client profiles, decrypting them when encryption is enabled
+ * @returns {Promise<Array>} Clients
+ */
+async function readClientStore() {
+  if (await isClientEncryptionEnabled()) {
+    if (!(await Vault.isUnlocked())) {
+      const error = new Error('Client profiles are encrypted - unlock the vault to use them');
+      error.locked = true;
+      throw error;
+    }
+    return (await Vault.get('clients')) || [];
+  }
+
+  const result = await chrome.storage.local.get('formGhostClients');
+  return result.formGhostClients || [];
+}
+
+/**
+ * Writes all client profiles, encrypting them when encryption is enabled
+ * @param {Array} clients - Clients
+ */
+async function writeClientStore(clients) {
+  if (await isClientEncryptionEnabled()) {
+    await Vault.set('clients', clients);
+  } else {
+    await chrome.storage.local.set({ formGhostClients: clients });
+  }
+}
+
+/**
+ * Gets client encryption status
+ */
+async function getClientEncryptionStatus() {
+  try {
+    const vault = await Vault.getStatus();
+    return {
+      success: true,
+      enabled: await isClientEncryptionEnabled(),
+      vaultInitialized: vault.initialized,
+      unlocked: vault.unlocked
+    };
+  } catch (error) {
+    console.error('Failed to get client encryption status:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Turns at-rest encryption of client profiles on or off. Needs the vault
+ * unlocked either way; the plaintext copy is removed only after the
+ * encrypted one is written.
+ * @param {boolean} enabled - Whether profiles should be encrypted
+ */
+async function setClientEncryption(enabled) {
+  try {
+    if (enabled === await isClientEncryptionEnabled()) {
+      return { success: true };
+    }
+    if (!(await Vault.isUnlocked())) {
+      return { success: false, error: 'Unlock the vault first', locked: true };
+    }
+
+    if (enabled) {
+      const result = await chrome.storage.local.get('formGhostClients');
+      await Vault.set('clients', result.formGhostClients || []);
+      await chrome.storage.local.set({ [CLIENT_ENCRYPTION_KEY]: { enabled: true } });
+      await chrome.storage.local.remove('formGhostClients');
+    } else {
+      const clients = (await Vault.get('clients')) || [];
+      await chrome.storage.local.set({ formGhostClients: clients, [CLIENT_ENCRYPTION_KEY]: { enabled: false } });
+      await Vault.remove('clients');
+    }
+
+    console.log('Client encryption', enabled ? 'enabled' : 'disabled');
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to change client encryption:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Gets all clients from storage
+ */
+async function getClients() {
+  try {
+    return { success: true, clients: await readClientStore() };
+  } catch (error) {
+    console.error('Failed to get clients:', error);
+    return { success: false, error: error.message, locked: !!error.locked };
+  }
+}
+
+/**
+ * Creates a new client
+ */
+async function createClient(clientData) {
+  try {
+    const clients = await readClientStore();
+
+    const newClient = {
+      ...clientData,
+      id: `client_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+
+    clients.push(newClient);
+    await writeClientStore(clients);
+
+    return { success: true, client: newClient };
+  } catch (error) {
+    console.error('Failed to create client:', error);
+    return { success: false, error: error.message, locked: !!error.locked };
+  }
+}
+
+/**
+ * Updates an existing client
+ */
+async function updateClient(clientId, updates) {
+  try {
+    const clients = await readClientStore();
+
+    const index = clients.findIndex(c => c.id === clientId);
+    if (index === -1) {
+      return { success: false, error: 'Client not found' };
+    }
+
+    clients[index] = {
+      ...clients[index],
+      ...updates,
+      updatedAt: Date.now()
+    };
+
+    await writeClientStore(clients);
+    return { success: true, client: clients[index] };
+  } catch (error) {
+    console.error('Failed to update client:', error);
+    return { success: false, error: error.message, locked: !!error.locked };
+  }
+}
+
+/**
+ * Deletes a client
+ */
+async function deleteClient(clientId) {
   try {
-    const result = await chrome.storage.local.get('formGhostClients');
-    const clients = result.formGhostClients || [];
+    const clients = await readClientStore();
 
     const filtered = clients.filter(c => c.id !== clientId);
     if (filtered.length === clients.length) {
       return { success: false, error: 'Client not found' };
     }
 
-    await chrome.storage.local.set({ formGhostClients: filtered });
+    await writeClientStore(filtered);
     return { success: true };
   } catch (error) {
     console.error('Failed to delete client:', error);
-    return { success: false, error: error.message };
+    return { success: false, error: error.message, locked: !!error.locked };
   }
 }
 
 /**
- * Gets AI settings
+ * Gets AI settings. A user API key (and the optional key of an
+ * OpenAI-compatible endpoint) is only available while the vault is unlocked;
+ * otherwise the built-in key is used and the endpoint gets no key.
  */
 async function getAISettings() {
   try {
     const result = await chrome.storage.local.get('formGhostAISettings');
-    const userSettings = result.formGhostAISettings || {};
+    // Keys saved in plaintext by older versions are ignored until unlocking
+    // the vault moves them into it (see migratePlaintextSecrets)
+    const { apiKey: plaintextApiKey, ...userSettings } = result.formGhostAISettings || {};
+    const unlocked = await Vault.isUnlocked();
+    const vaultApiKey = unlocked ? await Vault.get('apiKey') : null;
+    const localApiKey = unlocked ? await Vault.get('localApiKey') : null;
 
-    // Always use built-in API key, allow user to override other settings
     return {
-      apiKey: FORMGHOST_API_KEY,
       excludeSensitive: true,
       defaultDateFormat: 'MM/DD/YYYY',
       defaultPhoneFormat: '(###) ###-####',
       cacheEnabled: true,
+      localMatchThreshold: 0.75,
+      aiMatching: true,
+      reviewMappings: false,
+      aiProvider: 'claude',
+      localEndpoint: '',
+      localModel: '',
       ...userSettings,
-      // Force built-in API key even if user settings exist
-      apiKey: FORMGHOST_API_KEY
+      apiKey: vaultApiKey || FORMGHOST_API_KEY,
+      customApiKey: !!vaultApiKey,
+      localApiKey: localApiKey || '',
+      customLocalApiKey: !!localApiKey
     };
   } catch (error) {
     console.error('Failed to get AI settings:', error);
@@ -1558,17 +3196,39 @@ async function getAISettings() {
       excludeSensitive: true,
       defaultDateFormat: 'MM/DD/YYYY',
       defaultPhoneFormat: '(###) ###-####',
-      cacheEnabled: true
+      cacheEnabled: true,
+      localMatchThreshold: 0.75,
+      aiMatching: true,
+      reviewMappings: false,
+      aiProvider: 'claude',
+      localEndpoint: '',
+      localModel: ''
     };
   }
 }
 
 /**
- * Saves AI settings
+ * Saves AI settings. API keys are never stored in plaintext: a non-empty
+ * key goes to the vault and an empty one removes it.
  */
 async function saveAISettings(settings) {
   try {
-    await chrome.storage.local.set({ formGhostAISettings: settings });
+    const { apiKey, customApiKey, localApiKey, customLocalApiKey, ...plainSettings } = settings;
+    const changeApiKey = apiKey !== undefined && apiKey !== FORMGHOST_API_KEY;
+
+    if ((changeApiKey || localApiKey !== undefined) && !(await Vault.isUnlocked())) {
+      return { success: false, error: 'Unlock the vault to change the API key' };
+    }
+    if (changeApiKey) {
+      await Vault.set('apiKey', apiKey || undefined);
+    }
+    if (localApiKey !== undefined) {
+      await Vault.set('localApiKey', localApiKey || undefined);
+    }
+
+    const result = await chrome.storage.local.get('formGhostAISettings');
+    const { apiKey: plaintextApiKey, ...current } = result.formGhostAISettings || {};
+    await chrome.storage.local.set({ formGhostAISettings: { ...current, ...plainSettings } });
     return { success: true };
   } catch (error) {
     console.error('Failed to save AI settings:', error);
@@ -1580,34 +3240,77 @@ async function saveAISettings(settings) {
  * Validates an API key by making a minimal request
  */
 async function validateApiKey(apiKey) {
+  return AIProviders.testConnection({ ...AIProviders.fromSettings({ apiKey }), apiKey });
+}
+
+/**
+ * Checks that an AI provider answers, using unsaved settings from the modal
+ * merged over the saved ones
+ * @param {Object} settings - Provider settings (aiProvider, localEndpoint, localModel)
+ */
+async function testAIProvider(settings = {}) {
   try {
-    const response = await fetch(CLAUDE_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: CLAUDE_MODEL,
-        max_tokens: 10,
-        messages: [{ role: 'user', content: 'Hi' }]
-      })
-    });
+    const saved = await getAISettings();
+    return await AIProviders.testConnection(AIProviders.fromSettings({ ...saved, ...settings }));
+  } catch (error) {
+    console.error('AI provider test failed:', error);
+    return { valid: false, error: error.message };
+  }
+}
 
-    if (response.ok) {
-      return { valid: true };
-    }
+/**
+ * Gets the AI audit log with its retention limits
+ */
+async function getAIAuditLog() {
+  try {
+    return {
+      success: true,
+      entries: await AIAuditLog.getEntries(),
+      retention: await AIAuditLog.getRetention(),
+      stats: await AIAuditLog.getStats()
+    };
+  } catch (error) {
+    console.error('Failed to read AI audit log:', error);
+    return { success: false, error: error.message };
+  }
+}
 
-    const error = await response.json();
-    if (response.status === 401) {
-      return { valid: false, error: 'Invalid API key' };
-    }
-    return { valid: false, error: error.error?.message || 'Validation failed' };
+/**
+ * Exports the AI audit log
+ * @param {string} format - 'json' or 'csv'
+ */
+async function exportAIAuditLog(format) {
+  try {
+    return { success: true, content: await AIAuditLog.export(format) };
   } catch (error) {
-    console.error('API key validation failed:', error);
-    return { valid: false, error: error.message };
+    console.error('Failed to export AI audit log:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Updates AI audit log retention limits
+ * @param {Object} retention - {days, maxEntries}
+ */
+async function setAIAuditRetention(retention = {}) {
+  try {
+    return { success: true, retention: await AIAuditLog.setRetention(retention) };
+  } catch (error) {
+    console.error('Failed to update audit retention:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Clears the AI audit log
+ */
+async function clearAIAuditLog() {
+  try {
+    await AIAuditLog.clear();
+    return { success: true };
+  } catch (error) {
+    console.error('Failed to clear AI audit log:', error);
+    return { success: false, error: error.message };
   }
 }
 
@@ -1616,7 +3319,9 @@ async function validateApiKey(apiKey) {
  */
 async function clearMappingCache() {
   try {
-    await chrome.storage.local.set({ formGhostMappingCache: {} });
+    await MappingCache.clear();
+    // Entries from before the cache moved to MappingCache
+    await chrome.storage.local.remove('formGhostMappingCache');
     return { success: true };
   } catch (error) {
     console.error('Failed to clear cache:', error);
@@ -1624,15 +3329,34 @@ async function clearMappingCache() {
   }
 }
 
+/**
+ * Remembers a user's correction to a filled field so the next fill of the
+ * same form structure uses it without asking the AI again
+ * @param {string} cacheKey - Cache key of the filled form
+ * @param {Object} correction - {selector, label, clientField} (clientField null = don't fill)
+ * @param {Object} metadata - MappingCache.describeForm() output plus the
+ *   filled mappings
+ */
+async function rememberMappingCorrection(cacheKey, correction, metadata = {}) {
+  try {
+    if (!cacheKey || !correction?.selector) {
+      return { success: false, error: 'Invalid correction' };
+    }
+    const entry = await MappingCache.addCorrection(cacheKey, correction, metadata);
+    return { success: true, corrections: entry?.corrections?.length || 0 };
+  } catch (error) {
+    console.error('Failed to remember correction:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Gets cache statistics
  */
 async function getCacheStats() {
   try {
-    const result = await chrome.storage.local.get('formGhostMappingCache');
-    const cache = result.formGhostMappingCache || {};
     return {
-      totalEntries: Object.keys(cache).length,
+      ...(await MappingCache.getStats()),
       success: true
     };
   } catch (error) {
@@ -1640,6 +3364,86 @@ async function getCacheStats() {
   }
 }
 
+/**
+ * Lists mapping cache entries for the cache editor
+ */
+async function getMappingCacheEntries() {
+  try {
+    const cache = await MappingCache.getAll();
+    const entries = Object.entries(cache).map(([key, entry]) => ({
+      key,
+      url: entry.url || '',
+      urlPattern: entry.urlPattern || '',
+      fieldCount: entry.fieldCount || 0,
+      mappings: (entry.mappings || []).map(m => ({
+        selector: m.selector,
+        label: m.label || '',
+        clientField: m.clientField,
+        source: m.source || 'ai'
+      })),
+      expired: MappingCache.isExpired(entry),
+      ...MappingCache.summarizeEntry(entry)
+    }));
+    return { success: true, entries };
+  } catch (error) {
+    console.error('Failed to list mapping cache:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Deletes mapping cache entries
+ * @param {Array<string>} keys - Cache keys
+ */
+async function deleteMappingCacheEntries(keys = []) {
+  try {
+    const removed = await MappingCache.removeMany(keys);
+    return { success: true, removed };
+  } catch (error) {
+    console.error('Failed to delete mapping cache entries:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Exports the mapping cache as a shareable library
+ */
+async function exportMappingLibrary() {
+  try {
+    return { success: true, library: await MappingCache.exportLibrary() };
+  } catch (error) {
+    console.error('Failed to export mapping library:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Compares an imported library with the local cache
+ * @param {Object} library - Parsed library file
+ */
+async function previewMappingImport(library) {
+  try {
+    return { success: true, preview: await MappingCache.previewImport(library) };
+  } catch (error) {
+    console.error('Failed to read mapping library:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Imports a mapping library, resolving conflicts per entry
+ * @param {Object} library - Parsed library file
+ * @param {Object} options - {strategy, resolutions}
+ */
+async function importMappingLibrary(library, options = {}) {
+  try {
+    return { success: true, ...(await MappingCache.importLibrary(library, options)) };
+  } catch (error) {
+    console.error('Failed to import mapping library:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Main AI form fill function
  */
@@ -1656,16 +3460,19 @@ async function aiFillForm(clientId) {
     }
 
     // Get client data
-    const clientsResult = await chrome.storage.local.get('formGhostClients');
-    const clients = clientsResult.formGhostClients || [];
+    const clients = await readClientStore();
     const client = clients.find(c => c.id === clientId);
 
     if (!client) {
       return { success: false, error: 'Client not found' };
     }
 
-    // Get AI settings (built-in API key)
+    // Get AI settings (built-in API key unless another provider is chosen)
     const settings = await getAISettings();
+    const provider = AIProviders.fromSettings(settings);
+    if (!AIProviders.isConfigured(provider)) {
+      return { success: false, error: 'AI provider is not configured' };
+    }
 
     // Get active tab
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -1680,92 +3487,38 @@ async function aiFillForm(clientId) {
     }
 
     // Scan form fields
-    let formFields;
+    let scanResult;
     try {
-      const scanResult = await chrome.tabs.sendMessage(tab.id, { type: 'SCAN_FORM' });
-      if (!scanResult?.success || !scanResult.fields?.length) {
-        return { success: false, error: 'No form fields found on page' };
-      }
-      formFields = scanResult.fields;
+      scanResult = await chrome.tabs.sendMessage(tab.id, { type: 'SCAN_FORM' });
     } catch (e) {
       // Inject scanner if not loaded
       await chrome.scripting.executeScript({
         target: { tabId: tab.id },
-        files: ['content/formScanner.js', 'content/formFiller.js']
+        files: ['content/waitDetector.js', 'content/inputDriver.js', 'content/customDropdown.js', 'content/formScanner.js', 'content/formFiller.js', 'content/mappingReview.js']
       });
       await new Promise(resolve => setTimeout(resolve, 300));
 
-      const scanResult = await chrome.tabs.sendMessage(tab.id, { type: 'SCAN_FORM' });
-      if (!scanResult?.success || !scanResult.fields?.length) {
-        return { success: false, error: 'No form fields found on page' };
-      }
-      formFields = scanResult.fields;
-    }
-
-    // Prepare client data for AI (exclude sensitive if configured)
-    const clientForAI = { ...client };
-    if (settings.excludeSensitive) {
-      delete clientForAI.ssnLast4;
-      delete clientForAI.driversLicense;
-      delete clientForAI.dlState;
-    }
-    delete clientForAI.id;
-    delete clientForAI.createdAt;
-    delete clientForAI.updatedAt;
-
-    // Generate cache key
-    const cacheKey = generateFormCacheKey(tab.url, formFields);
-
-    // Check cache
-    let mappings = null;
-    if (settings.cacheEnabled) {
-      const cacheResult = await chrome.storage.local.get('formGhostMappingCache');
-      const cache = cacheResult.formGhostMappingCache || {};
-      const cached = cache[cacheKey];
-      if (cached && cached.timestamp > Date.now() - 30 * 24 * 60 * 60 * 1000) {
-        mappings = cached.mappings;
-        console.log('Using cached mappings for:', cacheKey);
-      }
-    }
-
-    // If not cached, call Claude API
-    if (!mappings) {
-      mappings = await getAIMappings(settings.apiKey, formFields, clientForAI, settings);
-
-      // Cache the mappings
-      if (settings.cacheEnabled && mappings) {
-        const cacheResult = await chrome.storage.local.get('formGhostMappingCache');
-        const cache = cacheResult.formGhostMappingCache || {};
-        cache[cacheKey] = {
-          mappings,
-          timestamp: Date.now()
-        };
-        await chrome.storage.local.set({ formGhostMappingCache: cache });
-      }
+      scanResult = await chrome.tabs.sendMessage(tab.id, { type: 'SCAN_FORM' });
     }
-
-    if (!mappings || !mappings.length) {
-      return { success: false, error: 'AI could not determine field mappings' };
+    if (!scanResult?.success || !scanResult.fields?.length) {
+      return { success: false, error: 'No form fields found on page' };
     }
 
-    // Apply client values to mappings
-    const fillData = mappings.map(m => ({
-      ...m,
-      value: getClientValue(client, m.clientField, settings)
-    })).filter(m => m.value !== null && m.value !== undefined && m.value !== '');
-
-    // Send fill command to content script
-    const fillResult = await chrome.tabs.sendMessage(tab.id, {
-      type: 'FILL_FORM',
-      mappings: fillData
-    });
+    // Fill page by page - wizards are advanced until their final Submit
+    const result = await fillWizardPages(tab.id, scanResult, (pageScan, pageNumber) =>
+      aiFillFormPage(tab.id, pageScan, client, settings, provider, pageNumber)
+    );
 
-    // Increment AI usage counter if fill was successful
-    if (fillResult && fillResult.success) {
+    // Increment AI usage counter if fill was successful (a whole wizard
+    // counts as one fill)
+    if (result && result.success) {
       await incrementAIUsage();
     }
 
-    return fillResult;
+    if (result?.results) {
+      showFillReport(tab.id, result);
+    }
+    return result;
   } catch (error) {
     console.error('AI fill failed:', error);
     return { success: false, error: error.message };
@@ -1773,31 +3526,107 @@ async function aiFillForm(clientId) {
 }
 
 /**
- * Generates a cache key for form mappings
+ * Maps and fills one page of a form with the AI provider (legacy fill)
+ * @param {number} tabId - Tab to fill
+ * @param {Object} scanResult - SCAN_FORM result for the page
+ * @param {Object} client - Client profile
+ * @param {Object} settings - AI settings
+ * @param {Object} provider - AI provider config
+ * @param {number} pageNumber - 1 for the first page of a wizard
+ * @returns {Promise<Object>} Fill result
  */
-function generateFormCacheKey(url, fields) {
-  const urlPath = new URL(url).pathname;
-  const fieldSignature = fields.map(f => `${f.name || f.id || f.label}:${f.type}`).sort().join('|');
-  return `${urlPath}::${hashString(fieldSignature)}`;
-}
+async function aiFillFormPage(tabId, scanResult, client, settings, provider, pageNumber = 1) {
+  // Prepare client data for AI (exclude sensitive if configured)
+  const clientForAI = { ...client };
+  if (settings.excludeSensitive) {
+    delete clientForAI.ssnLast4;
+    delete clientForAI.driversLicense;
+    delete clientForAI.dlState;
+  }
+  delete clientForAI.id;
+  delete clientForAI.createdAt;
+  delete clientForAI.updatedAt;
+
+  // Check cache. Forms the user has corrected are always reused, since
+  // their entry holds the corrected mappings.
+  const formFields = scanResult.fields;
+  const cacheKey = MappingCache.generateCacheKey(scanResult.url, formFields);
+  const cached = await MappingCache.getEntry(cacheKey);
+  let mappings = null;
+  if (cached && (settings.cacheEnabled || cached.corrections?.length)) {
+    mappings = cached.mappings;
+    await MappingCache.recordHit(cacheKey);
+    console.log('Using cached mappings for:', cacheKey);
+  }
 
-/**
- * Simple hash function
- */
-function hashString(str) {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
+  // If not cached, ask the AI provider
+  if (!mappings) {
+    mappings = await getAIMappings(provider, formFields, clientForAI, settings, scanResult.url);
+
+    // Cache the mappings
+    if (settings.cacheEnabled && mappings) {
+      await MappingCache.set(cacheKey, mappings, MappingCache.describeForm(scanResult.url, formFields));
+    }
+  }
+
+  if (!mappings || !mappings.length) {
+    // Later wizard pages may have nothing the client profile can fill
+    return pageNumber > 1
+      ? { success: true, results: { success: true, filled: [], failed: [], skipped: [], validationErrors: [] } }
+      : { success: false, error: 'AI could not determine field mappings' };
+  }
+  mappings = MappingCache.applyCorrections(mappings, cached?.corrections);
+
+  // Apply client values to mappings
+  let fillData = mappings.map(m => ({
+    ...m,
+    label: m.label || formFields.find(f => f.selector === m.selector)?.label,
+    source: 'ai',
+    value: getClientValue(client, m.clientField, settings)
+  })).filter(m => m.value !== null && m.value !== undefined && m.value !== '');
+
+  // Client fields the user can pick from when reviewing or correcting
+  const clientValues = {};
+  Object.keys(clientForAI).filter(key => key !== 'customFields').forEach(key => {
+    clientValues[key] = getClientValue(client, key, settings);
+  });
+  Object.keys(clientForAI.customFields || {}).forEach(key => {
+    clientValues[`customFields.${key}`] = getClientValue(client, `customFields.${key}`, settings);
+  });
+  const choices = buildReviewChoices(clientValues);
+
+  // Let the user check the mappings before anything is filled
+  if (settings.reviewMappings) {
+    const reviewed = await reviewFillMappings(
+      tabId,
+      fillData,
+      formFields.filter(field => !fillData.some(m => m.selector === field.selector)),
+      choices
+    );
+    if (!reviewed.confirmed) {
+      return { success: false, cancelled: true, error: 'Fill cancelled during review' };
+    }
+    fillData = reviewed.mappings;
   }
-  return Math.abs(hash).toString(36);
+
+  // Send fill command to content script
+  const fillResult = await chrome.tabs.sendMessage(tabId, {
+    type: 'FILL_FORM',
+    mappings: fillData,
+    options: {
+      fillLowConfidence: !!settings.reviewMappings,
+      learn: { cacheKey, choices, form: MappingCache.describeForm(scanResult.url, formFields) }
+    }
+  });
+
+  return fillResult;
 }
 
 /**
- * Calls Claude API to get field mappings
+ * Asks the configured AI provider for field mappings
+ * @param {string} [formUrl] - Page being filled, for the AI audit log
  */
-async function getAIMappings(apiKey, formFields, clientData, settings) {
+async function getAIMappings(provider, formFields, clientData, settings, formUrl = null) {
   const systemPrompt = `You are a form field mapping assistant. Given a list of form fields and client data, determine which client data should fill which form field.
 
 Return a JSON array of mappings with this structure:
@@ -1820,7 +3649,7 @@ Guidelines:
 
 Only return valid JSON, no explanation.`;
 
-  const userPrompt = `Form Fields:
+  const buildUserPrompt = data => `Form Fields:
 ${JSON.stringify(formFields.map(f => ({
     selector: f.selector,
     type: f.inputType || f.type,
@@ -1833,41 +3662,39 @@ ${JSON.stringify(formFields.map(f => ({
   })), null, 2)}
 
 Client Data:
-${JSON.stringify(clientData, null, 2)}
+${JSON.stringify(data, null, 2)}
 
 Map the client data to the appropriate form fields.`;
+  const userPrompt = buildUserPrompt(clientData);
+
+  // This legacy request carries client values; the audit log records the
+  // same payload with them withheld
+  const audit = {
+    kind: 'legacy-fill',
+    provider,
+    formUrl,
+    containsClientData: true,
+    payload: buildUserPrompt(AIAuditLog.withholdValues(clientData, Object.keys(clientData)))
+  };
 
+  let content;
   try {
-    const response = await fetch(CLAUDE_API_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2023-06-01',
-        'anthropic-dangerous-direct-browser-access': 'true'
-      },
-      body: JSON.stringify({
-        model: CLAUDE_MODEL,
-        max_tokens: 4000,
+    try {
+      content = await AIProviders.complete(provider, {
         system: systemPrompt,
-        messages: [{ role: 'user', content: userPrompt }]
-      })
-    });
+        user: userPrompt,
+        maxTokens: 4000
+      });
+    } catch (error) {
+      AIAuditLog.record({ ...audit, status: 'failed', error: error.message });
 
-    if (!response.ok) {
       // Handle rate limiting
-      if (response.status === 429) {
+      if (error.status === 429) {
         throw new Error('AI service is currently busy. Please try again in a few moments.');
       }
-
-      // Handle other errors
-      const error = await response.json().catch(() => ({}));
-      throw new Error(error.error?.message || 'AI matching service temporarily unavailable');
+      throw new Error(error.message || 'AI matching service temporarily unavailable');
     }
 
-    const data = await response.json();
-    const content = data.content?.[0]?.text || '';
-
     // Parse JSON from response (handle markdown code blocks)
     let jsonStr = content;
     const codeBlockMatch = content.match(/```(?:json)?\s*([\s\S]*?)```/);
@@ -1876,9 +3703,14 @@ Map the client data to the appropriate form fields.`;
     }
 
     const parsed = JSON.parse(jsonStr.trim());
+    AIAuditLog.record({ ...audit, status: 'sent', responseMappings: parsed.mappings || [] });
     return parsed.mappings || [];
   } catch (error) {
     console.error('AI mapping failed:', error);
+    if (content !== undefined) {
+      // Sent and answered, but the answer was not usable
+      AIAuditLog.record({ ...audit, status: 'sent', error: `Unreadable response: ${error.message}` });
+    }
     return null;
   }
 }
@@ -1964,7 +3796,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return { success: true };
       case 'NETWORK_CAPTURED':
         if (recordingState.status === 'recording' && recordingState.settings?.captureNetwork) {
-          await RecordingStorage.addNetworkRequest(message.request);
+          await RecordingStorage.addNetworkRequest(Redaction.redactNetworkRequest(message.request, getRedactionRules()));
         }
         return { success: true };
       case 'CONSOLE_CAPTURED':
@@ -1984,11 +3816,21 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           console.log('Assertion captured:', assertionWithId.assertionType);
         }
         return { success: true };
+      case 'EXTRACTION_CAPTURED':
+        // Extractions are steps of their own, so later steps can use the variable
+        if (recordingState.status === 'recording' || recordingState.status === 'paused') {
+          const extractStep = { ...message.extraction, id: generateActionId() };
+          recordingState.lastActionId = extractStep.id;
+          await RecordingStorage.addAction(extractStep);
+          await broadcastStateUpdate();
+          console.log('Extraction captured:', extractStep.extractType, extractStep.variable);
+        }
+        return { success: true };
       case 'ACTIVATE_ASSERTION_MODE':
         // Send message to content script to activate assertion mode
         if (recordingState.tabId) {
           try {
-            await chrome.tabs.sendMessage(recordingState.tabId, { type: 'ACTIVATE_ASSERTION_MODE' });
+            await chrome.tabs.sendMessage(recordingState.tabId, { type: 'ACTIVATE_ASSERTION_MODE', mode: message.mode });
           } catch (e) {
             console.warn('Could not activate assertion mode:', e);
           }
@@ -2036,8 +3878,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return await duplicateWorkflow(message.workflowId, message.newName);
       case 'SAVE_PRESET':
         return await savePreset(message.workflowId, message.preset);
+
+      // Secret vault
+      case 'GET_VAULT_STATUS':
+        return await getVaultStatus();
+      case 'SETUP_VAULT':
+        return await setupVault(message.passphrase, message.autoLockMinutes);
+      case 'UNLOCK_VAULT':
+        return await unlockVault(message.passphrase);
+      case 'LOCK_VAULT':
+        return await lockVault();
+      case 'CHANGE_VAULT_PASSPHRASE':
+        return await changeVaultPassphrase(message.currentPassphrase, message.newPassphrase);
       case 'START_REPLAY':
-        return await startReplay(message.workflowId, message.variables, message.options);
+        return await startReplay(message.workflowId, message.variables, message.options, message.presetId);
       case 'PAUSE_REPLAY':
         return await pauseReplay();
       case 'RESUME_REPLAY':
@@ -2046,19 +3900,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return await cancelReplay();
       case 'GET_REPLAY_STATE':
         return getReplayState();
+      case 'START_BATCH_REPLAY':
+        return await startBatchReplay(message.workflowId, message.rows, message.options);
+      case 'CANCEL_BATCH_REPLAY':
+        return await cancelBatchReplay();
+      case 'GET_BATCH_STATE':
+        return await getBatchState();
 
       // Replay progress from content script
       case 'REPLAY_PROGRESS':
         replayState.currentStep = message.current;
         replayState.totalSteps = message.total;
+        replayState.stepStatus = 'running';
+        if (replayState.status === 'takeover') replayState.status = 'replaying';
         replayState.stepInfo = message.stepInfo?.humanLabel || message.stepInfo?.type || '';
         broadcastReplayState();
         return { success: true };
-      case 'REPLAY_COMPLETE':
-        replayState.status = message.results?.success ? 'complete' : 'error';
+      case 'REPLAY_STEP_DISPATCHED':
+        if (message.stepIndex === replayState.currentStep && replayState.stepStatus === 'running') {
+          replayState.stepStatus = 'dispatched';
+        }
+        return { success: true };
+      case 'GET_RUN_HISTORY':
+        return await getRunHistory(message.workflowId);
+      case 'CLEAR_RUN_HISTORY':
+        return await clearRunHistory(message.workflowId);
+      case 'REPLAY_STEP_FAILED':
+        return await captureFailure(message, sender);
+      case 'SELECTOR_REPAIR_PROPOSED':
+        return await applySelectorRepair(replayState.workflowId, message);
+      case 'REPLAY_STEP_RESULT':
+        if (message.stepIndex === replayState.currentStep) {
+          replayState.stepStatus = 'done';
+        }
         replayState.results = message.results;
-        broadcastReplayState();
-        console.log('Replay complete:', message.results);
+        replayState.loopStack = message.loopStack || [];
+        return { success: true };
+      case 'REPLAY_TAB_STEP':
+        return await handleReplayTabStep(message);
+      case 'REPLAY_FRAME_STEP':
+        return await executeFrameStep(message, sender);
+      case 'REPLAY_COMPLETE':
+        await completeReplay(message.results, sender.tab?.id);
         return { success: true };
       case 'REPLAY_PAUSED':
         replayState.status = 'paused';
@@ -2071,6 +3954,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       case 'REPLAY_CANCELLED':
         replayState.status = 'idle';
         broadcastReplayState();
+        await recordRunHistory('cancelled');
+        notifyBatchRowFinished({ success: false, cancelled: true, error: 'Cancelled', results: replayState.results }, sender.tab?.id);
         return { success: true };
       case 'REPLAY_TAKEOVER':
         replayState.status = 'takeover';
@@ -2080,6 +3965,8 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         replayState.status = 'error';
         replayState.error = message.error;
         broadcastReplayState();
+        await recordRunHistory('error');
+        notifyBatchRowFinished({ success: false, error: message.error, results: replayState.results }, sender.tab?.id);
         return { success: true };
 
       // AI Fill handlers
@@ -2089,18 +3976,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         return await createClient(message.clientData);
       case 'UPDATE_CLIENT':
         return await updateClient(message.clientId, message.updates);
+      case 'GET_CLIENT_ENCRYPTION':
+        return await getClientEncryptionStatus();
+      case 'SET_CLIENT_ENCRYPTION':
+        return await setClientEncryption(message.enabled);
       case 'DELETE_CLIENT':
         return await deleteClient(message.clientId);
       case 'GET_AI_SETTINGS':
         return await getAISettings();
       case 'SAVE_AI_SETTINGS':
         return await saveAISettings(message.settings);
+      case 'GET_AI_AUDIT_LOG':
+        return await getAIAuditLog();
+      case 'EXPORT_AI_AUDIT_LOG':
+        return await exportAIAuditLog(message.format);
+      case 'SET_AI_AUDIT_RETENTION':
+        return await setAIAuditRetention(message.retention);
+      case 'CLEAR_AI_AUDIT_LOG':
+        return await clearAIAuditLog();
+      case 'TEST_AI_PROVIDER':
+        return await testAIProvider(message.settings);
       case 'VALIDATE_API_KEY':
         return await validateApiKey(message.apiKey);
       case 'CLEAR_MAPPING_CACHE':
         return await clearMappingCache();
       case 'GET_CACHE_STATS':
         return await getCacheStats();
+      case 'GET_MAPPING_CACHE_ENTRIES':
+        return await getMappingCacheEntries();
+      case 'DELETE_MAPPING_CACHE_ENTRIES':
+        return await deleteMappingCacheEntries(message.keys);
+      case 'EXPORT_MAPPING_LIBRARY':
+        return await exportMappingLibrary();
+      case 'PREVIEW_MAPPING_IMPORT':
+        return await previewMappingImport(message.library);
+      case 'IMPORT_MAPPING_LIBRARY':
+        return await importMappingLibrary(message.library, message.options);
+      case 'REMEMBER_MAPPING_CORRECTION':
+        return await rememberMappingCorrection(message.cacheKey, message.correction, {
+          ...message.form,
+          mappings: message.mappings
+        });
       case 'AI_FILL_FORM':
         // Use privacy-first AI fill if workflowId provided, fallback to legacy
         if (message.workflowId) {
@@ -2155,8 +4071,23 @@ chrome.webNavigation.onCompleted.addListener(async (details) => {
   }
 });
 
+// Navigation listener - a full page load kills the replayer, so resume it
+chrome.webNavigation.onCompleted.addListener(async (details) => {
+  if (details.frameId === 0 && details.tabId === replayState.tabId && !replayState.tabHandoff &&
+      ['replaying', 'paused', 'takeover'].includes(replayState.status)) {
+    await resumeReplayAfterNavigation();
+  }
+});
+
 // Tab created listener - track new tabs opened during recording
 chrome.tabs.onCreated.addListener(async (tab) => {
+  // Tabs opened by the replayed page are claimed by the next newTab step
+  if (['replaying', 'paused', 'takeover'].includes(replayState.status) &&
+      replayState.activeTabs.has(tab.openerTabId)) {
+    replayState.activeTabs.add(tab.id);
+    replayState.unclaimedTabs.push(tab.id);
+  }
+
   if (recordingState.status === 'recording') {
     // Add new tab to recording
     recordingState.activeTabs.add(tab.id);
@@ -2238,11 +4169,11 @@ chrome.webRequest.onCompleted.addListener(
     if (recordingState.pendingRequests.has(details.requestId)) {
       const request = recordingState.pendingRequests.get(details.requestId);
       recordingState.pendingRequests.delete(details.requestId);
-      await RecordingStorage.addNetworkRequest({
+      await RecordingStorage.addNetworkRequest(Redaction.redactNetworkRequest({
         ...request,
         responseStatus: details.statusCode,
         timing: { ...request.timing, ended: Date.now(), duration: Date.now() - request.timing.started }
-      });
+      }, getRedactionRules()));
     }
   },
   { urls: ['<all_urls>'] }
@@ -2254,6 +4185,27 @@ chrome.webRequest.onErrorOccurred.addListener(
 );
 
 chrome.tabs.onRemoved.addListener(async (tabId) => {
+  const replayRunning = ['replaying', 'paused', 'takeover'].includes(replayState.status);
+  if (replayRunning && tabId !== replayState.tabId && replayState.activeTabs.has(tabId)) {
+    replayState.activeTabs.delete(tabId);
+    replayState.tabStack = replayState.tabStack.filter(id => id !== tabId);
+    replayState.unclaimedTabs = replayState.unclaimedTabs.filter(id => id !== tabId);
+  }
+
+  // Closing the tab of a running replay ends it, unless the workflow
+  // expects that tab to close and has another tab to continue in
+  if (tabId === replayState.tabId && replayRunning && !replayState.tabHandoff) {
+    replayState.activeTabs.delete(tabId);
+    replayState.tabStack = replayState.tabStack.filter(id => id !== tabId);
+    if (!(await continueAfterReplayTabClosed(tabId))) {
+      replayState.status = 'error';
+      replayState.error = 'Replay tab was closed';
+      broadcastReplayState();
+      await recordRunHistory('error');
+      notifyBatchRowFinished({ success: false, error: replayState.error, results: replayState.results }, tabId);
+    }
+  }
+
   if (recordingState.status === 'recording' && recordingState.activeTabs.has(tabId)) {
     // Remove tab from active tabs
     recordingState.activeTabs.delete(tabId);
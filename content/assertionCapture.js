@@ -1,10 +1,12 @@
 /**
  * Puppeteer Recorder Pro - Assertion Capture
- * Allows users to capture assertions about elements during recording
+ * Allows users to capture assertions about elements during recording, and
+ * (in extract mode) steps that read page values into runtime variables
  */
 
 const AssertionCapture = {
   isActive: false,
+  mode: 'assert',
   overlay: null,
   tooltip: null,
   currentElement: null,
@@ -59,7 +61,7 @@ const AssertionCapture = {
       min-width: 180px;
     `;
     this.tooltip.innerHTML = `
-      <div style="font-weight: 600; margin-bottom: 8px; color: #10b981;">Add Assertion</div>
+      <div class="assertion-title" style="font-weight: 600; margin-bottom: 8px; color: #10b981;">Add Assertion</div>
       <div class="assertion-options">
         <button data-assertion="visible" class="assertion-btn">✓ Is Visible</button>
         <button data-assertion="hidden" class="assertion-btn">✗ Is Hidden</button>
@@ -69,8 +71,15 @@ const AssertionCapture = {
         <button data-assertion="count" class="assertion-btn"># Element Count</button>
         <button data-assertion="enabled" class="assertion-btn">● Is Enabled</button>
         <button data-assertion="checked" class="assertion-btn">☑ Is Checked</button>
-        <button data-assertion="cancel" class="assertion-btn cancel">Cancel</button>
       </div>
+      <div class="extract-options">
+        <button data-extract="text" class="assertion-btn">≡ Text</button>
+        <button data-extract="value" class="assertion-btn">= Input Value</button>
+        <button data-extract="attribute" class="assertion-btn">@ Attribute</button>
+        <button data-extract="table" class="assertion-btn">▦ Table as JSON</button>
+        <button data-extract="regex" class="assertion-btn">.* Regex Capture</button>
+      </div>
+      <button data-assertion="cancel" class="assertion-btn cancel">Cancel</button>
       <style>
         .assertion-btn {
           display: block;
@@ -108,6 +117,8 @@ const AssertionCapture = {
         const assertionType = btn.dataset.assertion;
         if (assertionType === 'cancel') {
           this.hideTooltip();
+        } else if (btn.dataset.extract) {
+          this.captureExtraction(btn.dataset.extract);
         } else {
           this.captureAssertion(assertionType);
         }
@@ -117,8 +128,10 @@ const AssertionCapture = {
 
   /**
    * Activates assertion capture mode
+   * @param {string} [mode] - 'assert' to add assertions, 'extract' to add
+   *   extract steps
    */
-  activate() {
+  activate(mode = 'assert') {
     if (this.isActive) return;
 
     // Lazy init if needed
@@ -128,6 +141,7 @@ const AssertionCapture = {
     if (!this.overlay) return; // Can't activate without UI
 
     this.isActive = true;
+    this.setMode(mode);
 
     document.addEventListener('mousemove', this.handleMouseMove);
     document.addEventListener('click', this.handleClick, true);
@@ -136,7 +150,23 @@ const AssertionCapture = {
     // Show cursor change
     document.body.style.cursor = 'crosshair';
 
-    console.log('Assertion capture mode activated');
+    console.log(`Assertion capture mode activated (${this.mode})`);
+  },
+
+  /**
+   * Switches the tooltip between assertion and extract options
+   */
+  setMode(mode) {
+    this.mode = mode === 'extract' ? 'extract' : 'assert';
+    const extracting = this.mode === 'extract';
+    const color = extracting ? '#f4a261' : '#10b981';
+
+    this.tooltip.querySelector('.assertion-title').textContent = extracting ? 'Extract to Variable' : 'Add Assertion';
+    this.tooltip.querySelector('.assertion-title').style.color = color;
+    this.tooltip.querySelector('.assertion-options').style.display = extracting ? 'none' : 'block';
+    this.tooltip.querySelector('.extract-options').style.display = extracting ? 'block' : 'none';
+    this.tooltip.style.borderColor = color;
+    this.overlay.style.borderColor = color;
   },
 
   /**
@@ -251,6 +281,7 @@ const AssertionCapture = {
       type: 'assertion',
       assertionType: type,
       element: elementInfo,
+      context: window.PuppeteerRecorder?.createContext(), // Frame the assertion is checked in
       timestamp: Date.now()
     };
 
@@ -329,6 +360,99 @@ const AssertionCapture = {
     this.showConfirmation(assertion.description);
   },
 
+  /**
+   * Captures an extract step for the current element. At replay time the
+   * value is read from the page into a runtime variable for later steps.
+   */
+  captureExtraction(type) {
+    if (!this.currentElement) {
+      this.hideTooltip();
+      return;
+    }
+
+    const element = this.currentElement;
+    const elementInfo = window.PuppeteerRecorderSelectors?.getElementInfo(element);
+
+    const extraction = {
+      type: 'extract',
+      extractType: type,
+      element: elementInfo,
+      context: window.PuppeteerRecorder?.createContext(),
+      timestamp: Date.now()
+    };
+
+    switch (type) {
+      case 'text':
+        extraction.sample = element.textContent?.trim().substring(0, 100);
+        break;
+
+      case 'value':
+        extraction.sample = element.value || '';
+        break;
+
+      case 'attribute': {
+        const attrName = prompt('Which attribute to extract?', 'href');
+        if (!attrName) {
+          this.hideTooltip();
+          return;
+        }
+        extraction.attributeName = attrName;
+        extraction.sample = element.getAttribute(attrName);
+        break;
+      }
+
+      case 'table': {
+        const table = element.closest('table') || element.querySelector('table');
+        if (!table) {
+          alert('Pick a table, or an element inside one.');
+          this.hideTooltip();
+          return;
+        }
+        // Target the table itself so replay reads every row
+        extraction.element = window.PuppeteerRecorderSelectors?.getElementInfo(table);
+        extraction.sample = `${table.rows.length} rows`;
+        break;
+      }
+
+      case 'regex': {
+        const pattern = prompt('Regular expression (the first capture group is kept):', '(\\d+)');
+        if (!pattern) {
+          this.hideTooltip();
+          return;
+        }
+        try {
+          const match = (element.textContent || '').match(new RegExp(pattern));
+          extraction.sample = match ? (match[1] ?? match[0]) : null;
+        } catch (e) {
+          alert(`Invalid regular expression: ${e.message}`);
+          this.hideTooltip();
+          return;
+        }
+        extraction.pattern = pattern;
+        break;
+      }
+    }
+
+    const variable = prompt('Store the value in variable:', 'extracted');
+    if (!variable || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(variable.trim())) {
+      if (variable) alert('Variable names use letters, digits and _ and cannot start with a digit.');
+      this.hideTooltip();
+      return;
+    }
+    extraction.variable = variable.trim();
+    extraction.description = `Extract ${type} of "${extraction.element?.humanLabel || 'element'}" into {{${extraction.variable}}}`;
+
+    chrome.runtime.sendMessage({
+      type: 'EXTRACTION_CAPTURED',
+      extraction
+    }).catch(err => console.warn('Failed to send extraction:', err));
+
+    this.hideTooltip();
+    this.deactivate();
+
+    this.showConfirmation(extraction.description);
+  },
+
   /**
    * Shows a brief confirmation message
    */
@@ -371,7 +495,7 @@ if (document.body) {
 // Listen for messages from background
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'ACTIVATE_ASSERTION_MODE') {
-    AssertionCapture.activate();
+    AssertionCapture.activate(message.mode);
     sendResponse({ success: true });
     return true;
   } else if (message.type === 'DEACTIVATE_ASSERTION_MODE') {
@@ -0,0 +1,348 @@
+/**
+ * FormGhost - Custom Dropdown Driver
+ * Reads and operates ARIA combobox/listbox widgets (react-select, MUI
+ * Autocomplete, Select2 and similar): open the widget, type to filter,
+ * pick the best-matching option by label and check the value stuck.
+ *
+ * Shared by the form scanner, the form filler and the replayer. Filtering
+ * input goes through FormGhostInputDriver.
+ */
+
+const FormGhostDropdown = {
+  /**
+   * Elements that act as a custom dropdown
+   */
+  SELECTOR: '[role="combobox"], [role="listbox"], [aria-haspopup="listbox"]',
+
+  /**
+   * Timing configuration
+   */
+  config: {
+    openTimeout: 1500, // ms to wait for the option list to appear
+    filterDelay: 300, // ms for the widget to filter after typing
+    commitDelay: 150, // ms for the widget to render the chosen value
+    pollInterval: 50
+  },
+
+  /**
+   * Checks whether an element is a custom (non-native) dropdown widget
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   */
+  isDropdown(element) {
+    return !!element && element.tagName !== 'SELECT' && element.matches(this.SELECTOR);
+  },
+
+  /**
+   * Checks whether an element belongs to a dropdown widget without being
+   * the widget itself (e.g. the text input inside an ARIA 1.1 combobox)
+   * @param {Element} element - Element to check
+   * @returns {boolean}
+   */
+  isDropdownPart(element) {
+    const widget = element.parentElement?.closest(this.SELECTOR);
+    return !!widget && widget.tagName !== 'SELECT';
+  },
+
+  /**
+   * Finds the listbox a dropdown controls. Widgets that render the list
+   * into a portal are found through aria-controls / aria-owns.
+   * @param {Element} element - Dropdown element
+   * @returns {Element|null}
+   */
+  findListbox(element) {
+    if (element.getAttribute('role') === 'listbox') return element;
+
+    const root = element.getRootNode();
+    const input = this.getTextInput(element);
+    const ids = [element, input]
+      .filter(Boolean)
+      .flatMap(el => [el.getAttribute('aria-controls'), el.getAttribute('aria-owns')])
+      .filter(Boolean)
+      .flatMap(value => value.split(/\s+/));
+
+    for (const id of ids) {
+      const target = root.getElementById(id) || document.getElementById(id);
+      if (!target) continue;
+      if (target.getAttribute('role') === 'listbox') return target;
+      const nested = target.querySelector('[role="listbox"]');
+      if (nested) return nested;
+    }
+
+    return element.querySelector('[role="listbox"]');
+  },
+
+  /**
+   * Finds the listbox of an open dropdown, falling back to the last visible
+   * listbox on the page for widgets that don't link their popup
+   * @param {Element} element - Dropdown element
+   * @returns {Element|null}
+   */
+  findOpenListbox(element) {
+    const linked = this.findListbox(element);
+    if (linked && this.isVisible(linked)) return linked;
+
+    const visible = Array.from(document.querySelectorAll('[role="listbox"]')).filter(el => this.isVisible(el));
+    return visible[visible.length - 1] || null;
+  },
+
+  /**
+   * Lists the selectable options of a listbox
+   * @param {Element} listbox - Listbox element
+   * @returns {Array<Object>} [{element, text, value, selected}]
+   */
+  getOptions(listbox) {
+    if (!listbox) return [];
+
+    return Array.from(listbox.querySelectorAll('[role="option"]'))
+      .filter(option => option.getAttribute('aria-disabled') !== 'true')
+      .map(option => {
+        const text = this.normalizeText(option.textContent);
+        return {
+          element: option,
+          text,
+          value: option.getAttribute('data-value') || option.getAttribute('value') || text,
+          selected: option.getAttribute('aria-selected') === 'true'
+        };
+      });
+  },
+
+  /**
+   * Reads the options currently rendered for a dropdown (for scanning).
+   * Widgets that only render options while open return an empty list.
+   * @param {Element} element - Dropdown element
+   * @returns {Array<Object>} [{value, text, selected}]
+   */
+  readOptions(element) {
+    return this.getOptions(this.findListbox(element))
+      .map(({ value, text, selected }) => ({ value, text, selected }));
+  },
+
+  /**
+   * Gets the text input used to filter a dropdown, if it has one
+   * @param {Element} element - Dropdown element
+   * @returns {Element|null}
+   */
+  getTextInput(element) {
+    if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') return element;
+    return element.querySelector('input:not([type="hidden"])');
+  },
+
+  /**
+   * Reads the value a dropdown currently shows
+   * @param {Element} element - Dropdown element
+   * @returns {string}
+   */
+  getValue(element) {
+    if (element.getAttribute('role') === 'listbox') {
+      return this.getOptions(element)
+        .filter(option => option.selected)
+        .map(option => option.text)
+        .join(', ');
+    }
+
+    const input = this.getTextInput(element);
+    if (input?.value) return input.value;
+
+    return this.getDisplayedText(element);
+  },
+
+  /**
+   * Selects the option best matching a value
+   * @param {Element} element - Dropdown element
+   * @param {string} value - Option label or value to select
+   * @returns {Promise<string>} Label of the option that was selected
+   * @throws {Error} When no option matches or the widget doesn't keep it
+   */
+  async select(element, value) {
+    const wanted = String(value);
+    element.scrollIntoView({ block: 'center' });
+
+    let listbox = await this.open(element);
+    if (!listbox) {
+      throw new Error('Dropdown did not open');
+    }
+
+    let option = this.matchOption(this.getOptions(listbox), wanted);
+
+    // Long or lazily-loaded lists only show the match after filtering
+    const input = this.getTextInput(element);
+    if (!option && input) {
+      FormGhostInputDriver.replaceValue(input, wanted);
+      await this.sleep(this.config.filterDelay);
+      listbox = this.findOpenListbox(element) || listbox;
+      option = this.matchOption(this.getOptions(listbox), wanted);
+    }
+
+    if (!option) {
+      this.close(element);
+      throw new Error(`No matching option found for: ${value}`);
+    }
+
+    option.element.scrollIntoView({ block: 'nearest' });
+    this.click(option.element);
+    await this.sleep(this.config.commitDelay);
+
+    if (!this.isCommitted(element, option)) {
+      throw new Error(`Dropdown did not keep the selected option: ${option.text}`);
+    }
+
+    return option.text;
+  },
+
+  /**
+   * Opens a dropdown and waits for its option list
+   * @param {Element} element - Dropdown element
+   * @returns {Promise<Element|null>} The listbox, or null if none appeared
+   */
+  async open(element) {
+    if (element.getAttribute('role') === 'listbox') return element;
+
+    const alreadyOpen = this.findListbox(element);
+    if (alreadyOpen && this.isVisible(alreadyOpen) && this.getOptions(alreadyOpen).length > 0) {
+      return alreadyOpen;
+    }
+
+    const input = this.getTextInput(element);
+    if (input) input.focus();
+    this.click(element);
+
+    let listbox = await this.waitForListbox(element);
+    if (listbox) return listbox;
+
+    // Some widgets only open from the keyboard
+    const target = input || element;
+    target.dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'ArrowDown', code: 'ArrowDown', bubbles: true, composed: true, cancelable: true
+    }));
+    listbox = await this.waitForListbox(element);
+    return listbox;
+  },
+
+  /**
+   * Closes a dropdown left open after a failed selection
+   * @param {Element} element - Dropdown element
+   */
+  close(element) {
+    const target = this.getTextInput(element) || element;
+    target.dispatchEvent(new KeyboardEvent('keydown', {
+      key: 'Escape', code: 'Escape', bubbles: true, composed: true, cancelable: true
+    }));
+  },
+
+  /**
+   * Picks the option best matching a value, in the same order of preference
+   * as native select filling: exact value, exact label, then partial matches
+   * @param {Array<Object>} options - From getOptions()
+   * @param {string} value - Wanted label or value
+   * @returns {Object|null}
+   */
+  matchOption(options, value) {
+    const wanted = this.normalizeText(value).toLowerCase();
+    if (!wanted) return null;
+
+    return options.find(opt => opt.value === value) ||
+      options.find(opt => opt.text.toLowerCase() === wanted) ||
+      options.find(opt => opt.text.toLowerCase().startsWith(wanted)) ||
+      options.find(opt => opt.text.toLowerCase().includes(wanted)) ||
+      options.find(opt => String(opt.value).toLowerCase().includes(wanted)) ||
+      null;
+  },
+
+  /**
+   * Checks the widget shows the chosen option after selection. Many widgets
+   * render the value next to the input rather than in it, so nearby
+   * ancestors are checked too.
+   * @private
+   */
+  isCommitted(element, option) {
+    const wanted = option.text.toLowerCase();
+
+    if (element.getAttribute('role') === 'listbox') {
+      const current = this.getOptions(element).find(opt => opt.text.toLowerCase() === wanted);
+      return !!current && (current.selected ||
+        (!!current.element.id && element.getAttribute('aria-activedescendant') === current.element.id));
+    }
+
+    let node = element;
+    for (let depth = 0; node && depth < 4; depth++, node = node.parentElement) {
+      if (this.getDisplayedText(node).toLowerCase().includes(wanted)) return true;
+      const inputs = node.matches('input') ? [node] : Array.from(node.querySelectorAll('input'));
+      if (inputs.some(input => input.value && input.value.toLowerCase().includes(wanted))) return true;
+    }
+    return false;
+  },
+
+  /**
+   * Text shown by an element, ignoring any option list rendered inside it
+   * @private
+   */
+  getDisplayedText(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll('[role="listbox"]').forEach(el => el.remove());
+    return this.normalizeText(clone.textContent);
+  },
+
+  /**
+   * Waits for the dropdown's option list to render
+   * @private
+   */
+  async waitForListbox(element) {
+    const deadline = Date.now() + this.config.openTimeout;
+    while (Date.now() < deadline) {
+      const listbox = this.findOpenListbox(element);
+      if (listbox && this.getOptions(listbox).length > 0) return listbox;
+      await this.sleep(this.config.pollInterval);
+    }
+    return null;
+  },
+
+  /**
+   * Clicks like a pointer would; several widgets open on mousedown
+   * @private
+   */
+  click(element) {
+    const rect = element.getBoundingClientRect();
+    const eventOptions = {
+      bubbles: true,
+      cancelable: true,
+      composed: true,
+      view: window,
+      clientX: rect.left + rect.width / 2,
+      clientY: rect.top + rect.height / 2,
+      button: 0
+    };
+
+    element.dispatchEvent(new PointerEvent('pointerdown', eventOptions));
+    element.dispatchEvent(new MouseEvent('mousedown', eventOptions));
+    element.dispatchEvent(new PointerEvent('pointerup', eventOptions));
+    element.dispatchEvent(new MouseEvent('mouseup', eventOptions));
+    element.dispatchEvent(new MouseEvent('click', eventOptions));
+  },
+
+  /**
+   * @private
+   */
+  isVisible(element) {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden';
+  },
+
+  /**
+   * @private
+   */
+  normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  },
+
+  /**
+   * @private
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+};
+
+// Expose to global scope
+window.FormGhostDropdown = FormGhostDropdown;
@@ -13,14 +13,43 @@ const FormGhostFiller = {
     highlightDuration: 1500, // ms to show success highlight
     highlightColor: '#10b981', // Green for success
     errorColor: '#ef4444', // Red for errors
-    pendingColor: '#f59e0b' // Yellow for pending/skipped
+    pendingColor: '#f59e0b', // Yellow for pending/skipped
+    validationDelay: 300 // ms for the page to show validation errors after blur
   },
 
+  /**
+   * Elements pages commonly use to show an inline field error
+   */
+  ERROR_MESSAGE_SELECTOR: [
+    '[role="alert"]',
+    '.error-message',
+    '.field-error',
+    '.invalid-feedback',
+    '.form-error',
+    '.help-block.error',
+    '.Mui-error.MuiFormHelperText-root',
+    '[class*="errorMessage"]',
+    '[class*="error-text"]',
+    '.error'
+  ].join(', '),
+
+  /**
+   * Classes pages commonly put on a field the user has to correct
+   */
+  INVALID_FIELD_SELECTOR: '.is-invalid, .error, .invalid, .ng-invalid.ng-touched, .Mui-error, .has-error',
+
+  /**
+   * Fields being watched for user corrections after a fill
+   */
+  correctionWatchers: [],
+
   /**
    * Fills form fields with mapped values
    * @param {Array} mappings - Array of field mappings from Claude
-   * @param {Object} options - Fill options
-   * @returns {Promise<Object>} Fill results
+   * @param {Object} options - Fill options ({learn} watches filled fields
+   *   for corrections, validate: false skips the validation pass)
+   * @returns {Promise<Object>} Fill results; validationErrors lists fields
+   *   the page rejected after filling
    */
   async fillForm(mappings, options = {}) {
     const results = {
@@ -28,6 +57,7 @@ const FormGhostFiller = {
       filled: [],
       failed: [],
       skipped: [],
+      validationErrors: [],
       startTime: Date.now(),
       endTime: null
     };
@@ -49,7 +79,7 @@ const FormGhostFiller = {
         }
 
         // Find the element
-        const element = document.querySelector(mapping.selector);
+        const element = this.findElement(mapping.selector);
         if (!element) {
           results.failed.push({
             selector: mapping.selector,
@@ -63,6 +93,7 @@ const FormGhostFiller = {
 
         results.filled.push({
           selector: mapping.selector,
+          label: mapping.label || null,
           value: mapping.value,
           confidence: mapping.confidence
         });
@@ -84,25 +115,158 @@ const FormGhostFiller = {
       }
     }
 
+    if (options.validate !== false && results.filled.length > 0) {
+      results.validationErrors = await this.validateFilledFields(results.filled);
+    }
+
     results.endTime = Date.now();
     results.duration = results.endTime - results.startTime;
     results.success = results.failed.length === 0;
 
+    if (options.learn) {
+      this.watchForCorrections(
+        mappings.filter(m => results.filled.some(f => f.selector === m.selector)),
+        options.learn
+      );
+    }
+
     console.log('FormGhostFiller: Fill complete', results);
     return results;
   },
 
+  /**
+   * Blurs each filled field so the page runs its validation, then collects
+   * the inline errors it shows. Each error is also attached to its entry in
+   * `filled` as `validationError`.
+   * @param {Array} filled - Filled field results
+   * @returns {Promise<Array>} [{selector, label, message}]
+   */
+  async validateFilledFields(filled) {
+    const fields = filled
+      .map(entry => ({ entry, element: this.findElement(entry.selector) }))
+      .filter(field => field.element);
+
+    fields.forEach(({ element }) => {
+      element.focus({ preventScroll: true });
+      element.blur();
+    });
+    await this.sleep(this.config.validationDelay);
+
+    const errors = [];
+    fields.forEach(({ entry, element }) => {
+      const message = this.getValidationError(element);
+      if (!message) return;
+
+      entry.validationError = message;
+      errors.push({ selector: entry.selector, label: entry.label, message });
+      this.showFieldStatus(entry.selector, 'error');
+    });
+
+    if (errors.length > 0) {
+      console.warn('FormGhostFiller: Page rejected', errors.length, 'filled fields', errors);
+    }
+    return errors;
+  },
+
+  /**
+   * Reads the validation error a page shows for a field
+   * @param {Element} element - Filled field
+   * @returns {string|null} Error text, or null when the field looks valid
+   */
+  getValidationError(element) {
+    const root = element.getRootNode();
+    const textOf = id => {
+      const el = root.getElementById(id) || document.getElementById(id);
+      return el && this.isShown(el) ? el.textContent.trim() : '';
+    };
+    const idsIn = attr => (element.getAttribute(attr) || '').split(/\s+/).filter(Boolean);
+
+    const invalid = element.getAttribute('aria-invalid') === 'true' ||
+      (typeof element.checkValidity === 'function' && element.matches(':invalid')) ||
+      element.matches(this.INVALID_FIELD_SELECTOR);
+
+    // aria-errormessage always points at error text
+    const errorMessage = idsIn('aria-errormessage').map(textOf).filter(Boolean).join(' ');
+    if (errorMessage) return errorMessage;
+
+    // Error elements next to the field (only its own container is searched,
+    // so a neighbouring field's error isn't picked up)
+    const container = this.findFieldContainer(element);
+    const inlineError = container && Array.from(container.querySelectorAll(this.ERROR_MESSAGE_SELECTOR))
+      .find(el => el !== element && !el.contains(element) && this.isShown(el) && el.textContent.trim());
+    if (inlineError) return inlineError.textContent.trim();
+
+    if (!invalid) return null;
+
+    // aria-describedby is often plain help text, so only trust it once the
+    // field is marked invalid
+    const description = idsIn('aria-describedby').map(textOf).filter(Boolean).join(' ');
+    return description || element.validationMessage || 'The page marked this field as invalid';
+  },
+
+  /**
+   * Finds the largest ancestor that wraps only this field (its form group)
+   * @private
+   */
+  findFieldContainer(element) {
+    const FIELD_SELECTOR = 'input:not([type="hidden"]), select, textarea, [contenteditable="true"]';
+    let container = element.parentElement;
+
+    for (let depth = 0; container && depth < 4; depth++) {
+      const parent = container.parentElement;
+      if (!parent || parent === document.body) break;
+      const others = Array.from(parent.querySelectorAll(FIELD_SELECTOR)).filter(el => el !== element);
+      if (others.length > 0) break;
+      container = parent;
+    }
+
+    return container;
+  },
+
+  /**
+   * @private
+   */
+  isShown(element) {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return rect.width > 0 && rect.height > 0 && style.display !== 'none' && style.visibility !== 'hidden';
+  },
+
+  /**
+   * Resolves a scanner selector, following " >>> " into open shadow roots
+   * @param {string} selector - CSS selector, or piercing selector (host >>> inner)
+   * @returns {Element|null}
+   */
+  findElement(selector) {
+    let current = document;
+    let element = null;
+
+    for (const part of selector.split('>>>').map(s => s.trim())) {
+      if (!current) return null;
+      element = current.querySelector(part);
+      current = element?.shadowRoot;
+    }
+
+    return element;
+  },
+
   /**
    * Fills a single field with appropriate method
    */
   async fillField(element, mapping) {
-    const type = mapping.fieldType || this.detectFieldType(element);
+    const type = FormGhostDropdown.isDropdown(element)
+      ? 'combobox'
+      : mapping.fieldType || this.detectFieldType(element);
 
     switch (type) {
       case 'select':
         await this.fillSelect(element, mapping.value);
         break;
 
+      case 'combobox':
+        await FormGhostDropdown.select(element, mapping.value);
+        break;
+
       case 'checkbox':
         await this.fillCheckbox(element, mapping.value);
         break;
@@ -130,32 +294,10 @@ const FormGhostFiller = {
   },
 
   /**
-   * Fills a standard input field
+   * Fills a standard input field (throws if the page doesn't keep the value)
    */
   async fillInput(element, value) {
-    // Focus the element
-    element.focus();
-    await this.sleep(20);
-
-    // Clear existing value
-    element.value = '';
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-
-    // Type the value character by character
-    for (const char of String(value)) {
-      element.value += char;
-
-      element.dispatchEvent(new KeyboardEvent('keydown', { key: char, bubbles: true }));
-      element.dispatchEvent(new KeyboardEvent('keypress', { key: char, bubbles: true }));
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-      element.dispatchEvent(new KeyboardEvent('keyup', { key: char, bubbles: true }));
-
-      await this.sleep(this.config.typeDelay);
-    }
-
-    // Trigger change and blur
-    element.dispatchEvent(new Event('change', { bubbles: true }));
-    element.blur();
+    await FormGhostInputDriver.setValue(element, value, { typeDelay: this.config.typeDelay });
   },
 
   /**
@@ -226,8 +368,9 @@ const FormGhostFiller = {
       return;
     }
 
-    // Find all radios in group
-    const radios = document.querySelectorAll(`input[type="radio"][name="${CSS.escape(name)}"]`);
+    // Find all radios in group (within the same document or shadow root)
+    const root = element.getRootNode();
+    const radios = root.querySelectorAll(`input[type="radio"][name="${CSS.escape(name)}"]`);
 
     for (const radio of radios) {
       // Check by value or label
@@ -239,7 +382,7 @@ const FormGhostFiller = {
       }
 
       // Check by label text
-      const label = document.querySelector(`label[for="${radio.id}"]`);
+      const label = radio.id && root.querySelector(`label[for="${CSS.escape(radio.id)}"]`);
       if (label && label.textContent.trim().toLowerCase().includes(String(value).toLowerCase())) {
         radio.click();
         radio.dispatchEvent(new Event('change', { bubbles: true }));
@@ -258,9 +401,7 @@ const FormGhostFiller = {
     if (element.type === 'date') {
       // Ensure value is in YYYY-MM-DD format
       const dateValue = this.formatDateForInput(value);
-      element.value = dateValue;
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-      element.dispatchEvent(new Event('change', { bubbles: true }));
+      await FormGhostInputDriver.setValue(element, dateValue);
       return;
     }
 
@@ -324,19 +465,7 @@ const FormGhostFiller = {
    * Fills a contenteditable element
    */
   async fillContentEditable(element, value) {
-    element.focus();
-    element.textContent = '';
-    element.dispatchEvent(new Event('input', { bubbles: true }));
-
-    // Type the value
-    for (const char of String(value)) {
-      element.textContent += char;
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-      await this.sleep(this.config.typeDelay);
-    }
-
-    element.dispatchEvent(new Event('change', { bubbles: true }));
-    element.blur();
+    await FormGhostInputDriver.setValue(element, value, { typeDelay: this.config.typeDelay });
   },
 
   /**
@@ -344,6 +473,7 @@ const FormGhostFiller = {
    */
   detectFieldType(element) {
     if (element.tagName === 'SELECT') return 'select';
+    if (FormGhostDropdown.isDropdown(element)) return 'combobox';
     if (element.tagName === 'TEXTAREA') return 'textarea';
     if (element.isContentEditable) return 'contenteditable';
 
@@ -365,7 +495,7 @@ const FormGhostFiller = {
    */
   showFieldStatus(selector, status) {
     try {
-      const element = document.querySelector(selector);
+      const element = this.findElement(selector);
       if (!element) return;
 
       const color = status === 'success' ? this.config.highlightColor :
@@ -440,6 +570,147 @@ const FormGhostFiller = {
     }
   },
 
+  /**
+   * Watches fields filled from AI mappings for user edits and offers to
+   * remember the correction for the next fill of this form
+   * @param {Array} filledMappings - Mappings that were filled
+   * @param {Object} learn - {cacheKey, choices, form} from the service worker
+   */
+  watchForCorrections(filledMappings, learn) {
+    this.stopWatchingCorrections();
+
+    // Values stay in the page - only field names are remembered
+    const storedMappings = filledMappings.map(({ value, ...mapping }) => mapping);
+
+    this.correctionWatchers = filledMappings.map(original => {
+      const element = this.findElement(original.selector);
+      if (!element || ['checkbox', 'radio'].includes((element.type || '').toLowerCase())) {
+        return null;
+      }
+
+      const mapping = { ...original };
+      const onChange = (e) => {
+        // Our own fill dispatches untrusted change events
+        if (!e.isTrusted) return;
+        this.offerCorrection(element, mapping, storedMappings, learn);
+      };
+      element.addEventListener('change', onChange);
+      return { element, onChange };
+    }).filter(Boolean);
+  },
+
+  /**
+   * Stops watching filled fields and removes any open correction prompt
+   */
+  stopWatchingCorrections() {
+    (this.correctionWatchers || []).forEach(({ element, onChange }) => {
+      element.removeEventListener('change', onChange);
+    });
+    this.correctionWatchers = [];
+    document.querySelector('.fg-correction-prompt')?.remove();
+  },
+
+  /**
+   * Shows the "remember this correction" prompt after a user edit
+   * @param {Element} element - Edited field
+   * @param {Object} mapping - Mapping the field was filled from (updated when remembered)
+   * @param {Array} storedMappings - All filled mappings, without values
+   * @param {Object} learn - {cacheKey, choices, form}
+   */
+  offerCorrection(element, mapping, storedMappings, learn) {
+    const normalize = text => String(text ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    const current = this.readFieldValues(element);
+    if (current.some(text => normalize(text) === normalize(mapping.value))) return;
+
+    // Guess which client field the new value came from; cleared = don't fill
+    const isEmpty = current.every(text => normalize(text) === '');
+    const match = isEmpty ? null : (learn.choices || []).find(choice =>
+      normalize(choice.value) !== '' && current.some(text => normalize(text) === normalize(choice.value))
+    );
+    if (match && match.field === mapping.clientField) return;
+
+    this.injectStyles();
+    document.querySelector('.fg-correction-prompt')?.remove();
+
+    const label = mapping.label || mapping.selector;
+    const prompt = document.createElement('div');
+    prompt.className = 'fg-correction-prompt';
+    prompt.innerHTML = `
+      <div class="fg-correction-title">Remember this correction?</div>
+      <div class="fg-correction-text">
+        You changed <strong>${this.escapeHtml(label)}</strong>. Next time this form is filled, use:
+      </div>
+      <select class="fg-correction-field">
+        <option value="">Nothing - leave it empty</option>
+        ${(learn.choices || []).map(choice => `
+          <option value="${this.escapeHtml(choice.field)}" ${match?.field === choice.field ? 'selected' : ''}>
+            ${this.escapeHtml(choice.field)}
+          </option>
+        `).join('')}
+      </select>
+      <div class="fg-correction-actions">
+        <button class="fg-correction-dismiss">Not now</button>
+        <button class="fg-correction-save">Remember</button>
+      </div>
+    `;
+
+    prompt.querySelector('.fg-correction-dismiss').addEventListener('click', () => prompt.remove());
+    prompt.querySelector('.fg-correction-save').addEventListener('click', async () => {
+      const clientField = prompt.querySelector('.fg-correction-field').value || null;
+      const text = prompt.querySelector('.fg-correction-text');
+
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'REMEMBER_MAPPING_CORRECTION',
+          cacheKey: learn.cacheKey,
+          form: learn.form,
+          mappings: storedMappings,
+          correction: { selector: mapping.selector, label: mapping.label, clientField }
+        });
+        if (!response?.success) {
+          throw new Error(response?.error || 'Could not save correction');
+        }
+
+        // Later edits are compared against the corrected mapping
+        mapping.clientField = clientField;
+        mapping.value = current[0];
+        text.textContent = 'Saved - this form will be filled this way next time.';
+      } catch (error) {
+        console.error('FormGhostFiller: Failed to remember correction:', error);
+        text.textContent = `Could not save: ${error.message}`;
+      }
+
+      prompt.querySelector('.fg-correction-field').remove();
+      prompt.querySelector('.fg-correction-actions').remove();
+      setTimeout(() => prompt.remove(), 2500);
+    });
+
+    document.body.appendChild(prompt);
+  },
+
+  /**
+   * Reads a field's current value (and a select's visible option text)
+   */
+  readFieldValues(element) {
+    if (element.tagName === 'SELECT') {
+      const option = element.options[element.selectedIndex];
+      return [element.value, option ? option.textContent.trim() : ''];
+    }
+    if (element.isContentEditable) {
+      return [element.textContent];
+    }
+    return [element.value];
+  },
+
+  /**
+   * Escapes HTML for prompt markup
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  },
+
   /**
    * Injects CSS styles for visual feedback
    */
@@ -483,6 +754,14 @@ const FormGhostFiller = {
         gap: 12px;
       }
 
+      .fg-fill-validation-list {
+        margin: 8px 0 0;
+        padding-left: 18px;
+        max-width: 320px;
+        font-size: 12px;
+        line-height: 1.5;
+      }
+
       .fg-fill-spinner {
         width: 20px;
         height: 20px;
@@ -495,6 +774,67 @@ const FormGhostFiller = {
       @keyframes fg-spin {
         to { transform: rotate(360deg); }
       }
+
+      .fg-correction-prompt {
+        position: fixed;
+        bottom: 20px;
+        right: 20px;
+        width: 320px;
+        background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+        border-left: 4px solid #3b82f6;
+        padding: 14px 16px;
+        border-radius: 12px;
+        color: white;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        font-size: 13px;
+        z-index: 9999;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+      }
+
+      .fg-correction-title {
+        font-weight: 600;
+        font-size: 14px;
+        margin-bottom: 6px;
+      }
+
+      .fg-correction-text {
+        color: rgba(255, 255, 255, 0.85);
+        margin-bottom: 10px;
+      }
+
+      .fg-correction-field {
+        width: 100%;
+        padding: 6px 8px;
+        margin-bottom: 10px;
+        border-radius: 4px;
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        background: rgba(0, 0, 0, 0.3);
+        color: white;
+      }
+
+      .fg-correction-field option {
+        color: black;
+      }
+
+      .fg-correction-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+      }
+
+      .fg-correction-actions button {
+        border: none;
+        padding: 6px 14px;
+        border-radius: 6px;
+        font-weight: 600;
+        cursor: pointer;
+        background: rgba(255, 255, 255, 0.1);
+        color: white;
+      }
+
+      .fg-correction-actions .fg-correction-save {
+        background: #3b82f6;
+      }
     `;
     document.head.appendChild(styles);
   },
@@ -532,29 +872,45 @@ const FormGhostFiller = {
    * Shows fill completion summary
    */
   showSummary(results) {
+    const validationErrors = results.validationErrors || [];
     const summary = document.createElement('div');
     summary.className = 'fg-fill-progress';
-    summary.style.background = results.success
-      ? 'linear-gradient(135deg, #065f46 0%, #047857 100%)'
-      : 'linear-gradient(135deg, #7f1d1d 0%, #991b1b 100%)';
-
-    const icon = results.success ? '&#10003;' : '&#9888;';
-    const message = results.success
+    summary.style.background = !results.success
+      ? 'linear-gradient(135deg, #7f1d1d 0%, #991b1b 100%)'
+      : validationErrors.length > 0
+        ? 'linear-gradient(135deg, #78350f 0%, #92400e 100%)'
+        : 'linear-gradient(135deg, #065f46 0%, #047857 100%)';
+
+    const icon = results.success && validationErrors.length === 0 ? '&#10003;' : '&#9888;';
+    let message = results.success
       ? `Filled ${results.filled.length} fields`
       : `${results.filled.length} filled, ${results.failed.length} failed`;
+    if (validationErrors.length > 0) {
+      message += `, ${validationErrors.length} rejected by the page`;
+    }
 
     summary.innerHTML = `
       <span style="font-size: 18px;">${icon}</span>
-      <span>${message}</span>
+      <div>
+        <div>${message}</div>
+        ${validationErrors.length > 0 ? `
+          <ul class="fg-fill-validation-list">
+            ${validationErrors.map(error => `
+              <li><strong>${this.escapeHtml(error.label || error.selector)}:</strong> ${this.escapeHtml(error.message)}</li>
+            `).join('')}
+          </ul>
+        ` : ''}
+      </div>
     `;
 
     document.body.appendChild(summary);
 
+    // Leave validation errors up long enough to read
     setTimeout(() => {
       summary.style.opacity = '0';
       summary.style.transition = 'opacity 0.3s ease';
       setTimeout(() => summary.remove(), 300);
-    }, 3000);
+    }, validationErrors.length > 0 ? 8000 : 3000);
   },
 
   /**
@@ -586,7 +942,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.type === 'FILL_SINGLE_FIELD') {
     FormGhostFiller.fillField(
-      document.querySelector(message.selector),
+      FormGhostFiller.findElement(message.selector),
       message.mapping
     ).then(() => {
       sendResponse({ success: true });
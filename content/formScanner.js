@@ -1,6 +1,10 @@
 /**
  * FormGhost - Form Scanner
  * Extracts form field metadata from web pages for AI mapping
+ *
+ * Fields inside open shadow roots (web components, design systems) are
+ * included; their selectors use the " >>> " piercing format that
+ * selectors.js records and FormGhostFiller.findElement resolves.
  */
 
 const FormGhostScanner = {
@@ -12,6 +16,32 @@ const FormGhostScanner = {
     'date', 'datetime-local', 'month', 'week', 'time'
   ],
 
+  /**
+   * Separator between shadow hosts and the element inside their shadow root
+   */
+  SHADOW_SEPARATOR: ' >>> ',
+
+  /**
+   * Labels of controls that move a wizard to its next page
+   */
+  NEXT_CONTROL_PATTERN: /^(next|continue|proceed|next step|next page|save (and|&) continue|continue to .+|next: .+)$/i,
+
+  /**
+   * Next labels that never finish a form. Other Next labels ("Continue",
+   * "Proceed"...) also submit plenty of single-page forms.
+   */
+  EXPLICIT_NEXT_PATTERN: /^next\b/i,
+
+  /**
+   * Labels of controls that finish a form - the wizard fill never clicks these
+   */
+  SUBMIT_CONTROL_PATTERN: /\b(submit|finish|complete|place order|pay|purchase|confirm|send|apply|sign|register|create account)\b/i,
+
+  /**
+   * ms to wait for the next wizard page to appear after clicking Next
+   */
+  WIZARD_STEP_TIMEOUT: 10000,
+
   /**
    * Scans the page for all fillable form fields
    * @returns {Array} Array of field metadata objects
@@ -19,26 +49,34 @@ const FormGhostScanner = {
   scanPage() {
     const fields = [];
 
-    // Scan regular inputs
-    document.querySelectorAll('input').forEach(input => {
+    // Scan regular inputs (inputs that drive a custom dropdown are scanned
+    // with the dropdown below)
+    this.queryAllDeep('input').forEach(input => {
+      if (FormGhostDropdown.isDropdown(input) || FormGhostDropdown.isDropdownPart(input)) return;
       const field = this.extractInputMetadata(input);
       if (field) fields.push(field);
     });
 
     // Scan textareas
-    document.querySelectorAll('textarea').forEach(textarea => {
+    this.queryAllDeep('textarea').forEach(textarea => {
       const field = this.extractTextareaMetadata(textarea);
       if (field) fields.push(field);
     });
 
     // Scan selects
-    document.querySelectorAll('select').forEach(select => {
+    this.queryAllDeep('select').forEach(select => {
       const field = this.extractSelectMetadata(select);
       if (field) fields.push(field);
     });
 
+    // Scan ARIA comboboxes, listboxes and custom dropdowns
+    this.scanDropdowns().forEach(el => {
+      const field = this.extractDropdownMetadata(el);
+      if (field) fields.push(field);
+    });
+
     // Scan contenteditable elements
-    document.querySelectorAll('[contenteditable="true"]').forEach(el => {
+    this.queryAllDeep('[contenteditable="true"]').forEach(el => {
       const field = this.extractContentEditableMetadata(el);
       if (field) fields.push(field);
     });
@@ -47,6 +85,22 @@ const FormGhostScanner = {
     return fields;
   },
 
+  /**
+   * Finds elements matching a selector in the document and every open
+   * shadow root below it, in document order
+   * @param {string} selector - CSS selector
+   * @param {Document|ShadowRoot} root - Where to start
+   * @returns {Array<Element>}
+   */
+  queryAllDeep(selector, root = document) {
+    const results = [];
+    root.querySelectorAll('*').forEach(el => {
+      if (el.matches(selector)) results.push(el);
+      if (el.shadowRoot) results.push(...this.queryAllDeep(selector, el.shadowRoot));
+    });
+    return results;
+  },
+
   /**
    * Extracts metadata from an input element
    */
@@ -164,6 +218,55 @@ const FormGhostScanner = {
     };
   },
 
+  /**
+   * Finds custom dropdown widgets, skipping option lists that belong to a
+   * combobox and nested parts of a widget
+   * @returns {Array<Element>}
+   */
+  scanDropdowns() {
+    const candidates = this.queryAllDeep(FormGhostDropdown.SELECTOR)
+      .filter(el => FormGhostDropdown.isDropdown(el) && !FormGhostDropdown.isDropdownPart(el));
+
+    const popups = new Set();
+    candidates.forEach(el => {
+      if (el.getAttribute('role') !== 'listbox') {
+        const listbox = FormGhostDropdown.findListbox(el);
+        if (listbox) popups.add(listbox);
+      }
+    });
+
+    return candidates.filter(el => !popups.has(el));
+  },
+
+  /**
+   * Extracts metadata from a combobox, listbox or custom dropdown. Widgets
+   * that render options only while open are reported with no options.
+   */
+  extractDropdownMetadata(el) {
+    if (el.disabled || el.getAttribute('aria-disabled') === 'true') return null;
+
+    const input = FormGhostDropdown.getTextInput(el);
+
+    return {
+      type: 'combobox',
+      inputType: 'combobox',
+      role: el.getAttribute('role') || 'combobox',
+      selector: this.generateSelector(el),
+      id: el.id || null,
+      name: el.getAttribute('name') || input?.name || null,
+      label: this.findLabel(el) || (input && input !== el ? this.findLabel(input) : null),
+      placeholder: input?.placeholder || null,
+      required: el.getAttribute('aria-required') === 'true' || !!input?.required,
+      multiple: el.getAttribute('aria-multiselectable') === 'true',
+      filterable: !!input,
+      options: FormGhostDropdown.readOptions(el),
+      ariaLabel: el.getAttribute('aria-label') || null,
+      dataAttributes: this.extractDataAttributes(el),
+      currentValue: FormGhostDropdown.getValue(el) || null,
+      isVisible: this.isElementVisible(el)
+    };
+  },
+
   /**
    * Extracts metadata from contenteditable elements
    */
@@ -185,9 +288,12 @@ const FormGhostScanner = {
    * Finds the label for a form field
    */
   findLabel(field) {
+    // Labels are looked up in the field's own tree (document or shadow root)
+    const root = field.getRootNode();
+
     // Method 1: Explicit label with 'for' attribute
     if (field.id) {
-      const label = document.querySelector(`label[for="${CSS.escape(field.id)}"]`);
+      const label = root.querySelector(`label[for="${CSS.escape(field.id)}"]`);
       if (label) return label.textContent.trim();
     }
 
@@ -204,8 +310,15 @@ const FormGhostScanner = {
     // Method 3: aria-labelledby
     const labelledBy = field.getAttribute('aria-labelledby');
     if (labelledBy) {
-      const labelEl = document.getElementById(labelledBy);
-      if (labelEl) return labelEl.textContent.trim();
+      const labelEl = root.getElementById(labelledBy);
+      if (labelEl && labelEl.textContent.trim()) return labelEl.textContent.trim();
+    }
+
+    // Method 3b: Label attribute on the custom element hosting the field
+    // (e.g. <sl-input label="Email">)
+    if (root instanceof ShadowRoot) {
+      const hostLabel = root.host.getAttribute('label') || root.host.getAttribute('aria-label');
+      if (hostLabel) return hostLabel.trim();
     }
 
     // Method 4: Previous sibling text
@@ -229,6 +342,11 @@ const FormGhostScanner = {
       if (nearbyText) return nearbyText;
     }
 
+    // Method 7: Whatever labels the host element in the outer tree
+    if (root instanceof ShadowRoot) {
+      return this.findLabel(root.host);
+    }
+
     return null;
   },
 
@@ -243,7 +361,7 @@ const FormGhostScanner = {
     // aria-labelledby
     const labelledBy = el.getAttribute('aria-labelledby');
     if (labelledBy) {
-      const labelEl = document.getElementById(labelledBy);
+      const labelEl = el.getRootNode().getElementById(labelledBy);
       if (labelEl) return labelEl.textContent.trim();
     }
 
@@ -286,9 +404,22 @@ const FormGhostScanner = {
   },
 
   /**
-   * Generates a reliable CSS selector for an element
+   * Generates a reliable CSS selector for an element. Elements inside shadow
+   * roots get a piercing selector: host selector(s), then the selector
+   * within the shadow root, joined by SHADOW_SEPARATOR.
    */
   generateSelector(el) {
+    const root = el.getRootNode();
+    if (root instanceof ShadowRoot) {
+      return this.generateSelector(root.host) + this.SHADOW_SEPARATOR + this.generateLocalSelector(el, root);
+    }
+    return this.generateLocalSelector(el, document);
+  },
+
+  /**
+   * Generates a selector that is valid within one document or shadow root
+   */
+  generateLocalSelector(el, root) {
     // Prefer ID
     if (el.id) {
       return `#${CSS.escape(el.id)}`;
@@ -298,7 +429,7 @@ const FormGhostScanner = {
     if (el.name) {
       const tag = el.tagName.toLowerCase();
       const nameSelector = `${tag}[name="${CSS.escape(el.name)}"]`;
-      if (document.querySelectorAll(nameSelector).length === 1) {
+      if (root.querySelectorAll(nameSelector).length === 1) {
         return nameSelector;
       }
     }
@@ -409,15 +540,20 @@ const FormGhostScanner = {
    * Detects if page has multi-step form
    */
   detectMultiStepForm() {
+    // A visible "Next" control is the clearest sign ("Continue" alone also
+    // ends plenty of single-page forms, so it needs an indicator below)
+    const { next } = this.findWizardControls();
+    if (next && this.EXPLICIT_NEXT_PATTERN.test(next.label)) {
+      return true;
+    }
+
     // Look for common multi-step indicators
     const indicators = [
       '[class*="step"]',
       '[class*="wizard"]',
       '[class*="progress"]',
       '[data-step]',
-      '.pagination',
-      'button:contains("Next")',
-      'button:contains("Continue")'
+      '.pagination'
     ];
 
     for (const selector of indicators) {
@@ -444,6 +580,119 @@ const FormGhostScanner = {
     });
 
     return totalSections > 1 && visibleSections === 1;
+  },
+
+  /**
+   * Finds the visible controls that advance or finish a wizard. A "Continue"
+   * that submits a form with no pages left counts as its final submit.
+   * @returns {Object} {next, submit} - each {element, label} or null
+   */
+  findWizardControls() {
+    const controls = this.queryAllDeep('button, input[type="submit"], input[type="button"], [role="button"], a.btn, a.button')
+      .filter(el => !el.disabled && el.getAttribute('aria-disabled') !== 'true' && this.isElementVisible(el))
+      .map(el => ({ element: el, label: this.getControlLabel(el) }))
+      .filter(control => control.label);
+
+    return {
+      next: controls.find(c => this.isNextControl(c)) || null,
+      submit: controls.find(c => this.SUBMIT_CONTROL_PATTERN.test(c.label) ||
+        (this.NEXT_CONTROL_PATTERN.test(c.label) && !this.isNextControl(c))) || null
+    };
+  },
+
+  /**
+   * Checks whether a control moves a wizard on without finishing it
+   * @param {Object} control - {element, label}
+   */
+  isNextControl(control) {
+    if (!this.NEXT_CONTROL_PATTERN.test(control.label) || this.SUBMIT_CONTROL_PATTERN.test(control.label)) {
+      return false;
+    }
+    return this.EXPLICIT_NEXT_PATTERN.test(control.label) || !this.isFinalSubmit(control.element);
+  },
+
+  /**
+   * Checks whether a control submits its form while no section of the form
+   * is still hidden (nothing left for a later page to show)
+   * @param {Element} el - Button or input
+   */
+  isFinalSubmit(el) {
+    const isSubmit = (el.tagName === 'BUTTON' || el.tagName === 'INPUT') && el.type === 'submit';
+    if (!isSubmit || !el.form) return false;
+
+    const sections = el.form.querySelectorAll('fieldset, section, [class*="step"], [class*="section"], [data-step]');
+    return !Array.from(sections).some(section =>
+      !this.isElementVisible(section) && section.querySelector('input:not([type="hidden"]), select, textarea')
+    );
+  },
+
+  /**
+   * Gets a button's visible label, without trailing arrows ("Next →")
+   */
+  getControlLabel(el) {
+    const text = el.tagName === 'INPUT' ? el.value : el.getAttribute('aria-label') || el.textContent;
+    return (text || '').replace(/\s+/g, ' ').replace(/[\s›»→>]+$/, '').trim();
+  },
+
+  /**
+   * Clicks the wizard's Next/Continue control and waits for the next page.
+   * Never clicks a Submit/Finish control - on the last page it reports the
+   * control so the user can check the form and submit it themselves.
+   * @returns {Promise<Object>} {advanced, control, finalStep, reason}
+   */
+  async advanceWizard() {
+    const { next, submit } = this.findWizardControls();
+    if (!next) {
+      return submit
+        ? { advanced: false, finalStep: true, control: submit.label, reason: `Stopped before "${submit.label}" - check the form, then submit it yourself` }
+        : { advanced: false, reason: 'No Next or Continue button found' };
+    }
+
+    const waitDetector = window.PuppeteerRecorderWaitDetector;
+    const wasObserving = !!waitDetector?.detector.isObserving;
+    waitDetector?.start();
+
+    try {
+      const before = this.getVisibleFieldSignature();
+      next.element.scrollIntoView({ block: 'center' });
+      next.element.click();
+
+      // Let the page react, then wait for it to settle and show new fields
+      await this.sleep(100);
+      await waitDetector?.waitForStable(this.WIZARD_STEP_TIMEOUT);
+      const deadline = Date.now() + this.WIZARD_STEP_TIMEOUT;
+      while (this.getVisibleFieldSignature() === before && Date.now() < deadline) {
+        await this.sleep(200);
+      }
+
+      if (this.getVisibleFieldSignature() === before) {
+        return { advanced: false, reason: `"${next.label}" did not open a new page - check for required fields` };
+      }
+
+      await waitDetector?.waitForStable(this.WIZARD_STEP_TIMEOUT);
+      return { advanced: true, control: next.label };
+    } finally {
+      if (!wasObserving) waitDetector?.stop();
+    }
+  },
+
+  /**
+   * Identifies the set of fields currently visible (changes when a wizard
+   * moves to another page)
+   * @private
+   */
+  getVisibleFieldSignature() {
+    return this.queryAllDeep('input:not([type="hidden"]), select, textarea')
+      .filter(el => this.isElementVisible(el))
+      .map(el => this.generateSelector(el))
+      .join('|');
+  },
+
+  /**
+   * Sleep helper
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 };
 
@@ -460,6 +709,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === 'ADVANCE_WIZARD_STEP') {
+    FormGhostScanner.advanceWizard()
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, advanced: false, reason: error.message }));
+    return true;
+  }
+
   if (message.type === 'GET_FORM_SIGNATURE') {
     const signature = FormGhostScanner.getFormSignature();
     sendResponse({ success: true, signature });
@@ -0,0 +1,258 @@
+/**
+ * FormGhost - Input Driver
+ * Sets text field values so that framework-controlled components (React,
+ * Vue, Angular) keep them: values go through the native value setter, the
+ * beforeinput/input/change/blur sequence a user would cause is dispatched,
+ * masked inputs are typed one character at a time, and the field is read
+ * back afterwards to confirm it holds the intended value.
+ *
+ * Shared by the form filler, the replayer and the dropdown driver.
+ */
+
+const FormGhostInputDriver = {
+  /**
+   * Timing configuration
+   */
+  config: {
+    typeDelay: 5, // ms between keystrokes when typing
+    settleDelay: 30 // ms for the framework to re-render before verifying
+  },
+
+  /**
+   * Input types that support typing at a caret (and so can carry a mask)
+   */
+  TYPEABLE_TYPES: ['text', 'tel', 'search', 'password', 'url'],
+
+  /**
+   * Attributes used by common input-mask libraries
+   */
+  MASK_ATTRIBUTES: ['data-mask', 'data-inputmask', 'data-inputmask-mask', 'data-format', 'mask'],
+
+  /**
+   * Field names that are usually masked (phone, SSN, currency, ...)
+   */
+  MASK_NAME_PATTERN: /phone|mobile|fax|ssn|social|tax.?id|\bein\b|zip|postal|currency|amount|price|salary|card.?number|cc-number/i,
+
+  /**
+   * Placeholders that show a mask, e.g. "(___) ___-____", "###-##-####", "$0.00"
+   */
+  MASK_PLACEHOLDER_PATTERN: /[_#]{2,}|\(\d{3}\)|^\$|\d{2}\/\d{2}/,
+
+  /**
+   * Sets a field's value and checks that it held
+   * @param {Element} element - Input, textarea, contenteditable or custom element with a value
+   * @param {string} value - Value to enter
+   * @param {Object} options - {typeDelay, charByChar (type even unmasked
+   *   fields), blur (default true), verify (default true)}
+   * @returns {Promise<string>} The value the field ended up with
+   * @throws {Error} When the field doesn't hold the intended value
+   */
+  async setValue(element, value, options = {}) {
+    const text = String(value ?? '');
+    const typeDelay = options.typeDelay ?? this.config.typeDelay;
+
+    element.focus();
+
+    if (element.isContentEditable) {
+      this.insertContentEditable(element, text);
+    } else if (options.charByChar || this.isMasked(element)) {
+      await this.typeValue(element, text, typeDelay);
+    } else {
+      this.replaceValue(element, text);
+    }
+
+    element.dispatchEvent(new Event('change', { bubbles: true }));
+    if (options.blur !== false) {
+      element.blur();
+    }
+
+    if (options.verify === false) {
+      return this.readValue(element);
+    }
+
+    await this.sleep(this.config.settleDelay);
+    const actual = this.readValue(element);
+    if (!this.valuesMatch(actual, text)) {
+      throw new Error(actual
+        ? 'Field did not keep the value (the page changed or rejected it)'
+        : 'Field did not keep the value (the page cleared it)');
+    }
+    return actual;
+  },
+
+  /**
+   * Replaces the whole value in one edit, as a paste or autofill would
+   * @param {Element} element - Input or textarea
+   * @param {string} text - New value
+   */
+  replaceValue(element, text) {
+    if (!this.dispatchBeforeInput(element, 'insertReplacementText', text)) return;
+    this.setNativeValue(element, text);
+    element.dispatchEvent(new InputEvent('input', {
+      bubbles: true, composed: true, inputType: 'insertReplacementText', data: text
+    }));
+  },
+
+  /**
+   * Clears the field, then types the value one character at a time so mask
+   * libraries can format as they go
+   * @private
+   */
+  async typeValue(element, text, typeDelay) {
+    if (this.readValue(element) && this.dispatchBeforeInput(element, 'deleteContentBackward', null)) {
+      this.setNativeValue(element, '');
+      element.dispatchEvent(new InputEvent('input', {
+        bubbles: true, composed: true, inputType: 'deleteContentBackward'
+      }));
+    }
+
+    for (const char of text) {
+      const keyOptions = { key: char, bubbles: true, composed: true, cancelable: true };
+      const keyAllowed = element.dispatchEvent(new KeyboardEvent('keydown', keyOptions));
+      element.dispatchEvent(new KeyboardEvent('keypress', keyOptions));
+
+      // Masks cancel keydown/beforeinput for characters they don't accept
+      if (keyAllowed && this.dispatchBeforeInput(element, 'insertText', char)) {
+        this.insertAtCaret(element, char);
+        element.dispatchEvent(new InputEvent('input', {
+          bubbles: true, composed: true, inputType: 'insertText', data: char
+        }));
+      }
+
+      element.dispatchEvent(new KeyboardEvent('keyup', keyOptions));
+      await this.sleep(typeDelay);
+    }
+  },
+
+  /**
+   * Inserts text at the caret, where a mask library expects it
+   * @private
+   */
+  insertAtCaret(element, char) {
+    const current = String(element.value ?? '');
+    let start = current.length;
+    let end = current.length;
+    try {
+      if (typeof element.selectionStart === 'number') {
+        start = element.selectionStart;
+        end = element.selectionEnd;
+      }
+    } catch (error) {
+      // Input type without a caret
+    }
+
+    this.setNativeValue(element, current.slice(0, start) + char + current.slice(end));
+    try {
+      element.setSelectionRange(start + 1, start + 1);
+    } catch (error) {
+      // Input type without a caret
+    }
+  },
+
+  /**
+   * Replaces contenteditable text through the editing pipeline so rich
+   * text editors update their own model
+   * @private
+   */
+  insertContentEditable(element, text) {
+    const selection = window.getSelection();
+    const range = document.createRange();
+    range.selectNodeContents(element);
+    selection.removeAllRanges();
+    selection.addRange(range);
+
+    if (!document.execCommand('insertText', false, text)) {
+      element.textContent = text;
+      element.dispatchEvent(new InputEvent('input', {
+        bubbles: true, composed: true, inputType: 'insertText', data: text
+      }));
+    }
+  },
+
+  /**
+   * Sets the value through the prototype setter. Frameworks wrap the
+   * element's own value property to track changes; writing through the
+   * prototype makes the following input event register as a real edit.
+   * @param {Element} element - Input, textarea or custom element
+   * @param {string} value - New value
+   */
+  setNativeValue(element, value) {
+    const proto = element instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype
+      : element instanceof HTMLInputElement ? HTMLInputElement.prototype
+        : null;
+    const setter = proto && Object.getOwnPropertyDescriptor(proto, 'value')?.set;
+
+    if (setter) {
+      setter.call(element, value);
+    } else {
+      element.value = value;
+    }
+  },
+
+  /**
+   * Reads what the field currently holds
+   * @param {Element} element - Field
+   * @returns {string}
+   */
+  readValue(element) {
+    if (element.isContentEditable) {
+      return element.textContent.trim();
+    }
+    return String(element.value ?? '');
+  },
+
+  /**
+   * Checks whether a field looks like it carries an input mask
+   * @param {Element} element - Field
+   * @returns {boolean}
+   */
+  isMasked(element) {
+    if (!(element instanceof HTMLInputElement)) return false;
+    if (!this.TYPEABLE_TYPES.includes((element.type || 'text').toLowerCase())) return false;
+    if (element.type === 'tel') return true;
+    if (this.MASK_ATTRIBUTES.some(attr => element.hasAttribute(attr))) return true;
+
+    const hints = [element.name, element.id, element.autocomplete].filter(Boolean).join(' ');
+    return this.MASK_NAME_PATTERN.test(hints) ||
+      this.MASK_PLACEHOLDER_PATTERN.test(element.placeholder || '');
+  },
+
+  /**
+   * Compares the field's value with the intended one, allowing for the
+   * separators and formatting a mask adds
+   * @param {string} actual - Value read back from the field
+   * @param {string} expected - Intended value
+   * @returns {boolean}
+   */
+  valuesMatch(actual, expected) {
+    if (actual === expected || actual.trim() === expected.trim()) return true;
+
+    const significant = text => text.replace(/[^a-z0-9]/gi, '').toLowerCase();
+    if (significant(expected) && significant(actual) === significant(expected)) return true;
+
+    // Currency masks add symbols, grouping and decimals: "1234" -> "$1,234.00"
+    const number = text => parseFloat(text.replace(/[^0-9.-]/g, ''));
+    return /\d/.test(expected) && !isNaN(number(expected)) && number(actual) === number(expected);
+  },
+
+  /**
+   * Dispatches beforeinput
+   * @returns {boolean} False when the page cancelled the edit
+   * @private
+   */
+  dispatchBeforeInput(element, inputType, data) {
+    return element.dispatchEvent(new InputEvent('beforeinput', {
+      bubbles: true, composed: true, cancelable: true, inputType, data
+    }));
+  },
+
+  /**
+   * @private
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+};
+
+// Expose to global scope
+window.FormGhostInputDriver = FormGhostInputDriver;
@@ -0,0 +1,434 @@
+/**
+ * FormGhost - Mapping Review Panel
+ * Lets the user check AI/local field mappings before anything is filled:
+ * each target field, the proposed client field, its confidence and the value
+ * that will be entered. Mappings can be changed or dropped.
+ */
+
+const MappingReviewPanel = {
+  panel: null,
+  resolve: null,
+  choices: [],
+
+  /**
+   * Shows the review panel and waits for the user
+   * @param {Object} review - {mappings, unmatchedFields, choices}
+   *   mappings: [{selector, label, clientField, value, confidence, source, fieldType}]
+   *   unmatchedFields: [{selector, label}] form fields with no proposal
+   *   choices: [{field, value}] client fields the user can pick from
+   * @returns {Promise<Object>} {confirmed, mappings, dropped}
+   */
+  show({ mappings = [], unmatchedFields = [], choices = [] }) {
+    this.close({ confirmed: false, mappings: [], dropped: [] });
+    this.injectStyles();
+    this.choices = choices;
+
+    const rows = [
+      ...mappings.map(mapping => ({ ...mapping, included: true })),
+      ...unmatchedFields.map(field => ({
+        selector: field.selector,
+        label: field.label,
+        clientField: '',
+        value: '',
+        confidence: null,
+        included: false
+      }))
+    ];
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'fg-review-panel';
+    this.panel.innerHTML = `
+      <div class="fg-review-header">
+        <div class="fg-review-title">Review Field Mappings</div>
+        <button class="fg-review-close" aria-label="Cancel">×</button>
+      </div>
+      <p class="fg-review-message">
+        Nothing has been filled yet. Check each mapping, change the client field or untick it to skip the field.
+      </p>
+      <div class="fg-review-list">
+        ${rows.map((row, index) => this.renderRow(row, index)).join('')}
+      </div>
+      <div class="fg-review-footer">
+        <button class="fg-review-btn fg-review-cancel">Cancel</button>
+        <button class="fg-review-btn fg-review-confirm"></button>
+      </div>
+    `;
+
+    this.panel.querySelectorAll('.fg-review-row').forEach(rowEl => {
+      const row = rows[rowEl.dataset.index];
+      const include = rowEl.querySelector('.fg-review-include');
+      const select = rowEl.querySelector('.fg-review-field');
+      const valueInput = rowEl.querySelector('.fg-review-value');
+
+      include.addEventListener('change', () => this.updateRow(rowEl));
+      select.addEventListener('change', () => {
+        const choice = this.choices.find(c => c.field === select.value);
+        valueInput.value = choice ? choice.value : '';
+        include.checked = !!select.value;
+        this.updateRow(rowEl);
+      });
+      valueInput.addEventListener('input', () => {
+        if (valueInput.value) include.checked = true;
+        this.updateRow(rowEl);
+      });
+      rowEl.querySelector('.fg-review-locate').addEventListener('click', () => {
+        if (window.UnmatchedFieldsUI) {
+          UnmatchedFieldsUI.locateAndHighlight(row.selector);
+        }
+      });
+      this.updateRow(rowEl);
+    });
+
+    this.panel.querySelector('.fg-review-close').addEventListener('click', () => this.cancel());
+    this.panel.querySelector('.fg-review-cancel').addEventListener('click', () => this.cancel());
+    this.panel.querySelector('.fg-review-confirm').addEventListener('click', () => {
+      this.close(this.collect(rows));
+    });
+
+    this.onKeyDown = (e) => {
+      if (e.key === 'Escape') this.cancel();
+    };
+    document.addEventListener('keydown', this.onKeyDown, true);
+
+    document.body.appendChild(this.panel);
+    this.updateConfirmButton();
+
+    return new Promise(resolve => {
+      this.resolve = resolve;
+    });
+  },
+
+  /**
+   * Renders one mapping row
+   */
+  renderRow(row, index) {
+    const options = this.choices.map(choice => `
+      <option value="${this.escapeHtml(choice.field)}" ${choice.field === row.clientField ? 'selected' : ''}>
+        ${this.escapeHtml(choice.field)}
+      </option>
+    `).join('');
+
+    // Keep a proposed field the client has no value list entry for
+    const missing = row.clientField && !this.choices.some(c => c.field === row.clientField)
+      ? `<option value="${this.escapeHtml(row.clientField)}" selected>${this.escapeHtml(row.clientField)}</option>`
+      : '';
+
+    return `
+      <div class="fg-review-row" data-index="${index}">
+        <div class="fg-review-target">
+          <label class="fg-review-target-label">
+            <input type="checkbox" class="fg-review-include" ${row.included ? 'checked' : ''}>
+            <span>${this.escapeHtml(row.label || row.selector)}</span>
+          </label>
+          ${this.renderConfidence(row)}
+          <button class="fg-review-locate" title="Show this field on the page">Locate</button>
+        </div>
+        <div class="fg-review-mapping">
+          <select class="fg-review-field">
+            <option value="">— don't fill —</option>
+            ${missing}
+            ${options}
+          </select>
+          <input type="text" class="fg-review-value" value="${this.escapeHtml(row.value ?? '')}" placeholder="Value to fill">
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * Renders the confidence badge for a row
+   */
+  renderConfidence(row) {
+    if (row.confidence === null || row.confidence === undefined) {
+      return '<span class="fg-review-confidence fg-review-confidence-none">No match</span>';
+    }
+
+    const percent = Math.round(row.confidence * 100);
+    const level = row.confidence >= 0.85 ? 'high' : row.confidence >= 0.6 ? 'medium' : 'low';
+    const source = row.source === 'ai' ? 'AI' : row.source === 'local' ? 'Local' : '';
+    return `<span class="fg-review-confidence fg-review-confidence-${level}" title="${source} confidence">
+      ${source ? `${source} ` : ''}${percent}%
+    </span>`;
+  },
+
+  /**
+   * Dims rows that will not be filled
+   */
+  updateRow(rowEl) {
+    const include = rowEl.querySelector('.fg-review-include');
+    rowEl.classList.toggle('fg-review-row-dropped', !include.checked);
+    this.updateConfirmButton();
+  },
+
+  /**
+   * Updates the confirm button with the number of fields to fill
+   */
+  updateConfirmButton() {
+    if (!this.panel) return;
+    const count = [...this.panel.querySelectorAll('.fg-review-row')].filter(rowEl =>
+      rowEl.querySelector('.fg-review-include').checked &&
+      rowEl.querySelector('.fg-review-value').value !== ''
+    ).length;
+
+    const button = this.panel.querySelector('.fg-review-confirm');
+    button.textContent = `Fill ${count} field${count === 1 ? '' : 's'}`;
+    button.disabled = count === 0;
+  },
+
+  /**
+   * Reads the user's decisions from the panel
+   * @returns {Object} {confirmed, mappings, dropped}
+   */
+  collect(rows) {
+    const mappings = [];
+    const dropped = [];
+
+    this.panel.querySelectorAll('.fg-review-row').forEach(rowEl => {
+      const row = rows[rowEl.dataset.index];
+      const clientField = rowEl.querySelector('.fg-review-field').value;
+      const value = rowEl.querySelector('.fg-review-value').value;
+      const included = rowEl.querySelector('.fg-review-include').checked && value !== '';
+
+      if (!included) {
+        // Only proposals the user rejected count as dropped
+        if (row.included) dropped.push({ ...row });
+        return;
+      }
+
+      mappings.push({
+        ...row,
+        clientField,
+        value,
+        edited: clientField !== row.clientField || value !== String(row.value ?? '')
+      });
+    });
+
+    mappings.forEach(mapping => delete mapping.included);
+    dropped.forEach(mapping => delete mapping.included);
+    return { confirmed: true, mappings, dropped };
+  },
+
+  /**
+   * Cancels the review - nothing is filled
+   */
+  cancel() {
+    this.close({ confirmed: false, mappings: [], dropped: [] });
+  },
+
+  /**
+   * Removes the panel and settles the pending review
+   */
+  close(result) {
+    if (this.onKeyDown) {
+      document.removeEventListener('keydown', this.onKeyDown, true);
+      this.onKeyDown = null;
+    }
+    if (this.panel) {
+      this.panel.remove();
+      this.panel = null;
+    }
+    if (this.resolve) {
+      const resolve = this.resolve;
+      this.resolve = null;
+      resolve(result);
+    }
+  },
+
+  /**
+   * Escapes HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  },
+
+  /**
+   * Injects CSS styles
+   */
+  injectStyles() {
+    if (document.getElementById('fg-review-styles')) return;
+
+    const styles = document.createElement('style');
+    styles.id = 'fg-review-styles';
+    styles.textContent = `
+      .fg-review-panel {
+        position: fixed;
+        top: 20px;
+        right: 20px;
+        width: 480px;
+        max-width: calc(100vw - 40px);
+        max-height: calc(100vh - 40px);
+        display: flex;
+        flex-direction: column;
+        background: linear-gradient(135deg, #1a1a2e 0%, #16213e 100%);
+        color: white;
+        border-left: 4px solid #3b82f6;
+        border-radius: 12px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.4);
+        z-index: 2147483647;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        font-size: 13px;
+      }
+
+      .fg-review-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 16px 20px;
+        border-bottom: 1px solid rgba(255, 255, 255, 0.1);
+      }
+
+      .fg-review-title {
+        font-weight: 600;
+        font-size: 16px;
+      }
+
+      .fg-review-close {
+        background: none;
+        border: none;
+        color: white;
+        font-size: 24px;
+        cursor: pointer;
+        padding: 0;
+        width: 30px;
+        height: 30px;
+        border-radius: 50%;
+      }
+
+      .fg-review-close:hover {
+        background: rgba(255, 255, 255, 0.1);
+      }
+
+      .fg-review-message {
+        margin: 12px 20px 0;
+        color: rgba(255, 255, 255, 0.8);
+      }
+
+      .fg-review-list {
+        overflow-y: auto;
+        padding: 12px 20px;
+      }
+
+      .fg-review-row {
+        padding: 10px 12px;
+        margin-bottom: 8px;
+        background: rgba(255, 255, 255, 0.05);
+        border-radius: 6px;
+        transition: opacity 0.2s;
+      }
+
+      .fg-review-row-dropped {
+        opacity: 0.5;
+      }
+
+      .fg-review-target {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        margin-bottom: 8px;
+      }
+
+      .fg-review-target-label {
+        flex: 1;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      .fg-review-confidence {
+        padding: 2px 8px;
+        border-radius: 10px;
+        font-size: 11px;
+        font-weight: 600;
+        white-space: nowrap;
+      }
+
+      .fg-review-confidence-high { background: #10b981; color: #06281d; }
+      .fg-review-confidence-medium { background: #f59e0b; color: #1a1a2e; }
+      .fg-review-confidence-low { background: #ef4444; color: white; }
+      .fg-review-confidence-none { background: rgba(255, 255, 255, 0.15); color: rgba(255, 255, 255, 0.8); }
+
+      .fg-review-locate {
+        background: none;
+        border: 1px solid rgba(255, 255, 255, 0.3);
+        color: white;
+        padding: 2px 8px;
+        border-radius: 4px;
+        font-size: 11px;
+        cursor: pointer;
+      }
+
+      .fg-review-mapping {
+        display: flex;
+        gap: 8px;
+      }
+
+      .fg-review-mapping select,
+      .fg-review-mapping input {
+        flex: 1;
+        min-width: 0;
+        padding: 6px 8px;
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid rgba(255, 255, 255, 0.2);
+        border-radius: 4px;
+        color: white;
+        font-size: 12px;
+      }
+
+      .fg-review-mapping option {
+        color: black;
+      }
+
+      .fg-review-footer {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+        padding: 12px 20px;
+        border-top: 1px solid rgba(255, 255, 255, 0.1);
+      }
+
+      .fg-review-btn {
+        border: none;
+        padding: 8px 16px;
+        border-radius: 6px;
+        font-weight: 600;
+        cursor: pointer;
+      }
+
+      .fg-review-cancel {
+        background: rgba(255, 255, 255, 0.1);
+        color: white;
+      }
+
+      .fg-review-confirm {
+        background: #3b82f6;
+        color: white;
+      }
+
+      .fg-review-confirm:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+    `;
+
+    document.head.appendChild(styles);
+  }
+};
+
+// Listen for review requests from the service worker
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'REVIEW_MAPPINGS') {
+    MappingReviewPanel.show(message.review)
+      .then(result => sendResponse({ success: true, ...result }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true; // Async response
+  }
+});
+
+// Expose to global scope
+window.MappingReviewPanel = MappingReviewPanel;
+
+console.log('FormGhost Mapping Review: Loaded');
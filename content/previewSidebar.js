@@ -370,7 +370,8 @@ const PreviewSidebar = {
       newTab: '&#43;', // plus
       switchTab: '&#8644;', // switch
       closeTab: '&#10005;', // close
-      assertion: '&#10003;' // check
+      assertion: '&#10003;', // check
+      extract: '&#8676;' // pull
     };
     return icons[type] || '&#9654;';
   },
@@ -393,7 +394,8 @@ const PreviewSidebar = {
       newTab: 'tab',
       switchTab: 'tab',
       closeTab: 'tab',
-      assertion: 'assert'
+      assertion: 'assert',
+      extract: 'type'
     };
     return classes[type] || 'click';
   },
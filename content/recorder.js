@@ -14,7 +14,8 @@ const RecorderState = {
   inputBuffer: new Map(), // Track input changes
   actionCounter: 0,
   consoleMessages: [],
-  networkIntercepted: false
+  networkIntercepted: false,
+  redactionRules: null // Built from settings when recording starts
 };
 
 /**
@@ -45,6 +46,35 @@ function shouldIgnoreNetworkRequest(url) {
   return IGNORED_NETWORK_PATTERNS.some(pattern => url.includes(pattern));
 }
 
+/**
+ * Masks secrets in a captured body before it leaves the page
+ * @param {any} body - Request/response body
+ * @returns {any}
+ */
+function redactBody(body) {
+  const redaction = window.FormGhostRedaction;
+  return redaction ? redaction.redactBody(body, RecorderState.redactionRules) : body;
+}
+
+/**
+ * Collects request headers into a plain object with secrets masked
+ * @param {Headers|Object|Array} headers - fetch() headers in any form
+ * @returns {Object|null}
+ */
+function captureHeaders(headers) {
+  if (!headers) return null;
+  const collected = {};
+  try {
+    new Headers(headers).forEach((value, name) => {
+      collected[name] = value;
+    });
+  } catch (e) {
+    return null;
+  }
+  const redaction = window.FormGhostRedaction;
+  return redaction ? redaction.redactHeaders(collected, RecorderState.redactionRules) : collected;
+}
+
 /**
  * Truncates large bodies for storage efficiency
  * @param {any} body - Request/response body
@@ -87,11 +117,13 @@ function setupNetworkInterception() {
     try {
       if (options.body) {
         if (typeof options.body === 'string') {
-          requestBody = truncateBody(options.body);
+          requestBody = truncateBody(redactBody(options.body));
         } else if (options.body instanceof FormData) {
           requestBody = '[FormData]';
+        } else if (options.body instanceof URLSearchParams) {
+          requestBody = truncateBody(redactBody(options.body.toString()));
         } else {
-          requestBody = truncateBody(options.body);
+          requestBody = truncateBody(redactBody(options.body));
         }
       }
     } catch (e) {
@@ -112,9 +144,10 @@ function setupNetworkInterception() {
               url,
               method: options.method || 'GET',
               type: 'fetch',
+              requestHeaders: captureHeaders(options.headers),
               requestBody,
               responseStatus: response.status,
-              responseBody: truncateBody(text),
+              responseBody: truncateBody(redactBody(text)),
               timing: {
                 started: startTime,
                 ended: Date.now(),
@@ -135,12 +168,22 @@ function setupNetworkInterception() {
   const originalXHROpen = XMLHttpRequest.prototype.open;
   const originalXHRSend = XMLHttpRequest.prototype.send;
 
+  const originalXHRSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
+
   XMLHttpRequest.prototype.open = function(method, url, ...rest) {
     this._recorderMethod = method;
     this._recorderUrl = url;
+    this._recorderHeaders = {};
     return originalXHROpen.apply(this, [method, url, ...rest]);
   };
 
+  XMLHttpRequest.prototype.setRequestHeader = function(name, value) {
+    if (this._recorderHeaders) {
+      this._recorderHeaders[name] = value;
+    }
+    return originalXHRSetRequestHeader.apply(this, arguments);
+  };
+
   XMLHttpRequest.prototype.send = function(body) {
     const xhr = this;
     const startTime = Date.now();
@@ -151,7 +194,7 @@ function setupNetworkInterception() {
       return originalXHRSend.apply(this, arguments);
     }
 
-    const requestBody = truncateBody(body);
+    const requestBody = truncateBody(redactBody(body));
 
     xhr.addEventListener('load', function() {
       if (RecorderState.isRecording && RecorderState.settings?.captureNetwork) {
@@ -162,9 +205,10 @@ function setupNetworkInterception() {
             url,
             method,
             type: 'xhr',
+            requestHeaders: captureHeaders(xhr._recorderHeaders),
             requestBody,
             responseStatus: xhr.status,
-            responseBody: truncateBody(xhr.responseText),
+            responseBody: truncateBody(redactBody(xhr.responseText)),
             timing: {
               started: startTime,
               ended: Date.now(),
@@ -334,8 +378,13 @@ function sendAction(action) {
   RecorderState.lastActionTime = now;
   RecorderState.actionCounter++;
 
+  // Secrets are masked before the action leaves the page
+  const redacted = window.FormGhostRedaction
+    ? window.FormGhostRedaction.redactAction(action, RecorderState.redactionRules)
+    : action;
+
   const fullAction = {
-    ...action,
+    ...redacted,
     timing: {
       sinceLastAction: timeSinceLastAction,
       actionIndex: RecorderState.actionCounter
@@ -374,6 +423,7 @@ function flushInputBuffer(element) {
       element: elementInfo,
       value: buffer.value,
       valueBefore: buffer.initialValue,
+      ...(buffer.sensitive ? { redacted: true } : {}),
       timestamp: buffer.lastInputTime
     });
   }
@@ -396,6 +446,11 @@ function handleClick(event) {
     flushInputBuffer(element);
   }
 
+  // Picking an option in a custom dropdown is recorded as a select step on
+  // the dropdown, so replay can find the option again by its label
+  const option = target.closest('[role="option"]');
+  if (option && recordDropdownSelection(option)) return;
+
   const elementInfo = window.PuppeteerRecorderSelectors?.getElementInfo(target);
   if (!elementInfo) return;
 
@@ -422,6 +477,49 @@ function handleClick(event) {
   });
 }
 
+/**
+ * Records a click on a custom dropdown option as a select step
+ * @param {Element} option - Clicked [role="option"] element
+ * @returns {boolean} True if the click was recorded as a selection
+ */
+function recordDropdownSelection(option) {
+  const listbox = option.closest('[role="listbox"]');
+  if (!listbox) return false;
+
+  const dropdown = findDropdownForListbox(listbox);
+  const elementInfo = window.PuppeteerRecorderSelectors?.getElementInfo(dropdown);
+  if (!elementInfo) return false;
+
+  const text = option.textContent.replace(/\s+/g, ' ').trim();
+  sendAction({
+    type: 'select',
+    widget: 'combobox',
+    element: elementInfo,
+    value: text,
+    selectedOptions: [{ value: option.getAttribute('data-value') || text, text }],
+    timestamp: Date.now()
+  });
+  return true;
+}
+
+/**
+ * Finds the combobox that owns a listbox (popups are often rendered
+ * elsewhere in the page and linked with aria-controls / aria-owns)
+ * @param {Element} listbox - Listbox element
+ * @returns {Element} The owning dropdown, or the listbox itself
+ */
+function findDropdownForListbox(listbox) {
+  if (listbox.id) {
+    const id = CSS.escape(listbox.id);
+    const owner = document.querySelector(`[aria-controls~="${id}"], [aria-owns~="${id}"]`);
+    if (owner) return owner.parentElement?.closest('[role="combobox"]') || owner;
+  }
+
+  return listbox.closest('[role="combobox"]') ||
+    document.querySelector('[role="combobox"][aria-expanded="true"], [aria-haspopup="listbox"][aria-expanded="true"]') ||
+    listbox;
+}
+
 /**
  * Handles double-click events
  * @param {MouseEvent} event - Double click event
@@ -479,7 +577,11 @@ function handleInput(event) {
     RecorderState.inputBuffer.set(key, buffer);
   }
 
-  buffer.value = target.value || target.textContent;
+  // Don't keep secrets in the buffer; the action carries a {{variable}} instead
+  const value = target.value || target.textContent;
+  const sensitive = window.FormGhostRedaction?.isSensitiveElement(target, RecorderState.redactionRules);
+  buffer.value = sensitive && value ? window.FormGhostRedaction.REDACTED : value;
+  buffer.sensitive = !!sensitive;
   buffer.lastInputTime = Date.now();
 }
 
@@ -776,6 +878,7 @@ function startRecording(settings) {
   console.log('Recording state set to true');
   RecorderState.isPaused = false;
   RecorderState.settings = settings;
+  RecorderState.redactionRules = window.FormGhostRedaction?.getRules(settings || {}) || null;
   RecorderState.lastActionTime = Date.now();
   RecorderState.inputBuffer.clear();
   RecorderState.actionCounter = 0;
@@ -937,6 +1040,11 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       sendResponse({ localStorage: getLocalStorage() });
       return true;
 
+    case 'GET_FRAME_PATH':
+      // Lets replay find the frame a step was recorded in
+      sendResponse({ framePath: getFramePath(), url: window.location.href });
+      return true;
+
     default:
       // Don't respond to messages we don't handle
       return false;
@@ -950,7 +1058,8 @@ window.PuppeteerRecorder = {
   resume: resumeRecording,
   stop: stopRecording,
   isRecording: () => RecorderState.isRecording,
-  isPaused: () => RecorderState.isPaused
+  isPaused: () => RecorderState.isPaused,
+  createContext
 };
 
 console.log('Puppeteer Recorder Pro: Content script loaded on', window.location.href);
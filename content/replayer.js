@@ -12,9 +12,37 @@ const REPLAY_CONFIG = {
   RETRY_DELAY: 500,
   STEP_DELAY: 100,
   HIGHLIGHT_DURATION: 500,
-  TYPE_CHAR_DELAY: 10
+  TYPE_CHAR_DELAY: 10,
+  ASSERTION_TIMEOUT: 5000,
+  ASSERTION_POLL_INTERVAL: 100,
+  CONDITION_TIMEOUT: 2000,
+  MAX_LOOP_ITERATIONS: 100
 };
 
+/**
+ * Control-flow step types. Blocks are stored inline in the flat actions
+ * array (condition ... else ... endCondition, repeat ... endRepeat) so step
+ * indices stay stable for the service worker's cursor and the editor's list.
+ * The service worker expands callWorkflow steps into
+ * callWorkflow ... callee steps ... endCallWorkflow before replay.
+ */
+const CONTROL_FLOW = {
+  OPENERS: ['condition', 'repeat', 'callWorkflow'],
+  CLOSERS: ['endCondition', 'endRepeat', 'endCallWorkflow'],
+  STEPS: ['condition', 'else', 'endCondition', 'repeat', 'endRepeat', 'callWorkflow', 'endCallWorkflow']
+};
+
+/**
+ * Step types carried out by the service worker, which opens, focuses or
+ * closes the tab and restarts replay from the next step in the current tab
+ */
+const TAB_STEPS = ['newTab', 'switchTab', 'closeTab'];
+
+/**
+ * Matches {{name}} and {{name.path}} placeholders (loop items expose fields)
+ */
+const VARIABLE_REFERENCE = /\{\{([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z0-9_]+)*)\}\}/g;
+
 /**
  * FormGhost Replayer - Core replay engine
  */
@@ -28,7 +56,11 @@ const FormGhostReplayer = {
     totalSteps: 0,
     workflow: null,
     variables: {},
+    extracted: {},
     options: {},
+    assertionsByAction: new Map(),
+    loopStack: [],
+    lastSelectorMatch: null,
     abortController: null
   },
 
@@ -46,6 +78,8 @@ const FormGhostReplayer = {
       stopOnError: false,
       highlightElements: true,
       startFromStep: 0,
+      assertionTimeout: REPLAY_CONFIG.ASSERTION_TIMEOUT,
+      repairSelectors: true,
       ...options
     };
 
@@ -58,17 +92,35 @@ const FormGhostReplayer = {
       workflow: workflowJson,
       variables: variables,
       options: mergedOptions,
+      assertionsByAction: this.groupAssertionsByAction(workflowJson.assertions),
+      loopStack: mergedOptions.resumeLoopStack || [],
+      lastSelectorMatch: null,
       abortController: new AbortController()
     };
 
-    const results = {
-      success: true,
-      stepsExecuted: 0,
-      stepResults: [],
-      errors: [],
-      startTime: Date.now(),
-      endTime: null
-    };
+    // When resuming after a page navigation, continue the results collected
+    // by the replayer that ran in the previous document
+    const results = mergedOptions.resumeResults
+      ? { ...mergedOptions.resumeResults, endTime: null }
+      : {
+          success: true,
+          stepsExecuted: 0,
+          stepResults: [],
+          errors: [],
+          assertionsPassed: 0,
+          assertionsFailed: 0,
+          extracted: {},
+          startTime: Date.now(),
+          endTime: null
+        };
+
+    // Extract steps write into the results, so values read before a page
+    // navigation are still available to the steps after it
+    results.extracted = { ...(results.extracted || {}) };
+    this.state.extracted = results.extracted;
+
+    // Set when a tab step passes replay on to the service worker
+    let handedOff = false;
 
     // Start wait detector for stability checking
     if (window.PuppeteerRecorderWaitDetector) {
@@ -82,8 +134,30 @@ const FormGhostReplayer = {
 
     try {
       const actions = workflowJson.actions || [];
+      let halted = false;
+
+      // Finish the step whose execution navigated the previous document
+      const resumeAfterStep = mergedOptions.resumeAfterStep;
+      if (resumeAfterStep !== null && resumeAfterStep !== undefined && actions[resumeAfterStep]) {
+        if (mergedOptions.navigatedDuringStep) {
+          results.stepResults.push({
+            stepIndex: resumeAfterStep,
+            actionType: actions[resumeAfterStep].type,
+            success: true,
+            error: null,
+            navigated: true,
+            executionTime: 0
+          });
+          results.stepsExecuted++;
+        }
 
-      for (let i = this.state.currentStepIndex; i < actions.length; i++) {
+        const assertionsPassed = await this.runStepAssertions(
+          actions[resumeAfterStep], resumeAfterStep, this.getScopedVariables(variables), results
+        );
+        halted = !assertionsPassed && mergedOptions.stopOnError;
+      }
+
+      for (let i = this.state.currentStepIndex; i < actions.length && !halted; i++) {
         // Check for abort
         if (this.state.abortController.signal.aborted) {
           results.success = false;
@@ -114,7 +188,35 @@ const FormGhostReplayer = {
         }
 
         const action = actions[i];
-        const stepResult = await this.executeStep(action, variables);
+        const stepVariables = this.getScopedVariables(variables);
+
+        if (TAB_STEPS.includes(action.type)) {
+          this.handOffTabStep(i, action, results);
+          handedOff = true;
+          break;
+        }
+
+        // Control-flow steps move the cursor instead of acting on the page
+        if (CONTROL_FLOW.STEPS.includes(action.type)) {
+          const { stepResult, nextIndex } = await this.executeControlStep(action, i, actions, stepVariables);
+          results.stepResults.push(stepResult);
+          results.stepsExecuted++;
+
+          if (!stepResult.success) {
+            results.success = false;
+            results.errors.push({ step: i, error: stepResult.error, action: action.type });
+            await this.reportStepFailure(i, stepResult.error);
+            if (mergedOptions.stopOnError) break;
+          }
+
+          this.broadcastStepResult(i, results);
+          i = nextIndex - 1;
+          continue;
+        }
+
+        const stepResult = this.isFrameStep(action)
+          ? await this.executeStepInFrame(action, stepVariables)
+          : await this.executeStep(action, stepVariables);
 
         results.stepResults.push(stepResult);
         results.stepsExecuted++;
@@ -125,6 +227,7 @@ const FormGhostReplayer = {
             error: stepResult.error,
             action: action.type
           });
+          await this.reportStepFailure(i, stepResult.error);
 
           if (mergedOptions.stopOnError) {
             results.success = false;
@@ -132,6 +235,16 @@ const FormGhostReplayer = {
           }
         }
 
+        // Let the service worker know the step finished, in case the page
+        // unloads before the remaining steps run
+        this.broadcastStepResult(i, results);
+
+        // Verify assertions recorded after this step
+        const assertionsPassed = await this.runStepAssertions(action, i, stepVariables, results);
+        if (!assertionsPassed && mergedOptions.stopOnError) {
+          break;
+        }
+
         // Delay between steps
         if (i < actions.length - 1) {
           await this.sleep(mergedOptions.stepDelay);
@@ -158,8 +271,10 @@ const FormGhostReplayer = {
         window.FormGhostReplayOverlay.hideProgress();
       }
 
-      // Broadcast completion
-      this.broadcastComplete(results);
+      // Broadcast completion (a handed-off replay continues elsewhere)
+      if (!handedOff) {
+        this.broadcastComplete(results);
+      }
     }
 
     return results;
@@ -205,10 +320,16 @@ const FormGhostReplayer = {
 
       // Find the target element (if needed)
       let element = null;
+      let fallbackMatch = null;
       if (this.actionRequiresElement(step.type)) {
         element = await this.findElement(step.element?.selectors, step);
         result.elementFound = !!element;
 
+        // Found, but only after higher-ranked selectors failed
+        if (element && this.state.lastSelectorMatch?.rank > 0) {
+          fallbackMatch = this.state.lastSelectorMatch.selector;
+        }
+
         if (!element) {
           // Element not found - trigger manual takeover
           const decision = await this.showTakeoverPrompt(step, 'Element not found');
@@ -217,7 +338,10 @@ const FormGhostReplayer = {
             throw new Error('User cancelled replay - element not found');
           }
           if (decision === 'takeover') {
-            await this.handleTakeover(step);
+            const target = await this.handleTakeover(step);
+            if (target && !this.state.abortController.signal.aborted) {
+              result.selectorRepaired = this.proposeSelectorRepair(step, target, 'takeover', null);
+            }
             result.success = true;
             result.executionTime = Date.now() - startTime;
             return result;
@@ -240,10 +364,15 @@ const FormGhostReplayer = {
       // Apply variable substitution to value
       const processedValue = this.injectValue(step.value, variables);
 
-      // Execute the action
+      // Execute the action. A navigation from here on is the step's doing.
+      await this.reportStepDispatched(this.state.currentStepIndex);
       await this.performAction(step.type, element, processedValue, step);
 
       result.success = true;
+
+      if (fallbackMatch) {
+        result.selectorRepaired = this.proposeSelectorRepair(step, element, 'fallback', fallbackMatch);
+      }
     } catch (error) {
       result.error = error.message;
       result.success = false;
@@ -254,6 +383,479 @@ const FormGhostReplayer = {
     return result;
   },
 
+  /**
+   * Checks whether a step or assertion was recorded inside an iframe and
+   * must run in the replayer of that frame rather than this (top) document
+   */
+  isFrameStep(step) {
+    return window.self === window.top && Array.isArray(step.context?.framePath) &&
+      step.context.framePath.length > 0;
+  },
+
+  /**
+   * Hands a step, assertion or condition to the replayer of the frame it was
+   * recorded in. The service worker finds the frame by its recorded path.
+   * @param {Object} step - Step or assertion with context.framePath
+   * @param {string} operation - 'step', 'assertion' or 'condition'
+   * @param {Object} variables - Variable values for substitution
+   * @returns {Promise<Object>} Result from the frame
+   * @throws {Error} When the frame could not be reached
+   */
+  async runInFrame(step, operation, variables) {
+    const { timeout, highlightElements, repairSelectors, assertionTimeout, conditionTimeout } = this.state.options;
+
+    const response = await chrome.runtime.sendMessage({
+      type: 'REPLAY_FRAME_STEP',
+      operation,
+      step,
+      stepIndex: this.state.currentStepIndex,
+      variables,
+      options: { timeout, highlightElements, repairSelectors, assertionTimeout, conditionTimeout }
+    });
+
+    if (!response?.success) {
+      throw new Error(response?.error || 'Frame did not run the step');
+    }
+    return response.stepResult;
+  },
+
+  /**
+   * Runs a step in the frame it was recorded in
+   * @param {Object} step - Step with context.framePath
+   * @param {Object} variables - Variable values for substitution
+   * @returns {Promise<Object>} Step result from the frame
+   */
+  async executeStepInFrame(step, variables) {
+    const startTime = Date.now();
+
+    try {
+      const stepResult = await this.runInFrame(step, 'step', variables);
+      if (stepResult.cancelled) {
+        this.cancel();
+      }
+      // The frame's replayer read the value; later steps run up here
+      if (step.type === 'extract' && stepResult.success) {
+        this.state.extracted[step.variable] = stepResult.extractedValue;
+        delete stepResult.extractedValue;
+      }
+      return { ...stepResult, framePath: step.context.framePath };
+    } catch (error) {
+      console.error(`Step ${this.state.currentStepIndex} failed in frame:`, error);
+      return {
+        stepIndex: this.state.currentStepIndex,
+        actionType: step.type,
+        success: false,
+        error: error.message,
+        elementFound: false,
+        framePath: step.context.framePath,
+        executionTime: Date.now() - startTime
+      };
+    }
+  },
+
+  /**
+   * Evaluates an assertion in the frame it was recorded in
+   * @returns {Promise<{passed: boolean, actual: *, message: string}>}
+   */
+  async evaluateAssertionInFrame(assertion, variables) {
+    try {
+      return await this.runInFrame(assertion, 'assertion', variables);
+    } catch (error) {
+      return { passed: false, actual: null, message: error.message };
+    }
+  },
+
+  /**
+   * Evaluates a condition in the frame its element was recorded in. A frame
+   * that can't be reached counts as the condition not being met.
+   * @returns {Promise<boolean>}
+   */
+  async evaluateConditionInFrame(step, variables) {
+    try {
+      const { met } = await this.runInFrame(step, 'condition', variables);
+      return met;
+    } catch (error) {
+      console.debug('Condition check failed in frame:', error.message);
+      return !!step.negate;
+    }
+  },
+
+  /**
+   * Runs one step, assertion or condition relayed from the top document's
+   * replayer
+   * @param {Object} step - The action step, assertion or condition step
+   * @param {number} stepIndex - Index in the workflow
+   * @param {Object} variables - Variable values for substitution
+   * @param {Object} options - Replay options of the running replay
+   * @param {string} [operation] - 'step' (default), 'assertion' or 'condition'
+   * @returns {Promise<Object>} Step result, assertion outcome or {met}
+   */
+  async executeFrameStep(step, stepIndex, variables, options = {}, operation = 'step') {
+    this.state = {
+      ...this.state,
+      isReplaying: true,
+      isPaused: false,
+      isTakeover: false,
+      currentStepIndex: stepIndex,
+      variables,
+      extracted: {},
+      options: {
+        timeout: REPLAY_CONFIG.DEFAULT_TIMEOUT,
+        highlightElements: true,
+        assertionTimeout: REPLAY_CONFIG.ASSERTION_TIMEOUT,
+        repairSelectors: true,
+        ...options
+      },
+      lastSelectorMatch: null,
+      abortController: new AbortController()
+    };
+
+    try {
+      if (operation === 'assertion') {
+        return await this.evaluateAssertion(step, variables);
+      }
+      if (operation === 'condition') {
+        return { met: await this.evaluateCondition(step, variables) };
+      }
+
+      const result = await this.executeStep(step, variables);
+      // The user cancelled from a prompt shown inside the frame
+      if (this.state.abortController.signal.aborted) {
+        result.cancelled = true;
+      }
+      if (step.type === 'extract' && result.success) {
+        result.extractedValue = this.state.extracted[step.variable];
+      }
+      return result;
+    } finally {
+      this.state.isReplaying = false;
+    }
+  },
+
+  /**
+   * Executes a control-flow step and works out where the replay continues
+   * @param {Object} step - condition, else, endCondition, repeat or endRepeat step
+   * @param {number} index - Index of the step
+   * @param {Array} actions - All workflow actions
+   * @param {Object} variables - Variable values for substitution
+   * @returns {Promise<{stepResult: Object, nextIndex: number}>}
+   */
+  async executeControlStep(step, index, actions, variables) {
+    const startTime = Date.now();
+    const stepResult = {
+      stepIndex: index,
+      actionType: step.type,
+      success: true,
+      error: null,
+      executionTime: 0
+    };
+    let nextIndex = index + 1;
+
+    switch (step.type) {
+      case 'condition': {
+        const met = this.isFrameStep(step)
+          ? await this.evaluateConditionInFrame(step, variables)
+          : await this.evaluateCondition(step, variables);
+        stepResult.conditionMet = met;
+        if (!met) {
+          // Skip the "then" branch - continue after the else marker, or past the block
+          const target = this.findMatchingStep(actions, index, ['else', 'endCondition']);
+          nextIndex = target + 1;
+        }
+        break;
+      }
+
+      case 'else':
+        // Reached the end of a "then" branch - skip the "else" branch
+        nextIndex = this.findMatchingStep(actions, index, ['endCondition']) + 1;
+        break;
+
+      case 'repeat': {
+        const frame = this.createLoopFrame(step, index, variables);
+        stepResult.iterations = frame.total;
+        if (frame.total > frame.maxIterations) {
+          stepResult.success = false;
+          stepResult.error = `Repeat block needs ${frame.total} iterations, more than the limit of ${frame.maxIterations}`;
+          nextIndex = this.findMatchingStep(actions, index, ['endRepeat']) + 1;
+        } else if (await this.shouldContinueLoop(frame, false)) {
+          this.state.loopStack.push(frame);
+        } else {
+          // Nothing to repeat - continue after the block
+          nextIndex = this.findMatchingStep(actions, index, ['endRepeat']) + 1;
+        }
+        break;
+      }
+
+      case 'endRepeat': {
+        const frame = this.state.loopStack[this.state.loopStack.length - 1];
+        if (!frame) break;
+
+        frame.iteration++;
+        stepResult.iteration = frame.iteration;
+        if (await this.shouldContinueLoop(frame, true)) {
+          nextIndex = frame.startIndex + 1;
+        } else {
+          this.state.loopStack.pop();
+          if (frame.limitReached) {
+            stepResult.success = false;
+            stepResult.error = `Repeat block stopped after ${frame.maxIterations} iterations with the element still on the page`;
+          }
+        }
+        break;
+      }
+
+      case 'callWorkflow': {
+        if (step.expandError) {
+          // The service worker could not inline the callee
+          stepResult.success = false;
+          stepResult.error = step.expandError;
+          nextIndex = this.findMatchingStep(actions, index, ['endCallWorkflow']) + 1;
+          break;
+        }
+
+        // Callee variables come from the mapping, evaluated in the caller's scope
+        const mapped = {};
+        Object.entries(step.variableMap || {}).forEach(([name, expression]) => {
+          mapped[name] = this.injectValue(String(expression ?? ''), variables);
+        });
+        stepResult.workflowId = step.workflowId;
+        this.state.loopStack.push({ kind: 'call', startIndex: index, workflowId: step.workflowId, variables: mapped });
+        break;
+      }
+
+      case 'endCallWorkflow': {
+        const frame = this.state.loopStack[this.state.loopStack.length - 1];
+        if (frame?.kind === 'call') {
+          this.state.loopStack.pop();
+        }
+        break;
+      }
+
+      case 'endCondition':
+      default:
+        break;
+    }
+
+    stepResult.executionTime = Date.now() - startTime;
+    return { stepResult, nextIndex };
+  },
+
+  /**
+   * Builds the loop state for a repeat step
+   * @param {Object} step - The repeat step
+   * @param {number} index - Index of the step
+   * @param {Object} variables - Variable values (for list mode)
+   * @returns {Object} Loop frame
+   */
+  createLoopFrame(step, index, variables) {
+    const frame = {
+      kind: 'loop',
+      startIndex: index,
+      mode: step.repeatMode || 'count',
+      iteration: 0,
+      total: null,
+      items: null,
+      selectors: null,
+      maxIterations: step.maxIterations || REPLAY_CONFIG.MAX_LOOP_ITERATIONS
+    };
+
+    switch (frame.mode) {
+      case 'list':
+        frame.items = this.parseListValue(variables?.[step.variable]);
+        frame.total = frame.items.length;
+        break;
+
+      case 'untilGone':
+        frame.selectors = step.element?.selectors || [];
+        break;
+
+      case 'count':
+      default:
+        frame.total = parseInt(this.injectValue(String(step.count ?? ''), variables), 10) || 0;
+    }
+
+    return frame;
+  },
+
+  /**
+   * Decides whether a loop runs (again). Count and list totals are checked
+   * against the iteration limit before the loop starts; an untilGone loop
+   * that reaches it sets frame.limitReached.
+   * @param {Object} frame - Loop frame
+   * @param {boolean} afterIteration - True when called at the end of an iteration
+   * @returns {Promise<boolean>}
+   */
+  async shouldContinueLoop(frame, afterIteration) {
+    if (frame.mode !== 'untilGone') {
+      return frame.iteration < frame.total;
+    }
+
+    // Give the page a moment to remove the element after an iteration
+    const timeout = afterIteration ? REPLAY_CONFIG.CONDITION_TIMEOUT : 0;
+    const startTime = Date.now();
+    while (this.queryElementNow(frame.selectors)) {
+      if (Date.now() - startTime >= timeout) {
+        if (frame.iteration >= frame.maxIterations) {
+          frame.limitReached = true;
+          return false;
+        }
+        return true;
+      }
+      if (this.state.abortController?.signal.aborted) return false;
+      await this.sleep(REPLAY_CONFIG.ASSERTION_POLL_INTERVAL);
+    }
+    return false;
+  },
+
+  /**
+   * Turns a list-valued variable into an array of rows. Accepts arrays,
+   * JSON arrays and newline-separated text.
+   * @param {*} value - Variable value
+   * @returns {Array}
+   */
+  parseListValue(value) {
+    if (Array.isArray(value)) return value;
+    if (value === null || value === undefined || value === '') return [];
+
+    if (typeof value === 'string') {
+      const trimmed = value.trim();
+      if (trimmed.startsWith('[')) {
+        try {
+          const parsed = JSON.parse(trimmed);
+          if (Array.isArray(parsed)) return parsed;
+        } catch (e) {
+          // Not JSON - fall through to line splitting
+        }
+      }
+      return trimmed.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    }
+
+    return [value];
+  },
+
+  /**
+   * Builds the variables visible to a step: values read by extract steps
+   * override the workflow's, variables mapped into enclosing called
+   * workflows override both, and the innermost loop adds
+   * {{item}} (the current row, or 1-based iteration number) and
+   * {{itemIndex}} (the 0-based iteration).
+   * @param {Object} variables - Workflow variables
+   * @returns {Object} Variables for the current step
+   */
+  getScopedVariables(variables) {
+    let scoped = { ...variables, ...this.state.extracted };
+    if (this.state.loopStack.length === 0) return scoped;
+
+    let loop = null;
+    this.state.loopStack.forEach(frame => {
+      if (frame.kind === 'call') {
+        scoped = { ...scoped, ...frame.variables };
+      } else {
+        loop = frame;
+      }
+    });
+
+    if (!loop) return scoped;
+
+    return {
+      ...scoped,
+      item: loop.items ? loop.items[loop.iteration] : loop.iteration + 1,
+      itemIndex: loop.iteration
+    };
+  },
+
+  /**
+   * Finds the next step of one of the given types at the same block depth
+   * @param {Array} actions - All workflow actions
+   * @param {number} fromIndex - Index of the block's opening (or middle) step
+   * @param {Array<string>} targetTypes - Step types to look for
+   * @returns {number} Index of the match, or actions.length if unterminated
+   */
+  findMatchingStep(actions, fromIndex, targetTypes) {
+    let depth = 0;
+
+    for (let j = fromIndex + 1; j < actions.length; j++) {
+      const type = actions[j].type;
+      if (CONTROL_FLOW.OPENERS.includes(type)) {
+        depth++;
+      } else if (depth > 0 && CONTROL_FLOW.CLOSERS.includes(type)) {
+        depth--;
+      } else if (depth === 0 && targetTypes.includes(type)) {
+        return j;
+      }
+    }
+
+    return actions.length;
+  },
+
+  /**
+   * Evaluates a condition step. Page conditions are polled briefly so that
+   * late-appearing banners and interstitials are still detected.
+   * @param {Object} step - The condition step
+   * @param {Object} variables - Variable values for substitution
+   * @returns {Promise<boolean>}
+   */
+  async evaluateCondition(step, variables) {
+    const timeout = step.timeout ?? this.state.options.conditionTimeout ?? REPLAY_CONFIG.CONDITION_TIMEOUT;
+    const startTime = Date.now();
+    let met = false;
+
+    while (true) {
+      try {
+        met = this.checkCondition(step, variables);
+      } catch (e) {
+        console.debug('Condition check failed:', e.message);
+        met = false;
+      }
+
+      if (met || step.conditionType === 'variableEquals') break;
+      if (this.state.abortController?.signal.aborted) break;
+      if (Date.now() - startTime >= timeout) break;
+
+      await this.sleep(REPLAY_CONFIG.ASSERTION_POLL_INTERVAL);
+    }
+
+    return step.negate ? !met : met;
+  },
+
+  /**
+   * Checks a condition once against the current page
+   * @param {Object} step - The condition step
+   * @param {Object} variables - Variable values for substitution
+   * @returns {boolean}
+   */
+  checkCondition(step, variables) {
+    const value = this.injectValue(step.value, variables) ?? '';
+
+    switch (step.conditionType) {
+      case 'elementPresent':
+        return !!this.queryElementNow(step.element?.selectors);
+
+      case 'elementVisible':
+        return this.isElementVisible(this.queryElementNow(step.element?.selectors));
+
+      case 'urlMatches': {
+        const regexMatch = value.match(/^\/(.+)\/([a-z]*)$/);
+        return regexMatch
+          ? new RegExp(regexMatch[1], regexMatch[2]).test(window.location.href)
+          : window.location.href.includes(value);
+      }
+
+      case 'variableEquals':
+        return String(variables?.[step.variable] ?? '') === String(value);
+
+      case 'textContains': {
+        const scope = step.element?.selectors?.length
+          ? this.queryElementNow(step.element.selectors)
+          : document.body;
+        return !!scope && (scope.textContent || '').includes(value);
+      }
+
+      default:
+        throw new Error(`Unknown condition type: ${step.conditionType}`);
+    }
+  },
+
   /**
    * Finds an element using multiple selector strategies
    * @param {Array} selectors - Array of {strategy, value, confidence} objects
@@ -261,6 +863,7 @@ const FormGhostReplayer = {
    * @returns {Promise<Element|null>}
    */
   async findElement(selectors, step) {
+    this.state.lastSelectorMatch = null;
     if (!selectors || selectors.length === 0) return null;
 
     // Sort by confidence (highest first)
@@ -304,6 +907,7 @@ const FormGhostReplayer = {
           }
 
           if (element && this.isElementInteractable(element)) {
+            this.state.lastSelectorMatch = { selector, rank: sortedSelectors.indexOf(selector) };
             return element;
           }
         } catch (e) {
@@ -629,6 +1233,18 @@ const FormGhostReplayer = {
         await this.performSubmit(element);
         break;
 
+      case 'assertion': {
+        const result = await this.evaluateAssertion(step.assertion || step, this.state.variables);
+        if (!result.passed) {
+          throw new Error(result.message);
+        }
+        break;
+      }
+
+      case 'extract':
+        await this.performExtract(step);
+        break;
+
       default:
         console.warn(`Unknown action type: ${type}`);
     }
@@ -693,37 +1309,14 @@ const FormGhostReplayer = {
    * Performs a type action
    */
   async performType(element, value, step) {
-    // Focus the element
-    element.focus();
-    await this.sleep(50);
-
-    // Clear existing value
-    if ('value' in element) {
-      element.value = '';
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-    } else if (element.isContentEditable) {
-      element.textContent = '';
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-    }
-
-    // Type character by character for realistic simulation
-    for (const char of (value || '')) {
-      if ('value' in element) {
-        element.value += char;
-      } else if (element.isContentEditable) {
-        element.textContent += char;
-      }
-
-      element.dispatchEvent(new KeyboardEvent('keydown', { key: char, bubbles: true }));
-      element.dispatchEvent(new KeyboardEvent('keypress', { key: char, bubbles: true }));
-      element.dispatchEvent(new Event('input', { bubbles: true }));
-      element.dispatchEvent(new KeyboardEvent('keyup', { key: char, bubbles: true }));
-
-      await this.sleep(REPLAY_CONFIG.TYPE_CHAR_DELAY);
-    }
-
-    // Trigger change event
-    element.dispatchEvent(new Event('change', { bubbles: true }));
+    // Type character by character for realistic simulation. Focus stays
+    // put: the next recorded step moves it, as the user did (blurring here
+    // would close autocomplete suggestions the next step clicks).
+    await window.FormGhostInputDriver.setValue(element, value || '', {
+      charByChar: true,
+      typeDelay: REPLAY_CONFIG.TYPE_CHAR_DELAY,
+      blur: false
+    });
   },
 
   /**
@@ -754,6 +1347,12 @@ const FormGhostReplayer = {
    * Performs a select action
    */
   async performSelect(element, value) {
+    // Custom dropdowns (ARIA combobox/listbox) are opened and picked by label
+    if (window.FormGhostDropdown?.isDropdown(element)) {
+      await window.FormGhostDropdown.select(element, value);
+      return;
+    }
+
     element.value = value;
     element.dispatchEvent(new Event('change', { bubbles: true }));
   },
@@ -866,6 +1465,371 @@ const FormGhostReplayer = {
     }
   },
 
+  // ============================================================================
+  // ASSERTION METHODS
+  // ============================================================================
+
+  /**
+   * Groups recorded assertions by the action they were captured after
+   * @param {Array} assertions - Assertions from the recording
+   * @returns {Map<string, Array>} Action ID -> assertions
+   */
+  groupAssertionsByAction(assertions) {
+    const map = new Map();
+    (assertions || []).forEach(assertion => {
+      if (!assertion.afterAction) return;
+      if (!map.has(assertion.afterAction)) {
+        map.set(assertion.afterAction, []);
+      }
+      map.get(assertion.afterAction).push(assertion);
+    });
+    return map;
+  },
+
+  /**
+   * Evaluates the assertions attached to a step and records their results
+   * @param {Object} action - The step that was just executed
+   * @param {number} stepIndex - Index of the step
+   * @param {Object} variables - Variable values for substitution
+   * @param {Object} results - Replay results to append to
+   * @returns {Promise<boolean>} True if every assertion passed
+   */
+  async runStepAssertions(action, stepIndex, variables, results) {
+    const assertions = this.state.assertionsByAction.get(action.id) || [];
+    let allPassed = true;
+
+    for (const assertion of assertions) {
+      if (this.state.abortController.signal.aborted) break;
+
+      const startTime = Date.now();
+      const outcome = this.isFrameStep(assertion)
+        ? await this.evaluateAssertionInFrame(assertion, variables)
+        : await this.evaluateAssertion(assertion, variables);
+
+      results.stepResults.push({
+        stepIndex,
+        actionType: 'assertion',
+        assertionId: assertion.id,
+        assertionType: assertion.assertionType,
+        description: assertion.description,
+        success: outcome.passed,
+        error: outcome.passed ? null : outcome.message,
+        actual: outcome.actual,
+        executionTime: Date.now() - startTime
+      });
+
+      if (outcome.passed) {
+        results.assertionsPassed++;
+        continue;
+      }
+
+      allPassed = false;
+      results.success = false;
+      results.assertionsFailed++;
+      results.errors.push({
+        step: stepIndex,
+        error: outcome.message,
+        action: 'assertion',
+        assertionId: assertion.id
+      });
+      await this.reportStepFailure(stepIndex, outcome.message);
+
+      if (this.state.options.stopOnError) break;
+    }
+
+    return allPassed;
+  },
+
+  /**
+   * Evaluates an assertion against the live page, retrying until it passes
+   * or the assertion timeout elapses
+   * @param {Object} assertion - Recorded assertion
+   * @param {Object} variables - Variable values for substitution
+   * @returns {Promise<{passed: boolean, actual: *, message: string}>}
+   */
+  async evaluateAssertion(assertion, variables) {
+    const timeout = this.state.options.assertionTimeout ?? REPLAY_CONFIG.ASSERTION_TIMEOUT;
+    const expected = this.injectValue(assertion.expected, variables);
+    const startTime = Date.now();
+    let outcome;
+
+    while (true) {
+      try {
+        outcome = this.checkAssertion(assertion, expected);
+      } catch (e) {
+        outcome = { passed: false, actual: null, message: e.message };
+      }
+
+      if (outcome.passed) return outcome;
+      if (this.state.abortController?.signal.aborted) break;
+      if (Date.now() - startTime >= timeout) break;
+
+      await this.sleep(REPLAY_CONFIG.ASSERTION_POLL_INTERVAL);
+    }
+
+    return outcome;
+  },
+
+  /**
+   * Checks an assertion once against the current DOM
+   * @param {Object} assertion - Recorded assertion
+   * @param {*} expected - Expected value with variables injected
+   * @returns {{passed: boolean, actual: *, message: string}}
+   */
+  checkAssertion(assertion, expected) {
+    const label = assertion.element?.humanLabel || 'element';
+    const element = this.queryElementNow(assertion.element?.selectors);
+    const fail = (actual, message) => ({ passed: false, actual, message });
+    const pass = (actual) => ({ passed: true, actual, message: null });
+
+    switch (assertion.assertionType) {
+      case 'visible':
+        return element && this.isElementVisible(element)
+          ? pass(true)
+          : fail(false, `Expected "${label}" to be visible`);
+
+      case 'hidden':
+        return !element || !this.isElementVisible(element)
+          ? pass(false)
+          : fail(true, `Expected "${label}" to be hidden`);
+
+      case 'count': {
+        const selector = assertion.selector || assertion.element?.recommended;
+        if (!selector) return fail(null, 'Count assertion has no selector');
+        const count = document.querySelectorAll(selector).length;
+        return count === Number(expected)
+          ? pass(count)
+          : fail(count, `Expected ${expected} elements matching "${selector}", found ${count}`);
+      }
+    }
+
+    if (!element) {
+      return fail(null, `Element not found for assertion: "${label}"`);
+    }
+
+    switch (assertion.assertionType) {
+      case 'text': {
+        const text = element.textContent?.trim() || '';
+        return text.includes(expected ?? '')
+          ? pass(text)
+          : fail(text, `Expected "${label}" to contain text "${expected}"`);
+      }
+
+      case 'value': {
+        const value = element.value ?? '';
+        return value === (expected ?? '')
+          ? pass(value)
+          : fail(value, `Expected "${label}" to have value "${expected}", got "${value}"`);
+      }
+
+      case 'attribute': {
+        const value = element.getAttribute(assertion.attributeName);
+        return value === expected
+          ? pass(value)
+          : fail(value, `Expected "${label}" to have ${assertion.attributeName}="${expected}", got "${value}"`);
+      }
+
+      case 'enabled': {
+        const enabled = !element.disabled;
+        return enabled === expected
+          ? pass(enabled)
+          : fail(enabled, `Expected "${label}" to be ${expected ? 'enabled' : 'disabled'}`);
+      }
+
+      case 'checked': {
+        const checked = !!element.checked;
+        return checked === expected
+          ? pass(checked)
+          : fail(checked, `Expected "${label}" to be ${expected ? 'checked' : 'unchecked'}`);
+      }
+
+      default:
+        return fail(null, `Unknown assertion type: ${assertion.assertionType}`);
+    }
+  },
+
+  // ============================================================================
+  // EXTRACTION
+  // ============================================================================
+
+  /**
+   * Reads a value from the page into the runtime variable named by the step,
+   * retrying until the element is present or the assertion timeout elapses
+   * @param {Object} step - Extract step {extractType, variable, attributeName?, pattern?}
+   * @returns {Promise<*>} Extracted value
+   */
+  async performExtract(step) {
+    if (!step.variable) {
+      throw new Error('Extract step has no variable name');
+    }
+
+    const timeout = this.state.options.assertionTimeout ?? REPLAY_CONFIG.ASSERTION_TIMEOUT;
+    const startTime = Date.now();
+    let outcome;
+
+    while (true) {
+      try {
+        outcome = { value: this.readExtractValue(step) };
+      } catch (e) {
+        outcome = { error: e.message };
+      }
+
+      if (!outcome.error) break;
+      if (this.state.abortController?.signal.aborted) break;
+      if (Date.now() - startTime >= timeout) break;
+
+      await this.sleep(REPLAY_CONFIG.ASSERTION_POLL_INTERVAL);
+    }
+
+    if (outcome.error) {
+      throw new Error(outcome.error);
+    }
+
+    this.state.extracted[step.variable] = outcome.value;
+    return outcome.value;
+  },
+
+  /**
+   * Reads an extract step's value once from the current DOM
+   * @param {Object} step - Extract step
+   * @returns {*} Text, table rows (array of objects) or regex capture
+   */
+  readExtractValue(step) {
+    const label = step.element?.humanLabel || 'element';
+    const element = this.queryElementNow(step.element?.selectors);
+
+    // Regex capture without a target searches the whole page
+    if (!element && !(step.extractType === 'regex' && !step.element)) {
+      throw new Error(`Element not found for extraction: "${label}"`);
+    }
+
+    switch (step.extractType) {
+      case 'text':
+        return (element.innerText ?? element.textContent ?? '').trim();
+
+      case 'value':
+        return element.value ?? '';
+
+      case 'attribute':
+        return element.getAttribute(step.attributeName);
+
+      case 'table': {
+        const table = element.closest('table') || element.querySelector('table');
+        if (!table) throw new Error(`No table found at "${label}"`);
+        return this.tableToJson(table);
+      }
+
+      case 'regex': {
+        const text = (element || document.body).innerText ?? '';
+        const match = text.match(new RegExp(step.pattern, step.flags || ''));
+        if (!match) throw new Error(`Pattern /${step.pattern}/ did not match "${label}"`);
+        return match[1] ?? match[0];
+      }
+
+      default:
+        throw new Error(`Unknown extract type: ${step.extractType}`);
+    }
+  },
+
+  /**
+   * Converts a table into an array of row objects keyed by header text.
+   * Uses the thead row (or the first row) as headers; columns without a
+   * header are keyed column1, column2, ...
+   * @param {HTMLTableElement} table
+   * @returns {Array<Object>}
+   */
+  tableToJson(table) {
+    const rows = Array.from(table.rows);
+    if (rows.length === 0) return [];
+
+    const headerRow = table.tHead?.rows[0] || rows[0];
+    const headers = Array.from(headerRow.cells).map((cell, i) =>
+      cell.textContent.trim() || `column${i + 1}`
+    );
+
+    return rows
+      .filter(row => row !== headerRow && row.parentElement?.tagName !== 'TFOOT')
+      .map(row => {
+        const record = {};
+        Array.from(row.cells).forEach((cell, i) => {
+          record[headers[i] || `column${i + 1}`] = cell.textContent.trim();
+        });
+        return record;
+      });
+  },
+
+  /**
+   * Resolves stored selectors against the current DOM without waiting.
+   * Unlike findElement, this does not require the element to be interactable,
+   * so hidden and disabled elements can be asserted on.
+   * @param {Array} selectors - Array of {strategy, value, confidence} objects
+   * @returns {Element|null}
+   */
+  queryElementNow(selectors) {
+    if (!selectors || selectors.length === 0) return null;
+
+    const sortedSelectors = [...selectors].sort((a, b) =>
+      (b.confidence || 0) - (a.confidence || 0)
+    );
+
+    for (const selector of sortedSelectors) {
+      try {
+        let element = null;
+
+        switch (selector.strategy) {
+          case 'xpath':
+            element = document.evaluate(
+              selector.value,
+              document,
+              null,
+              XPathResult.FIRST_ORDERED_NODE_TYPE,
+              null
+            ).singleNodeValue;
+            break;
+
+          case 'text': {
+            const match = selector.value.match(/^(\w+):has-text\("(.+)"\)$/);
+            if (match) {
+              element = Array.from(document.querySelectorAll(match[1]))
+                .find(el => el.textContent?.includes(match[2])) || null;
+            }
+            break;
+          }
+
+          case 'role': {
+            const match = selector.value.match(/^role=(\w+)\[name="(.+)"\]$/);
+            if (match) {
+              element = Array.from(document.querySelectorAll(`[role="${match[1]}"]`))
+                .find(el => (el.getAttribute('aria-label') ||
+                             el.getAttribute('title') ||
+                             el.textContent?.trim()) === match[2]) || null;
+            }
+            break;
+          }
+
+          case 'shadowDOM': {
+            let current = document;
+            const parts = selector.value.split(' >>> ').map(s => s.trim());
+            for (let i = 0; i < parts.length && current; i++) {
+              element = current.querySelector(parts[i]);
+              current = i < parts.length - 1 ? element?.shadowRoot : null;
+            }
+            break;
+          }
+
+          default:
+            element = document.querySelector(selector.value);
+        }
+
+        if (element) return element;
+      } catch (e) {
+        // Invalid selector, try the next one
+      }
+    }
+
+    return null;
+  },
+
   /**
    * Injects variable values into a string
    * @param {string} recordedValue - Original value with {{placeholders}}
@@ -876,11 +1840,15 @@ const FormGhostReplayer = {
     if (!recordedValue || typeof recordedValue !== 'string') return recordedValue;
     if (!variables || Object.keys(variables).length === 0) return recordedValue;
 
-    return recordedValue.replace(/\{\{(\w+)\}\}/g, (match, varName) => {
+    return recordedValue.replace(VARIABLE_REFERENCE, (match, path) => {
+      const [varName, ...keys] = path.split('.');
       if (varName in variables) {
-        return variables[varName];
+        const value = keys.reduce((obj, key) => obj?.[key], variables[varName]);
+        if (value !== undefined && value !== null) {
+          return typeof value === 'object' ? JSON.stringify(value) : value;
+        }
       }
-      console.warn(`Variable not found: ${varName}`);
+      console.warn(`Variable not found: ${path}`);
       return match; // Keep original if not found
     });
   },
@@ -934,11 +1902,23 @@ const FormGhostReplayer = {
   /**
    * Handles manual takeover mode
    * @param {Object} step - The step user is completing manually
+   * @returns {Promise<Element|null>} Last element the user interacted with
    */
   async handleTakeover(step) {
     this.state.isTakeover = true;
     this.broadcastTakeover(step);
 
+    // Remember what the user acted on so the step's selectors can be repaired
+    let target = null;
+    const trackTarget = (event) => {
+      const element = event.composedPath?.()[0] || event.target;
+      if (element instanceof Element && !element.closest('#formghost-replay-overlay')) {
+        target = element;
+      }
+    };
+    const trackedEvents = ['click', 'input', 'change'];
+    trackedEvents.forEach(type => document.addEventListener(type, trackTarget, true));
+
     // Show takeover UI
     if (window.FormGhostReplayOverlay) {
       await window.FormGhostReplayOverlay.showTakeoverMode(step, {
@@ -956,6 +1936,40 @@ const FormGhostReplayer = {
     while (this.state.isTakeover && !this.state.abortController.signal.aborted) {
       await this.sleep(100);
     }
+
+    trackedEvents.forEach(type => document.removeEventListener(type, trackTarget, true));
+    return target;
+  },
+
+  /**
+   * Proposes fresh selectors for a step whose stored ones no longer match.
+   * The service worker merges them into the saved workflow.
+   * @param {Object} step - Step being repaired
+   * @param {Element} element - Element the step actually acted on
+   * @param {string} reason - 'fallback' or 'takeover'
+   * @param {Object|null} matchedSelector - Fallback selector that matched
+   * @returns {boolean} Whether a repair was proposed
+   */
+  proposeSelectorRepair(step, element, reason, matchedSelector) {
+    if (!this.state.options.repairSelectors || !step.id || !step.element) return false;
+
+    const info = window.PuppeteerRecorderSelectors?.generateSelectors(element);
+    if (!info?.selectors?.length) return false;
+
+    chrome.runtime.sendMessage({
+      type: 'SELECTOR_REPAIR_PROPOSED',
+      actionId: step.id,
+      stepIndex: this.state.currentStepIndex,
+      reason,
+      failedSelector: step.element.recommended || step.element.selectors?.[0]?.value || null,
+      matchedSelector: matchedSelector
+        ? { strategy: matchedSelector.strategy, value: matchedSelector.value }
+        : null,
+      element: info,
+      url: window.location.href
+    }).catch(() => {});
+
+    return true;
   },
 
   /**
@@ -999,11 +2013,29 @@ const FormGhostReplayer = {
     );
   },
 
+  /**
+   * Checks if element is rendered and visible (regardless of disabled state)
+   */
+  isElementVisible(element) {
+    if (!element) return false;
+
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.display !== 'none' &&
+      style.visibility !== 'hidden' &&
+      style.opacity !== '0'
+    );
+  },
+
   /**
    * Checks if action type requires an element
    */
   actionRequiresElement(type) {
-    const noElementActions = ['navigate', 'scroll', 'newTab', 'switchTab', 'closeTab'];
+    const noElementActions = ['navigate', 'scroll', 'newTab', 'switchTab', 'closeTab', 'assertion', 'extract'];
     return !noElementActions.includes(type);
   },
 
@@ -1023,6 +2055,55 @@ const FormGhostReplayer = {
     }).catch(() => {});
   },
 
+  /**
+   * Tells the service worker a step is about to act on the page, so a
+   * navigation that follows counts as the step's result rather than a
+   * reason to run it again. Awaited so the flag lands before the page
+   * can unload.
+   */
+  async reportStepDispatched(stepIndex) {
+    try {
+      await chrome.runtime.sendMessage({ type: 'REPLAY_STEP_DISPATCHED', stepIndex });
+    } catch (e) {
+      // Service worker unavailable - a navigation would re-run the step
+    }
+  },
+
+  broadcastStepResult(stepIndex, results) {
+    chrome.runtime.sendMessage({
+      type: 'REPLAY_STEP_RESULT',
+      stepIndex,
+      results,
+      loopStack: this.state.loopStack
+    }).catch(() => {});
+  },
+
+  /**
+   * Tells the service worker a step failed while the page still shows the
+   * failure, so it can take a screenshot before replay moves on
+   */
+  async reportStepFailure(stepIndex, error) {
+    try {
+      await chrome.runtime.sendMessage({ type: 'REPLAY_STEP_FAILED', stepIndex, error });
+    } catch (e) {
+      // Service worker unavailable - history just lacks the screenshot
+    }
+  },
+
+  /**
+   * Passes a tab step to the service worker. Replay in this document ends
+   * here; the service worker restarts it after the step.
+   */
+  handOffTabStep(stepIndex, step, results) {
+    chrome.runtime.sendMessage({
+      type: 'REPLAY_TAB_STEP',
+      stepIndex,
+      step,
+      results,
+      loopStack: this.state.loopStack
+    }).catch(() => {});
+  },
+
   broadcastComplete(results) {
     chrome.runtime.sendMessage({
       type: 'REPLAY_COMPLETE',
@@ -1065,7 +2146,10 @@ const FormGhostReplayer = {
     this.state.isReplaying = false;
     this.state.isPaused = false;
     this.state.isTakeover = false;
-    chrome.runtime.sendMessage({ type: 'REPLAY_CANCELLED' }).catch(() => {});
+    // Frames only run relayed steps; the top document reports the replay
+    if (window.self === window.top) {
+      chrome.runtime.sendMessage({ type: 'REPLAY_CANCELLED' }).catch(() => {});
+    }
     if (window.FormGhostReplayOverlay) {
       window.FormGhostReplayOverlay.hideAll();
     }
@@ -1105,6 +2189,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       });
       return true; // Async response
 
+    case 'EXECUTE_FRAME_STEP':
+      FormGhostReplayer.executeFrameStep(
+        message.step,
+        message.stepIndex,
+        message.variables || {},
+        message.options || {},
+        message.operation
+      ).then(stepResult => {
+        sendResponse({ success: true, stepResult });
+      }).catch(error => {
+        sendResponse({ success: false, error: error.message });
+      });
+      return true; // Async response
+
     case 'PAUSE_REPLAY':
       FormGhostReplayer.pause();
       sendResponse({ success: true });
@@ -543,7 +543,8 @@ function generateSelectors(element) {
       className: element.className || null,
       type: element.getAttribute('type'),
       role: element.getAttribute('role'),
-      name: element.getAttribute('name')
+      name: element.getAttribute('name'),
+      autocomplete: element.getAttribute('autocomplete')
     }
   };
 }
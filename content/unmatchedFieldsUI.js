@@ -10,8 +10,10 @@ const UnmatchedFieldsUI = {
    */
   show(result) {
     const { unmatchedNewFields = [], unmatchedRecordedFields = [] } = result;
+    const validationErrors = result.results?.validationErrors || [];
 
-    if (unmatchedNewFields.length === 0 && unmatchedRecordedFields.length === 0) {
+    if (unmatchedNewFields.length === 0 && unmatchedRecordedFields.length === 0 &&
+        validationErrors.length === 0 && !result.wizard) {
       this.showSuccess(result);
       return;
     }
@@ -39,14 +41,63 @@ const UnmatchedFieldsUI = {
   showUnmatchedNotification(unmatchedNewFields, unmatchedRecordedFields, result) {
     const filledCount = result.results?.filled?.length || 0;
     const failedCount = result.results?.failed?.length || 0;
+    const validationErrors = result.results?.validationErrors || [];
+
+    let message = `${filledCount} fields filled, ${unmatchedNewFields.length} need manual entry`;
+    if (validationErrors.length > 0) {
+      message += `, ${validationErrors.length} rejected by the page`;
+    }
 
     const notification = this.createNotification({
       title: '⚠️ Some Fields Need Attention',
-      message: `${filledCount} fields filled, ${unmatchedNewFields.length} need manual entry`,
+      message,
       type: 'warning',
       autoClose: false // Don't auto-close
     });
 
+    // Multi-step forms: how far the fill got and why it stopped
+    if (result.wizard) {
+      const wizardSection = document.createElement('div');
+      wizardSection.className = 'fg-unmatched-section';
+      wizardSection.innerHTML = `
+        <div class="fg-unmatched-header">
+          <strong>Filled ${result.wizard.pages} page${result.wizard.pages === 1 ? '' : 's'} of this form</strong>
+        </div>
+        ${result.wizard.stoppedAt?.reason ? `
+          <p class="fg-wizard-stop">${this.escapeHtml(result.wizard.stoppedAt.reason)}</p>
+        ` : ''}
+      `;
+
+      notification.querySelector('.fg-notification-body').appendChild(wizardSection);
+    }
+
+    // Fields the page flagged as invalid after filling
+    if (validationErrors.length > 0) {
+      const errorsSection = document.createElement('div');
+      errorsSection.className = 'fg-unmatched-section';
+      errorsSection.innerHTML = `
+        <div class="fg-unmatched-header">
+          <strong>Fields the page rejected:</strong>
+          <span class="fg-unmatched-count">${validationErrors.length}</span>
+        </div>
+        <ul class="fg-unmatched-list">
+          ${validationErrors.map(e => `
+            <li class="fg-unmatched-item" data-selector="${this.escapeHtml(e.selector)}">
+              <span class="fg-unmatched-label">
+                ${this.escapeHtml(e.label || e.selector)}
+                <span class="fg-validation-message">${this.escapeHtml(e.message)}</span>
+              </span>
+              <button class="fg-locate-btn" data-selector="${this.escapeHtml(e.selector)}">
+                Locate
+              </button>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+
+      notification.querySelector('.fg-notification-body').appendChild(errorsSection);
+    }
+
     // Add details section
     if (unmatchedNewFields.length > 0) {
       const newFieldsSection = document.createElement('div');
@@ -59,7 +110,7 @@ const UnmatchedFieldsUI = {
         <ul class="fg-unmatched-list">
           ${unmatchedNewFields.map(f => `
             <li class="fg-unmatched-item" data-selector="${this.escapeHtml(f.selector)}">
-              <span class="fg-unmatched-label">${this.escapeHtml(f.label)}</span>
+              <span class="fg-unmatched-label">${this.escapeHtml(f.label)}${f.page ? ` <small>(page ${f.page})</small>` : ''}</span>
               <button class="fg-locate-btn" data-selector="${this.escapeHtml(f.selector)}">
                 Locate
               </button>
@@ -140,7 +191,7 @@ const UnmatchedFieldsUI = {
    */
   locateAndHighlight(selector) {
     try {
-      const element = document.querySelector(selector);
+      const element = FormGhostFiller.findElement(selector);
       if (!element) {
         alert(`Field not found: ${selector}`);
         return;
@@ -332,6 +383,18 @@ const UnmatchedFieldsUI = {
         color: rgba(255, 255, 255, 0.9);
       }
 
+      .fg-wizard-stop {
+        margin: 4px 0 0;
+        font-size: 13px;
+        color: rgba(255, 255, 255, 0.85);
+      }
+
+      .fg-validation-message {
+        display: block;
+        font-size: 12px;
+        color: #fca5a5;
+      }
+
       .fg-locate-btn {
         background: #f59e0b;
         color: #1a1a2e;
@@ -9,10 +9,20 @@ let actions = [];
 let selectedIndices = new Set();
 let editingIndex = -1;
 let hasChanges = false;
+let savedWorkflows = null; // Call targets, loaded on first use
 
 // Variable pattern for detection
 const VARIABLE_PATTERN = /^\{\{([a-zA-Z_][a-zA-Z0-9_]*)\}\}$/;
 
+// Control-flow step types (blocks are stored inline in the flat actions list)
+const BLOCK_OPENERS = ['condition', 'repeat'];
+const BLOCK_MIDDLES = ['else'];
+const BLOCK_CLOSERS = ['endCondition', 'endRepeat'];
+const CONTROL_STEP_TYPES = [...BLOCK_OPENERS, ...BLOCK_MIDDLES, ...BLOCK_CLOSERS];
+
+// Action types that use the value field
+const TYPES_WITH_VALUE = ['type', 'keypress', 'select', 'condition'];
+
 // DOM Elements
 const elements = {
   stepCount: document.getElementById('stepCount'),
@@ -41,7 +51,33 @@ const elements = {
   variableInfo: document.getElementById('variableInfo'),
   currentVariableName: document.getElementById('currentVariableName'),
   removeVariableBtn: document.getElementById('removeVariableBtn'),
-  pauseBeforeExecute: document.getElementById('pauseBeforeExecute')
+  pauseBeforeExecute: document.getElementById('pauseBeforeExecute'),
+  // Control-flow elements
+  addConditionBtn: document.getElementById('addConditionBtn'),
+  conditionGroup: document.getElementById('conditionGroup'),
+  conditionType: document.getElementById('conditionType'),
+  conditionVariableGroup: document.getElementById('conditionVariableGroup'),
+  conditionVariable: document.getElementById('conditionVariable'),
+  conditionNegate: document.getElementById('conditionNegate'),
+  addRepeatBtn: document.getElementById('addRepeatBtn'),
+  repeatGroup: document.getElementById('repeatGroup'),
+  repeatMode: document.getElementById('repeatMode'),
+  repeatCountGroup: document.getElementById('repeatCountGroup'),
+  repeatCount: document.getElementById('repeatCount'),
+  repeatVariableGroup: document.getElementById('repeatVariableGroup'),
+  repeatVariable: document.getElementById('repeatVariable'),
+  repeatMax: document.getElementById('repeatMax'),
+  addCallBtn: document.getElementById('addCallBtn'),
+  callWorkflowGroup: document.getElementById('callWorkflowGroup'),
+  callWorkflowSelect: document.getElementById('callWorkflowSelect'),
+  callVariableMap: document.getElementById('callVariableMap'),
+  extractGroup: document.getElementById('extractGroup'),
+  extractType: document.getElementById('extractType'),
+  extractVariable: document.getElementById('extractVariable'),
+  extractAttributeGroup: document.getElementById('extractAttributeGroup'),
+  extractAttribute: document.getElementById('extractAttribute'),
+  extractPatternGroup: document.getElementById('extractPatternGroup'),
+  extractPattern: document.getElementById('extractPattern')
 };
 
 /**
@@ -61,7 +97,14 @@ const ACTION_ICONS = {
   newTab: '&#43;',
   switchTab: '&#8644;',
   closeTab: '&#10005;',
-  submit: '&#10148;'
+  submit: '&#10148;',
+  extract: '&#8676;',
+  condition: '&#63;',
+  else: '&#8627;',
+  endCondition: '&#8629;',
+  repeat: '&#8635;',
+  endRepeat: '&#8629;',
+  callWorkflow: '&#8618;'
 };
 
 /**
@@ -158,7 +201,14 @@ function getIconClass(type) {
     newTab: 'tab',
     switchTab: 'tab',
     closeTab: 'tab',
-    submit: 'click'
+    submit: 'click',
+    extract: 'type',
+    condition: 'control',
+    else: 'control',
+    endCondition: 'control',
+    repeat: 'control',
+    endRepeat: 'control',
+    callWorkflow: 'control'
   };
   return classes[type] || 'click';
 }
@@ -183,21 +233,98 @@ function getActionDescription(action) {
     case 'switchTab': return `Switch to tab "${action.context?.title || ''}"`;
     case 'closeTab': return 'Close tab';
     case 'submit': return `Submit form "${label}"`;
+    case 'extract': return describeExtract(action);
+    case 'condition': return `If ${describeCondition(action)}`;
+    case 'else': return 'Else';
+    case 'endCondition': return 'End If';
+    case 'repeat': return describeRepeat(action);
+    case 'endRepeat': return 'End Repeat';
+    case 'callWorkflow': return `Call workflow "${action.workflowName || action.workflowId || '?'}"`;
     default: return action.type;
   }
 }
 
+/**
+ * Gets a readable description of a condition step's test
+ */
+function describeCondition(action) {
+  const target = action.element?.humanLabel || action.element?.recommended || 'element';
+  const not = action.negate ? 'not ' : '';
+  switch (action.conditionType) {
+    case 'elementPresent': return `"${target}" is ${not}present`;
+    case 'elementVisible': return `"${target}" is ${not}visible`;
+    case 'urlMatches': return `URL ${action.negate ? 'does not match' : 'matches'} ${action.value || ''}`;
+    case 'variableEquals': return `{{${action.variable || '?'}}} ${action.negate ? '!=' : '='} "${action.value || ''}"`;
+    case 'textContains': return `page ${action.negate ? 'does not contain' : 'contains'} "${action.value || ''}"`;
+    default: return 'condition';
+  }
+}
+
+/**
+ * Gets a readable description of a repeat step
+ */
+function describeRepeat(action) {
+  switch (action.repeatMode) {
+    case 'list': return `For each row in {{${action.variable || '?'}}}`;
+    case 'untilGone': {
+      const target = action.element?.humanLabel || action.element?.recommended || 'element';
+      return `Repeat until "${target}" disappears`;
+    }
+    default: return `Repeat ${action.count ?? 0} times`;
+  }
+}
+
+/**
+ * Gets a readable description of an extract step
+ */
+function describeExtract(action) {
+  const target = action.element?.humanLabel || action.element?.recommended || 'page';
+  const what = {
+    value: 'value of',
+    attribute: `${action.attributeName || 'attribute'} of`,
+    table: 'table',
+    regex: `/${action.pattern || ''}/ from`
+  }[action.extractType] || 'text of';
+  return `Extract ${what} "${target}" into {{${action.variable || '?'}}}`;
+}
+
+/**
+ * Computes the block nesting depth of every step
+ * @returns {Array<number>} Depth per step index
+ */
+function getStepDepths() {
+  let depth = 0;
+  return actions.map(action => {
+    if (BLOCK_CLOSERS.includes(action.type)) {
+      depth = Math.max(0, depth - 1);
+      return depth;
+    }
+    if (BLOCK_MIDDLES.includes(action.type)) {
+      return Math.max(0, depth - 1);
+    }
+    const current = depth;
+    if (BLOCK_OPENERS.includes(action.type)) depth++;
+    return current;
+  });
+}
+
 /**
  * Renders all steps
  */
 function renderSteps() {
   elements.stepsList.innerHTML = '';
+  const depths = getStepDepths();
 
   actions.forEach((action, index) => {
     const li = document.createElement('li');
     li.className = 'step-item';
     li.dataset.index = index;
     li.draggable = true;
+    li.style.paddingLeft = `${16 + depths[index] * 24}px`;
+
+    if (CONTROL_STEP_TYPES.includes(action.type)) {
+      li.classList.add('control-step');
+    }
 
     if (selectedIndices.has(index)) {
       li.classList.add('selected');
@@ -373,10 +500,22 @@ function openEditPanel(index) {
   elements.editValue.value = action.value || action.key || '';
   elements.editDescription.value = action.element?.humanLabel || '';
   elements.pauseBeforeExecute.checked = action.pauseBeforeExecute || false;
-
-  // Show/hide value field based on type
-  const typesWithValue = ['type', 'keypress', 'select'];
-  elements.valueGroup.style.display = typesWithValue.includes(action.type) ? 'block' : 'none';
+  elements.conditionType.value = action.conditionType || 'elementPresent';
+  elements.conditionVariable.value = action.variable || '';
+  elements.conditionNegate.checked = action.negate || false;
+  elements.repeatMode.value = action.repeatMode || 'count';
+  elements.repeatCount.value = action.count ?? '';
+  elements.repeatVariable.value = action.type === 'repeat' ? (action.variable || '') : '';
+  elements.repeatMax.value = action.maxIterations || '';
+  elements.extractType.value = action.extractType || 'text';
+  elements.extractVariable.value = action.type === 'extract' ? (action.variable || '') : '';
+  elements.extractAttribute.value = action.attributeName || '';
+  elements.extractPattern.value = action.pattern || '';
+
+  updateTypeFields(action.type);
+  if (action.type === 'callWorkflow') {
+    loadCallTargets(action);
+  }
 
   // Check if current value is a variable
   updateVariableUI(elements.editValue.value);
@@ -384,6 +523,76 @@ function openEditPanel(index) {
   elements.editPanel.style.display = 'flex';
 }
 
+/**
+ * Shows the form fields relevant to an action type
+ */
+function updateTypeFields(type) {
+  elements.valueGroup.style.display = TYPES_WITH_VALUE.includes(type) ? 'block' : 'none';
+  elements.conditionGroup.style.display = type === 'condition' ? 'block' : 'none';
+  elements.conditionVariableGroup.style.display =
+    elements.conditionType.value === 'variableEquals' ? 'block' : 'none';
+  elements.repeatGroup.style.display = type === 'repeat' ? 'block' : 'none';
+  elements.repeatCountGroup.style.display = elements.repeatMode.value === 'count' ? 'block' : 'none';
+  elements.repeatVariableGroup.style.display = elements.repeatMode.value === 'list' ? 'block' : 'none';
+  elements.callWorkflowGroup.style.display = type === 'callWorkflow' ? 'block' : 'none';
+  elements.extractGroup.style.display = type === 'extract' ? 'block' : 'none';
+  elements.extractAttributeGroup.style.display = elements.extractType.value === 'attribute' ? 'block' : 'none';
+  elements.extractPatternGroup.style.display = elements.extractType.value === 'regex' ? 'block' : 'none';
+}
+
+/**
+ * Fills the workflow picker for a callWorkflow step
+ */
+async function loadCallTargets(action) {
+  if (!savedWorkflows) {
+    try {
+      const response = await sendMessage({ type: 'GET_WORKFLOWS' });
+      savedWorkflows = response.workflows || [];
+    } catch (error) {
+      console.error('Failed to load workflows:', error);
+      savedWorkflows = [];
+    }
+  }
+
+  elements.callWorkflowSelect.innerHTML = '<option value="">Select a saved workflow...</option>';
+  savedWorkflows.forEach(workflow => {
+    const option = document.createElement('option');
+    option.value = workflow.id;
+    option.textContent = workflow.name;
+    elements.callWorkflowSelect.appendChild(option);
+  });
+
+  elements.callWorkflowSelect.value = action.workflowId || '';
+  renderCallVariableMap(action.variableMap || {});
+}
+
+/**
+ * Renders one mapping input per variable of the selected callee
+ */
+function renderCallVariableMap(variableMap) {
+  const callee = (savedWorkflows || []).find(w => w.id === elements.callWorkflowSelect.value);
+  elements.callVariableMap.innerHTML = '';
+  if (!callee) return;
+
+  Object.keys(callee.variables || {}).forEach(name => {
+    const row = document.createElement('div');
+    row.className = 'call-variable-row';
+
+    const label = document.createElement('label');
+    label.textContent = `{{${name}}}`;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'form-control';
+    input.dataset.var = name;
+    input.placeholder = `{{${name}}}`;
+    input.value = variableMap[name] || '';
+
+    row.append(label, input);
+    elements.callVariableMap.appendChild(row);
+  });
+}
+
 /**
  * Updates variable UI based on current value
  */
@@ -508,6 +717,22 @@ function handleEditSubmit(e) {
   // Update action
   action.type = elements.editType.value;
 
+  if (action.type === 'callWorkflow') {
+    applyCallWorkflowEdit(action);
+    markChanged();
+    closeEditPanel();
+    renderSteps();
+    return;
+  }
+
+  if (CONTROL_STEP_TYPES.includes(action.type)) {
+    applyControlStepEdit(action);
+    markChanged();
+    closeEditPanel();
+    renderSteps();
+    return;
+  }
+
   if (!action.element) action.element = {};
   action.element.recommended = elements.editSelector.value;
   action.element.humanLabel = elements.editDescription.value;
@@ -529,6 +754,8 @@ function handleEditSubmit(e) {
     action.value = elements.editValue.value;
   } else if (action.type === 'keypress') {
     action.key = elements.editValue.value;
+  } else if (action.type === 'extract') {
+    applyExtractEdit(action);
   }
 
   // Update pause before execute flag
@@ -539,6 +766,184 @@ function handleEditSubmit(e) {
   renderSteps();
 }
 
+/**
+ * Applies edit form values to a control-flow step
+ */
+function applyControlStepEdit(action) {
+  action.pauseBeforeExecute = elements.pauseBeforeExecute.checked;
+
+  if (action.type !== 'condition') {
+    delete action.conditionType;
+    delete action.negate;
+  }
+  if (action.type !== 'repeat') {
+    delete action.repeatMode;
+    delete action.count;
+    delete action.maxIterations;
+  }
+
+  if (action.type === 'condition') {
+    action.conditionType = elements.conditionType.value;
+    action.value = elements.editValue.value;
+    action.negate = elements.conditionNegate.checked;
+
+    if (action.conditionType === 'variableEquals') {
+      action.variable = elements.conditionVariable.value.trim();
+    } else {
+      delete action.variable;
+    }
+  } else if (action.type === 'repeat') {
+    action.repeatMode = elements.repeatMode.value;
+
+    // Counts stay strings when they reference a variable
+    const count = elements.repeatCount.value.trim();
+    if (action.repeatMode === 'count') {
+      action.count = /^\d+$/.test(count) ? parseInt(count, 10) : count;
+    } else {
+      delete action.count;
+    }
+
+    if (action.repeatMode === 'list') {
+      action.variable = elements.repeatVariable.value.trim();
+    } else {
+      delete action.variable;
+    }
+
+    const max = parseInt(elements.repeatMax.value, 10);
+    if (max > 0) {
+      action.maxIterations = max;
+    } else {
+      delete action.maxIterations;
+    }
+  } else {
+    delete action.variable;
+    return;
+  }
+
+  // Element and text conditions (and "until gone" repeats) target the
+  // selector; keep recorded fallbacks unless the recommended selector was changed
+  const selector = elements.editSelector.value.trim();
+  const description = elements.editDescription.value;
+  if (!selector) {
+    action.element = description ? { humanLabel: description, selectors: [] } : null;
+  } else if (selector !== action.element?.recommended) {
+    action.element = {
+      recommended: selector,
+      humanLabel: description,
+      selectors: [{ strategy: 'manual', value: selector, confidence: 1.0 }]
+    };
+  } else {
+    action.element.humanLabel = description;
+  }
+}
+
+/**
+ * Applies edit form values to an extract step
+ */
+function applyExtractEdit(action) {
+  action.extractType = elements.extractType.value;
+  action.variable = elements.extractVariable.value.trim();
+  delete action.attributeName;
+  delete action.pattern;
+
+  if (action.extractType === 'attribute') {
+    action.attributeName = elements.extractAttribute.value.trim();
+  } else if (action.extractType === 'regex') {
+    action.pattern = elements.extractPattern.value;
+  }
+
+  // A regex without a selector searches the whole page
+  if (action.extractType === 'regex' && !elements.editSelector.value.trim()) {
+    action.element = null;
+  }
+}
+
+/**
+ * Applies edit form values to a callWorkflow step
+ */
+function applyCallWorkflowEdit(action) {
+  const callee = (savedWorkflows || []).find(w => w.id === elements.callWorkflowSelect.value);
+
+  action.workflowId = elements.callWorkflowSelect.value;
+  action.workflowName = callee?.name || action.workflowName || '';
+  action.pauseBeforeExecute = elements.pauseBeforeExecute.checked;
+  action.variableMap = {};
+  elements.callVariableMap.querySelectorAll('input[data-var]').forEach(input => {
+    if (input.value.trim()) {
+      action.variableMap[input.dataset.var] = input.value.trim();
+    }
+  });
+  action.element = null;
+}
+
+/**
+ * Inserts a callWorkflow step after the last selected step
+ */
+function addCallWorkflowStep() {
+  const insertAt = selectedIndices.size > 0
+    ? Math.max(...selectedIndices) + 1
+    : actions.length;
+
+  const timestamp = Date.now();
+  actions.splice(insertAt, 0, {
+    id: `act_${timestamp}_call`,
+    type: 'callWorkflow',
+    workflowId: '',
+    variableMap: {},
+    element: null,
+    timestamp
+  });
+  selectedIndices.clear();
+
+  markChanged();
+  renderSteps();
+  updateStepCount();
+  openEditPanel(insertAt);
+}
+
+/**
+ * Inserts an If / Else / End If block after the last selected step
+ */
+function addConditionBlock() {
+  const insertAt = selectedIndices.size > 0
+    ? Math.max(...selectedIndices) + 1
+    : actions.length;
+
+  const timestamp = Date.now();
+  const block = [
+    { id: `act_${timestamp}_if`, type: 'condition', conditionType: 'elementPresent', value: '', negate: false, element: null, timestamp },
+    { id: `act_${timestamp}_else`, type: 'else', timestamp },
+    { id: `act_${timestamp}_endif`, type: 'endCondition', timestamp }
+  ];
+
+  actions.splice(insertAt, 0, ...block);
+  selectedIndices.clear();
+
+  markChanged();
+  renderSteps();
+  updateStepCount();
+  openEditPanel(insertAt);
+}
+
+/**
+ * Inserts a Repeat / End Repeat block around the selected steps, or after
+ * the last step when nothing is selected
+ */
+function addRepeatBlock() {
+  const timestamp = Date.now();
+  const start = selectedIndices.size > 0 ? Math.min(...selectedIndices) : actions.length;
+  const end = selectedIndices.size > 0 ? Math.max(...selectedIndices) + 1 : actions.length;
+
+  actions.splice(end, 0, { id: `act_${timestamp}_endrepeat`, type: 'endRepeat', timestamp });
+  actions.splice(start, 0, { id: `act_${timestamp}_repeat`, type: 'repeat', repeatMode: 'count', count: 2, element: null, timestamp });
+  selectedIndices.clear();
+
+  markChanged();
+  renderSteps();
+  updateStepCount();
+  openEditPanel(start);
+}
+
 /**
  * Marks that there are unsaved changes
  */
@@ -597,14 +1002,35 @@ function handleDrop(e) {
 
 // Event type change handler
 elements.editType.addEventListener('change', () => {
-  const typesWithValue = ['type', 'keypress', 'select'];
-  elements.valueGroup.style.display = typesWithValue.includes(elements.editType.value) ? 'block' : 'none';
+  updateTypeFields(elements.editType.value);
+  if (elements.editType.value === 'callWorkflow' && editingIndex >= 0) {
+    loadCallTargets(actions[editingIndex]);
+  }
+});
+
+elements.conditionType.addEventListener('change', () => {
+  updateTypeFields(elements.editType.value);
+});
+
+elements.repeatMode.addEventListener('change', () => {
+  updateTypeFields(elements.editType.value);
+});
+
+elements.extractType.addEventListener('change', () => {
+  updateTypeFields(elements.editType.value);
+});
+
+elements.callWorkflowSelect.addEventListener('change', () => {
+  renderCallVariableMap({});
 });
 
 // Event listeners
 elements.refreshBtn.addEventListener('click', loadActions);
 elements.saveBtn.addEventListener('click', saveActions);
 elements.selectAllBtn.addEventListener('click', selectAll);
+elements.addConditionBtn.addEventListener('click', addConditionBlock);
+elements.addRepeatBtn.addEventListener('click', addRepeatBlock);
+elements.addCallBtn.addEventListener('click', addCallWorkflowStep);
 elements.deleteSelectedBtn.addEventListener('click', deleteSelected);
 elements.closeEditPanel.addEventListener('click', closeEditPanel);
 elements.cancelEdit.addEventListener('click', closeEditPanel);
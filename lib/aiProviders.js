@@ -0,0 +1,220 @@
+/**
+ * FormGhost - AI Provider Interface
+ * One place that knows how to talk to each model backend. Callers build a
+ * system/user prompt and get text back; the provider decides the endpoint,
+ * headers and request/response format.
+ *
+ * Providers:
+ * - claude: Anthropic Messages API (default)
+ * - openai: any OpenAI-compatible chat completions endpoint, e.g. an on-prem
+ *   server or Ollama (http://localhost:11434/v1)
+ */
+
+const AI_PROVIDERS = {
+  claude: {
+    label: 'Claude (Anthropic)',
+    DEFAULT_URL: 'https://api.anthropic.com/v1/messages',
+    DEFAULT_MODEL: 'claude-haiku-4-5',
+
+    isConfigured(config) {
+      return !!config.apiKey;
+    },
+
+    buildRequest(config, request) {
+      return {
+        url: config.url || this.DEFAULT_URL,
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': config.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        },
+        body: {
+          model: config.model || request.model || this.DEFAULT_MODEL,
+          max_tokens: request.maxTokens,
+          system: request.system,
+          messages: [{ role: 'user', content: request.user }]
+        }
+      };
+    },
+
+    readText(data) {
+      return data.content?.[0]?.text;
+    }
+  },
+
+  openai: {
+    label: 'OpenAI-compatible (local)',
+
+    isConfigured(config) {
+      return !!(config.url && config.model);
+    },
+
+    buildRequest(config, request) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.apiKey) {
+        headers.Authorization = `Bearer ${config.apiKey}`;
+      }
+
+      return {
+        url: this.chatCompletionsUrl(config.url),
+        headers,
+        body: {
+          model: config.model,
+          max_tokens: request.maxTokens,
+          temperature: 0,
+          messages: [
+            { role: 'system', content: request.system },
+            { role: 'user', content: request.user }
+          ]
+        }
+      };
+    },
+
+    readText(data) {
+      return data.choices?.[0]?.message?.content;
+    },
+
+    /**
+     * Accepts a base URL (".../v1") or the full chat completions URL
+     * @private
+     */
+    chatCompletionsUrl(url) {
+      const trimmed = url.trim().replace(/\/+$/, '');
+      return /\/chat\/completions$/.test(trimmed) ? trimmed : `${trimmed}/chat/completions`;
+    }
+  }
+};
+
+/**
+ * Provider API
+ */
+const AIProviders = {
+  PROVIDERS: AI_PROVIDERS,
+
+  /**
+   * Builds a provider config from AI settings
+   * @param {Object} settings - AI settings (aiProvider, apiKey, localEndpoint,
+   *   localModel, localApiKey)
+   * @returns {Object} Provider config {type, apiKey, url, model}
+   */
+  fromSettings(settings = {}) {
+    if (settings.aiProvider === 'openai') {
+      return {
+        type: 'openai',
+        url: settings.localEndpoint || '',
+        model: settings.localModel || '',
+        apiKey: settings.localApiKey || '' // Optional bearer token
+      };
+    }
+
+    return {
+      type: 'claude',
+      apiKey: settings.apiKey || '',
+      url: typeof CLAUDE_API_URL !== 'undefined' ? CLAUDE_API_URL : null,
+      model: typeof CLAUDE_MODEL !== 'undefined' ? CLAUDE_MODEL : null
+    };
+  },
+
+  /**
+   * Normalizes a provider argument. A plain string is treated as a Claude
+   * API key so existing callers keep working.
+   * @param {Object|string} config - Provider config or Claude API key
+   * @returns {Object} Provider config
+   */
+  resolve(config) {
+    if (typeof config === 'string' || !config) {
+      return { type: 'claude', apiKey: config || '' };
+    }
+    return config;
+  },
+
+  /**
+   * Checks whether a provider has what it needs to make requests
+   * @param {Object|string} config - Provider config or Claude API key
+   * @returns {boolean}
+   */
+  isConfigured(config) {
+    const resolved = this.resolve(config);
+    const provider = AI_PROVIDERS[resolved.type];
+    return !!provider && provider.isConfigured(resolved);
+  },
+
+  /**
+   * Sends a prompt and returns the model's text
+   * @param {Object|string} config - Provider config or Claude API key
+   * @param {Object} request - {system, user, maxTokens, model}
+   * @returns {Promise<string>} Response text
+   * @throws {Error} With a `status` property for HTTP errors
+   */
+  async complete(config, request) {
+    const resolved = this.resolve(config);
+    const provider = AI_PROVIDERS[resolved.type];
+    if (!provider) {
+      throw new Error(`Unknown AI provider: ${resolved.type}`);
+    }
+    if (!provider.isConfigured(resolved)) {
+      throw new Error(resolved.type === 'claude'
+        ? 'API key is required'
+        : 'AI endpoint URL and model are required');
+    }
+
+    const { url, headers, body } = provider.buildRequest(resolved, {
+      maxTokens: 2048,
+      ...request
+    });
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.error?.message || data.error || `API error: ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const text = provider.readText(await response.json());
+    if (!text) {
+      throw new Error('Empty response from API');
+    }
+    return text;
+  },
+
+  /**
+   * Makes a minimal request to check the provider is reachable
+   * @param {Object|string} config - Provider config or Claude API key
+   * @returns {Promise<Object>} {valid, error}
+   */
+  async testConnection(config) {
+    const request = {
+      system: 'You are a connectivity check.',
+      user: 'Reply with just: ok',
+      maxTokens: 10
+    };
+    const audit = { kind: 'connection-test', provider: this.resolve(config), payload: request.user };
+    const recordAudit = event => {
+      if (typeof AIAuditLog !== 'undefined') AIAuditLog.record({ ...audit, ...event });
+    };
+
+    try {
+      await this.complete(config, request);
+      recordAudit({ status: 'sent' });
+      return { valid: true };
+    } catch (error) {
+      recordAudit({ status: 'failed', error: error.message });
+      return {
+        valid: false,
+        error: error.status === 401 ? 'Invalid API key' : error.message
+      };
+    }
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIProviders, AI_PROVIDERS };
+}
@@ -0,0 +1,267 @@
+/**
+ * FormGhost - AI Audit Log
+ * Persistent record of every request sent to an AI provider and every
+ * request blocked by the privacy check: when, to which provider, for which
+ * form host, exactly what was sent and what mappings came back.
+ *
+ * Runs in the service worker. Client values are never written here - when a
+ * payload carries them (legacy fill, blocked requests) they are withheld and
+ * the entry is flagged instead.
+ */
+
+const AI_AUDIT_STORAGE_KEY = 'formGhostAIAuditLog';
+const AI_AUDIT_DEFAULT_RETENTION = { days: 90, maxEntries: 500 };
+const AI_AUDIT_WITHHELD = '[withheld]';
+
+/**
+ * Audit Log API
+ */
+const AIAuditLog = {
+  queue: Promise.resolve(),
+
+  /**
+   * Records one AI request
+   * @param {Object} event - Request details
+   *   status: 'sent' | 'failed' | 'blocked'
+   *   kind: 'label-matching' | 'legacy-fill' | 'connection-test'
+   *   provider: provider config (the API key is not stored)
+   *   formUrl: page the request was made for
+   *   payload: exactly what was (or would have been) sent
+   *   response: parsed mappings, error, reason, warnings, containsClientData
+   * @returns {Promise<void>}
+   */
+  record(event) {
+    // Serialize writes so concurrent requests don't drop each other's entries
+    this.queue = this.queue.then(async () => {
+      try {
+        const log = await this.read();
+        log.entries.push({
+          id: `audit_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+          timestamp: new Date().toISOString(),
+          status: event.status,
+          kind: event.kind,
+          provider: this.describeProvider(event.provider),
+          formHost: this.getHost(event.formUrl),
+          payload: event.payload ?? null,
+          estimatedTokens: this.estimateTokens(event.payload),
+          responseMappings: event.responseMappings || null,
+          containsClientData: !!event.containsClientData,
+          warnings: event.warnings || [],
+          reason: event.reason || null,
+          error: event.error || null
+        });
+        await this.write(this.prune(log));
+      } catch (error) {
+        console.error('AIAuditLog: Failed to record request:', error);
+      }
+    });
+    return this.queue;
+  },
+
+  /**
+   * Gets all entries, newest first
+   * @returns {Promise<Array>}
+   */
+  async getEntries() {
+    const log = await this.read();
+    return [...log.entries].reverse();
+  },
+
+  /**
+   * Gets the retention limits
+   * @returns {Promise<Object>} {days, maxEntries}
+   */
+  async getRetention() {
+    return (await this.read()).retention;
+  },
+
+  /**
+   * Updates the retention limits and prunes to them
+   * @param {Object} retention - {days, maxEntries}; 0 disables a limit
+   */
+  async setRetention(retention) {
+    const log = await this.read();
+    log.retention = {
+      days: Math.max(0, parseInt(retention.days, 10) || 0),
+      maxEntries: Math.max(0, parseInt(retention.maxEntries, 10) || 0)
+    };
+    await this.write(this.prune(log));
+    return log.retention;
+  },
+
+  /**
+   * Deletes every entry (retention settings are kept)
+   */
+  async clear() {
+    const log = await this.read();
+    log.entries = [];
+    await this.write(log);
+  },
+
+  /**
+   * Counts entries by status
+   * @returns {Promise<Object>} {total, sent, failed, blocked}
+   */
+  async getStats() {
+    const { entries } = await this.read();
+    return {
+      total: entries.length,
+      sent: entries.filter(e => e.status === 'sent').length,
+      failed: entries.filter(e => e.status === 'failed').length,
+      blocked: entries.filter(e => e.status === 'blocked').length
+    };
+  },
+
+  /**
+   * Exports the log
+   * @param {string} format - 'json' or 'csv'
+   * @returns {Promise<string>} File contents
+   */
+  async export(format = 'json') {
+    const entries = await this.getEntries();
+    if (format === 'csv') {
+      return this.toCSV(entries);
+    }
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      retention: await this.getRetention(),
+      entries
+    }, null, 2);
+  },
+
+  /**
+   * Converts entries to CSV, one request per row
+   * @param {Array} entries - Audit entries
+   * @returns {string} CSV text
+   */
+  toCSV(entries) {
+    const columns = [
+      'timestamp', 'status', 'kind', 'provider', 'model', 'endpointHost', 'formHost',
+      'estimatedTokens', 'containsClientData', 'payload', 'responseMappings', 'warnings', 'reason', 'error'
+    ];
+    const escape = value => {
+      const text = value === null || value === undefined ? ''
+        : typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = entries.map(entry => [
+      entry.timestamp,
+      entry.status,
+      entry.kind,
+      entry.provider?.type,
+      entry.provider?.model,
+      entry.provider?.host,
+      entry.formHost,
+      entry.estimatedTokens,
+      entry.containsClientData,
+      entry.payload,
+      entry.responseMappings,
+      entry.warnings?.length ? entry.warnings : '',
+      entry.reason,
+      entry.error
+    ].map(escape).join(','));
+
+    return [columns.join(','), ...rows].join('\r\n');
+  },
+
+  /**
+   * Replaces client values in a payload object with a marker
+   * @param {*} payload - Payload (arrays/objects are copied)
+   * @param {Array<string>} keys - Keys whose values are withheld
+   * @returns {*} Copy safe to store
+   */
+  withholdValues(payload, keys) {
+    if (Array.isArray(payload)) {
+      return payload.map(item => this.withholdValues(item, keys));
+    }
+    if (payload && typeof payload === 'object') {
+      const copy = {};
+      Object.entries(payload).forEach(([key, value]) => {
+        copy[key] = keys.includes(key) && value !== undefined && value !== null && value !== ''
+          ? AI_AUDIT_WITHHELD
+          : this.withholdValues(value, keys);
+      });
+      return copy;
+    }
+    return payload;
+  },
+
+  /**
+   * Rough token estimate (1 token ≈ 4 characters)
+   * @param {*} payload - Payload
+   * @returns {number}
+   */
+  estimateTokens(payload) {
+    if (payload === null || payload === undefined) return 0;
+    const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return Math.ceil(text.length / 4);
+  },
+
+  /**
+   * Keeps provider type, model and endpoint host - never the API key
+   * @private
+   */
+  describeProvider(provider) {
+    if (!provider) return null;
+    const config = typeof provider === 'string' ? { type: 'claude' } : provider;
+    const defaults = typeof AI_PROVIDERS !== 'undefined' ? AI_PROVIDERS[config.type] : null;
+    return {
+      type: config.type || 'claude',
+      model: config.model || defaults?.DEFAULT_MODEL || null,
+      host: this.getHost(config.url || defaults?.DEFAULT_URL)
+    };
+  },
+
+  /**
+   * @private
+   */
+  getHost(url) {
+    if (!url) return null;
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * Drops entries past the retention limits
+   * @private
+   */
+  prune(log) {
+    const { days, maxEntries } = log.retention;
+    if (days > 0) {
+      const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+      log.entries = log.entries.filter(e => new Date(e.timestamp).getTime() >= cutoff);
+    }
+    if (maxEntries > 0 && log.entries.length > maxEntries) {
+      log.entries = log.entries.slice(-maxEntries);
+    }
+    return log;
+  },
+
+  /**
+   * @private
+   */
+  async read() {
+    const result = await chrome.storage.local.get(AI_AUDIT_STORAGE_KEY);
+    const log = result[AI_AUDIT_STORAGE_KEY] || {};
+    return {
+      entries: log.entries || [],
+      retention: { ...AI_AUDIT_DEFAULT_RETENTION, ...log.retention }
+    };
+  },
+
+  /**
+   * @private
+   */
+  async write(log) {
+    await chrome.storage.local.set({ [AI_AUDIT_STORAGE_KEY]: log });
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { AIAuditLog, AI_AUDIT_STORAGE_KEY };
+}
@@ -1,60 +1,38 @@
 /**
  * FormGhost - Claude API Client
- * Handles communication with Anthropic's Claude API for form field mapping
+ * Handles form field mapping requests, sent through the configured AI
+ * provider (lib/aiProviders.js)
  */
 
 const ClaudeClient = {
-  API_URL: 'https://api.anthropic.com/v1/messages',
   MODEL: 'claude-haiku-3-5-20241022', // Fast and cheap for field mapping
   MAX_TOKENS: 2048,
 
   /**
-   * Calls Claude API to map form fields to client profile
-   * @param {string} apiKey - Anthropic API key
+   * Asks the AI provider to map form fields to a client profile
+   * @param {Object|string} provider - Provider config from
+   *   AIProviders.fromSettings(), or an Anthropic API key
    * @param {Array} formFields - Array of form field metadata
    * @param {Object} clientProfile - Client profile data
    * @param {Object} options - Additional options
    * @returns {Promise<Object>} Field mappings
    */
-  async mapFormFields(apiKey, formFields, clientProfile, options = {}) {
-    if (!apiKey) {
-      throw new Error('API key is required');
+  async mapFormFields(provider, formFields, clientProfile, options = {}) {
+    if (!AIProviders.isConfigured(provider)) {
+      throw new Error('AI provider is not configured');
     }
 
     const systemPrompt = this.buildSystemPrompt(options);
     const userPrompt = this.buildUserPrompt(formFields, clientProfile);
 
     try {
-      const response = await fetch(this.API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: this.MODEL,
-          max_tokens: this.MAX_TOKENS,
-          system: systemPrompt,
-          messages: [
-            { role: 'user', content: userPrompt }
-          ]
-        })
+      const content = await AIProviders.complete(provider, {
+        system: systemPrompt,
+        user: userPrompt,
+        model: this.MODEL,
+        maxTokens: this.MAX_TOKENS
       });
 
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error?.message || `API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const content = data.content?.[0]?.text;
-
-      if (!content) {
-        throw new Error('Empty response from API');
-      }
-
       // Parse JSON from response
       return this.parseResponse(content);
 
@@ -146,34 +124,16 @@ Return JSON mapping only.`;
   },
 
   /**
-   * Validates API key by making a minimal request
-   * @param {string} apiKey - API key to validate
-   * @returns {Promise<boolean>} Whether key is valid
+   * Validates a provider (or API key) by making a minimal request
+   * @param {Object|string} provider - Provider config or Anthropic API key
+   * @returns {Promise<boolean>} Whether the provider answered
    */
-  async validateApiKey(apiKey) {
-    try {
-      const response = await fetch(this.API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: this.MODEL,
-          max_tokens: 10,
-          messages: [
-            { role: 'user', content: 'Reply with just: ok' }
-          ]
-        })
-      });
-
-      return response.ok;
-    } catch (error) {
-      console.error('ClaudeClient: Key validation failed:', error);
-      return false;
+  async validateApiKey(provider) {
+    const result = await AIProviders.testConnection(provider);
+    if (!result.valid) {
+      console.error('ClaudeClient: Key validation failed:', result.error);
     }
+    return result.valid;
   },
 
   /**
@@ -67,7 +67,7 @@ const CSVHandler = {
       'occupation', 'job title', 'title', 'position', 'job', 'role'
     ],
     workPhone: [
-      'work phone', 'workphone', 'business phone', 'office phone', 'work number'
+      'work phone', 'workphone', 'business phone', 'office phone', 'work number', 'employer phone'
     ]
   },
 
@@ -147,7 +147,16 @@ function generateActionCode(action, index, settings) {
 
     case 'select':
       lines.push(`  await page.waitForSelector('${escapeJSString(selector)}');`);
-      lines.push(`  await page.select('${escapeJSString(selector)}', '${escapeJSString(action.value)}');`);
+      if (action.widget === 'combobox') {
+        // Custom dropdown: open it, then click the option by its label
+        lines.push(`  await page.click('${escapeJSString(selector)}');`);
+        lines.push(`  await page.waitForSelector('[role="option"]');`);
+        lines.push(`  await page.$$eval('[role="option"]', (options, label) => {`);
+        lines.push(`    options.find(o => o.textContent.trim() === label)?.click();`);
+        lines.push(`  }, '${escapeJSString(action.value)}');`);
+      } else {
+        lines.push(`  await page.select('${escapeJSString(selector)}', '${escapeJSString(action.value)}');`);
+      }
       break;
 
     case 'scroll':
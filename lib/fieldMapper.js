@@ -3,6 +3,51 @@
  * Maps field labels between recorded and new forms WITHOUT sending PII to Claude
  */
 
+/**
+ * Autocomplete tokens mapped to client profile fields
+ */
+const AUTOCOMPLETE_FIELDS = {
+  'given-name': 'firstName',
+  'family-name': 'lastName',
+  'additional-name': 'middleName',
+  'name': 'fullName',
+  'email': 'email',
+  'tel': 'phone',
+  'tel-national': 'phone',
+  'street-address': 'address',
+  'address-line1': 'address',
+  'address-line2': 'addressLine2',
+  'address-level2': 'city',
+  'address-level1': 'state',
+  'postal-code': 'zip',
+  'country': 'country',
+  'country-name': 'country',
+  'bday': 'dob',
+  'organization': 'employer',
+  'organization-title': 'occupation'
+};
+
+/**
+ * Minimum confidence for a local match when settings do not say otherwise
+ */
+const DEFAULT_LOCAL_MATCH_THRESHOLD = 0.75;
+
+/**
+ * Input types that only hold one kind of value
+ */
+const TYPED_INPUTS = ['email', 'tel', 'date', 'number', 'url'];
+
+/**
+ * Words that say whose or which value a field holds. Fields sharing a
+ * concept but not these words ("Mailing Address" / "Residential Address")
+ * hold different values.
+ */
+const QUALIFIER_WORDS = [
+  'mailing', 'residential', 'home', 'work', 'business', 'office', 'employer',
+  'billing', 'shipping', 'physical', 'spouse', 'partner', 'emergency', 'parent',
+  'guardian', 'mother', 'father', 'previous', 'former', 'alternate', 'secondary'
+];
+
 const FieldMapper = {
   /**
    * Detects if two forms are likely the same based on field structure
@@ -52,10 +97,15 @@ const FieldMapper = {
 
     for (const action of actions) {
       if (action.type === 'type' && action.element) {
+        const attributes = action.element.attributes || {};
         fields.push({
-          label: action.element.humanLabel || action.element.attributes?.name || 'Unknown field',
-          dataField: action.dataFieldMapping || null, // Maps to client data field
+          label: action.element.humanLabel || attributes.name || 'Unknown field',
+          dataField: action.dataFieldMapping || this.getPlaceholderField(action.value), // Maps to client data field
           selector: action.element.recommended,
+          name: attributes.name || null,
+          id: attributes.id || null,
+          autocomplete: attributes.autocomplete || null,
+          inputType: attributes.type || null,
           recordedValue: action.value // For reference, not sent to AI
         });
       }
@@ -64,6 +114,235 @@ const FieldMapper = {
     return fields;
   },
 
+  /**
+   * Gets the client field a recorded value stands for when it is a single
+   * {{variable}} placeholder (variables are named after client fields)
+   * @param {string} value - Recorded value
+   * @returns {string|null} Client field name
+   */
+  getPlaceholderField(value) {
+    const match = typeof value === 'string' && value.trim().match(/^\{\{([a-zA-Z_][a-zA-Z0-9_]*)\}\}$/);
+    return match ? match[1] : null;
+  },
+
+  // ==========================================================================
+  // LOCAL (NO-AI) MATCHING
+  // ==========================================================================
+
+  /**
+   * Matches recorded fields to fields on the current form without AI, using
+   * autocomplete tokens, name/id synonyms (CSVHandler.COLUMN_MAPPINGS), input
+   * type and label similarity. Each field is used at most once.
+   * @param {Array} recordedFields - Fields from extractRecordedFields()
+   * @param {Array} currentFormFields - Fields from the current page scan
+   * @param {Object} [options] - {threshold} minimum confidence (0-1)
+   * @returns {Object} Same shape as the AI response:
+   *   {mappings, unmatchedNewFields, unmatchedRecordedFields}
+   */
+  matchFieldsLocally(recordedFields, currentFormFields, options = {}) {
+    const threshold = options.threshold ?? DEFAULT_LOCAL_MATCH_THRESHOLD;
+    const candidates = [];
+
+    recordedFields.forEach((recorded, r) => {
+      const recordedInfo = this.describeField(recorded);
+      currentFormFields.forEach((current, c) => {
+        const confidence = this.scoreFieldMatch(recordedInfo, this.describeField(current));
+        if (confidence >= threshold) candidates.push({ r, c, confidence });
+      });
+    });
+
+    // Best pairs first; ties keep form order
+    candidates.sort((a, b) => b.confidence - a.confidence || a.c - b.c);
+
+    const usedRecorded = new Set();
+    const usedCurrent = new Set();
+    const mappings = [];
+
+    candidates.forEach(({ r, c, confidence }) => {
+      if (usedRecorded.has(r) || usedCurrent.has(c)) return;
+      usedRecorded.add(r);
+      usedCurrent.add(c);
+
+      const current = currentFormFields[c];
+      mappings.push({
+        recordedLabel: recordedFields[r].label,
+        newSelector: current.selector,
+        newLabel: current.label || current.placeholder || current.name || 'Unlabeled field',
+        confidence: Math.round(confidence * 100) / 100,
+        type: current.inputType || current.type || 'text',
+        source: 'local'
+      });
+    });
+
+    return {
+      mappings,
+      unmatchedNewFields: currentFormFields
+        .filter((field, c) => !usedCurrent.has(c))
+        .map(field => ({
+          selector: field.selector,
+          label: field.label || field.placeholder || field.name || 'Unlabeled field',
+          reason: 'No confident local match'
+        })),
+      unmatchedRecordedFields: recordedFields
+        .filter((field, r) => !usedRecorded.has(r))
+        .map(field => ({ label: field.label, reason: 'No confident local match' }))
+    };
+  },
+
+  /**
+   * Normalizes a recorded or scanned field for scoring
+   * @private
+   */
+  describeField(field) {
+    const autocomplete = String(field.autocomplete || '').toLowerCase().split(/\s+/)
+      .find(token => AUTOCOMPLETE_FIELDS[token]) || null;
+    const names = [field.name, field.id].filter(Boolean).map(value => this.normalizeText(value));
+    const label = this.normalizeText(field.label || field.ariaLabel || field.placeholder || '');
+    const inputType = String(field.inputType || '').toLowerCase();
+    const concept = (autocomplete && AUTOCOMPLETE_FIELDS[autocomplete]) ||
+      this.identifyConcept([label, ...names]);
+
+    // Qualifiers the concept's own synonyms use ("work" and "office" for a
+    // work phone) are already covered by the concept
+    const synonymWords = this.getSynonymWords(concept);
+    const qualifiers = [label, ...names].join(' ').split(' ')
+      .filter(word => QUALIFIER_WORDS.includes(word) && !synonymWords.includes(word));
+
+    return {
+      autocomplete,
+      names,
+      label,
+      inputType: TYPED_INPUTS.includes(inputType) ? inputType : null,
+      concept,
+      nameConcept: this.identifyConcept(names),
+      qualifiers: new Set(qualifiers)
+    };
+  },
+
+  /**
+   * Scores how likely two normalized fields hold the same value
+   * @private
+   * @returns {number} Confidence 0-1
+   */
+  scoreFieldMatch(recorded, current) {
+    let score = 0;
+
+    if (recorded.autocomplete && recorded.autocomplete === current.autocomplete) {
+      score = 1;
+    }
+    if (recorded.names.some(name => name && current.names.includes(name))) {
+      score = Math.max(score, 0.95);
+    }
+    if (recorded.label && current.label) {
+      score = Math.max(score, recorded.label === current.label ? 0.9 : 0.85 * this.textSimilarity(recorded.label, current.label));
+    }
+    if (recorded.concept && recorded.concept === current.concept) {
+      // Two labels that merely share a synonym stay below the default
+      // threshold unless the labels or the name/id agree as well
+      const corroborated = (recorded.nameConcept && recorded.nameConcept === current.nameConcept) ||
+        (recorded.label && current.label && this.textSimilarity(recorded.label, current.label) >= 0.5);
+      score = Math.max(score, corroborated ? 0.9 : 0.65);
+    }
+
+    // Conflicting concepts, qualifiers or input types rule a match out
+    if (recorded.concept && current.concept && recorded.concept !== current.concept) {
+      score *= 0.3;
+    }
+    if (!this.sameQualifiers(recorded.qualifiers, current.qualifiers)) {
+      score *= 0.5;
+    }
+    if (recorded.inputType && current.inputType) {
+      score = recorded.inputType === current.inputType ? Math.min(1, score + 0.05) : score * 0.5;
+    }
+
+    return score;
+  },
+
+  /**
+   * Finds the client field a set of labels/names refers to. The synonym
+   * covering the most words wins ("work phone" over "phone", "e mail" over
+   * "address" in "E-mail address"); between equally long ones the later,
+   * head word wins ("Employer Phone" is a phone).
+   * @private
+   * @param {Array<string>} texts - Normalized label, name and id
+   * @returns {string|null} Client field name
+   */
+  identifyConcept(texts) {
+    const mappings = typeof CSVHandler !== 'undefined' ? CSVHandler.COLUMN_MAPPINGS : {};
+    let best = null;
+
+    Object.entries(mappings).forEach(([fieldName, synonyms]) => {
+      synonyms.forEach(synonym => {
+        const normalized = this.normalizeText(synonym);
+        const words = normalized.split(' ').length;
+
+        texts.forEach(text => {
+          if (!text) return;
+          // Very short synonyms ("st", "mi", "dl") only count as the whole text
+          const position = text === normalized ? 0
+            : normalized.length > 3 ? ` ${text} `.indexOf(` ${normalized} `) : -1;
+          if (position === -1) return;
+
+          const better = !best || words > best.words ||
+            (words === best.words && (position > best.position ||
+              (position === best.position && normalized.length > best.length)));
+          if (better) {
+            best = { fieldName, words, position, length: normalized.length };
+          }
+        });
+      });
+    });
+
+    return best ? best.fieldName : null;
+  },
+
+  /**
+   * Words used by the synonyms of a client field
+   * @private
+   */
+  getSynonymWords(fieldName) {
+    const mappings = typeof CSVHandler !== 'undefined' ? CSVHandler.COLUMN_MAPPINGS : {};
+    return (mappings[fieldName] || []).flatMap(synonym => this.normalizeText(synonym).split(' '));
+  },
+
+  /**
+   * Checks two fields carry the same qualifier words (mailing vs residential,
+   * spouse vs self)
+   * @private
+   */
+  sameQualifiers(a, b) {
+    return a.size === b.size && [...a].every(word => b.has(word));
+  },
+
+  /**
+   * Dice coefficient over the words of two normalized texts
+   * @private
+   */
+  textSimilarity(a, b) {
+    const wordsA = new Set(a.split(' ').filter(Boolean));
+    const wordsB = new Set(b.split(' ').filter(Boolean));
+    if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+    let shared = 0;
+    wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+    return (2 * shared) / (wordsA.size + wordsB.size);
+  },
+
+  /**
+   * Lowercases a label or identifier and splits it into words
+   * ("billingZipCode" -> "billing zip code", "first_name" -> "first name")
+   * @private
+   */
+  normalizeText(value) {
+    return String(value)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .replace(/[^a-z0-9#]+/g, ' ')
+      .replace(/\b(the|your|please|enter|required)\b/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
   /**
    * Prepares field labels for AI matching (NO PII sent)
    * @param {Array} recordedFields - Fields from recorded workflow
@@ -160,8 +439,11 @@ const FieldMapper = {
 
       result.push({
         selector: mapping.newSelector,
+        label: mapping.newLabel,
+        clientField: recordedField.dataField,
         value: value,
         confidence: mapping.confidence,
+        source: mapping.source,
         fieldType: mapping.type || 'text',
         notes: `Mapped from "${mapping.recordedLabel}" to "${mapping.newLabel}"`
       });
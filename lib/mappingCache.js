@@ -1,11 +1,14 @@
 /**
  * FormGhost - Mapping Cache
- * Caches Claude's form field mappings to reduce API calls
+ * Caches AI form field mappings to reduce API calls, along with the
+ * corrections users made to them on each form
  */
 
 const MappingCache = {
   STORAGE_KEY: 'formghost_mapping_cache',
   DEFAULT_TTL_DAYS: 30,
+  LIBRARY_FORMAT: 'formghost-mapping-library',
+  LIBRARY_VERSION: 1,
 
   /**
    * Generates a unique hash for a form structure
@@ -15,14 +18,10 @@ const MappingCache = {
    */
   generateCacheKey(url, formFields) {
     // Create a signature from the form structure
-    const urlPart = new URL(url).hostname + new URL(url).pathname;
-    const fieldSignature = formFields
-      .map(f => `${f.name || ''}:${f.id || ''}:${f.type || ''}:${f.label || ''}`)
-      .sort()
-      .join('|');
+    const { urlPattern, fieldSignature } = this.describeForm(url, formFields);
 
     // Simple hash function
-    const str = urlPart + '::' + fieldSignature;
+    const str = urlPattern + '::' + fieldSignature.join('|');
     let hash = 0;
     for (let i = 0; i < str.length; i++) {
       const char = str.charCodeAt(i);
@@ -32,6 +31,24 @@ const MappingCache = {
     return `cache_${Math.abs(hash).toString(36)}`;
   },
 
+  /**
+   * Describes a form structure for cache metadata
+   * @param {string} url - Page URL
+   * @param {Array} formFields - Form field metadata
+   * @returns {Object} {url, urlPattern, fieldSignature, fieldCount}
+   */
+  describeForm(url, formFields) {
+    const parsed = new URL(url);
+    return {
+      url,
+      urlPattern: parsed.hostname + parsed.pathname,
+      fieldSignature: formFields
+        .map(f => `${f.name || ''}:${f.id || ''}:${f.type || ''}:${f.label || ''}`)
+        .sort(),
+      fieldCount: formFields.length
+    };
+  },
+
   /**
    * Gets all cached mappings
    * @returns {Promise<Object>} Cache object
@@ -52,6 +69,21 @@ const MappingCache = {
    * @returns {Promise<Object|null>} Cached mapping or null
    */
   async get(cacheKey) {
+    const entry = await this.getEntry(cacheKey);
+    if (!entry) {
+      return null;
+    }
+
+    console.log('MappingCache: Cache hit for', cacheKey);
+    return entry.mappings;
+  },
+
+  /**
+   * Gets a full cache entry, including user corrections
+   * @param {string} cacheKey - Cache key
+   * @returns {Promise<Object|null>} Entry {mappings, corrections, cachedAt, ...} or null
+   */
+  async getEntry(cacheKey) {
     const cache = await this.getAll();
     const entry = cache[cacheKey];
 
@@ -59,34 +91,49 @@ const MappingCache = {
       return null;
     }
 
-    // Check if expired
-    const ttlMs = (this.DEFAULT_TTL_DAYS) * 24 * 60 * 60 * 1000;
-    if (Date.now() - entry.cachedAt > ttlMs) {
+    if (this.isExpired(entry)) {
       // Expired, remove it
       await this.remove(cacheKey);
       return null;
     }
 
-    console.log('MappingCache: Cache hit for', cacheKey);
-    return entry.mappings;
+    return entry;
+  },
+
+  /**
+   * Checks whether an entry is past its TTL. Entries holding user
+   * corrections never expire - they are the user's own decisions.
+   * @param {Object} entry - Cache entry
+   * @returns {boolean}
+   */
+  isExpired(entry) {
+    if (entry.corrections?.length) return false;
+    const ttlMs = this.DEFAULT_TTL_DAYS * 24 * 60 * 60 * 1000;
+    return Date.now() - entry.cachedAt > ttlMs;
   },
 
   /**
    * Caches a mapping result
    * @param {string} cacheKey - Cache key
    * @param {Object} mappings - Mappings to cache
-   * @param {Object} metadata - Additional metadata
+   * @param {Object} metadata - Additional metadata: describeForm() output
+   *   plus corrections - user fixes [{selector, label, clientField}]
+   *   (clientField null = don't fill)
    * @returns {Promise<void>}
    */
   async set(cacheKey, mappings, metadata = {}) {
     try {
       const cache = await this.getAll();
+      const existing = cache[cacheKey];
       cache[cacheKey] = {
         mappings,
         cachedAt: Date.now(),
-        url: metadata.url || '',
-        fieldCount: metadata.fieldCount || 0,
-        hits: 0
+        url: metadata.url || existing?.url || '',
+        urlPattern: metadata.urlPattern || existing?.urlPattern || '',
+        fieldSignature: metadata.fieldSignature || existing?.fieldSignature || [],
+        fieldCount: metadata.fieldCount || existing?.fieldCount || 0,
+        corrections: metadata.corrections || existing?.corrections || [],
+        hits: existing?.hits || 0
       };
       await chrome.storage.local.set({ [this.STORAGE_KEY]: cache });
       console.log('MappingCache: Cached mappings for', cacheKey);
@@ -95,6 +142,58 @@ const MappingCache = {
     }
   },
 
+  /**
+   * Remembers a user's correction for one field of a form. The corrected
+   * mapping replaces the original so the next fill needs no API call.
+   * @param {string} cacheKey - Cache key of the form
+   * @param {Object} correction - {selector, label, clientField}
+   * @param {Object} metadata - describeForm() output plus mappings - the
+   *   ones just filled, used when the form has no cache entry yet
+   * @returns {Promise<Object>} Updated entry
+   */
+  async addCorrection(cacheKey, correction, metadata = {}) {
+    const entry = await this.getEntry(cacheKey);
+    const corrections = (entry?.corrections || []).filter(c => c.selector !== correction.selector);
+    corrections.push({
+      selector: correction.selector,
+      label: correction.label || '',
+      clientField: correction.clientField || null,
+      correctedAt: Date.now()
+    });
+
+    const baseMappings = entry?.mappings || metadata.mappings || [];
+    const mappings = this.applyCorrections(baseMappings, corrections);
+
+    const { mappings: filledMappings, ...form } = metadata;
+    await this.set(cacheKey, mappings, { ...form, corrections });
+    return this.getEntry(cacheKey);
+  },
+
+  /**
+   * Applies user corrections over a list of mappings
+   * @param {Array} mappings - Mappings {selector, clientField, ...}
+   * @param {Array} corrections - Corrections {selector, label, clientField}
+   * @returns {Array} Corrected mappings (values are never stored)
+   */
+  applyCorrections(mappings, corrections = []) {
+    const corrected = mappings
+      .filter(m => !corrections.some(c => c.selector === m.selector))
+      .map(({ value, ...mapping }) => mapping);
+
+    corrections.forEach(c => {
+      if (!c.clientField) return;
+      corrected.push({
+        selector: c.selector,
+        label: c.label,
+        clientField: c.clientField,
+        confidence: 1,
+        source: 'correction'
+      });
+    });
+
+    return corrected;
+  },
+
   /**
    * Removes a cached mapping
    * @param {string} cacheKey - Cache key
@@ -111,6 +210,29 @@ const MappingCache = {
     }
   },
 
+  /**
+   * Removes several cached mappings at once
+   * @param {Array<string>} cacheKeys - Cache keys
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async removeMany(cacheKeys) {
+    try {
+      const cache = await this.getAll();
+      let removed = 0;
+      cacheKeys.forEach(key => {
+        if (cache[key]) {
+          delete cache[key];
+          removed++;
+        }
+      });
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: cache });
+      return removed;
+    } catch (error) {
+      console.error('MappingCache: Failed to remove entries:', error);
+      return 0;
+    }
+  },
+
   /**
    * Clears all cached mappings
    * @returns {Promise<void>}
@@ -131,12 +253,10 @@ const MappingCache = {
   async clearExpired() {
     try {
       const cache = await this.getAll();
-      const ttlMs = this.DEFAULT_TTL_DAYS * 24 * 60 * 60 * 1000;
-      const now = Date.now();
       let removed = 0;
 
       for (const key of Object.keys(cache)) {
-        if (now - cache[key].cachedAt > ttlMs) {
+        if (this.isExpired(cache[key])) {
           delete cache[key];
           removed++;
         }
@@ -161,13 +281,12 @@ const MappingCache = {
   async getStats() {
     const cache = await this.getAll();
     const entries = Object.values(cache);
-    const ttlMs = this.DEFAULT_TTL_DAYS * 24 * 60 * 60 * 1000;
-    const now = Date.now();
 
     return {
       totalEntries: entries.length,
-      activeEntries: entries.filter(e => now - e.cachedAt <= ttlMs).length,
-      expiredEntries: entries.filter(e => now - e.cachedAt > ttlMs).length,
+      activeEntries: entries.filter(e => !this.isExpired(e)).length,
+      expiredEntries: entries.filter(e => this.isExpired(e)).length,
+      correctedEntries: entries.filter(e => e.corrections?.length).length,
       totalHits: entries.reduce((sum, e) => sum + (e.hits || 0), 0),
       oldestEntry: entries.length > 0
         ? new Date(Math.min(...entries.map(e => e.cachedAt))).toISOString()
@@ -193,6 +312,213 @@ const MappingCache = {
     } catch (error) {
       // Non-critical, ignore
     }
+  },
+
+  // ==========================================================================
+  // SHAREABLE LIBRARY
+  // ==========================================================================
+
+  /**
+   * Exports every entry as a library that other machines can import.
+   * Mappings only name client fields - no client values are included.
+   * @returns {Promise<Object>} Library {format, version, exportedAt, entries}
+   */
+  async exportLibrary() {
+    const cache = await this.getAll();
+    const entries = {};
+    Object.entries(cache).forEach(([key, entry]) => {
+      entries[key] = this.toLibraryEntry(entry);
+    });
+
+    return {
+      format: this.LIBRARY_FORMAT,
+      version: this.LIBRARY_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries
+    };
+  },
+
+  /**
+   * Normalizes an entry for a library file
+   * @private
+   */
+  toLibraryEntry(entry) {
+    return {
+      url: entry.url || '',
+      urlPattern: entry.urlPattern || '',
+      fieldSignature: entry.fieldSignature || [],
+      fieldCount: entry.fieldCount || 0,
+      mappings: (entry.mappings || []).map(({ value, ...mapping }) => mapping),
+      corrections: entry.corrections || [],
+      hits: entry.hits || 0,
+      cachedAt: entry.cachedAt || 0,
+      lastHit: entry.lastHit || null
+    };
+  },
+
+  /**
+   * Checks a parsed library file
+   * @param {Object} library - Parsed JSON
+   * @throws {Error} If it is not a mapping library this version can read
+   */
+  validateLibrary(library) {
+    if (!library || library.format !== this.LIBRARY_FORMAT || typeof library.entries !== 'object') {
+      throw new Error('Not a FormGhost mapping library file');
+    }
+    if (library.version > this.LIBRARY_VERSION) {
+      throw new Error('This library was exported by a newer version of FormGhost');
+    }
+    Object.values(library.entries).forEach(entry => {
+      if (!entry || !Array.isArray(entry.mappings)) {
+        throw new Error('Library contains an invalid entry');
+      }
+    });
+  },
+
+  /**
+   * Compares a library with the local cache without changing anything
+   * @param {Object} library - Parsed library
+   * @returns {Promise<Object>} {total, added, unchanged, conflicts}
+   *   conflicts: [{key, urlPattern, local, imported}] entry summaries
+   */
+  async previewImport(library) {
+    this.validateLibrary(library);
+    const cache = await this.getAll();
+    const preview = { total: 0, added: 0, unchanged: 0, conflicts: [] };
+
+    Object.entries(library.entries).forEach(([key, imported]) => {
+      preview.total++;
+      const local = cache[key];
+      if (!local) {
+        preview.added++;
+      } else if (this.isSameEntry(local, imported)) {
+        preview.unchanged++;
+      } else {
+        preview.conflicts.push({
+          key,
+          urlPattern: local.urlPattern || imported.urlPattern || local.url || imported.url || key,
+          local: this.summarizeEntry(local),
+          imported: this.summarizeEntry(imported)
+        });
+      }
+    });
+
+    return preview;
+  },
+
+  /**
+   * Merges a library into the local cache
+   * @param {Object} library - Parsed library
+   * @param {Object} [options] - {strategy, resolutions}
+   *   strategy: default for conflicts - 'merge' | 'local' | 'imported'
+   *   resolutions: per-key overrides {cacheKey: strategy}
+   * @returns {Promise<Object>} {added, updated, skipped, unchanged}
+   */
+  async importLibrary(library, { strategy = 'merge', resolutions = {} } = {}) {
+    this.validateLibrary(library);
+    const cache = await this.getAll();
+    const result = { added: 0, updated: 0, skipped: 0, unchanged: 0 };
+
+    Object.entries(library.entries).forEach(([key, raw]) => {
+      // Imported entries start a fresh TTL on this machine
+      const imported = { ...this.toLibraryEntry(raw), cachedAt: Date.now() };
+      const local = cache[key];
+
+      if (!local) {
+        cache[key] = imported;
+        result.added++;
+        return;
+      }
+      if (this.isSameEntry(local, imported)) {
+        result.unchanged++;
+        return;
+      }
+
+      switch (resolutions[key] || strategy) {
+        case 'local':
+          result.skipped++;
+          return;
+        case 'imported':
+          cache[key] = { ...imported, hits: Math.max(local.hits || 0, imported.hits) };
+          break;
+        default:
+          cache[key] = this.mergeEntries(local, this.toLibraryEntry(raw));
+      }
+      result.updated++;
+    });
+
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: cache });
+    return result;
+  },
+
+  /**
+   * Merges two entries for the same form. Corrections are combined (the
+   * newest wins per field); other mappings come from the newer entry when
+   * both map the same field.
+   * @param {Object} local - Local entry
+   * @param {Object} imported - Imported entry
+   * @returns {Object} Merged entry
+   */
+  mergeEntries(local, imported) {
+    const [older, newer] = (local.cachedAt || 0) >= (imported.cachedAt || 0)
+      ? [imported, local]
+      : [local, imported];
+
+    const corrections = {};
+    [...(local.corrections || []), ...(imported.corrections || [])].forEach(c => {
+      if (!corrections[c.selector] || (c.correctedAt || 0) > (corrections[c.selector].correctedAt || 0)) {
+        corrections[c.selector] = c;
+      }
+    });
+
+    const mappings = {};
+    [...(older.mappings || []), ...(newer.mappings || [])].forEach(m => {
+      mappings[m.selector] = m;
+    });
+
+    return {
+      ...older,
+      ...newer,
+      mappings: this.applyCorrections(Object.values(mappings), Object.values(corrections)),
+      corrections: Object.values(corrections),
+      url: local.url || imported.url || '',
+      urlPattern: local.urlPattern || imported.urlPattern || '',
+      fieldSignature: local.fieldSignature?.length ? local.fieldSignature : (imported.fieldSignature || []),
+      hits: Math.max(local.hits || 0, imported.hits || 0),
+      cachedAt: Date.now(),
+      lastHit: Math.max(local.lastHit || 0, imported.lastHit || 0) || null
+    };
+  },
+
+  /**
+   * Checks whether two entries hold the same mappings and corrections
+   * @private
+   */
+  isSameEntry(a, b) {
+    const normalize = entry => JSON.stringify({
+      mappings: (entry.mappings || [])
+        .map(m => [m.selector, m.clientField || null])
+        .sort((x, y) => String(x[0]).localeCompare(String(y[0]))),
+      corrections: (entry.corrections || [])
+        .map(c => [c.selector, c.clientField || null])
+        .sort((x, y) => String(x[0]).localeCompare(String(y[0])))
+    });
+    return normalize(a) === normalize(b);
+  },
+
+  /**
+   * Summarizes an entry for conflict lists and the cache editor
+   * @param {Object} entry - Cache or library entry
+   * @returns {Object} {mappingCount, correctionCount, hits, cachedAt, lastHit}
+   */
+  summarizeEntry(entry) {
+    return {
+      mappingCount: (entry.mappings || []).length,
+      correctionCount: (entry.corrections || []).length,
+      hits: entry.hits || 0,
+      cachedAt: entry.cachedAt || 0,
+      lastHit: entry.lastHit || null
+    };
   }
 };
 
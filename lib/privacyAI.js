@@ -1,82 +1,105 @@
 /**
  * FormGhost - Privacy-First AI Client
- * Calls Claude API with ONLY field labels (NO PII)
+ * Calls the configured AI provider (lib/aiProviders.js) with ONLY field
+ * labels (NO PII)
  */
 
 const PrivacyAIClient = {
-  API_URL: 'https://api.anthropic.com/v1/messages',
   MODEL: 'claude-haiku-3-5-20241022',
   MAX_TOKENS: 2048,
 
+  // Keys that hold values rather than labels
+  VALUE_KEYS: ['value', 'recordedValue', 'clientData', 'currentValue'],
+
   /**
    * Matches field labels between recorded and new forms
-   * @param {string} apiKey - Anthropic API key
+   * @param {Object|string} provider - Provider config from
+   *   AIProviders.fromSettings(), or an Anthropic API key
    * @param {Array} recordedLabels - Labels from recorded workflow [{label, type, context}]
    * @param {Array} currentLabels - Labels from current form [{selector, label, type, ...}]
+   * @param {Object} [context] - {formUrl} recorded in the audit log
    * @returns {Promise<Object>} Label mappings
    */
-  async matchFieldLabels(apiKey, recordedLabels, currentLabels) {
-    if (!apiKey) {
-      throw new Error('API key is required');
+  async matchFieldLabels(provider, recordedLabels, currentLabels, context = {}) {
+    if (!AIProviders.isConfigured(provider)) {
+      throw new Error('AI provider is not configured');
     }
 
+    const audit = {
+      kind: 'label-matching',
+      provider: AIProviders.resolve(provider),
+      formUrl: context.formUrl
+    };
+
     // PRIVACY CHECK: Verify we're not sending any PII
-    this.validateNoPII(recordedLabels, currentLabels);
+    let warnings;
+    try {
+      warnings = this.validateNoPII(recordedLabels, currentLabels);
+    } catch (error) {
+      if (typeof AIAuditLog !== 'undefined') {
+        AIAuditLog.record({
+          ...audit,
+          status: 'blocked',
+          reason: error.message,
+          containsClientData: true,
+          payload: this.buildUserPrompt(
+            AIAuditLog.withholdValues(recordedLabels, this.VALUE_KEYS),
+            AIAuditLog.withholdValues(currentLabels, this.VALUE_KEYS)
+          )
+        });
+      }
+      throw error;
+    }
 
     const systemPrompt = this.buildSystemPrompt();
     const userPrompt = this.buildUserPrompt(recordedLabels, currentLabels);
+    audit.payload = userPrompt;
+    audit.warnings = warnings;
 
-    console.log('PrivacyAI: Sending ONLY labels to Claude (NO PII)');
+    console.log('PrivacyAI: Sending ONLY labels to the AI provider (NO PII)');
     console.log('Recorded labels:', recordedLabels.length);
     console.log('Current labels:', currentLabels.length);
 
     try {
-      const response = await fetch(this.API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: this.MODEL,
-          max_tokens: this.MAX_TOKENS,
-          system: systemPrompt,
-          messages: [
-            { role: 'user', content: userPrompt }
-          ]
-        })
+      const content = await AIProviders.complete(provider, {
+        system: systemPrompt,
+        user: userPrompt,
+        model: this.MODEL,
+        maxTokens: this.MAX_TOKENS
       });
 
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error?.message || `API error: ${response.status}`);
-      }
-
-      const data = await response.json();
-      const content = data.content?.[0]?.text;
-
-      if (!content) {
-        throw new Error('Empty response from API');
-      }
-
       // Parse JSON from response
-      return this.parseResponse(content);
+      const result = this.parseResponse(content);
+      this.recordAudit({ ...audit, status: 'sent', responseMappings: result.mappings || [] });
+      return result;
 
     } catch (error) {
       console.error('PrivacyAI: Label matching failed:', error);
+      this.recordAudit({ ...audit, status: 'failed', error: error.message });
       throw error;
     }
   },
 
+  /**
+   * Writes to the audit log when it is loaded (service worker)
+   * @private
+   */
+  recordAudit(event) {
+    if (typeof AIAuditLog !== 'undefined') {
+      AIAuditLog.record(event);
+    }
+  },
+
   /**
    * Validates that no PII is being sent
    * @param {Array} recordedLabels - Recorded labels
    * @param {Array} currentLabels - Current labels
+   * @returns {Array<string>} Warnings about labels that look like data
    * @throws {Error} If PII detected
    */
   validateNoPII(recordedLabels, currentLabels) {
+    const warnings = [];
+
     // Check recorded labels for suspicious data
     for (const item of recordedLabels) {
       if (item.value || item.recordedValue || item.clientData) {
@@ -86,11 +109,13 @@ const PrivacyAIClient = {
       // Check for email patterns
       if (item.label && /@/.test(item.label)) {
         console.warn('Possible email in label:', item.label);
+        warnings.push(`Possible email in label: ${item.label}`);
       }
 
       // Check for phone patterns
       if (item.label && /\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/.test(item.label)) {
         console.warn('Possible phone number in label:', item.label);
+        warnings.push(`Possible phone number in label: ${item.label}`);
       }
     }
 
@@ -102,6 +127,7 @@ const PrivacyAIClient = {
     }
 
     console.log('✓ Privacy check passed: No PII detected in payload');
+    return warnings;
   },
 
   /**
@@ -201,34 +227,16 @@ Match the recorded fields to the new form fields based on semantic meaning. Retu
   },
 
   /**
-   * Validates API key by making a minimal request
-   * @param {string} apiKey - API key to validate
-   * @returns {Promise<boolean>} Whether key is valid
+   * Validates a provider (or API key) by making a minimal request
+   * @param {Object|string} provider - Provider config or Anthropic API key
+   * @returns {Promise<boolean>} Whether the provider answered
    */
-  async validateApiKey(apiKey) {
-    try {
-      const response = await fetch(this.API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01',
-          'anthropic-dangerous-direct-browser-access': 'true'
-        },
-        body: JSON.stringify({
-          model: this.MODEL,
-          max_tokens: 10,
-          messages: [
-            { role: 'user', content: 'Reply with just: ok' }
-          ]
-        })
-      });
-
-      return response.ok;
-    } catch (error) {
-      console.error('PrivacyAI: Key validation failed:', error);
-      return false;
+  async validateApiKey(provider) {
+    const result = await AIProviders.testConnection(provider);
+    if (!result.valid) {
+      console.error('PrivacyAI: Key validation failed:', result.error);
     }
+    return result.valid;
   },
 
   /**
@@ -0,0 +1,311 @@
+/**
+ * FormGhost - Redaction Module
+ * Masks secrets at capture time so recordings can be shared safely.
+ * Used by the recorder (before anything leaves the page) and by the service
+ * worker (before anything is stored).
+ */
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Field name/id/label patterns treated as sensitive by default. They are
+ * matched against names split into words ("userSSN" -> "user SSN",
+ * "api_key" -> "api key"), so "businessName" does not match "ssn".
+ * Users can add their own in settings (redactFieldPatterns).
+ */
+const DEFAULT_FIELD_PATTERNS = [
+  '\\bpass(word|wd|code|phrase)?\\b', '\\bpwd\\b', '\\bsecret', '\\btoken\\b', '\\bapi ?key\\b',
+  '\\bssn\\b', '\\bsocial security\\b', '\\btax id\\b', '\\b(cvv|cvc|csc)\\b',
+  '\\b(card|cc) ?(number|num|no)\\b', '\\bpin\\b'
+];
+
+/**
+ * Autocomplete tokens that always mark an input as sensitive
+ */
+const SENSITIVE_AUTOCOMPLETE = ['current-password', 'new-password', 'one-time-code', 'cc-number', 'cc-csc'];
+
+/**
+ * Headers whose values are always masked
+ */
+const SENSITIVE_HEADERS = [
+  'authorization', 'proxy-authorization', 'cookie', 'set-cookie',
+  'x-api-key', 'x-auth-token', 'x-csrf-token', 'x-xsrf-token'
+];
+
+/**
+ * JSON body, form body and query string keys masked by default (matched
+ * the same way as field patterns, so "access_token" matches "token")
+ */
+const DEFAULT_BODY_KEYS = [
+  '\\bpass(word|wd|code)?\\b', '\\bpwd\\b', '\\bsecret\\b', '\\btoken\\b', '\\bapi ?key\\b',
+  '\\bauthorization\\b', '\\bssn\\b', '\\b(cvv|cvc)\\b', '\\bcard ?number\\b', '\\botp\\b'
+];
+
+/**
+ * Redaction API
+ */
+const Redaction = {
+  REDACTED,
+
+  /**
+   * Builds the active rules from recording settings
+   * @param {Object} settings - Recording settings
+   * @returns {Object} Rules {enabled, fieldPattern, bodyKeyPattern}
+   */
+  getRules(settings = {}) {
+    const custom = this.parsePatternList(settings.redactFieldPatterns);
+    return {
+      enabled: settings.redactSensitive !== false,
+      fieldPattern: this.compilePatterns([...DEFAULT_FIELD_PATTERNS, ...custom]),
+      bodyKeyPattern: this.compilePatterns([...DEFAULT_BODY_KEYS, ...custom])
+    };
+  },
+
+  /**
+   * Splits a comma or newline separated pattern list
+   * @param {string|Array} value - Patterns from settings
+   * @returns {Array<string>}
+   */
+  parsePatternList(value) {
+    if (Array.isArray(value)) return value.filter(Boolean);
+    if (!value || typeof value !== 'string') return [];
+    return value.split(/[,\n]/).map(p => p.trim()).filter(Boolean);
+  },
+
+  /**
+   * Splits an identifier or label into space-separated words
+   * @param {string} value - e.g. "billingSSN" or "api_key"
+   * @returns {string} e.g. "billing SSN" or "api key"
+   */
+  toWords(value) {
+    return String(value)
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .replace(/[_\-.\[\]]+/g, ' ');
+  },
+
+  /**
+   * Tests a name against a compiled pattern
+   * @private
+   */
+  matches(pattern, value) {
+    return pattern.test(value) || pattern.test(this.toWords(value));
+  },
+
+  /**
+   * Joins patterns into one case-insensitive regex, skipping invalid ones
+   * @private
+   */
+  compilePatterns(patterns) {
+    const valid = patterns.filter(pattern => {
+      try {
+        new RegExp(pattern);
+        return true;
+      } catch (e) {
+        console.warn('Ignoring invalid redaction pattern:', pattern);
+        return false;
+      }
+    });
+    return new RegExp(valid.map(p => `(?:${p})`).join('|'), 'i');
+  },
+
+  /**
+   * Checks whether an element (live element or recorded element info) holds
+   * a secret
+   * @param {Element|Object} element - DOM element or getElementInfo() result
+   * @param {Object} rules - Rules from getRules()
+   * @returns {boolean}
+   */
+  isSensitiveElement(element, rules) {
+    if (!element || !rules?.enabled) return false;
+
+    const attr = (name) => (typeof element.getAttribute === 'function'
+      ? element.getAttribute(name)
+      : element.attributes?.[name]) || '';
+
+    if ((element.type || attr('type')).toLowerCase() === 'password') return true;
+
+    const autocomplete = attr('autocomplete').toLowerCase();
+    if (SENSITIVE_AUTOCOMPLETE.some(token => autocomplete.includes(token))) return true;
+
+    const names = [
+      attr('name'), attr('id'), attr('aria-label'), attr('placeholder'),
+      element.humanLabel, element.name, element.id
+    ].filter(value => typeof value === 'string' && value);
+
+    return names.some(value => this.matches(rules.fieldPattern, value));
+  },
+
+  /**
+   * Derives a variable name for a redacted input, e.g. "password" or "apiKey"
+   * @param {Object} elementInfo - Recorded element info
+   * @returns {string}
+   */
+  secretVariableName(elementInfo) {
+    const source = elementInfo?.attributes?.name || elementInfo?.attributes?.id ||
+      elementInfo?.humanLabel || 'secret';
+    const words = String(source).replace(/([a-z])([A-Z])/g, '$1 $2').split(/[^a-zA-Z0-9]+/).filter(Boolean);
+    const name = words
+      .map((word, i) => i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+      .join('');
+    return /^[a-zA-Z_]/.test(name) ? name : `secret${name}`;
+  },
+
+  /**
+   * Masks a captured action. Typed secrets become {{variable}} placeholders
+   * so the workflow still replays, with the value supplied at run time.
+   * @param {Object} action - Captured action
+   * @param {Object} rules - Rules from getRules()
+   * @returns {Object} Redacted action
+   */
+  redactAction(action, rules) {
+    if (!action || !rules?.enabled) return action;
+    // The recorder flags inputs it already judged sensitive on the live element
+    const sensitive = action.redacted || this.isSensitiveElement(action.element, rules);
+    if (action.type !== 'type' || !sensitive) return action;
+
+    // Already a placeholder (e.g. redacted in the page before reaching here)
+    if (typeof action.value === 'string' && /^\{\{[a-zA-Z_][a-zA-Z0-9_]*\}\}$/.test(action.value)) {
+      return { ...action, valueBefore: '', redacted: true };
+    }
+
+    const variable = this.secretVariableName(action.element);
+    return {
+      ...action,
+      value: `{{${variable}}}`,
+      valueBefore: '',
+      redacted: true,
+      secretVariable: variable
+    };
+  },
+
+  /**
+   * Masks sensitive header values
+   * @param {Object} headers - Header map
+   * @returns {Object}
+   */
+  redactHeaders(headers, rules) {
+    if (!headers || typeof headers !== 'object' || !rules?.enabled) return headers;
+    const masked = {};
+    Object.entries(headers).forEach(([name, value]) => {
+      masked[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+    });
+    return masked;
+  },
+
+  /**
+   * Masks sensitive keys in a request/response body. Handles parsed JSON,
+   * JSON strings and url-encoded form strings.
+   * @param {*} body - Body as captured
+   * @param {Object} rules - Rules from getRules()
+   * @returns {*}
+   */
+  redactBody(body, rules) {
+    if (body === null || body === undefined || !rules?.enabled) return body;
+
+    if (typeof body === 'object') {
+      return this.redactObject(body, rules);
+    }
+
+    if (typeof body !== 'string') return body;
+
+    const trimmed = body.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      try {
+        return JSON.stringify(this.redactObject(JSON.parse(trimmed), rules));
+      } catch (e) {
+        // Truncated JSON - mask "key": value pairs textually
+        return trimmed.replace(/"([^"\\]+)"\s*:\s*("(?:[^"\\]|\\.)*"|[^,}\]\s]+)/g, (pair, key) =>
+          this.matches(rules.bodyKeyPattern, key) ? `"${key}":"${REDACTED}"` : pair
+        );
+      }
+    }
+
+    if (/^[^\s=&]+=[^&]*(&[^\s=&]+=[^&]*)*$/.test(trimmed)) {
+      return this.redactParams(trimmed, rules);
+    }
+
+    return body;
+  },
+
+  /**
+   * Recursively masks object keys matching the body key patterns
+   * @private
+   */
+  redactObject(value, rules) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactObject(item, rules));
+    }
+    if (!value || typeof value !== 'object') return value;
+
+    const masked = {};
+    Object.entries(value).forEach(([key, item]) => {
+      masked[key] = this.matches(rules.bodyKeyPattern, key) && item !== null && typeof item !== 'object'
+        ? REDACTED
+        : this.redactObject(item, rules);
+    });
+    return masked;
+  },
+
+  /**
+   * Masks sensitive parameters in a url-encoded string
+   * @private
+   */
+  redactParams(params, rules) {
+    return params.split('&').map(pair => {
+      const [key, ...rest] = pair.split('=');
+      let name = key;
+      try {
+        name = decodeURIComponent(key);
+      } catch (e) {
+        // Keep the raw key
+      }
+      return rest.length > 0 && this.matches(rules.bodyKeyPattern, name) ? `${key}=${REDACTED}` : pair;
+    }).join('&');
+  },
+
+  /**
+   * Masks sensitive query parameters in a URL
+   * @param {string} url - URL
+   * @param {Object} rules - Rules from getRules()
+   * @returns {string}
+   */
+  redactUrl(url, rules) {
+    if (!url || typeof url !== 'string' || !rules?.enabled) return url;
+    const queryStart = url.indexOf('?');
+    if (queryStart === -1) return url;
+
+    const hashStart = url.indexOf('#', queryStart);
+    const query = url.slice(queryStart + 1, hashStart === -1 ? undefined : hashStart);
+    const hash = hashStart === -1 ? '' : url.slice(hashStart);
+    return `${url.slice(0, queryStart)}?${this.redactParams(query, rules)}${hash}`;
+  },
+
+  /**
+   * Masks a captured network request: URL query, headers and bodies
+   * @param {Object} request - Captured request
+   * @param {Object} rules - Rules from getRules()
+   * @returns {Object}
+   */
+  redactNetworkRequest(request, rules) {
+    if (!request || !rules?.enabled) return request;
+    return {
+      ...request,
+      url: this.redactUrl(request.url, rules),
+      requestHeaders: this.redactHeaders(request.requestHeaders, rules),
+      responseHeaders: this.redactHeaders(request.responseHeaders, rules),
+      requestBody: this.redactBody(request.requestBody, rules),
+      responseBody: this.redactBody(request.responseBody, rules)
+    };
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Redaction, REDACTED };
+}
+
+// Make available globally in content scripts
+if (typeof window !== 'undefined') {
+  window.FormGhostRedaction = Redaction;
+}
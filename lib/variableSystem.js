@@ -4,9 +4,15 @@
  */
 
 /**
- * Variable pattern for matching {{variableName}} syntax
+ * Variable pattern for matching {{variableName}} syntax.
+ * Dotted paths ({{item.name}}) read fields of object values such as loop rows.
  */
-const VARIABLE_PATTERN = /\{\{([a-zA-Z_][a-zA-Z0-9_]*)\}\}/g;
+const VARIABLE_PATTERN = /\{\{([a-zA-Z_][a-zA-Z0-9_]*(?:\.[a-zA-Z0-9_]+)*)\}\}/g;
+
+/**
+ * Variables provided by repeat blocks at replay time rather than by the user
+ */
+const LOOP_VARIABLES = ['item', 'itemIndex'];
 
 /**
  * Variable System API
@@ -15,9 +21,12 @@ const VariableSystem = {
   /**
    * Extracts all variable names from a workflow's actions
    * @param {Array} actions - Array of action objects
+   * @param {Object} [workflows] - Saved workflows by ID, used to surface the
+   *   variables of workflows called through callWorkflow steps
+   * @param {Array<string>} [callStack] - Workflow IDs already being extracted
    * @returns {Object} Map of variable names to metadata
    */
-  extractVariables(actions) {
+  extractVariables(actions, workflows = null, callStack = []) {
     const variables = {};
 
     if (!actions || !Array.isArray(actions)) {
@@ -54,6 +63,29 @@ const VariableSystem = {
         }
       }
 
+      // Conditions test a variable directly by name; list repeats iterate one
+      if ((action.type === 'condition' || (action.type === 'repeat' && action.repeatMode === 'list')) &&
+          action.variable) {
+        this._extractFromString(this.createPlaceholder(action.variable), variables, {
+          stepIndex: index,
+          field: 'variable',
+          actionType: action.type
+        });
+      }
+
+      // Repeat counts may come from a variable, e.g. {{rowCount}}
+      if (action.type === 'repeat' && typeof action.count === 'string') {
+        this._extractFromString(action.count, variables, {
+          stepIndex: index,
+          field: 'count',
+          actionType: action.type
+        });
+      }
+
+      if (action.type === 'callWorkflow') {
+        this._extractFromCall(action, index, variables, workflows, callStack);
+      }
+
       // Check any nested data object
       if (action.data && typeof action.data === 'object') {
         Object.entries(action.data).forEach(([key, val]) => {
@@ -68,9 +100,60 @@ const VariableSystem = {
       }
     });
 
+    actions.forEach(action => {
+      // Extract steps fill their variable at replay time, so it is not an input
+      if (action.type === 'extract' && action.variable) {
+        delete variables[action.variable];
+      }
+
+      // Inputs redacted while recording hold secrets
+      if (action.redacted) {
+        this.getVariableNames(action.value).forEach(name => {
+          if (variables[name]) variables[name].type = 'secret';
+        });
+      }
+    });
+
     return variables;
   },
 
+  /**
+   * Internal helper to extract the variables a callWorkflow step needs from
+   * its caller: those used in its variable mapping, plus callee variables
+   * left unmapped (which are passed through by name)
+   * @private
+   */
+  _extractFromCall(action, index, variables, workflows, callStack) {
+    const variableMap = action.variableMap || {};
+
+    Object.entries(variableMap).forEach(([calleeVar, expression]) => {
+      if (typeof expression === 'string') {
+        this._extractFromString(expression, variables, {
+          stepIndex: index,
+          field: `variableMap.${calleeVar}`,
+          actionType: action.type
+        });
+      }
+    });
+
+    const callee = workflows?.[action.workflowId];
+    if (!callee || callStack.includes(action.workflowId)) return;
+
+    const calleeVariables = this.extractVariables(
+      callee.recording?.actions, workflows, [...callStack, action.workflowId]
+    );
+
+    Object.keys(calleeVariables).forEach(name => {
+      if (variableMap.hasOwnProperty(name)) return;
+      this._extractFromString(this.createPlaceholder(name), variables, {
+        stepIndex: index,
+        field: `callee.${name}`,
+        actionType: action.type,
+        workflowId: action.workflowId
+      });
+    });
+  },
+
   /**
    * Internal helper to extract variables from a string
    * @private
@@ -80,7 +163,11 @@ const VariableSystem = {
     const pattern = new RegExp(VARIABLE_PATTERN.source, 'g');
 
     while ((match = pattern.exec(str)) !== null) {
-      const varName = match[1];
+      // {{client.name}} needs the "client" variable
+      const varName = match[1].split('.')[0];
+
+      // Loop items are supplied by the enclosing repeat block
+      if (LOOP_VARIABLES.includes(varName)) continue;
 
       if (!variables[varName]) {
         variables[varName] = {
@@ -107,9 +194,10 @@ const VariableSystem = {
       return str;
     }
 
-    return str.replace(VARIABLE_PATTERN, (match, varName) => {
-      if (values.hasOwnProperty(varName)) {
-        return values[varName];
+    return str.replace(VARIABLE_PATTERN, (match, path) => {
+      const value = this.resolvePath(values, path);
+      if (value !== undefined && value !== null) {
+        return typeof value === 'object' ? JSON.stringify(value) : value;
       }
       // Return original placeholder if no value provided
       return match;
@@ -117,47 +205,17 @@ const VariableSystem = {
   },
 
   /**
-   * Injects variables into an entire action object
-   * @param {Object} action - Action object with potential variables
+   * Resolves a variable name or dotted path against a values map
    * @param {Object} values - Map of variable names to values
-   * @returns {Object} Action with variables injected
+   * @param {string} path - Variable name, e.g. "city" or "item.city"
+   * @returns {*} Resolved value or undefined
    */
-  injectIntoAction(action, values) {
-    if (!action || !values) {
-      return action;
+  resolvePath(values, path) {
+    const [name, ...keys] = path.split('.');
+    if (!values || !values.hasOwnProperty(name)) {
+      return undefined;
     }
-
-    const injected = { ...action };
-
-    // Inject into value field
-    if (injected.value && typeof injected.value === 'string') {
-      injected.value = this.injectVariables(injected.value, values);
-    }
-
-    // Inject into URL
-    if (injected.url && typeof injected.url === 'string') {
-      injected.url = this.injectVariables(injected.url, values);
-    }
-
-    // Inject into assertion
-    if (injected.assertion) {
-      injected.assertion = { ...injected.assertion };
-      if (injected.assertion.expected && typeof injected.assertion.expected === 'string') {
-        injected.assertion.expected = this.injectVariables(injected.assertion.expected, values);
-      }
-    }
-
-    // Inject into data object
-    if (injected.data && typeof injected.data === 'object') {
-      injected.data = { ...injected.data };
-      Object.keys(injected.data).forEach(key => {
-        if (typeof injected.data[key] === 'string') {
-          injected.data[key] = this.injectVariables(injected.data[key], values);
-        }
-      });
-    }
-
-    return injected;
+    return keys.reduce((obj, key) => (obj == null ? undefined : obj[key]), values[name]);
   },
 
   /**
@@ -217,8 +275,9 @@ const VariableSystem = {
     const pattern = new RegExp(VARIABLE_PATTERN.source, 'g');
 
     while ((match = pattern.exec(str)) !== null) {
-      if (!names.includes(match[1])) {
-        names.push(match[1]);
+      const name = match[1].split('.')[0];
+      if (!names.includes(name)) {
+        names.push(name);
       }
     }
 
@@ -288,7 +347,7 @@ const VariableSystem = {
 
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { VariableSystem, VARIABLE_PATTERN };
+  module.exports = { VariableSystem, VARIABLE_PATTERN, LOOP_VARIABLES };
 }
 
 // Make available globally in content scripts
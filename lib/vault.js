@@ -0,0 +1,343 @@
+/**
+ * FormGhost - Secret Vault Module
+ * Passphrase-unlocked store for secret variable values, sensitive presets,
+ * the API key and (when encryption is enabled) client profiles. Entries are encrypted with AES-GCM under a key derived
+ * from the passphrase with PBKDF2; only the ciphertext reaches
+ * chrome.storage.local.
+ *
+ * Runs in the service worker. While unlocked, the key lives in memory and in
+ * chrome.storage.session (never written to disk) so the vault survives the
+ * worker being suspended, until it auto-locks after inactivity.
+ */
+
+const VAULT_STORAGE_KEY = 'formGhostVault';
+const VAULT_SESSION_KEY = 'formGhostVaultSession';
+const VAULT_PBKDF2_ITERATIONS = 310000;
+const VAULT_DEFAULT_AUTO_LOCK_MINUTES = 15;
+const VAULT_MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Vault API
+ */
+const Vault = {
+  key: null,
+  entries: null,
+  lastActivity: 0,
+  lockTimer: null,
+
+  /**
+   * Gets vault status
+   * @returns {Promise<Object>} {initialized, unlocked, autoLockMinutes}
+   */
+  async getStatus() {
+    const stored = await this.getStored();
+    return {
+      initialized: !!stored,
+      unlocked: await this.isUnlocked(),
+      autoLockMinutes: stored?.autoLockMinutes || VAULT_DEFAULT_AUTO_LOCK_MINUTES
+    };
+  },
+
+  /**
+   * Creates the vault with a passphrase and leaves it unlocked
+   * @param {string} passphrase - Vault passphrase
+   * @param {number} [autoLockMinutes] - Minutes of inactivity before locking
+   */
+  async setup(passphrase, autoLockMinutes = VAULT_DEFAULT_AUTO_LOCK_MINUTES) {
+    if (await this.getStored()) {
+      throw new Error('Vault already exists');
+    }
+    if (!passphrase || passphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    this.key = await this.deriveKey(passphrase, salt, VAULT_PBKDF2_ITERATIONS);
+    this.entries = {};
+
+    await chrome.storage.local.set({
+      [VAULT_STORAGE_KEY]: {
+        salt: this.toBase64(salt),
+        iterations: VAULT_PBKDF2_ITERATIONS,
+        autoLockMinutes,
+        data: await this.encrypt(this.entries)
+      }
+    });
+    await this.saveSession();
+    await this.touch(autoLockMinutes);
+  },
+
+  /**
+   * Unlocks the vault. A wrong passphrase fails AES-GCM authentication.
+   * @param {string} passphrase - Vault passphrase
+   */
+  async unlock(passphrase) {
+    const stored = await this.getStored();
+    if (!stored) {
+      throw new Error('Vault has not been set up');
+    }
+
+    const key = await this.deriveKey(passphrase || '', this.fromBase64(stored.salt), stored.iterations);
+    try {
+      this.entries = await this.decrypt(stored.data, key);
+    } catch (error) {
+      throw new Error('Incorrect passphrase');
+    }
+
+    this.key = key;
+    await this.saveSession();
+    await this.touch(stored.autoLockMinutes);
+  },
+
+  /**
+   * Re-encrypts every entry under a new passphrase (and a fresh salt)
+   * @param {string} currentPassphrase - Current vault passphrase
+   * @param {string} newPassphrase - New vault passphrase
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    const stored = await this.getStored();
+    if (!stored) {
+      throw new Error('Vault has not been set up');
+    }
+    if (!newPassphrase || newPassphrase.length < VAULT_MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`Passphrase must be at least ${VAULT_MIN_PASSPHRASE_LENGTH} characters`);
+    }
+
+    const currentKey = await this.deriveKey(currentPassphrase || '', this.fromBase64(stored.salt), stored.iterations);
+    let entries;
+    try {
+      entries = await this.decrypt(stored.data, currentKey);
+    } catch (error) {
+      throw new Error('Incorrect passphrase');
+    }
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await this.deriveKey(newPassphrase, salt, VAULT_PBKDF2_ITERATIONS);
+    await chrome.storage.local.set({
+      [VAULT_STORAGE_KEY]: {
+        ...stored,
+        salt: this.toBase64(salt),
+        iterations: VAULT_PBKDF2_ITERATIONS,
+        data: await this.encrypt(entries, key)
+      }
+    });
+
+    this.key = key;
+    this.entries = entries;
+    await this.saveSession();
+    await this.touch(stored.autoLockMinutes);
+  },
+
+  /**
+   * Forgets the key and decrypted entries
+   */
+  async lock() {
+    this.key = null;
+    this.entries = null;
+    this.lastActivity = 0;
+    clearTimeout(this.lockTimer);
+    this.lockTimer = null;
+    await chrome.storage.session.remove(VAULT_SESSION_KEY);
+  },
+
+  /**
+   * Checks whether the vault is unlocked, restoring the key after the
+   * service worker restarted and locking it if it sat idle too long
+   * @returns {Promise<boolean>}
+   */
+  async isUnlocked() {
+    if (!this.key && !(await this.restoreSession())) return false;
+
+    const stored = await this.getStored();
+    const autoLockMinutes = stored?.autoLockMinutes || VAULT_DEFAULT_AUTO_LOCK_MINUTES;
+    if (!stored || Date.now() - this.lastActivity > autoLockMinutes * 60000) {
+      await this.lock();
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Reads an entry
+   * @param {string} name - Entry name, e.g. "apiKey" or "presets.<id>"
+   * @returns {Promise<*>} Value, or undefined when missing
+   */
+  async get(name) {
+    await this.requireUnlocked();
+    await this.touch();
+    return this.entries[name];
+  },
+
+  /**
+   * Writes an entry (undefined removes it)
+   * @param {string} name - Entry name
+   * @param {*} value - JSON-serializable value
+   */
+  async set(name, value) {
+    await this.requireUnlocked();
+    if (value === undefined) {
+      delete this.entries[name];
+    } else {
+      this.entries[name] = value;
+    }
+
+    const stored = await this.getStored();
+    await chrome.storage.local.set({
+      [VAULT_STORAGE_KEY]: { ...stored, data: await this.encrypt(this.entries) }
+    });
+    await this.touch();
+  },
+
+  /**
+   * Removes an entry
+   * @param {string} name - Entry name
+   */
+  async remove(name) {
+    await this.set(name, undefined);
+  },
+
+  /**
+   * Throws unless the vault is unlocked
+   * @private
+   */
+  async requireUnlocked() {
+    if (!(await this.isUnlocked())) {
+      throw new Error('Vault is locked');
+    }
+  },
+
+  /**
+   * Records activity and (re)arms the auto-lock timer
+   * @private
+   */
+  async touch(autoLockMinutes = null) {
+    if (!autoLockMinutes) {
+      const stored = await this.getStored();
+      autoLockMinutes = stored?.autoLockMinutes || VAULT_DEFAULT_AUTO_LOCK_MINUTES;
+    }
+
+    this.lastActivity = Date.now();
+    await chrome.storage.session.set({
+      [VAULT_SESSION_KEY]: { ...(await this.getSession()), lastActivity: this.lastActivity }
+    });
+
+    // Best effort - a suspended worker is caught by isUnlocked() instead
+    clearTimeout(this.lockTimer);
+    this.lockTimer = setTimeout(() => {
+      this.lock().catch(error => console.error('Vault: Failed to auto-lock:', error));
+    }, autoLockMinutes * 60000);
+  },
+
+  /**
+   * Keeps the raw key in session storage while unlocked
+   * @private
+   */
+  async saveSession() {
+    const rawKey = await crypto.subtle.exportKey('raw', this.key);
+    await chrome.storage.session.set({
+      [VAULT_SESSION_KEY]: { key: this.toBase64(new Uint8Array(rawKey)), lastActivity: Date.now() }
+    });
+  },
+
+  /**
+   * Reads the session entry
+   * @private
+   */
+  async getSession() {
+    const result = await chrome.storage.session.get(VAULT_SESSION_KEY);
+    return result[VAULT_SESSION_KEY] || null;
+  },
+
+  /**
+   * Restores the key and entries after a service worker restart
+   * @private
+   */
+  async restoreSession() {
+    try {
+      const session = await this.getSession();
+      const stored = await this.getStored();
+      if (!session?.key || !stored) return false;
+
+      const key = await crypto.subtle.importKey(
+        'raw', this.fromBase64(session.key), { name: 'AES-GCM' }, true, ['encrypt', 'decrypt']
+      );
+      this.entries = await this.decrypt(stored.data, key);
+      this.key = key;
+      this.lastActivity = session.lastActivity || 0;
+      return true;
+    } catch (error) {
+      console.error('Vault: Failed to restore session:', error);
+      await this.lock();
+      return false;
+    }
+  },
+
+  /**
+   * Reads the encrypted vault record
+   * @private
+   */
+  async getStored() {
+    const result = await chrome.storage.local.get(VAULT_STORAGE_KEY);
+    return result[VAULT_STORAGE_KEY] || null;
+  },
+
+  /**
+   * Derives the AES-GCM key from a passphrase
+   * @private
+   */
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  },
+
+  /**
+   * Encrypts a JSON value with a fresh IV
+   * @private
+   */
+  async encrypt(value, key = this.key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+    return { iv: this.toBase64(iv), ciphertext: this.toBase64(new Uint8Array(ciphertext)) };
+  },
+
+  /**
+   * Decrypts a value produced by encrypt()
+   * @private
+   */
+  async decrypt(data, key = this.key) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(data.iv) }, key, this.fromBase64(data.ciphertext)
+    );
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  },
+
+  /**
+   * @private
+   */
+  toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  },
+
+  /**
+   * @private
+   */
+  fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+};
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Vault, VAULT_STORAGE_KEY };
+}
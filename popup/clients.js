@@ -10,15 +10,24 @@ let deletingClientId = null;
 let importData = null; // Temporary storage for CSV import data
 let selectedClientForFill = null; // Client selected for AI fill
 let workflows = []; // Cached workflows for selection
+let mappingCacheEntries = []; // Entries shown in the mapping cache editor
+let pendingMappingLibrary = null; // Parsed library awaiting import
+
+// Cache entries unused for this long are offered for pruning
+const STALE_MAPPING_DAYS = 90;
+let clientsLocked = false; // Profiles are encrypted and the vault is locked
 
 // DOM Elements
 const elements = {
   backBtn: document.getElementById('backBtn'),
   settingsBtn: document.getElementById('settingsBtn'),
+  lockBtn: document.getElementById('lockBtn'),
   searchInput: document.getElementById('searchInput'),
   addClientBtn: document.getElementById('addClientBtn'),
   clientsList: document.getElementById('clientsList'),
   emptyState: document.getElementById('emptyState'),
+  lockedState: document.getElementById('lockedState'),
+  unlockClientsBtn: document.getElementById('unlockClientsBtn'),
   // CSV Import/Export
   importCsvBtn: document.getElementById('importCsvBtn'),
   exportCsvBtn: document.getElementById('exportCsvBtn'),
@@ -35,12 +44,29 @@ const elements = {
   // Settings Modal
   settingsModal: document.getElementById('settingsModal'),
   closeSettingsModal: document.getElementById('closeSettingsModal'),
+  aiProvider: document.getElementById('aiProvider'),
+  localProviderFields: document.getElementById('localProviderFields'),
+  localEndpoint: document.getElementById('localEndpoint'),
+  localModel: document.getElementById('localModel'),
+  localApiKeyInput: document.getElementById('localApiKeyInput'),
+  clearLocalApiKeyBtn: document.getElementById('clearLocalApiKeyBtn'),
+  apiKeyGroup: document.getElementById('apiKeyGroup'),
+  aiProviderStatus: document.getElementById('aiProviderStatus'),
+  testAIProviderBtn: document.getElementById('testAIProviderBtn'),
+  apiKeyInput: document.getElementById('apiKeyInput'),
+  clearApiKeyBtn: document.getElementById('clearApiKeyBtn'),
   excludeSensitive: document.getElementById('excludeSensitive'),
   dateFormat: document.getElementById('dateFormat'),
   phoneFormat: document.getElementById('phoneFormat'),
   cacheEnabled: document.getElementById('cacheEnabled'),
+  localMatchThreshold: document.getElementById('localMatchThreshold'),
+  aiMatching: document.getElementById('aiMatching'),
+  reviewMappings: document.getElementById('reviewMappings'),
   cacheStats: document.getElementById('cacheStats'),
   clearCacheBtn: document.getElementById('clearCacheBtn'),
+  encryptionStatus: document.getElementById('encryptionStatus'),
+  toggleEncryptionBtn: document.getElementById('toggleEncryptionBtn'),
+  changePassphraseBtn: document.getElementById('changePassphraseBtn'),
   cancelSettingsBtn: document.getElementById('cancelSettingsBtn'),
   saveSettingsBtn: document.getElementById('saveSettingsBtn'),
   // Delete Modal
@@ -86,7 +112,40 @@ const elements = {
   workflowHint: document.getElementById('workflowHint'),
   useLegacyFill: document.getElementById('useLegacyFill'),
   cancelWorkflowSelectBtn: document.getElementById('cancelWorkflowSelectBtn'),
-  confirmWorkflowFillBtn: document.getElementById('confirmWorkflowFillBtn')
+  confirmWorkflowFillBtn: document.getElementById('confirmWorkflowFillBtn'),
+  // Mapping Library
+  manageCacheBtn: document.getElementById('manageCacheBtn'),
+  exportMappingsBtn: document.getElementById('exportMappingsBtn'),
+  importMappingsBtn: document.getElementById('importMappingsBtn'),
+  mappingLibraryInput: document.getElementById('mappingLibraryInput'),
+  mappingCacheModal: document.getElementById('mappingCacheModal'),
+  closeMappingCacheModal: document.getElementById('closeMappingCacheModal'),
+  mappingCacheCount: document.getElementById('mappingCacheCount'),
+  mappingCacheList: document.getElementById('mappingCacheList'),
+  selectStaleMappingsBtn: document.getElementById('selectStaleMappingsBtn'),
+  selectNoneMappingsBtn: document.getElementById('selectNoneMappingsBtn'),
+  cancelMappingCacheBtn: document.getElementById('cancelMappingCacheBtn'),
+  deleteMappingsBtn: document.getElementById('deleteMappingsBtn'),
+  mappingImportModal: document.getElementById('mappingImportModal'),
+  closeMappingImportModal: document.getElementById('closeMappingImportModal'),
+  mappingImportSummary: document.getElementById('mappingImportSummary'),
+  mappingConflictSection: document.getElementById('mappingConflictSection'),
+  mappingConflictStrategy: document.getElementById('mappingConflictStrategy'),
+  mappingConflictList: document.getElementById('mappingConflictList'),
+  cancelMappingImportBtn: document.getElementById('cancelMappingImportBtn'),
+  confirmMappingImportBtn: document.getElementById('confirmMappingImportBtn'),
+  // AI Audit Log
+  auditLogStats: document.getElementById('auditLogStats'),
+  viewAuditLogBtn: document.getElementById('viewAuditLogBtn'),
+  auditRetentionDays: document.getElementById('auditRetentionDays'),
+  auditMaxEntries: document.getElementById('auditMaxEntries'),
+  exportAuditJsonBtn: document.getElementById('exportAuditJsonBtn'),
+  exportAuditCsvBtn: document.getElementById('exportAuditCsvBtn'),
+  clearAuditLogBtn: document.getElementById('clearAuditLogBtn'),
+  auditLogModal: document.getElementById('auditLogModal'),
+  closeAuditLogModal: document.getElementById('closeAuditLogModal'),
+  auditLogList: document.getElementById('auditLogList'),
+  closeAuditLogBtn: document.getElementById('closeAuditLogBtn')
 };
 
 /**
@@ -110,8 +169,10 @@ async function sendMessage(message) {
 async function loadClients() {
   try {
     const response = await sendMessage({ type: 'GET_CLIENTS' });
+    clientsLocked = !!response.locked;
     clients = response.clients || [];
     renderClients();
+    await updateLockButton();
   } catch (error) {
     console.error('Failed to load clients:', error);
   }
@@ -121,6 +182,19 @@ async function loadClients() {
  * Renders the client list
  */
 function renderClients() {
+  // Nothing can be listed, added or imported until the vault is unlocked
+  elements.lockedState.style.display = clientsLocked ? 'block' : 'none';
+  [elements.addClientBtn, elements.importCsvBtn, elements.exportCsvBtn, elements.searchInput].forEach(control => {
+    control.disabled = clientsLocked;
+  });
+  if (clientsLocked) {
+    elements.emptyState.style.display = 'none';
+    elements.clientsList.innerHTML = '';
+    elements.clientsList.appendChild(elements.emptyState);
+    elements.clientsList.appendChild(elements.lockedState);
+    return;
+  }
+
   const searchTerm = elements.searchInput.value.toLowerCase();
   const filtered = clients.filter(c => {
     const fullName = `${c.firstName} ${c.middleName || ''} ${c.lastName}`.toLowerCase();
@@ -215,10 +289,10 @@ function escapeHtml(str) {
  */
 async function selectClientForFill(client) {
   try {
-    // Check if we have an API key
+    // Check the AI provider is set up
     const settings = await sendMessage({ type: 'GET_AI_SETTINGS' });
-    if (!settings.apiKey) {
-      alert('Please configure your API key in settings first.');
+    if (!isAIProviderConfigured(settings) && settings.aiMatching !== false) {
+      alert('Please configure your AI provider in settings first, or turn off AI field matching.');
       openSettingsModal();
       return;
     }
@@ -329,7 +403,7 @@ async function executeFormFill() {
 
       // Close popup after successful fill
       window.close();
-    } else {
+    } else if (!response.cancelled) {
       alert('Fill failed: ' + (response.error || 'Unknown error'));
     }
   } catch (error) {
@@ -524,14 +598,30 @@ async function openSettingsModal() {
   try {
     const settings = await sendMessage({ type: 'GET_AI_SETTINGS' });
 
+    elements.aiProvider.value = settings.aiProvider || 'claude';
+    elements.localEndpoint.value = settings.localEndpoint || '';
+    elements.localModel.value = settings.localModel || '';
+    elements.localApiKeyInput.value = '';
+    elements.localApiKeyInput.placeholder = settings.customLocalApiKey ? 'Using your key (stored in vault)' : 'No key';
+    elements.clearLocalApiKeyBtn.style.display = settings.customLocalApiKey ? 'block' : 'none';
+    elements.aiProviderStatus.textContent = '';
+    updateProviderFields();
+    elements.apiKeyInput.value = '';
+    elements.apiKeyInput.placeholder = settings.customApiKey ? 'Using your key (stored in vault)' : 'Using built-in key';
+    elements.clearApiKeyBtn.style.display = settings.customApiKey ? 'block' : 'none';
     elements.excludeSensitive.checked = settings.excludeSensitive !== false;
     elements.dateFormat.value = settings.defaultDateFormat || 'MM/DD/YYYY';
     elements.phoneFormat.value = settings.defaultPhoneFormat || '(###) ###-####';
     elements.cacheEnabled.checked = settings.cacheEnabled !== false;
+    elements.localMatchThreshold.value = settings.localMatchThreshold ?? 0.75;
+    elements.aiMatching.checked = settings.aiMatching !== false;
+    elements.reviewMappings.checked = !!settings.reviewMappings;
 
     // Load cache stats
     const cacheStats = await sendMessage({ type: 'GET_CACHE_STATS' });
     updateCacheStats(cacheStats);
+    await loadAuditLogSummary();
+    await renderEncryptionStatus();
 
     elements.settingsModal.style.display = 'flex';
   } catch (error) {
@@ -560,13 +650,39 @@ function updateCacheStats(stats) {
  */
 async function saveSettings() {
   try {
+    const settings = {
+      excludeSensitive: elements.excludeSensitive.checked,
+      defaultDateFormat: elements.dateFormat.value,
+      defaultPhoneFormat: elements.phoneFormat.value,
+      cacheEnabled: elements.cacheEnabled.checked,
+      localMatchThreshold: Math.min(1, Math.max(0.5, parseFloat(elements.localMatchThreshold.value) || 0.75)),
+      aiMatching: elements.aiMatching.checked,
+      reviewMappings: elements.reviewMappings.checked,
+      aiProvider: elements.aiProvider.value,
+      localEndpoint: elements.localEndpoint.value.trim(),
+      localModel: elements.localModel.value.trim()
+    };
+    if (settings.aiProvider === 'openai' && (!settings.localEndpoint || !settings.localModel)) {
+      alert('Enter the endpoint URL and model name for your AI server.');
+      return;
+    }
+    // Only send a key the user typed - it is stored in the vault
+    const apiKey = elements.apiKeyInput.value.trim();
+    if (apiKey) settings.apiKey = apiKey;
+    const localApiKey = elements.localApiKeyInput.value.trim();
+    if (localApiKey) settings.localApiKey = localApiKey;
+
+    const response = await sendMessage({ type: 'SAVE_AI_SETTINGS', settings });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to save settings');
+      return;
+    }
+
     await sendMessage({
-      type: 'SAVE_AI_SETTINGS',
-      settings: {
-        excludeSensitive: elements.excludeSensitive.checked,
-        defaultDateFormat: elements.dateFormat.value,
-        defaultPhoneFormat: elements.phoneFormat.value,
-        cacheEnabled: elements.cacheEnabled.checked
+      type: 'SET_AI_AUDIT_RETENTION',
+      retention: {
+        days: elements.auditRetentionDays.value,
+        maxEntries: elements.auditMaxEntries.value
       }
     });
 
@@ -577,6 +693,218 @@ async function saveSettings() {
   }
 }
 
+/**
+ * Checks whether AI settings name a usable provider
+ */
+function isAIProviderConfigured(settings) {
+  return settings.aiProvider === 'openai'
+    ? !!(settings.localEndpoint && settings.localModel)
+    : !!settings.apiKey;
+}
+
+/**
+ * Shows the fields for the selected AI provider
+ */
+function updateProviderFields() {
+  const isLocal = elements.aiProvider.value === 'openai';
+  elements.localProviderFields.style.display = isLocal ? 'block' : 'none';
+  elements.apiKeyGroup.style.display = isLocal ? 'none' : 'block';
+}
+
+/**
+ * Sends a test request to the provider as currently entered in the modal
+ */
+async function testAIProvider() {
+  elements.aiProviderStatus.textContent = 'Testing...';
+  elements.testAIProviderBtn.disabled = true;
+
+  try {
+    const settings = {
+      aiProvider: elements.aiProvider.value,
+      localEndpoint: elements.localEndpoint.value.trim(),
+      localModel: elements.localModel.value.trim()
+    };
+    // A key typed but not saved yet is tested as typed; otherwise the vault's is used
+    const localApiKey = elements.localApiKeyInput.value.trim();
+    if (localApiKey) settings.localApiKey = localApiKey;
+
+    const result = await sendMessage({ type: 'TEST_AI_PROVIDER', settings });
+    elements.aiProviderStatus.textContent = result?.valid
+      ? 'Connected'
+      : `Failed: ${result?.error || 'No response'}`;
+  } catch (error) {
+    console.error('Failed to test AI provider:', error);
+    elements.aiProviderStatus.textContent = `Failed: ${error.message}`;
+  } finally {
+    elements.testAIProviderBtn.disabled = false;
+  }
+}
+
+/**
+ * Removes the user's API key from the vault so the built-in key is used
+ */
+async function clearApiKey() {
+  try {
+    const response = await sendMessage({ type: 'SAVE_AI_SETTINGS', settings: { apiKey: '' } });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to remove API key');
+      return;
+    }
+    elements.apiKeyInput.placeholder = 'Using built-in key';
+    elements.clearApiKeyBtn.style.display = 'none';
+  } catch (error) {
+    console.error('Failed to remove API key:', error);
+  }
+}
+
+/**
+ * Removes the OpenAI-compatible endpoint's key from the vault
+ */
+async function clearLocalApiKey() {
+  try {
+    const response = await sendMessage({ type: 'SAVE_AI_SETTINGS', settings: { localApiKey: '' } });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to remove API key');
+      return;
+    }
+    elements.localApiKeyInput.placeholder = 'No key';
+    elements.clearLocalApiKeyBtn.style.display = 'none';
+  } catch (error) {
+    console.error('Failed to remove API key:', error);
+  }
+}
+
+// ============================================================================
+// CLIENT ENCRYPTION
+// ============================================================================
+
+/**
+ * Shows the header lock button while encrypted profiles are unlocked
+ */
+async function updateLockButton() {
+  try {
+    const status = await sendMessage({ type: 'GET_CLIENT_ENCRYPTION' });
+    elements.lockBtn.style.display = status?.enabled && status.unlocked ? 'block' : 'none';
+    return status;
+  } catch (error) {
+    console.error('Failed to get encryption status:', error);
+    return null;
+  }
+}
+
+/**
+ * Makes sure the vault exists and is unlocked, prompting for the passphrase
+ * @returns {Promise<boolean>} Whether the vault is unlocked
+ */
+async function ensureVaultUnlocked() {
+  const status = await sendMessage({ type: 'GET_VAULT_STATUS' });
+  if (status?.unlocked) return true;
+
+  let response;
+  if (!status?.initialized) {
+    const passphrase = prompt('Choose a vault passphrase (at least 8 characters).\nIt cannot be recovered if lost.');
+    if (!passphrase) return false;
+    if (prompt('Repeat the passphrase:') !== passphrase) {
+      alert('Passphrases do not match');
+      return false;
+    }
+    response = await sendMessage({ type: 'SETUP_VAULT', passphrase });
+  } else {
+    const passphrase = prompt('Vault passphrase:');
+    if (!passphrase) return false;
+    response = await sendMessage({ type: 'UNLOCK_VAULT', passphrase });
+  }
+
+  if (!response?.success) {
+    alert(response?.error || 'Failed to unlock vault');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Unlocks encrypted profiles and lists them
+ */
+async function unlockClients() {
+  try {
+    if (await ensureVaultUnlocked()) {
+      await loadClients();
+    }
+  } catch (error) {
+    console.error('Failed to unlock clients:', error);
+  }
+}
+
+/**
+ * Locks the vault, which hides encrypted profiles again
+ */
+async function lockClients() {
+  try {
+    await sendMessage({ type: 'LOCK_VAULT' });
+    await loadClients();
+  } catch (error) {
+    console.error('Failed to lock clients:', error);
+  }
+}
+
+/**
+ * Shows encryption status in the settings modal
+ */
+async function renderEncryptionStatus() {
+  const status = await updateLockButton();
+  const enabled = !!status?.enabled;
+  elements.encryptionStatus.textContent = enabled
+    ? 'Client profiles are encrypted at rest'
+    : 'Client profiles are stored unencrypted';
+  elements.toggleEncryptionBtn.textContent = enabled ? 'Decrypt' : 'Encrypt';
+  elements.changePassphraseBtn.disabled = !status?.vaultInitialized;
+}
+
+/**
+ * Turns client profile encryption on or off
+ */
+async function toggleEncryption() {
+  try {
+    const status = await sendMessage({ type: 'GET_CLIENT_ENCRYPTION' });
+    const enable = !status?.enabled;
+    if (!enable && !confirm('Store client profiles unencrypted? Anyone with access to this computer could read them.')) {
+      return;
+    }
+    if (!(await ensureVaultUnlocked())) return;
+
+    const response = await sendMessage({ type: 'SET_CLIENT_ENCRYPTION', enabled: enable });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to change encryption');
+    }
+    await renderEncryptionStatus();
+    await loadClients();
+  } catch (error) {
+    console.error('Failed to change encryption:', error);
+  }
+}
+
+/**
+ * Re-encrypts profiles and vault secrets under a new passphrase
+ */
+async function changePassphrase() {
+  const currentPassphrase = prompt('Current vault passphrase:');
+  if (!currentPassphrase) return;
+  const newPassphrase = prompt('New passphrase (at least 8 characters):');
+  if (!newPassphrase) return;
+  if (prompt('Repeat the new passphrase:') !== newPassphrase) {
+    alert('Passphrases do not match');
+    return;
+  }
+
+  try {
+    const response = await sendMessage({ type: 'CHANGE_VAULT_PASSPHRASE', currentPassphrase, newPassphrase });
+    alert(response?.success ? 'Passphrase changed' : (response?.error || 'Failed to change passphrase'));
+    await loadClients();
+  } catch (error) {
+    console.error('Failed to change passphrase:', error);
+  }
+}
+
 /**
  * Clears mapping cache
  */
@@ -591,6 +919,404 @@ async function clearCache() {
   }
 }
 
+// ============================================================================
+// AI AUDIT LOG
+// ============================================================================
+
+/**
+ * Shows audit log counts and retention limits in the settings modal
+ */
+async function loadAuditLogSummary() {
+  try {
+    const response = await sendMessage({ type: 'GET_AI_AUDIT_LOG' });
+    if (!response?.success) return;
+
+    const { stats, retention } = response;
+    elements.auditLogStats.textContent = stats.total
+      ? `${stats.sent} sent, ${stats.failed} failed, ${stats.blocked} blocked`
+      : 'No AI requests logged';
+    elements.auditRetentionDays.value = retention.days;
+    elements.auditMaxEntries.value = retention.maxEntries;
+  } catch (error) {
+    console.error('Failed to load audit log:', error);
+  }
+}
+
+/**
+ * Opens the audit log viewer
+ */
+async function openAuditLogModal() {
+  try {
+    const response = await sendMessage({ type: 'GET_AI_AUDIT_LOG' });
+    renderAuditLog(response?.entries || []);
+    elements.auditLogModal.style.display = 'flex';
+  } catch (error) {
+    console.error('Failed to load audit log:', error);
+    alert('Failed to load audit log');
+  }
+}
+
+/**
+ * Closes the audit log viewer
+ */
+function closeAuditLogModal() {
+  elements.auditLogModal.style.display = 'none';
+}
+
+/**
+ * Renders audit log entries, newest first
+ */
+function renderAuditLog(entries) {
+  if (entries.length === 0) {
+    elements.auditLogList.innerHTML = '<p class="text-muted">No AI requests logged.</p>';
+    return;
+  }
+
+  const pretty = value => escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+  elements.auditLogList.innerHTML = entries.map(entry => {
+    const provider = entry.provider
+      ? `${entry.provider.type}${entry.provider.model ? ` / ${entry.provider.model}` : ''} @ ${entry.provider.host || '?'}`
+      : '';
+    const notes = [
+      entry.containsClientData ? 'client values withheld from this log' : '',
+      entry.reason,
+      entry.error,
+      ...(entry.warnings || [])
+    ].filter(Boolean);
+
+    return `
+      <div class="audit-log-item ${escapeHtml(entry.status)}">
+        <div>
+          <span class="audit-log-status">${escapeHtml(entry.status)}</span>
+          &middot; ${escapeHtml(new Date(entry.timestamp).toLocaleString())}
+          &middot; ${escapeHtml(entry.kind)}
+        </div>
+        <div class="mapping-cache-meta">
+          ${escapeHtml(provider)} &middot; form: ${escapeHtml(entry.formHost || 'n/a')} &middot; ~${entry.estimatedTokens} tokens
+        </div>
+        ${notes.length ? `<div class="mapping-cache-meta">${notes.map(escapeHtml).join('<br>')}</div>` : ''}
+        <details>
+          <summary>Payload</summary>
+          <pre>${pretty(entry.payload ?? '')}</pre>
+        </details>
+        ${entry.responseMappings ? `
+          <details>
+            <summary>Response mappings (${entry.responseMappings.length})</summary>
+            <pre>${pretty(entry.responseMappings)}</pre>
+          </details>
+        ` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Downloads the audit log
+ * @param {string} format - 'json' or 'csv'
+ */
+async function exportAuditLog(format) {
+  try {
+    const response = await sendMessage({ type: 'EXPORT_AI_AUDIT_LOG', format });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to export audit log');
+      return;
+    }
+
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    const blob = new Blob([response.content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `formghost-ai-audit-${new Date().toISOString().split('T')[0]}.${format}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Audit log export failed:', error);
+    alert('Export failed: ' + error.message);
+  }
+}
+
+/**
+ * Clears the audit log after confirmation
+ */
+async function clearAuditLog() {
+  if (!confirm('Delete the entire AI audit log? Export it first if you need to keep a record.')) return;
+
+  try {
+    await sendMessage({ type: 'CLEAR_AI_AUDIT_LOG' });
+    await loadAuditLogSummary();
+  } catch (error) {
+    console.error('Failed to clear audit log:', error);
+  }
+}
+
+// ============================================================================
+// MAPPING LIBRARY
+// ============================================================================
+
+/**
+ * Opens the mapping cache editor
+ */
+async function openMappingCacheModal() {
+  await loadMappingCacheEntries();
+  elements.mappingCacheModal.style.display = 'flex';
+}
+
+/**
+ * Closes the mapping cache editor
+ */
+function closeMappingCacheModal() {
+  elements.mappingCacheModal.style.display = 'none';
+}
+
+/**
+ * Loads and renders mapping cache entries
+ */
+async function loadMappingCacheEntries() {
+  try {
+    const response = await sendMessage({ type: 'GET_MAPPING_CACHE_ENTRIES' });
+    mappingCacheEntries = response?.entries || [];
+  } catch (error) {
+    console.error('Failed to load mapping cache:', error);
+    mappingCacheEntries = [];
+  }
+
+  // Least recently used first - those are the pruning candidates
+  mappingCacheEntries.sort((a, b) => (a.lastHit || a.cachedAt) - (b.lastHit || b.cachedAt));
+  renderMappingCacheEntries();
+}
+
+/**
+ * Checks whether a cache entry is a pruning candidate
+ */
+function isStaleMapping(entry) {
+  const lastUsed = entry.lastHit || entry.cachedAt;
+  return entry.expired || Date.now() - lastUsed > STALE_MAPPING_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Renders the mapping cache editor list
+ */
+function renderMappingCacheEntries() {
+  elements.mappingCacheCount.textContent = mappingCacheEntries.length;
+
+  if (mappingCacheEntries.length === 0) {
+    elements.mappingCacheList.innerHTML = '<p class="text-muted">No cached form mappings.</p>';
+    updateDeleteMappingsButton();
+    return;
+  }
+
+  elements.mappingCacheList.innerHTML = mappingCacheEntries.map(entry => {
+    const lastUsed = entry.lastHit
+      ? `last used ${new Date(entry.lastHit).toLocaleDateString()}`
+      : `cached ${new Date(entry.cachedAt).toLocaleDateString()}, never reused`;
+    const mappings = entry.mappings.map(m => `
+      <li>${escapeHtml(m.label || m.selector)} &rarr; ${escapeHtml(m.clientField || '')}${m.source === 'correction' ? ' (corrected)' : ''}</li>
+    `).join('');
+
+    return `
+      <div class="mapping-cache-item ${isStaleMapping(entry) ? 'stale' : ''}">
+        <label class="mapping-cache-row">
+          <input type="checkbox" class="mapping-cache-select" data-key="${escapeHtml(entry.key)}">
+          <span class="mapping-cache-url">${escapeHtml(entry.urlPattern || entry.url || entry.key)}</span>
+        </label>
+        <div class="mapping-cache-meta">
+          ${entry.mappingCount} mappings &middot; ${entry.correctionCount} corrections &middot;
+          ${entry.hits} hits &middot; ${lastUsed}${entry.expired ? ' &middot; expired' : ''}
+        </div>
+        <details>
+          <summary>Mappings</summary>
+          <ul>${mappings}</ul>
+        </details>
+      </div>
+    `;
+  }).join('');
+
+  elements.mappingCacheList.querySelectorAll('.mapping-cache-select').forEach(checkbox => {
+    checkbox.addEventListener('change', updateDeleteMappingsButton);
+  });
+  updateDeleteMappingsButton();
+}
+
+/**
+ * Selects stale entries (or none) in the editor
+ */
+function selectMappingEntries(staleOnly) {
+  elements.mappingCacheList.querySelectorAll('.mapping-cache-select').forEach(checkbox => {
+    const entry = mappingCacheEntries.find(e => e.key === checkbox.dataset.key);
+    checkbox.checked = staleOnly && !!entry && isStaleMapping(entry);
+  });
+  updateDeleteMappingsButton();
+}
+
+/**
+ * Gets the keys selected in the editor
+ */
+function getSelectedMappingKeys() {
+  return Array.from(elements.mappingCacheList.querySelectorAll('.mapping-cache-select:checked'))
+    .map(checkbox => checkbox.dataset.key);
+}
+
+/**
+ * Enables the delete button when entries are selected
+ */
+function updateDeleteMappingsButton() {
+  const count = getSelectedMappingKeys().length;
+  elements.deleteMappingsBtn.disabled = count === 0;
+  elements.deleteMappingsBtn.textContent = count ? `Delete Selected (${count})` : 'Delete Selected';
+}
+
+/**
+ * Deletes the selected cache entries
+ */
+async function deleteSelectedMappings() {
+  const keys = getSelectedMappingKeys();
+  if (!keys.length || !confirm(`Delete ${keys.length} cached form mapping(s)? Any corrections in them are lost.`)) {
+    return;
+  }
+
+  try {
+    const response = await sendMessage({ type: 'DELETE_MAPPING_CACHE_ENTRIES', keys });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to delete entries');
+    }
+    await loadMappingCacheEntries();
+    updateCacheStats(await sendMessage({ type: 'GET_CACHE_STATS' }));
+  } catch (error) {
+    console.error('Failed to delete mapping cache entries:', error);
+  }
+}
+
+/**
+ * Downloads the mapping cache as a library file
+ */
+async function exportMappingLibrary() {
+  try {
+    const response = await sendMessage({ type: 'EXPORT_MAPPING_LIBRARY' });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to export mappings');
+      return;
+    }
+    if (Object.keys(response.library.entries).length === 0) {
+      alert('There are no cached form mappings to export.');
+      return;
+    }
+
+    const data = JSON.stringify(response.library, null, 2);
+    const blob = new Blob([data], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `formghost-mapping-library-${new Date().toISOString().split('T')[0]}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('Mapping export failed:', error);
+    alert('Export failed: ' + error.message);
+  }
+}
+
+/**
+ * Reads a library file and shows the import preview
+ */
+async function handleMappingLibrarySelect(event) {
+  const file = event.target.files[0];
+  if (!file) return;
+
+  // Reset file input
+  event.target.value = '';
+
+  try {
+    const library = JSON.parse(await readFileAsText(file));
+    const response = await sendMessage({ type: 'PREVIEW_MAPPING_IMPORT', library });
+    if (!response?.success) {
+      alert(response?.error || 'Could not read mapping library');
+      return;
+    }
+
+    pendingMappingLibrary = library;
+    showMappingImportPreview(response.preview);
+  } catch (error) {
+    console.error('Mapping library read error:', error);
+    alert('Failed to read mapping library: ' + error.message);
+  }
+}
+
+/**
+ * Shows what an import will add and which entries conflict
+ */
+function showMappingImportPreview(preview) {
+  elements.mappingImportSummary.textContent =
+    `${preview.total} forms in library: ${preview.added} new, ${preview.unchanged} already identical, ` +
+    `${preview.conflicts.length} with different mappings.`;
+
+  elements.mappingConflictStrategy.value = 'merge';
+  elements.mappingConflictSection.style.display = preview.conflicts.length ? 'block' : 'none';
+
+  const describe = summary =>
+    `${summary.mappingCount} mappings, ${summary.correctionCount} corrections, ${summary.hits} hits`;
+
+  elements.mappingConflictList.innerHTML = preview.conflicts.map(conflict => `
+    <div class="mapping-cache-item">
+      <div class="mapping-cache-row">
+        <span class="mapping-cache-url">${escapeHtml(conflict.urlPattern)}</span>
+        <select class="mapping-conflict-resolution" data-key="${escapeHtml(conflict.key)}">
+          <option value="">Use default</option>
+          <option value="merge">Merge</option>
+          <option value="local">Keep mine</option>
+          <option value="imported">Use library's</option>
+        </select>
+      </div>
+      <div class="mapping-cache-meta">
+        Mine: ${describe(conflict.local)} &middot; Library: ${describe(conflict.imported)}
+      </div>
+    </div>
+  `).join('');
+
+  elements.mappingImportModal.style.display = 'flex';
+}
+
+/**
+ * Closes the import preview
+ */
+function closeMappingImportModal() {
+  elements.mappingImportModal.style.display = 'none';
+  pendingMappingLibrary = null;
+}
+
+/**
+ * Imports the pending library with the chosen conflict resolutions
+ */
+async function confirmMappingImport() {
+  if (!pendingMappingLibrary) return;
+
+  const resolutions = {};
+  elements.mappingConflictList.querySelectorAll('.mapping-conflict-resolution').forEach(select => {
+    if (select.value) resolutions[select.dataset.key] = select.value;
+  });
+
+  try {
+    const response = await sendMessage({
+      type: 'IMPORT_MAPPING_LIBRARY',
+      library: pendingMappingLibrary,
+      options: { strategy: elements.mappingConflictStrategy.value, resolutions }
+    });
+    if (!response?.success) {
+      alert(response?.error || 'Import failed');
+      return;
+    }
+
+    closeMappingImportModal();
+    updateCacheStats(await sendMessage({ type: 'GET_CACHE_STATS' }));
+    alert(`Imported mapping library: ${response.added} added, ${response.updated} updated, ` +
+      `${response.skipped} kept as-is, ${response.unchanged} unchanged.`);
+  } catch (error) {
+    console.error('Mapping import failed:', error);
+    alert('Import failed: ' + error.message);
+  }
+}
+
 // ============================================================================
 // CSV IMPORT/EXPORT FUNCTIONS
 // ============================================================================
@@ -989,6 +1715,8 @@ elements.backBtn.addEventListener('click', () => {
 });
 
 elements.settingsBtn.addEventListener('click', openSettingsModal);
+elements.lockBtn.addEventListener('click', lockClients);
+elements.unlockClientsBtn.addEventListener('click', unlockClients);
 
 // Search
 elements.searchInput.addEventListener('input', renderClients);
@@ -1006,7 +1734,33 @@ elements.addCustomFieldBtn.addEventListener('click', () => addCustomFieldRow());
 elements.closeSettingsModal.addEventListener('click', closeSettingsModal);
 elements.cancelSettingsBtn.addEventListener('click', closeSettingsModal);
 elements.saveSettingsBtn.addEventListener('click', saveSettings);
+elements.clearApiKeyBtn.addEventListener('click', clearApiKey);
+elements.clearLocalApiKeyBtn.addEventListener('click', clearLocalApiKey);
+elements.aiProvider.addEventListener('change', updateProviderFields);
+elements.testAIProviderBtn.addEventListener('click', testAIProvider);
 elements.clearCacheBtn.addEventListener('click', clearCache);
+elements.viewAuditLogBtn.addEventListener('click', openAuditLogModal);
+elements.exportAuditJsonBtn.addEventListener('click', () => exportAuditLog('json'));
+elements.exportAuditCsvBtn.addEventListener('click', () => exportAuditLog('csv'));
+elements.clearAuditLogBtn.addEventListener('click', clearAuditLog);
+elements.closeAuditLogModal.addEventListener('click', closeAuditLogModal);
+elements.closeAuditLogBtn.addEventListener('click', closeAuditLogModal);
+elements.manageCacheBtn.addEventListener('click', openMappingCacheModal);
+elements.exportMappingsBtn.addEventListener('click', exportMappingLibrary);
+elements.importMappingsBtn.addEventListener('click', () => elements.mappingLibraryInput.click());
+elements.mappingLibraryInput.addEventListener('change', handleMappingLibrarySelect);
+
+// Mapping cache editor and library import
+elements.closeMappingCacheModal.addEventListener('click', closeMappingCacheModal);
+elements.cancelMappingCacheBtn.addEventListener('click', closeMappingCacheModal);
+elements.selectStaleMappingsBtn.addEventListener('click', () => selectMappingEntries(true));
+elements.selectNoneMappingsBtn.addEventListener('click', () => selectMappingEntries(false));
+elements.deleteMappingsBtn.addEventListener('click', deleteSelectedMappings);
+elements.closeMappingImportModal.addEventListener('click', closeMappingImportModal);
+elements.cancelMappingImportBtn.addEventListener('click', closeMappingImportModal);
+elements.confirmMappingImportBtn.addEventListener('click', confirmMappingImport);
+elements.toggleEncryptionBtn.addEventListener('click', toggleEncryption);
+elements.changePassphraseBtn.addEventListener('click', changePassphrase);
 
 // Delete modal
 elements.closeDeleteModal.addEventListener('click', closeDeleteModal);
@@ -1041,7 +1795,10 @@ elements.confirmWorkflowFillBtn.addEventListener('click', executeFormFill);
   elements.exportCsvModal,
   elements.importPreviewModal,
   elements.importResultsModal,
-  elements.workflowSelectModal
+  elements.workflowSelectModal,
+  elements.mappingCacheModal,
+  elements.mappingImportModal,
+  elements.auditLogModal
 ].forEach(modal => {
   modal.addEventListener('click', (e) => {
     if (e.target === modal) {
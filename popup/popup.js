@@ -16,6 +16,7 @@ const elements = {
   stopBtn: document.getElementById('stopBtn'),
   annotateBtn: document.getElementById('annotateBtn'),
   assertBtn: document.getElementById('assertBtn'),
+  extractBtn: document.getElementById('extractBtn'),
   assertionCount: document.getElementById('assertionCount'),
   sidebarBtn: document.getElementById('sidebarBtn'),
   exportJsonBtn: document.getElementById('exportJsonBtn'),
@@ -29,6 +30,7 @@ const elements = {
   captureStorage: document.getElementById('captureStorage'),
   captureHover: document.getElementById('captureHover'),
   redactSensitive: document.getElementById('redactSensitive'),
+  redactFieldPatterns: document.getElementById('redactFieldPatterns'),
   // Recording management
   recordingName: document.getElementById('recordingName'),
   saveBtn: document.getElementById('saveBtn'),
@@ -100,6 +102,7 @@ function updateUIState(status) {
   elements.stopBtn.disabled = isStopped;
   elements.annotateBtn.disabled = !isRecording && !isPaused;
   elements.assertBtn.disabled = !isRecording && !isPaused;
+  elements.extractBtn.disabled = !isRecording && !isPaused;
   elements.sidebarBtn.disabled = !isRecording && !isPaused;
 
   // Timer
@@ -157,7 +160,8 @@ function getSettings() {
     captureNetwork: elements.captureNetwork.checked,
     captureStorage: elements.captureStorage.checked,
     captureHover: elements.captureHover.checked,
-    redactSensitive: elements.redactSensitive.checked
+    redactSensitive: elements.redactSensitive.checked,
+    redactFieldPatterns: elements.redactFieldPatterns.value.trim()
   };
 }
 
@@ -172,7 +176,8 @@ async function loadSettings() {
       elements.captureNetwork.checked = result.settings.captureNetwork ?? true;
       elements.captureStorage.checked = result.settings.captureStorage ?? true;
       elements.captureHover.checked = result.settings.captureHover ?? false;
-      elements.redactSensitive.checked = result.settings.redactSensitive ?? false;
+      elements.redactSensitive.checked = result.settings.redactSensitive ?? true;
+      elements.redactFieldPatterns.value = result.settings.redactFieldPatterns || '';
     }
   } catch (error) {
     console.error('Failed to load settings:', error);
@@ -294,6 +299,16 @@ elements.assertBtn.addEventListener('click', async () => {
   }
 });
 
+elements.extractBtn.addEventListener('click', async () => {
+  try {
+    // Same picker as assertions, showing the extract options
+    await sendMessage({ type: 'ACTIVATE_ASSERTION_MODE', mode: 'extract' });
+    window.close();
+  } catch (error) {
+    console.error('Failed to activate extract mode:', error);
+  }
+});
+
 elements.sidebarBtn.addEventListener('click', async () => {
   try {
     // Toggle sidebar visibility on the page
@@ -375,6 +390,7 @@ elements.clearBtn.addEventListener('click', async () => {
  elements.captureHover, elements.redactSensitive].forEach(checkbox => {
   checkbox.addEventListener('change', saveSettings);
 });
+elements.redactFieldPatterns.addEventListener('change', saveSettings);
 
 // Recording management functions
 
@@ -620,6 +636,14 @@ async function loadClientsForQuickSelect() {
       elements.quickClientSelect.remove(1);
     }
 
+    // Encrypted profiles stay hidden until unlocked on the Clients page
+    if (response?.locked) {
+      const option = document.createElement('option');
+      option.disabled = true;
+      option.textContent = 'Clients locked - unlock in Clients';
+      elements.quickClientSelect.appendChild(option);
+    }
+
     // Add clients
     clients.forEach(client => {
       const option = document.createElement('option');
@@ -655,10 +679,13 @@ async function fillFormWithClient() {
   }
 
   try {
-    // Check for API key first
+    // Check the AI provider is set up first
     const settings = await sendMessage({ type: 'GET_AI_SETTINGS' });
-    if (!settings.apiKey) {
-      alert('Please configure your API key in Clients > Settings first.');
+    const configured = settings.aiProvider === 'openai'
+      ? !!(settings.localEndpoint && settings.localModel)
+      : !!settings.apiKey;
+    if (!configured) {
+      alert('Please configure your AI provider in Clients > Settings first.');
       chrome.tabs.create({
         url: chrome.runtime.getURL('popup/clients.html')
       });
@@ -673,7 +700,7 @@ async function fillFormWithClient() {
 
     if (response?.success) {
       window.close();
-    } else {
+    } else if (!response?.cancelled) {
       alert('Fill failed: ' + (response?.error || 'Unknown error'));
     }
   } catch (error) {
@@ -8,10 +8,14 @@ let workflows = [];
 let allTags = [];
 let selectedWorkflow = null;
 let currentVariableValues = {};
+let selectedPresetId = null; // Preset loaded into the inputs (its secrets stay in the vault)
+let batchRows = []; // Variable sets for the next batch run [{label, variables}]
+let historyRuns = [];
 
 // DOM Elements
 const elements = {
   backBtn: document.getElementById('backBtn'),
+  vaultBtn: document.getElementById('vaultBtn'),
   searchInput: document.getElementById('searchInput'),
   tagFilter: document.getElementById('tagFilter'),
   workflowsList: document.getElementById('workflowsList'),
@@ -27,7 +31,9 @@ const elements = {
   variableInputs: document.getElementById('variableInputs'),
   newPresetName: document.getElementById('newPresetName'),
   savePresetBtn: document.getElementById('savePresetBtn'),
+  newPresetSensitive: document.getElementById('newPresetSensitive'),
   highlightElements: document.getElementById('highlightElements'),
+  repairSelectors: document.getElementById('repairSelectors'),
   stepDelay: document.getElementById('stepDelay'),
   cancelRunBtn: document.getElementById('cancelRunBtn'),
   startRunBtn: document.getElementById('startRunBtn'),
@@ -39,6 +45,32 @@ const elements = {
   progressStepInfo: document.getElementById('progressStepInfo'),
   pauseRunBtn: document.getElementById('pauseRunBtn'),
   cancelRunBtn2: document.getElementById('cancelRunBtn2'),
+  // Batch Modal
+  openBatchBtn: document.getElementById('openBatchBtn'),
+  batchModal: document.getElementById('batchModal'),
+  closeBatchModal: document.getElementById('closeBatchModal'),
+  batchWorkflowName: document.getElementById('batchWorkflowName'),
+  batchRowCount: document.getElementById('batchRowCount'),
+  batchSetup: document.getElementById('batchSetup'),
+  batchSource: document.getElementById('batchSource'),
+  batchCsvInput: document.getElementById('batchCsvInput'),
+  batchPreview: document.getElementById('batchPreview'),
+  batchCloseTabs: document.getElementById('batchCloseTabs'),
+  batchResults: document.getElementById('batchResults'),
+  batchProgressBar: document.getElementById('batchProgressBar'),
+  batchTableBody: document.getElementById('batchTableBody'),
+  newBatchBtn: document.getElementById('newBatchBtn'),
+  cancelBatchBtn: document.getElementById('cancelBatchBtn'),
+  startBatchBtn: document.getElementById('startBatchBtn'),
+  // History Modal
+  historyModal: document.getElementById('historyModal'),
+  closeHistoryModal: document.getElementById('closeHistoryModal'),
+  historyWorkflowName: document.getElementById('historyWorkflowName'),
+  historyRunCount: document.getElementById('historyRunCount'),
+  historyList: document.getElementById('historyList'),
+  historyDetail: document.getElementById('historyDetail'),
+  historyBackBtn: document.getElementById('historyBackBtn'),
+  clearHistoryBtn: document.getElementById('clearHistoryBtn'),
   // Context Menu
   contextMenu: document.getElementById('contextMenu')
 };
@@ -212,6 +244,8 @@ function formatRelativeTime(timestamp) {
 function openRunModal(workflow) {
   selectedWorkflow = workflow;
   currentVariableValues = {};
+  selectedPresetId = null;
+  elements.newPresetSensitive.checked = false;
 
   elements.runWorkflowName.textContent = workflow.name;
   elements.runWorkflowSteps.textContent = `${workflow.actionCount} steps`;
@@ -244,7 +278,7 @@ function renderVariableInputs(variables) {
       <label>
         <span class="var-name">{{${name}}}</span>
       </label>
-      <input type="text" data-var="${name}" placeholder="Enter value...">
+      <input type="${meta?.type === 'secret' ? 'password' : 'text'}" data-var="${name}" placeholder="Enter value..." autocomplete="off">
     `;
     elements.variableInputs.appendChild(group);
   });
@@ -273,12 +307,26 @@ function loadPreset() {
   const preset = (selectedWorkflow.presets || []).find(p => p.id === presetId);
   if (!preset) return;
 
+  selectedPresetId = preset.id;
+  elements.variableInputs.querySelectorAll('input[data-var]').forEach(input => {
+    input.placeholder = 'Enter value...';
+  });
+
   Object.entries(preset.values).forEach(([name, value]) => {
     const input = elements.variableInputs.querySelector(`[data-var="${name}"]`);
     if (input) {
       input.value = value;
     }
   });
+
+  // Secrets are read from the vault when the run starts
+  (preset.secretNames || []).forEach(name => {
+    const input = elements.variableInputs.querySelector(`[data-var="${name}"]`);
+    if (input) {
+      input.value = '';
+      input.placeholder = 'Stored in vault';
+    }
+  });
 }
 
 /**
@@ -299,14 +347,19 @@ async function savePreset() {
   });
 
   try {
-    await sendMessage({
+    const response = await sendMessage({
       type: 'SAVE_PRESET',
       workflowId: selectedWorkflow.id,
       preset: {
         name: presetName,
-        values: values
+        values: values,
+        sensitive: elements.newPresetSensitive.checked
       }
     });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to save preset');
+      return;
+    }
 
     // Reload workflow data
     await loadWorkflows();
@@ -314,6 +367,7 @@ async function savePreset() {
 
     renderPresetOptions(selectedWorkflow.presets || []);
     elements.newPresetName.value = '';
+    elements.newPresetSensitive.checked = false;
     alert('Preset saved!');
   } catch (error) {
     console.error('Failed to save preset:', error);
@@ -341,6 +395,7 @@ async function startRun() {
   const variables = collectVariableValues();
   const options = {
     highlightElements: elements.highlightElements.checked,
+    repairSelectors: elements.repairSelectors.checked,
     stepDelay: parseInt(elements.stepDelay.value, 10)
   };
 
@@ -353,12 +408,17 @@ async function startRun() {
   elements.progressStepInfo.textContent = '';
 
   try {
-    await sendMessage({
+    const response = await sendMessage({
       type: 'START_REPLAY',
       workflowId: selectedWorkflow.id,
       variables,
-      options
+      options,
+      presetId: selectedPresetId
     });
+    if (!response?.success) {
+      alert(response?.error || 'Failed to start workflow');
+      elements.progressModal.style.display = 'none';
+    }
   } catch (error) {
     console.error('Failed to start replay:', error);
     alert('Failed to start workflow');
@@ -397,6 +457,389 @@ async function cancelRun() {
   }
 }
 
+// ============================================================================
+// BATCH RUN
+// ============================================================================
+
+/**
+ * Opens the batch modal for the selected workflow, showing its last batch
+ * results if there are any
+ */
+async function openBatchModal() {
+  if (!selectedWorkflow) return;
+
+  elements.runModal.style.display = 'none';
+  elements.batchModal.style.display = 'flex';
+  elements.batchWorkflowName.textContent = selectedWorkflow.name;
+
+  try {
+    const response = await sendMessage({ type: 'GET_BATCH_STATE' });
+    const batch = response?.batch;
+    if (batch && (batch.status === 'running' || batch.workflowId === selectedWorkflow.id)) {
+      renderBatchResults(batch);
+      return;
+    }
+  } catch (error) {
+    console.error('Failed to get batch state:', error);
+  }
+
+  showBatchSetup();
+}
+
+/**
+ * Switches the batch modal to source selection
+ */
+function showBatchSetup() {
+  elements.batchSetup.style.display = 'flex';
+  elements.batchResults.style.display = 'none';
+  elements.newBatchBtn.style.display = 'none';
+  elements.cancelBatchBtn.style.display = 'none';
+  elements.startBatchBtn.style.display = '';
+  prepareBatchRows();
+}
+
+/**
+ * Builds batch rows from the selected source
+ */
+async function prepareBatchRows() {
+  const source = elements.batchSource.value;
+  batchRows = [];
+  elements.batchCsvInput.style.display = source === 'csv' ? 'block' : 'none';
+
+  try {
+    if (source === 'presets') {
+      batchRows = (selectedWorkflow.presets || []).map(preset => ({
+        label: preset.name,
+        variables: { ...preset.values },
+        presetId: preset.id
+      }));
+    } else if (source === 'clients') {
+      const response = await sendMessage({ type: 'GET_CLIENTS' });
+      if (response?.locked) throw new Error(response.error);
+      batchRows = (response.clients || []).map(client => buildClientRow(client));
+    } else if (source === 'csv' && elements.batchCsvInput.files[0]) {
+      batchRows = await buildCsvRows(elements.batchCsvInput.files[0]);
+    }
+  } catch (error) {
+    console.error('Failed to prepare batch rows:', error);
+    alert(error.message || 'Failed to load batch rows');
+  }
+
+  renderBatchPreview();
+}
+
+/**
+ * Maps a client profile onto the workflow's variables by name,
+ * e.g. {{firstName}} or a custom field {{caseNumber}}
+ */
+function buildClientRow(client) {
+  const fullName = [client.firstName, client.middleName, client.lastName].filter(Boolean).join(' ');
+  const variables = {};
+
+  Object.keys(selectedWorkflow.variables || {}).forEach(name => {
+    if (name === 'fullName') {
+      variables[name] = fullName;
+    } else if (client[name] !== undefined && typeof client[name] !== 'object') {
+      variables[name] = client[name];
+    } else if (client.customFields?.[name] !== undefined) {
+      variables[name] = client.customFields[name];
+    }
+  });
+
+  return { label: fullName || client.email || client.id, variables };
+}
+
+/**
+ * Parses a CSV file into batch rows, matching columns to variables by
+ * name or by the client field synonyms CSVHandler knows about
+ */
+async function buildCsvRows(file) {
+  if (typeof Papa === 'undefined') {
+    throw new Error('CSV parser not loaded. Please refresh the page.');
+  }
+
+  const parseResult = await CSVHandler.parseCSV(await file.text());
+  if (parseResult.errors && parseResult.errors.length > 0) {
+    console.error('Parse errors:', parseResult.errors);
+    throw new Error('Could not parse CSV file. Please check it\'s a valid CSV.');
+  }
+
+  const data = parseResult.data || [];
+  if (data.length === 0) return [];
+
+  const headers = Object.keys(data[0]);
+  const columns = {};
+  Object.keys(selectedWorkflow.variables || {}).forEach(name => {
+    const column = findCsvColumn(headers, name);
+    if (column) columns[name] = column;
+  });
+
+  return data.map((record, index) => {
+    const variables = {};
+    Object.entries(columns).forEach(([name, column]) => {
+      variables[name] = record[column] ?? '';
+    });
+    return { label: record[headers[0]] || `Row ${index + 1}`, variables };
+  });
+}
+
+/**
+ * Finds the CSV column for a variable name
+ */
+function findCsvColumn(headers, varName) {
+  const normalize = str => String(str).toLowerCase().replace(/[^a-z0-9]/g, '');
+  const target = normalize(varName);
+
+  const exact = headers.find(h => normalize(h) === target);
+  if (exact) return exact;
+
+  const synonyms = CSVHandler.COLUMN_MAPPINGS[varName] || [];
+  return headers.find(h => synonyms.includes(h.toLowerCase().trim())) || null;
+}
+
+/**
+ * Shows how many rows will run and which variables they leave empty
+ */
+function renderBatchPreview() {
+  const varNames = Object.keys(selectedWorkflow.variables || {});
+  const source = elements.batchSource.value;
+
+  elements.batchRowCount.textContent = `${batchRows.length} rows`;
+  elements.startBatchBtn.disabled = batchRows.length === 0;
+
+  if (batchRows.length === 0) {
+    elements.batchPreview.textContent = source === 'csv'
+      ? 'Choose a CSV file with one row per run.'
+      : source === 'presets'
+        ? 'This workflow has no saved presets.'
+        : 'No client profiles found.';
+    return;
+  }
+
+  const unmapped = varNames.filter(name => !batchRows.some(row => row.variables[name] !== undefined));
+  elements.batchPreview.innerHTML = `
+    Will run ${batchRows.length} times in fresh tabs.
+    ${unmapped.length > 0 ? `<div class="batch-warning">No values for: ${unmapped.map(n => escapeHtml(`{{${n}}}`)).join(', ')}</div>` : ''}
+  `;
+}
+
+/**
+ * Starts the batch run in the service worker
+ */
+async function startBatch() {
+  if (!selectedWorkflow || batchRows.length === 0) return;
+
+  try {
+    const response = await sendMessage({
+      type: 'START_BATCH_REPLAY',
+      workflowId: selectedWorkflow.id,
+      rows: batchRows,
+      options: {
+        highlightElements: elements.highlightElements.checked,
+        repairSelectors: elements.repairSelectors.checked,
+        stepDelay: parseInt(elements.stepDelay.value, 10),
+        source: elements.batchSource.value,
+        closeSuccessfulTabs: elements.batchCloseTabs.checked
+      }
+    });
+
+    if (!response?.success) {
+      alert(response?.error || 'Failed to start batch');
+    }
+  } catch (error) {
+    console.error('Failed to start batch:', error);
+    alert('Failed to start batch');
+  }
+}
+
+/**
+ * Stops the running batch
+ */
+async function cancelBatch() {
+  try {
+    await sendMessage({ type: 'CANCEL_BATCH_REPLAY' });
+  } catch (error) {
+    console.error('Failed to cancel batch:', error);
+  }
+}
+
+/**
+ * Renders the per-row result table
+ */
+function renderBatchResults(batch) {
+  const running = batch.status === 'running';
+  const finished = batch.rows.filter(r => !['pending', 'running'].includes(r.status)).length;
+
+  elements.batchSetup.style.display = 'none';
+  elements.batchResults.style.display = 'block';
+  elements.startBatchBtn.style.display = 'none';
+  elements.cancelBatchBtn.style.display = running ? '' : 'none';
+  elements.newBatchBtn.style.display = running ? 'none' : '';
+  elements.batchWorkflowName.textContent = batch.workflowName;
+
+  const succeeded = batch.rows.filter(r => r.status === 'success').length;
+  elements.batchRowCount.textContent = running
+    ? `${finished} of ${batch.totalRows}`
+    : `${succeeded} of ${batch.totalRows} succeeded`;
+  elements.batchProgressBar.style.width = `${batch.totalRows > 0 ? (finished / batch.totalRows) * 100 : 0}%`;
+
+  elements.batchTableBody.innerHTML = batch.rows.map(row => `
+    <tr>
+      <td>${row.index + 1}</td>
+      <td>${escapeHtml(row.label)}</td>
+      <td><span class="batch-status ${row.status}">${row.status}</span></td>
+      <td>${row.failedStep || ''}</td>
+      <td class="batch-error">${escapeHtml(row.error || '')}</td>
+    </tr>
+  `).join('');
+}
+
+// ============================================================================
+// RUN HISTORY
+// ============================================================================
+
+/**
+ * Opens the run history for a workflow
+ */
+async function openHistoryModal(workflow) {
+  selectedWorkflow = workflow;
+  elements.historyWorkflowName.textContent = workflow.name;
+  elements.historyModal.style.display = 'flex';
+
+  try {
+    const response = await sendMessage({ type: 'GET_RUN_HISTORY', workflowId: workflow.id });
+    historyRuns = response.runs || [];
+  } catch (error) {
+    console.error('Failed to load run history:', error);
+    historyRuns = [];
+  }
+
+  renderHistoryList();
+}
+
+/**
+ * Renders the list of past runs
+ */
+function renderHistoryList() {
+  elements.historyDetail.style.display = 'none';
+  elements.historyBackBtn.style.display = 'none';
+  elements.historyList.style.display = 'flex';
+  elements.clearHistoryBtn.disabled = historyRuns.length === 0;
+  elements.historyRunCount.textContent = `${historyRuns.length} runs`;
+
+  if (historyRuns.length === 0) {
+    elements.historyList.innerHTML = '<div class="batch-preview">No runs recorded yet.</div>';
+    return;
+  }
+
+  elements.historyList.innerHTML = historyRuns.map((run, index) => `
+    <div class="history-item" data-index="${index}">
+      <div class="history-item-header">
+        <span>${new Date(run.startTime).toLocaleString()}</span>
+        <span class="batch-status ${run.status === 'success' ? 'success' : run.status === 'cancelled' ? 'cancelled' : 'failed'}">${run.status}</span>
+      </div>
+      <div class="history-item-meta">
+        ${formatDuration(run.duration)} &middot; ${run.results?.stepsExecuted || 0} of ${run.totalSteps} steps
+        ${run.batchRow ? ` &middot; batch: ${escapeHtml(run.batchRow)}` : ''}
+        ${run.screenshot ? ' &middot; &#128247;' : ''}
+      </div>
+      ${run.error ? `<div class="batch-error">Step ${run.failedStep !== null ? run.failedStep + 1 : '?'}: ${escapeHtml(run.error)}</div>` : ''}
+    </div>
+  `).join('');
+
+  elements.historyList.querySelectorAll('.history-item').forEach(item => {
+    item.addEventListener('click', () => showRunDetail(historyRuns[parseInt(item.dataset.index, 10)]));
+  });
+}
+
+/**
+ * Shows variables, step results and the failure screenshot of a run
+ */
+function showRunDetail(run) {
+  const variables = Object.entries(run.variables || {});
+  const extracted = Object.entries(run.results?.extracted || {});
+  const stepResults = run.results?.stepResults || [];
+
+  elements.historyList.style.display = 'none';
+  elements.historyBackBtn.style.display = '';
+  elements.historyDetail.style.display = 'flex';
+
+  elements.historyDetail.innerHTML = `
+    <div>
+      <h4>${new Date(run.startTime).toLocaleString()} &middot; <span class="batch-status ${run.status === 'success' ? 'success' : 'failed'}">${run.status}</span></h4>
+      <div class="history-item-meta">Duration ${formatDuration(run.duration)}${run.url ? ` &middot; ${escapeHtml(run.url)}` : ''}</div>
+    </div>
+    ${run.screenshot ? `
+      <div>
+        <h4>At failing step ${run.failedStep + 1}</h4>
+        <img class="history-screenshot" src="${run.screenshot}" alt="Screenshot at failing step">
+      </div>
+    ` : ''}
+    ${variables.length > 0 ? `
+      <div>
+        <h4>Variables</h4>
+        <table class="batch-table">
+          ${variables.map(([name, value]) => `<tr><td>{{${escapeHtml(name)}}}</td><td>${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</td></tr>`).join('')}
+        </table>
+      </div>
+    ` : ''}
+    ${extracted.length > 0 ? `
+      <div>
+        <h4>Extracted</h4>
+        <table class="batch-table">
+          ${extracted.map(([name, value]) => `<tr><td>{{${escapeHtml(name)}}}</td><td>${escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)}</td></tr>`).join('')}
+        </table>
+      </div>
+    ` : ''}
+    <div>
+      <h4>Steps</h4>
+      <table class="batch-table">
+        <thead><tr><th>#</th><th>Step</th><th>Result</th><th>Time</th></tr></thead>
+        <tbody>
+          ${stepResults.map(result => {
+            const label = result.actionType === 'assertion'
+              ? `Assert ${result.description || result.assertionType}`
+              : `${result.actionType} ${result.label || ''}`;
+            return `
+              <tr class="history-step ${result.success ? '' : 'failed'}">
+                <td>${result.stepIndex + 1}</td>
+                <td>${escapeHtml(label)}</td>
+                <td>${result.success ? (result.skipped ? 'skipped' : 'ok') : escapeHtml(result.error || 'failed')}</td>
+                <td>${formatDuration(result.executionTime)}</td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+/**
+ * Clears the selected workflow's run history
+ */
+async function clearHistory() {
+  if (!selectedWorkflow || !confirm(`Clear run history for "${selectedWorkflow.name}"?`)) return;
+
+  try {
+    await sendMessage({ type: 'CLEAR_RUN_HISTORY', workflowId: selectedWorkflow.id });
+    historyRuns = [];
+    renderHistoryList();
+  } catch (error) {
+    console.error('Failed to clear run history:', error);
+  }
+}
+
+/**
+ * Formats a duration in ms
+ */
+function formatDuration(ms) {
+  if (!ms && ms !== 0) return '-';
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+}
+
 /**
  * Shows context menu for a workflow
  */
@@ -442,6 +885,10 @@ async function handleContextMenuAction(action) {
       }
       break;
 
+    case 'history':
+      await openHistoryModal(selectedWorkflow);
+      break;
+
     case 'duplicate':
       const dupName = prompt('Enter name for copy:', `${selectedWorkflow.name} (Copy)`);
       if (dupName) {
@@ -561,6 +1008,24 @@ elements.startRunBtn.addEventListener('click', startRun);
 elements.pauseRunBtn.addEventListener('click', togglePause);
 elements.cancelRunBtn2.addEventListener('click', cancelRun);
 
+// Batch modal event listeners
+elements.openBatchBtn.addEventListener('click', openBatchModal);
+elements.closeBatchModal.addEventListener('click', () => {
+  elements.batchModal.style.display = 'none';
+});
+elements.batchSource.addEventListener('change', prepareBatchRows);
+elements.batchCsvInput.addEventListener('change', prepareBatchRows);
+elements.startBatchBtn.addEventListener('click', startBatch);
+elements.cancelBatchBtn.addEventListener('click', cancelBatch);
+elements.newBatchBtn.addEventListener('click', showBatchSetup);
+
+// History modal event listeners
+elements.closeHistoryModal.addEventListener('click', () => {
+  elements.historyModal.style.display = 'none';
+});
+elements.historyBackBtn.addEventListener('click', renderHistoryList);
+elements.clearHistoryBtn.addEventListener('click', clearHistory);
+
 // Context menu event listeners
 elements.contextMenu.querySelectorAll('.context-menu-item').forEach(item => {
   item.addEventListener('click', () => {
@@ -577,9 +1042,94 @@ document.addEventListener('click', (e) => {
 // Listen for replay state updates
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'REPLAY_STATE_UPDATE') {
+    // Batch rows report through the batch table instead
+    if (elements.batchModal.style.display !== 'none') return;
     handleReplayStateUpdate(message);
+  } else if (message.type === 'BATCH_STATE_UPDATE') {
+    if (elements.batchModal.style.display !== 'none') {
+      renderBatchResults(message);
+    }
+    if (message.status !== 'running') {
+      loadWorkflows(); // Refresh to update lastRun
+    }
   }
 });
 
+/**
+ * Reopens the batch table if a batch is still running
+ */
+async function restoreRunningBatch() {
+  try {
+    const response = await sendMessage({ type: 'GET_BATCH_STATE' });
+    if (response?.batch?.status === 'running') {
+      selectedWorkflow = workflows.find(w => w.id === response.batch.workflowId) || null;
+      elements.batchModal.style.display = 'flex';
+      renderBatchResults(response.batch);
+    }
+  } catch (error) {
+    console.error('Failed to get batch state:', error);
+  }
+}
+
+// ============================================================================
+// SECRET VAULT
+// ============================================================================
+
+/**
+ * Shows whether the vault is locked on the header button
+ */
+async function updateVaultButton() {
+  try {
+    const status = await sendMessage({ type: 'GET_VAULT_STATUS' });
+    const unlocked = !!status?.unlocked;
+    elements.vaultBtn.classList.toggle('unlocked', unlocked);
+    elements.vaultBtn.innerHTML = unlocked ? '&#128275; Vault' : '&#128274; Vault';
+    elements.vaultBtn.title = !status?.initialized
+      ? 'Set up a vault for secret variables and presets'
+      : unlocked
+        ? `Vault unlocked (locks after ${status.autoLockMinutes} min idle) - click to lock`
+        : 'Vault locked - click to unlock';
+  } catch (error) {
+    console.error('Failed to get vault status:', error);
+  }
+}
+
+/**
+ * Sets up, unlocks or locks the vault depending on its state
+ */
+async function toggleVault() {
+  try {
+    const status = await sendMessage({ type: 'GET_VAULT_STATUS' });
+    let response;
+
+    if (!status?.initialized) {
+      const passphrase = prompt('Choose a vault passphrase (at least 8 characters).\nIt cannot be recovered if lost.');
+      if (!passphrase) return;
+      if (prompt('Repeat the passphrase:') !== passphrase) {
+        alert('Passphrases do not match');
+        return;
+      }
+      response = await sendMessage({ type: 'SETUP_VAULT', passphrase });
+    } else if (!status.unlocked) {
+      const passphrase = prompt('Vault passphrase:');
+      if (!passphrase) return;
+      response = await sendMessage({ type: 'UNLOCK_VAULT', passphrase });
+    } else {
+      if (!confirm('Lock the vault?')) return;
+      response = await sendMessage({ type: 'LOCK_VAULT' });
+    }
+
+    if (!response?.success) {
+      alert(response?.error || 'Vault operation failed');
+    }
+  } catch (error) {
+    console.error('Vault operation failed:', error);
+  }
+  await updateVaultButton();
+}
+
+elements.vaultBtn.addEventListener('click', toggleVault);
+
 // Initialize
-loadWorkflows();
+loadWorkflows().then(restoreRunningBatch);
+updateVaultButton();
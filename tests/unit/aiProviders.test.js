@@ -0,0 +1,107 @@
+/**
+ * AIProviders request building and provider selection
+ */
+
+const { AIProviders, AI_PROVIDERS } = require('../../lib/aiProviders');
+
+const request = { system: 'Map fields.', user: 'Labels: Email', maxTokens: 100 };
+
+describe('AIProviders.fromSettings', () => {
+  test('defaults to Claude with the settings key', () => {
+    expect(AIProviders.fromSettings({ apiKey: 'sk-test' })).toMatchObject({ type: 'claude', apiKey: 'sk-test' });
+  });
+
+  test('builds an OpenAI-compatible config with its optional key', () => {
+    const settings = { aiProvider: 'openai', apiKey: 'sk-claude', localEndpoint: 'http://localhost:11434/v1', localModel: 'llama3.1' };
+    expect(AIProviders.fromSettings(settings)).toEqual({
+      type: 'openai', url: 'http://localhost:11434/v1', model: 'llama3.1', apiKey: ''
+    });
+    expect(AIProviders.fromSettings({ ...settings, localApiKey: 'gateway-key' }).apiKey).toBe('gateway-key');
+  });
+});
+
+describe('AIProviders.isConfigured', () => {
+  test('treats a plain string as a Claude key', () => {
+    expect(AIProviders.isConfigured('sk-test')).toBe(true);
+    expect(AIProviders.isConfigured('')).toBe(false);
+  });
+
+  test('needs an endpoint and model for OpenAI-compatible servers', () => {
+    expect(AIProviders.isConfigured({ type: 'openai', url: 'http://localhost:8000', model: '' })).toBe(false);
+    expect(AIProviders.isConfigured({ type: 'openai', url: 'http://localhost:8000', model: 'm' })).toBe(true);
+    expect(AIProviders.isConfigured({ type: 'unknown' })).toBe(false);
+  });
+});
+
+describe('provider buildRequest', () => {
+  test('Claude sends the key header and a system prompt', () => {
+    const built = AI_PROVIDERS.claude.buildRequest({ apiKey: 'sk-test' }, request);
+    expect(built.url).toBe(AI_PROVIDERS.claude.DEFAULT_URL);
+    expect(built.headers['x-api-key']).toBe('sk-test');
+    expect(built.body).toEqual({
+      model: AI_PROVIDERS.claude.DEFAULT_MODEL,
+      max_tokens: 100,
+      system: 'Map fields.',
+      messages: [{ role: 'user', content: 'Labels: Email' }]
+    });
+  });
+
+  test('OpenAI-compatible sends system and user messages to chat completions', () => {
+    const built = AI_PROVIDERS.openai.buildRequest({ url: 'http://localhost:11434/v1/', model: 'llama3.1' }, request);
+    expect(built.url).toBe('http://localhost:11434/v1/chat/completions');
+    expect(built.headers.Authorization).toBeUndefined();
+    expect(built.body.messages).toEqual([
+      { role: 'system', content: 'Map fields.' },
+      { role: 'user', content: 'Labels: Email' }
+    ]);
+    expect(built.body.temperature).toBe(0);
+  });
+
+  test('OpenAI-compatible adds a bearer token and keeps a full completions URL', () => {
+    const built = AI_PROVIDERS.openai.buildRequest(
+      { url: 'https://llm.internal/v1/chat/completions', model: 'm', apiKey: 'gateway-key' }, request
+    );
+    expect(built.url).toBe('https://llm.internal/v1/chat/completions');
+    expect(built.headers.Authorization).toBe('Bearer gateway-key');
+  });
+});
+
+describe('AIProviders.complete', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('posts the built request and reads the provider text', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'ok' } }] })
+    });
+
+    const text = await AIProviders.complete({ type: 'openai', url: 'http://localhost:8000', model: 'm' }, request);
+
+    expect(text).toBe('ok');
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8000/chat/completions');
+    expect(init.method).toBe('POST');
+    expect(JSON.parse(init.body).model).toBe('m');
+  });
+
+  test('throws with the HTTP status on errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: { message: 'invalid x-api-key' } })
+    });
+
+    await expect(AIProviders.complete('sk-bad', request)).rejects.toMatchObject({
+      message: 'invalid x-api-key',
+      status: 401
+    });
+  });
+
+  test('refuses to send without a configured provider', async () => {
+    global.fetch = jest.fn();
+    await expect(AIProviders.complete('', request)).rejects.toThrow('API key is required');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * AI settings served by the service worker, with keys held in the vault
+ */
+
+const vm = require('vm');
+const { loadServiceWorker } = require('./helpers/serviceWorker');
+
+// PBKDF2 at full strength is slow on small machines
+jest.setTimeout(60000);
+
+describe('GET_AI_SETTINGS', () => {
+  let worker;
+
+  beforeAll(async () => {
+    worker = loadServiceWorker();
+    await worker.chrome.storage.local.set({
+      formGhostAISettings: { aiProvider: 'openai', localEndpoint: 'http://localhost:11434/v1', localModel: 'llama3.1' }
+    });
+    expect(await worker.send({ type: 'SETUP_VAULT', passphrase: 'correct horse battery' })).toEqual({ success: true });
+  });
+
+  afterAll(async () => {
+    await worker.send({ type: 'LOCK_VAULT' });
+  });
+
+  test('returns the saved provider settings', async () => {
+    const settings = await worker.send({ type: 'GET_AI_SETTINGS' });
+    expect(settings).toMatchObject({
+      aiProvider: 'openai',
+      localEndpoint: 'http://localhost:11434/v1',
+      localModel: 'llama3.1'
+    });
+  });
+
+  test('returns the vault key while the vault is unlocked', async () => {
+    const saved = await worker.send({
+      type: 'SAVE_AI_SETTINGS',
+      settings: { apiKey: 'sk-user-key', localApiKey: 'gateway-key' }
+    });
+    expect(saved).toEqual({ success: true });
+
+    const settings = await worker.send({ type: 'GET_AI_SETTINGS' });
+    expect(settings).toMatchObject({
+      apiKey: 'sk-user-key',
+      customApiKey: true,
+      localApiKey: 'gateway-key',
+      customLocalApiKey: true
+    });
+
+    const stored = await worker.chrome.storage.local.get('formGhostAISettings');
+    expect(JSON.stringify(stored)).not.toContain('sk-user-key');
+  });
+
+  test('falls back to the built-in key while the vault is locked', async () => {
+    await worker.send({ type: 'LOCK_VAULT' });
+    const settings = await worker.send({ type: 'GET_AI_SETTINGS' });
+    expect(settings).toMatchObject({
+      apiKey: vm.runInContext('FORMGHOST_API_KEY', worker.context),
+      customApiKey: false,
+      localApiKey: ''
+    });
+
+    await worker.send({ type: 'UNLOCK_VAULT', passphrase: 'correct horse battery' });
+    expect((await worker.send({ type: 'GET_AI_SETTINGS' })).apiKey).toBe('sk-user-key');
+  });
+});
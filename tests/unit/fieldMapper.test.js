@@ -0,0 +1,92 @@
+/**
+ * FieldMapper local (no-AI) matching
+ */
+
+global.CSVHandler = require('../../lib/csvHandler');
+const FieldMapper = require('../../lib/fieldMapper');
+
+function match(recorded, current) {
+  return FieldMapper.matchFieldsLocally([recorded], [{ selector: '#field', ...current }]);
+}
+
+describe('FieldMapper.matchFieldsLocally', () => {
+  test('maps fields with the same autocomplete token', () => {
+    const result = match(
+      { label: 'Surname', autocomplete: 'family-name' },
+      { label: 'Last name', autocomplete: 'family-name' }
+    );
+    expect(result.mappings).toHaveLength(1);
+    expect(result.mappings[0].confidence).toBe(1);
+    expect(result.mappings[0].source).toBe('local');
+  });
+
+  test('maps synonyms when the name/id agrees', () => {
+    const result = match(
+      { label: 'Given name', name: 'first_name' },
+      { label: 'First', id: 'firstName' }
+    );
+    expect(result.mappings).toHaveLength(1);
+  });
+
+  test('maps identical labels', () => {
+    const result = match({ label: 'Mailing Address' }, { label: 'Mailing address' });
+    expect(result.mappings).toHaveLength(1);
+  });
+
+  test('maps a qualified concept worded differently only when the name agrees', () => {
+    const result = match({ label: 'Work Phone' }, { label: 'Business phone number' });
+    expect(result.mappings).toHaveLength(0);
+
+    const withName = match(
+      { label: 'Work Phone', name: 'workPhone' },
+      { label: 'Business phone', name: 'office_phone' }
+    );
+    expect(withName.mappings).toHaveLength(1);
+  });
+
+  test.each([
+    ['Mailing Address', 'Residential Address', 'text', 'text'],
+    ['Employer Name', 'Employer Phone', 'text', 'tel'],
+    ['Date of Birth', 'Spouse Date of Birth', 'date', 'date']
+  ])('does not map "%s" to "%s"', (recordedLabel, currentLabel, recordedType, currentType) => {
+    const result = match(
+      { label: recordedLabel, inputType: recordedType },
+      { label: currentLabel, inputType: currentType }
+    );
+    expect(result.mappings).toHaveLength(0);
+    expect(result.unmatchedRecordedFields).toEqual([
+      { label: recordedLabel, reason: 'No confident local match' }
+    ]);
+  });
+
+  test('a shared concept alone stays below the threshold', () => {
+    const result = match({ label: 'Telephone' }, { label: 'Mobile' });
+    expect(result.mappings).toHaveLength(0);
+  });
+
+  test('uses each field at most once, best pair first', () => {
+    const result = FieldMapper.matchFieldsLocally(
+      [{ label: 'Email', name: 'email' }, { label: 'Email address' }],
+      [{ selector: '#email', label: 'Email', name: 'email', inputType: 'email' }]
+    );
+    expect(result.mappings).toHaveLength(1);
+    expect(result.mappings[0].recordedLabel).toBe('Email');
+    expect(result.unmatchedRecordedFields).toHaveLength(1);
+  });
+});
+
+describe('FieldMapper.identifyConcept', () => {
+  test('prefers the longest synonym', () => {
+    expect(FieldMapper.identifyConcept(['e mail address'])).toBe('email');
+    expect(FieldMapper.identifyConcept(['home phone'])).toBe('phoneAlt');
+  });
+
+  test('prefers the head word between equally long synonyms', () => {
+    expect(FieldMapper.identifyConcept(['cell phone'])).toBe('phone');
+    expect(FieldMapper.identifyConcept(['company phone'])).toBe('phone');
+  });
+
+  test('returns null when nothing matches', () => {
+    expect(FieldMapper.identifyConcept(['favorite color'])).toBeNull();
+  });
+});
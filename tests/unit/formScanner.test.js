@@ -0,0 +1,93 @@
+/**
+ * @jest-environment jsdom
+ *
+ * FormGhostScanner wizard controls
+ */
+
+global.chrome = { runtime: { onMessage: { addListener: () => {} } } };
+
+require('../../content/formScanner');
+
+const scanner = window.FormGhostScanner;
+
+describe('FormGhostScanner.findWizardControls', () => {
+  beforeEach(() => {
+    // jsdom has no layout, so visibility follows inline display only
+    jest.spyOn(scanner, 'isElementVisible').mockImplementation(el => el.style.display !== 'none');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  function labels() {
+    const { next, submit } = scanner.findWizardControls();
+    return { next: next?.label || null, submit: submit?.label || null };
+  }
+
+  test('treats a Continue that submits a single-page form as its final submit', () => {
+    document.body.innerHTML = `
+      <div class="progress-bar"></div>
+      <form><input name="email"><button type="submit">Continue</button></form>
+    `;
+    expect(labels()).toEqual({ next: null, submit: 'Continue' });
+  });
+
+  test('advances with Continue when the form still hides sections', () => {
+    document.body.innerHTML = `
+      <form>
+        <fieldset><input name="email"></fieldset>
+        <fieldset style="display: none"><input name="phone"></fieldset>
+        <button type="submit">Continue to payment</button>
+      </form>
+    `;
+    expect(labels().next).toBe('Continue to payment');
+  });
+
+  test('advances with Continue when it does not submit the form', () => {
+    document.body.innerHTML = `
+      <form><input name="email"><button type="button">Continue</button></form>
+    `;
+    expect(labels().next).toBe('Continue');
+  });
+
+  test('always advances with an explicit Next', () => {
+    document.body.innerHTML = `
+      <form><input name="email"><input type="submit" value="Next"></form>
+    `;
+    expect(labels().next).toBe('Next');
+  });
+
+  test('never advances with a submit label', () => {
+    document.body.innerHTML = `
+      <form><input name="email"><button type="button">Submit application</button></form>
+    `;
+    expect(labels()).toEqual({ next: null, submit: 'Submit application' });
+  });
+});
+
+describe('FormGhostScanner.advanceWizard', () => {
+  beforeEach(() => {
+    jest.spyOn(scanner, 'isElementVisible').mockImplementation(el => el.style.display !== 'none');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    document.body.innerHTML = '';
+  });
+
+  test('stops before a Continue that would submit the form', async () => {
+    document.body.innerHTML = `
+      <div class="step-indicator"></div>
+      <form><input name="email"><button type="submit">Continue</button></form>
+    `;
+    const button = document.querySelector('button');
+    const click = jest.fn();
+    button.addEventListener('click', click);
+
+    expect(scanner.detectMultiStepForm()).toBe(true);
+    await expect(scanner.advanceWizard()).resolves.toMatchObject({ advanced: false, finalStep: true, control: 'Continue' });
+    expect(click).not.toHaveBeenCalled();
+  });
+});
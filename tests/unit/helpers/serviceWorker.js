@@ -0,0 +1,77 @@
+/**
+ * Runs the background service worker in a Node context for tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '../../..');
+
+function createStorageArea() {
+  let data = {};
+  return {
+    async get(keys) {
+      if (keys == null) return { ...data };
+      const names = typeof keys === 'string' ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+      return Object.fromEntries(names.filter(name => name in data).map(name => [name, data[name]]));
+    },
+    async set(items) {
+      data = { ...data, ...JSON.parse(JSON.stringify(items)) };
+    },
+    async remove(keys) {
+      [].concat(keys).forEach(name => delete data[name]);
+    }
+  };
+}
+
+function createEvent() {
+  const listeners = [];
+  return { listeners, addListener: listener => listeners.push(listener) };
+}
+
+/**
+ * Loads the service worker and its importScripts into one context, the way
+ * Chrome runs it, with config.example.js standing in for config.js
+ */
+function loadServiceWorker() {
+  const chrome = {
+    runtime: { onMessage: createEvent(), sendMessage: async () => {} },
+    storage: { local: createStorageArea(), session: createStorageArea() },
+    tabs: {
+      onCreated: createEvent(),
+      onActivated: createEvent(),
+      onRemoved: createEvent(),
+      onUpdated: createEvent(),
+      query: async () => [],
+      sendMessage: async () => {}
+    },
+    webNavigation: { onCompleted: createEvent() },
+    webRequest: { onBeforeRequest: createEvent(), onCompleted: createEvent(), onErrorOccurred: createEvent() },
+    commands: { onCommand: createEvent() }
+  };
+
+  const context = vm.createContext({
+    chrome,
+    console: { ...console, log: () => {} },
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    URL,
+    btoa,
+    atob,
+    setTimeout,
+    clearTimeout
+  });
+  const run = file => vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  context.importScripts = file => {
+    run(file === '../config.js' ? 'config.example.js' : path.join('background', file));
+  };
+  run('background/service-worker.js');
+
+  const [onMessage] = chrome.runtime.onMessage.listeners;
+  const send = message => new Promise(resolve => onMessage(message, {}, resolve));
+  return { send, chrome, context };
+}
+
+module.exports = { loadServiceWorker };
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment jsdom
+ *
+ * FormGhostInputDriver value checks and entry
+ */
+
+require('../../content/inputDriver');
+
+const driver = window.FormGhostInputDriver;
+
+describe('FormGhostInputDriver.valuesMatch', () => {
+  test.each([
+    ['abc', 'abc'],
+    ['abc ', 'abc'],
+    ['(555) 123-4567', '5551234567'],
+    ['123-45-6789', '123456789'],
+    ['$1,234.00', '1234'],
+    ['1234', '$1,234.00'],
+    ['12/31/2024', '12312024']
+  ])('accepts "%s" for "%s"', (actual, expected) => {
+    expect(driver.valuesMatch(actual, expected)).toBe(true);
+  });
+
+  test.each([
+    ['', 'x'],
+    ['12', '1234'],
+    ['555-1234', '5551239'],
+    ['abc', 'abd'],
+    ['$12.00', '1234']
+  ])('rejects "%s" for "%s"', (actual, expected) => {
+    expect(driver.valuesMatch(actual, expected)).toBe(false);
+  });
+});
+
+describe('FormGhostInputDriver.isMasked', () => {
+  function input(attributes) {
+    const element = document.createElement('input');
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+  }
+
+  test('detects masked inputs by type, attribute, name and placeholder', () => {
+    expect(driver.isMasked(input({ type: 'tel' }))).toBe(true);
+    expect(driver.isMasked(input({ 'data-mask': '000-00-0000' }))).toBe(true);
+    expect(driver.isMasked(input({ name: 'homePhone' }))).toBe(true);
+    expect(driver.isMasked(input({ placeholder: '(___) ___-____' }))).toBe(true);
+  });
+
+  test('leaves plain text, email and non-inputs unmasked', () => {
+    expect(driver.isMasked(input({ name: 'firstName' }))).toBe(false);
+    expect(driver.isMasked(input({ type: 'email', name: 'zip' }))).toBe(false);
+    expect(driver.isMasked(document.createElement('textarea'))).toBe(false);
+  });
+});
+
+describe('FormGhostInputDriver.setValue', () => {
+  beforeEach(() => {
+    driver.config.settleDelay = 0;
+    document.body.innerHTML = '';
+  });
+
+  test('sets the value and fires input and change', async () => {
+    const element = document.createElement('input');
+    document.body.appendChild(element);
+    const events = [];
+    ['beforeinput', 'input', 'change'].forEach(type => element.addEventListener(type, () => events.push(type)));
+
+    await expect(driver.setValue(element, 'Ada')).resolves.toBe('Ada');
+    expect(element.value).toBe('Ada');
+    expect(events).toEqual(['beforeinput', 'input', 'change']);
+  });
+
+  test('types masked fields one character at a time', async () => {
+    const element = document.createElement('input');
+    element.type = 'tel';
+    document.body.appendChild(element);
+    let inputs = 0;
+    element.addEventListener('input', () => inputs++);
+
+    await driver.setValue(element, '5551234', { typeDelay: 0 });
+    expect(element.value).toBe('5551234');
+    expect(inputs).toBe(7);
+  });
+
+  test('throws when the page clears the value', async () => {
+    const element = document.createElement('input');
+    document.body.appendChild(element);
+    element.addEventListener('change', () => { element.value = ''; });
+
+    await expect(driver.setValue(element, 'Ada')).rejects.toThrow('the page cleared it');
+  });
+
+  test('skips the check when verify is off', async () => {
+    const element = document.createElement('input');
+    document.body.appendChild(element);
+    element.addEventListener('change', () => { element.value = 'other'; });
+
+    await expect(driver.setValue(element, 'Ada', { verify: false })).resolves.toBe('other');
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Workflow presets with secret values kept in the vault
+ */
+
+const vm = require('vm');
+const { loadServiceWorker } = require('./helpers/serviceWorker');
+
+// PBKDF2 at full strength is slow on small machines
+jest.setTimeout(60000);
+
+describe('SAVE_PRESET', () => {
+  let worker;
+  let Vault;
+
+  async function getPreset(name) {
+    const { savedRecordings } = await worker.chrome.storage.local.get('savedRecordings');
+    return savedRecordings.wf1.presets.find(preset => preset.name === name);
+  }
+
+  function savePreset(values) {
+    return worker.send({ type: 'SAVE_PRESET', workflowId: 'wf1', preset: { name: 'Office', values } });
+  }
+
+  beforeAll(async () => {
+    worker = loadServiceWorker();
+    Vault = vm.runInContext('Vault', worker.context);
+    await worker.chrome.storage.local.set({
+      savedRecordings: {
+        wf1: {
+          id: 'wf1',
+          name: 'Login',
+          recording: {
+            actions: [
+              { type: 'type', value: '{{username}}' },
+              { type: 'type', value: '{{password}}' }
+            ]
+          }
+        }
+      }
+    });
+    await worker.send({ type: 'SETUP_VAULT', passphrase: 'correct horse battery' });
+  });
+
+  afterAll(async () => {
+    await worker.send({ type: 'LOCK_VAULT' });
+  });
+
+  test('moves secret values into the vault', async () => {
+    expect(await savePreset({ username: 'ada', password: 'hunter22' })).toEqual({ success: true });
+
+    const preset = await getPreset('Office');
+    expect(preset.values).toEqual({ username: 'ada' });
+    expect(preset.secretNames).toEqual(['password']);
+    expect(await Vault.get(`presets.${preset.id}`)).toEqual({ password: 'hunter22' });
+  });
+
+  test('keeps the vault value when a loaded preset is saved with the secret left blank', async () => {
+    expect(await savePreset({ username: 'grace', password: '' })).toEqual({ success: true });
+
+    const preset = await getPreset('Office');
+    expect(preset.values).toEqual({ username: 'grace' });
+    expect(preset.secretNames).toEqual(['password']);
+    expect(await Vault.get(`presets.${preset.id}`)).toEqual({ password: 'hunter22' });
+  });
+
+  test('keeps the vault value while the vault is locked', async () => {
+    await worker.send({ type: 'LOCK_VAULT' });
+    expect(await savePreset({ username: 'ada', password: '' })).toEqual({ success: true });
+    expect((await getPreset('Office')).secretNames).toEqual(['password']);
+
+    expect(await savePreset({ username: 'ada', password: 'new-pass' })).toMatchObject({ success: false });
+
+    await worker.send({ type: 'UNLOCK_VAULT', passphrase: 'correct horse battery' });
+    const preset = await getPreset('Office');
+    expect(await Vault.get(`presets.${preset.id}`)).toEqual({ password: 'hunter22' });
+  });
+
+  test('replaces the vault value when a new one is entered', async () => {
+    await savePreset({ username: 'ada', password: 'new-pass' });
+    const preset = await getPreset('Office');
+    expect(await Vault.get(`presets.${preset.id}`)).toEqual({ password: 'new-pass' });
+  });
+});
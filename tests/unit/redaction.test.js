@@ -0,0 +1,102 @@
+/**
+ * Redaction of captured actions and network requests
+ */
+
+const { Redaction, REDACTED } = require('../../lib/redaction');
+
+const rules = Redaction.getRules({});
+
+function typeAction(element, value = 'hunter22') {
+  return { type: 'type', value, valueBefore: 'hunter2', element };
+}
+
+describe('Redaction.redactAction', () => {
+  test('turns a typed password into a secret variable', () => {
+    const action = typeAction({ type: 'password', attributes: { name: 'password' } });
+    expect(Redaction.redactAction(action, rules)).toMatchObject({
+      value: '{{password}}',
+      valueBefore: '',
+      redacted: true,
+      secretVariable: 'password'
+    });
+  });
+
+  test('matches field names by word', () => {
+    const ssn = typeAction({ attributes: { name: 'userSSN' } }, '123-45-6789');
+    expect(Redaction.redactAction(ssn, rules).value).toBe('{{userSsn}}');
+
+    const business = typeAction({ attributes: { name: 'businessName' } }, 'Acme');
+    expect(Redaction.redactAction(business, rules)).toBe(business);
+  });
+
+  test('uses sensitive autocomplete tokens', () => {
+    const action = typeAction({ attributes: { id: 'code', autocomplete: 'one-time-code' } }, '123456');
+    expect(Redaction.redactAction(action, rules).redacted).toBe(true);
+  });
+
+  test('keeps a placeholder the recorder already inserted', () => {
+    const action = { ...typeAction({ type: 'password' }, '{{pwd}}'), redacted: true };
+    const redacted = Redaction.redactAction(action, rules);
+    expect(redacted.value).toBe('{{pwd}}');
+    expect(redacted.secretVariable).toBeUndefined();
+  });
+
+  test('applies custom patterns from settings', () => {
+    const custom = Redaction.getRules({ redactFieldPatterns: 'member id, \\bdob\\b' });
+    const action = typeAction({ humanLabel: 'Member ID' }, 'M-1234');
+    expect(Redaction.redactAction(action, custom).redacted).toBe(true);
+    expect(Redaction.redactAction(action, rules)).toBe(action);
+  });
+
+  test('leaves actions alone when redaction is off', () => {
+    const off = Redaction.getRules({ redactSensitive: false });
+    const action = typeAction({ type: 'password' });
+    expect(Redaction.redactAction(action, off)).toBe(action);
+  });
+
+  test('leaves non-typing actions alone', () => {
+    const action = { type: 'click', element: { type: 'password' } };
+    expect(Redaction.redactAction(action, rules)).toBe(action);
+  });
+});
+
+describe('Redaction.redactNetworkRequest', () => {
+  test('masks query parameters, headers and JSON bodies', () => {
+    const redacted = Redaction.redactNetworkRequest({
+      url: 'https://api.example.com/login?user=ada&access_token=abc123#top',
+      method: 'POST',
+      requestHeaders: { Authorization: 'Bearer abc', 'Content-Type': 'application/json' },
+      responseHeaders: { 'Set-Cookie': 'sid=1' },
+      requestBody: JSON.stringify({ user: 'ada', password: 'hunter2', nested: { apiKey: 'k' } }),
+      responseBody: { token: 't', profile: { name: 'Ada' } }
+    }, rules);
+
+    expect(redacted.url).toBe(`https://api.example.com/login?user=ada&access_token=${REDACTED}#top`);
+    expect(redacted.method).toBe('POST');
+    expect(redacted.requestHeaders).toEqual({ Authorization: REDACTED, 'Content-Type': 'application/json' });
+    expect(redacted.responseHeaders).toEqual({ 'Set-Cookie': REDACTED });
+    expect(JSON.parse(redacted.requestBody)).toEqual({ user: 'ada', password: REDACTED, nested: { apiKey: REDACTED } });
+    expect(redacted.responseBody).toEqual({ token: REDACTED, profile: { name: 'Ada' } });
+  });
+
+  test('masks url-encoded form bodies', () => {
+    const redacted = Redaction.redactNetworkRequest({
+      url: 'https://example.com/form',
+      requestBody: 'name=Ada&pass_word=hunter2&otp=123456'
+    }, rules);
+    expect(redacted.requestBody).toBe(`name=Ada&pass_word=${REDACTED}&otp=${REDACTED}`);
+  });
+
+  test('masks keys in truncated JSON', () => {
+    const redacted = Redaction.redactNetworkRequest({
+      url: 'https://example.com',
+      responseBody: '{"name":"Ada","secret":"s3cr3t","items":[1,2'
+    }, rules);
+    expect(redacted.responseBody).toBe(`{"name":"Ada","secret":"${REDACTED}","items":[1,2`);
+  });
+
+  test('returns the request unchanged when redaction is off', () => {
+    const request = { url: 'https://example.com?token=1', requestHeaders: { Cookie: 'a' } };
+    expect(Redaction.redactNetworkRequest(request, Redaction.getRules({ redactSensitive: false }))).toBe(request);
+  });
+});
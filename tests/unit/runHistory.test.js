@@ -0,0 +1,94 @@
+/**
+ * Run history screenshot limits and storage quota handling
+ */
+
+const vm = require('vm');
+const { loadServiceWorker } = require('./helpers/serviceWorker');
+
+describe('RunHistoryStorage.addRun', () => {
+  let worker;
+  let RunHistoryStorage;
+  let endTime;
+
+  function run(screenshot = 'data:image/jpeg;base64,AAAA') {
+    return { id: `run_${++endTime}`, endTime, screenshot };
+  }
+
+  function screenshotsOf(history) {
+    return Object.values(history).flat().filter(entry => entry.screenshot);
+  }
+
+  beforeEach(() => {
+    worker = loadServiceWorker();
+    RunHistoryStorage = vm.runInContext('RunHistoryStorage', worker.context);
+    endTime = 0;
+  });
+
+  test('keeps screenshots on the newest runs of a workflow', async () => {
+    for (let i = 0; i < 8; i++) {
+      await RunHistoryStorage.addRun('wf1', run());
+    }
+
+    const runs = await RunHistoryStorage.getRuns('wf1');
+    expect(runs).toHaveLength(8);
+    expect(runs.filter(entry => entry.screenshot).map(entry => entry.id))
+      .toEqual(['run_8', 'run_7', 'run_6', 'run_5', 'run_4']);
+  });
+
+  test('caps screenshots across all workflows', async () => {
+    for (let i = 0; i < 4; i++) {
+      for (const workflowId of ['wf1', 'wf2', 'wf3', 'wf4']) {
+        await RunHistoryStorage.addRun(workflowId, run());
+      }
+    }
+
+    const kept = screenshotsOf(await RunHistoryStorage.getAll());
+    expect(kept).toHaveLength(RunHistoryStorage.MAX_SCREENSHOTS);
+    expect(Math.min(...kept.map(entry => entry.endTime))).toBe(7);
+  });
+
+  test('drops screenshots when storage is full', async () => {
+    await RunHistoryStorage.addRun('wf1', run());
+
+    const set = worker.chrome.storage.local.set;
+    worker.chrome.storage.local.set = jest.fn(async items => {
+      if (screenshotsOf(items.runHistory).length > 0) {
+        throw new Error('QUOTA_BYTES quota exceeded');
+      }
+      return set(items);
+    });
+
+    await RunHistoryStorage.addRun('wf1', run());
+
+    const runs = await RunHistoryStorage.getRuns('wf1');
+    expect(runs.map(entry => entry.id)).toEqual(['run_2', 'run_1']);
+    expect(screenshotsOf({ wf1: runs })).toHaveLength(0);
+  });
+
+  test('passes on other storage errors', async () => {
+    worker.chrome.storage.local.set = jest.fn().mockRejectedValue(new Error('IO error'));
+    await expect(RunHistoryStorage.addRun('wf1', run())).rejects.toThrow('IO error');
+  });
+});
+
+describe('labelStepResults', () => {
+  test('labels steps from the replayed list, including inlined called workflows', () => {
+    const { context } = loadServiceWorker();
+    const labelStepResults = vm.runInContext('labelStepResults', context);
+    const actions = [
+      { type: 'click', element: { humanLabel: 'Sign in' } },
+      { type: 'type', element: { humanLabel: 'Username' }, sourceWorkflowId: 'login' },
+      { type: 'click', element: { humanLabel: 'Submit' } }
+    ];
+
+    const { stepResults } = labelStepResults({
+      stepResults: [
+        { stepIndex: 1, actionType: 'type' },
+        { stepIndex: 1, actionType: 'assertion', description: 'Welcome shown' },
+        { stepIndex: 2, actionType: 'click' }
+      ]
+    }, actions);
+
+    expect(stepResults.map(result => result.label)).toEqual(['Username', undefined, 'Submit']);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * VariableSystem dotted paths and loop variables
+ */
+
+const { VariableSystem } = require('../../lib/variableSystem');
+
+describe('VariableSystem.resolvePath', () => {
+  test('resolves plain names and dotted paths', () => {
+    const values = { city: 'Austin', item: { address: { zip: '78701' } } };
+    expect(VariableSystem.resolvePath(values, 'city')).toBe('Austin');
+    expect(VariableSystem.resolvePath(values, 'item.address.zip')).toBe('78701');
+  });
+
+  test('returns undefined for missing names and broken paths', () => {
+    const values = { item: { name: 'A' } };
+    expect(VariableSystem.resolvePath(values, 'other')).toBeUndefined();
+    expect(VariableSystem.resolvePath(values, 'item.address.zip')).toBeUndefined();
+    expect(VariableSystem.resolvePath(null, 'item')).toBeUndefined();
+  });
+});
+
+describe('VariableSystem.injectVariables', () => {
+  test('replaces loop rows and their fields', () => {
+    const values = { item: { name: 'Ada', age: 36 }, itemIndex: 0 };
+    expect(VariableSystem.injectVariables('{{item.name}} ({{item.age}}) #{{itemIndex}}', values))
+      .toBe('Ada (36) #0');
+  });
+
+  test('serializes object values used whole', () => {
+    expect(VariableSystem.injectVariables('{{item}}', { item: { id: 1 } })).toBe('{"id":1}');
+  });
+
+  test('keeps placeholders without a value', () => {
+    expect(VariableSystem.injectVariables('Hi {{item.name}}', { item: {} })).toBe('Hi {{item.name}}');
+    expect(VariableSystem.injectVariables('Hi {{name}}', {})).toBe('Hi {{name}}');
+  });
+});
+
+describe('VariableSystem.extractVariables', () => {
+  test('asks for the root of a dotted path once', () => {
+    const variables = VariableSystem.extractVariables([
+      { type: 'type', value: '{{client.firstName}}' },
+      { type: 'type', value: '{{client.lastName}}' }
+    ]);
+    expect(Object.keys(variables)).toEqual(['client']);
+    expect(variables.client.usages).toHaveLength(2);
+  });
+
+  test('does not ask for loop variables, only the list a repeat iterates', () => {
+    const variables = VariableSystem.extractVariables([
+      { type: 'repeat', repeatMode: 'list', variable: 'people' },
+      { type: 'type', value: '{{item.name}}' },
+      { type: 'type', value: '{{itemIndex}}' },
+      { type: 'endRepeat' }
+    ]);
+    expect(Object.keys(variables)).toEqual(['people']);
+  });
+
+  test('asks for a variable repeat count', () => {
+    const variables = VariableSystem.extractVariables([
+      { type: 'repeat', repeatMode: 'count', count: '{{rowCount}}' },
+      { type: 'endRepeat' }
+    ]);
+    expect(Object.keys(variables)).toEqual(['rowCount']);
+  });
+
+  test('does not ask for variables filled by extract steps', () => {
+    const variables = VariableSystem.extractVariables([
+      { type: 'extract', variable: 'orderId' },
+      { type: 'type', value: '{{orderId}}' }
+    ]);
+    expect(variables).toEqual({});
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Vault encryption round trip and passphrase checks
+ */
+
+function createStorageArea() {
+  let data = {};
+  return {
+    async get(key) {
+      return key in data ? { [key]: data[key] } : {};
+    },
+    async set(items) {
+      data = { ...data, ...JSON.parse(JSON.stringify(items)) };
+    },
+    async remove(key) {
+      delete data[key];
+    },
+    dump: () => data
+  };
+}
+
+global.chrome = {
+  storage: { local: createStorageArea(), session: createStorageArea() }
+};
+
+const { Vault, VAULT_STORAGE_KEY } = require('../../lib/vault');
+
+// PBKDF2 at full strength is slow on small machines
+jest.setTimeout(60000);
+
+const PASSPHRASE = 'correct horse battery';
+
+describe('Vault', () => {
+  beforeAll(async () => {
+    await Vault.setup(PASSPHRASE);
+    await Vault.set('apiKey', 'sk-secret-key');
+    await Vault.set('presets.p1', { password: 'hunter2' });
+  });
+
+  afterAll(async () => {
+    await Vault.lock();
+  });
+
+  test('stores only ciphertext', () => {
+    const stored = JSON.stringify(chrome.storage.local.dump()[VAULT_STORAGE_KEY]);
+    expect(stored).not.toContain('sk-secret-key');
+    expect(stored).not.toContain('hunter2');
+  });
+
+  test('decrypts entries after locking and unlocking again', async () => {
+    await Vault.lock();
+    expect(await Vault.isUnlocked()).toBe(false);
+    await expect(Vault.get('apiKey')).rejects.toThrow('Vault is locked');
+
+    await Vault.unlock(PASSPHRASE);
+    expect(await Vault.get('apiKey')).toBe('sk-secret-key');
+    expect(await Vault.get('presets.p1')).toEqual({ password: 'hunter2' });
+  });
+
+  test('rejects a wrong passphrase and stays locked', async () => {
+    await Vault.lock();
+    await expect(Vault.unlock('wrong passphrase')).rejects.toThrow('Incorrect passphrase');
+    expect(await Vault.isUnlocked()).toBe(false);
+  });
+
+  test('removes entries', async () => {
+    await Vault.unlock(PASSPHRASE);
+    await Vault.remove('presets.p1');
+    expect(await Vault.get('presets.p1')).toBeUndefined();
+    expect(await Vault.get('apiKey')).toBe('sk-secret-key');
+  });
+
+  test('refuses a second setup and short passphrases', async () => {
+    await expect(Vault.setup(PASSPHRASE)).rejects.toThrow('Vault already exists');
+    await expect(Vault.changePassphrase(PASSPHRASE, 'short')).rejects.toThrow('at least 8 characters');
+  });
+
+  test('encrypt and decrypt round trip with a fresh IV each time', async () => {
+    await Vault.unlock(PASSPHRASE);
+    const value = { name: 'Ada', nested: [1, 2, 3] };
+    const first = await Vault.encrypt(value);
+    const second = await Vault.encrypt(value);
+
+    expect(first.iv).not.toBe(second.iv);
+    expect(await Vault.decrypt(first)).toEqual(value);
+    expect(await Vault.decrypt(second)).toEqual(value);
+  });
+});